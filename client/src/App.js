@@ -7,6 +7,9 @@ import Dashboard from './pages/Dashboard';
 import Transactions from './pages/Transactions';
 import Reports from './pages/Reports';
 import Features from './pages/Features';
+import Categories from './pages/Categories';
+import Import from './pages/Import';
+import Receipts from './pages/Receipts';
 import Navbar from './components/Navbar';
 import DownloadReport from './pages/DownloadReport';
 import './styles/App.css';
@@ -24,6 +27,9 @@ function App() {
               <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
               <Route path="/transactions" element={<ProtectedRoute><Transactions /></ProtectedRoute>} />
               <Route path="/reports" element={<ProtectedRoute><Reports /></ProtectedRoute>} />
+              <Route path="/categories" element={<ProtectedRoute><Categories /></ProtectedRoute>} />
+              <Route path="/import" element={<ProtectedRoute><Import /></ProtectedRoute>} />
+              <Route path="/receipts" element={<ProtectedRoute><Receipts /></ProtectedRoute>} />
               <Route path="/features" element={<Features />} />
               <Route path="/" element={<Navigate to="/features" />} />
             </Routes>
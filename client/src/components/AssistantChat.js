@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useRef } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { askAssistant, describeToolCall } from '../utils/assistant';
+import '../styles/AssistantChat.css';
+
+// What the server keeps of the conversation for follow-up questions
+const MAX_HISTORY = 20;
+
+const EXAMPLE_QUESTIONS = [
+  'How much did I spend on food in the last three months?',
+  'Which week was most expensive this month?',
+  'What were my five biggest expenses last month?'
+];
+
+// The figures behind one answer: the result of each query the assistant ran
+function ToolCallResult({ call }) {
+  const { result } = call;
+
+  if (result?.error) {
+    return <p className="assistant-tool-error">{result.error}</p>;
+  }
+
+  if (result?.transactions) {
+    return (
+      <table>
+        <tbody>
+          {result.transactions.map((t, index) => (
+            <tr key={index}>
+              <td>{t.date}</td>
+              <td>{t.description}</td>
+              <td>{t.category}</td>
+              <td className="amount">${t.amount.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td colSpan="4">{result.count} matching transaction(s)</td>
+          </tr>
+        </tfoot>
+      </table>
+    );
+  }
+
+  return (
+    <table>
+      <tbody>
+        {(result?.groups || []).map(group => (
+          <tr key={group.key}>
+            <td>{group.key === 'all' ? 'All' : group.key}</td>
+            <td>{group.count} transaction(s)</td>
+            <td className="amount">${group.total.toFixed(2)}</td>
+          </tr>
+        ))}
+      </tbody>
+      {result?.group_by !== 'none' && (
+        <tfoot>
+          <tr>
+            <td>Total</td>
+            <td>{result?.count} transaction(s)</td>
+            <td className="amount">${(result?.total || 0).toFixed(2)}</td>
+          </tr>
+        </tfoot>
+      )}
+    </table>
+  );
+}
+
+// Chat with the finance assistant. It answers from queries over the user's
+// transactions, and each answer can be expanded to show those figures.
+function AssistantChat() {
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const endRef = useRef(null);
+
+  // Follow the conversation, but don't pull the page down before it starts
+  useEffect(() => {
+    if (messages.length > 0) endRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages, loading]);
+
+  const ask = async (text) => {
+    const content = text.trim();
+    if (!content || loading) return;
+
+    const conversation = [...messages, { role: 'user', content }];
+    setMessages(conversation);
+    setQuestion('');
+    setError(null);
+    setLoading(true);
+
+    try {
+      const history = conversation.slice(-MAX_HISTORY).map(({ role, content }) => ({ role, content }));
+      const data = await askAssistant(history);
+      setMessages(prev => [...prev, { role: 'assistant', content: data.reply, toolCalls: data.tool_calls }]);
+    } catch (error) {
+      console.error('Error asking the assistant:', error.message);
+      setError(error.message);
+      // Take the question back so it can be sent again
+      setMessages(prev => prev.slice(0, -1));
+      setQuestion(content);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    ask(question);
+  };
+
+  return (
+    <div className="assistant-chat">
+      <div className="assistant-header">
+        <h2>Ask the Assistant</h2>
+        {messages.length > 0 && (
+          <button onClick={() => setMessages([])} disabled={loading}>New chat</button>
+        )}
+      </div>
+
+      <div className="assistant-messages">
+        {messages.length === 0 && (
+          <div className="assistant-examples">
+            {EXAMPLE_QUESTIONS.map(example => (
+              <button key={example} onClick={() => ask(example)}>{example}</button>
+            ))}
+          </div>
+        )}
+
+        {messages.map((message, index) => (
+          <div key={index} className={`assistant-message ${message.role}`}>
+            {message.role === 'assistant'
+              ? <ReactMarkdown children={message.content} />
+              : <p>{message.content}</p>}
+
+            {message.toolCalls?.length > 0 && (
+              <details className="assistant-numbers">
+                <summary>Numbers used ({message.toolCalls.length})</summary>
+                {message.toolCalls.map((call, callIndex) => (
+                  <div key={callIndex} className="assistant-tool-call">
+                    <h4>{describeToolCall(call)}</h4>
+                    <ToolCallResult call={call} />
+                  </div>
+                ))}
+              </details>
+            )}
+          </div>
+        ))}
+
+        {loading && <div className="assistant-message assistant pending">Looking at your transactions...</div>}
+        <div ref={endRef} />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleSubmit} className="assistant-form">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="Ask about your spending..."
+          maxLength={2000}
+          disabled={loading}
+        />
+        <button type="submit" className="submit-btn" disabled={loading || !question.trim()}>
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default AssistantChat;
@@ -0,0 +1,333 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { apiFetch } from '../utils/api';
+import { getCategoryLabel, sortCategoriesForSelect } from '../utils/categories';
+import { MATCH_TYPE_LABELS, formatAmountRange } from '../utils/categoryRules';
+import TagInput from './TagInput';
+import '../styles/CategoryRules.css';
+
+const emptyRule = () => ({
+  type: 'expense',
+  match_type: 'contains',
+  pattern: '',
+  min_amount: '',
+  max_amount: '',
+  category_id: '',
+  tags: [],
+  priority: '0'
+});
+
+const describeMatch = (rule) => {
+  const range = formatAmountRange(rule.min_amount, rule.max_amount);
+  if (rule.match_type === 'amount') return `Amount ${range}`;
+  return `${MATCH_TYPE_LABELS[rule.match_type]} "${rule.pattern}"${range ? `, amount ${range}` : ''}`;
+};
+
+// Rules that pick the category (and add tags) for new transactions. `draft`
+// opens the form pre-filled, e.g. from "Create rule" on a transaction;
+// onApplied lets the page refresh after rules are re-applied to past transactions.
+function CategoryRules({ categories, tags = [], draft, onApplied }) {
+  const [rules, setRules] = useState([]);
+  const [formData, setFormData] = useState(emptyRule);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  useEffect(() => {
+    if (!draft) return;
+    setError(null);
+    setEditingId(null);
+    setShowForm(true);
+    setFormData({ ...emptyRule(), ...draft });
+    containerRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [draft]);
+
+  const loadRules = async () => {
+    try {
+      const data = await apiFetch('/api/rules');
+      setRules(data.rules);
+    } catch (error) {
+      console.error('Error fetching category rules:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      ...(name === 'type' ? { category_id: '' } : {})
+    }));
+  };
+
+  const resetForm = () => {
+    setFormData(emptyRule());
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const startEditing = (rule) => {
+    setError(null);
+    setEditingId(rule.id);
+    setShowForm(true);
+    setFormData({
+      type: rule.type,
+      match_type: rule.match_type,
+      pattern: rule.pattern || '',
+      min_amount: rule.min_amount === null ? '' : String(rule.min_amount),
+      max_amount: rule.max_amount === null ? '' : String(rule.max_amount),
+      category_id: String(rule.category_id),
+      tags: rule.tags,
+      priority: String(rule.priority)
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { type, ...fields } = formData;
+      const payload = {
+        ...fields,
+        pattern: fields.match_type === 'amount' ? null : fields.pattern,
+        min_amount: fields.min_amount === '' ? null : parseFloat(fields.min_amount),
+        max_amount: fields.max_amount === '' ? null : parseFloat(fields.max_amount),
+        category_id: parseInt(fields.category_id),
+        priority: parseInt(fields.priority) || 0
+      };
+
+      if (editingId) {
+        await apiFetch(`/api/rules/${editingId}`, { method: 'PATCH', body: payload });
+      } else {
+        await apiFetch('/api/rules', { method: 'POST', body: payload });
+      }
+
+      resetForm();
+      await loadRules();
+    } catch (error) {
+      console.error('Error saving category rule:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (rule) => {
+    try {
+      await apiFetch(`/api/rules/${rule.id}`, { method: 'PATCH', body: { active: !rule.active } });
+      await loadRules();
+    } catch (error) {
+      console.error('Error updating category rule:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm('Delete this rule? Transactions it already categorised keep their category.')) return;
+
+    try {
+      await apiFetch(`/api/rules/${rule.id}`, { method: 'DELETE' });
+      if (editingId === rule.id) resetForm();
+      await loadRules();
+    } catch (error) {
+      console.error('Error deleting category rule:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Check what would change first, then ask before touching past transactions
+  const applyToPastTransactions = async (rule) => {
+    setApplying(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const body = rule ? { rule_id: rule.id } : {};
+      const preview = await apiFetch('/api/rules/apply', { method: 'POST', body: { ...body, dry_run: true } });
+      if (preview.updated === 0) {
+        setMessage(`All ${preview.checked} transactions already match ${rule ? 'this rule' : 'your rules'}.`);
+        return;
+      }
+
+      const confirmed = window.confirm(
+        `${preview.updated} of your ${preview.checked} transactions will get the category and tags from ` +
+        `${rule ? 'this rule' : 'your rules'}. Continue?`
+      );
+      if (!confirmed) return;
+
+      const result = await apiFetch('/api/rules/apply', { method: 'POST', body });
+      setMessage(`Updated ${result.updated} transaction${result.updated === 1 ? '' : 's'}.`);
+      if (onApplied) onApplied();
+    } catch (error) {
+      console.error('Error applying category rules:', error.message);
+      setError(error.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const ruleCategories = sortCategoriesForSelect(categories.filter(c =>
+    (c.type || 'expense') === formData.type &&
+    (!c.archived || String(c.id) === formData.category_id)
+  ));
+
+  return (
+    <div className="category-rules" ref={containerRef}>
+      <div className="category-rules-header">
+        <h2>Category Rules</h2>
+        <div className="category-rules-actions">
+          {rules.some(rule => rule.active) && (
+            <button
+              type="button"
+              onClick={() => applyToPastTransactions(null)}
+              className="cancel-btn"
+              disabled={applying}
+            >
+              {applying ? 'Applying...' : 'Apply to past transactions'}
+            </button>
+          )}
+          {!showForm && (
+            <button type="button" onClick={() => setShowForm(true)} className="submit-btn">
+              Add Rule
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="category-rules-hint">
+        New transactions, receipts and imports get the category and tags of the first rule they match.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="category-rules-form">
+          <div className="form-row">
+            <div className="form-group">
+              <label>Match</label>
+              <select name="match_type" value={formData.match_type} onChange={handleChange}>
+                {Object.entries(MATCH_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {formData.match_type !== 'amount' && (
+              <div className="form-group">
+                <label>{formData.match_type === 'regex' ? 'Regular expression' : 'Text'}</label>
+                <input
+                  type="text"
+                  name="pattern"
+                  value={formData.pattern}
+                  onChange={handleChange}
+                  placeholder={formData.match_type === 'regex' ? 'e.g. ^(uber|ola)\\b' : 'e.g. Swiggy'}
+                  maxLength={200}
+                  required
+                />
+              </div>
+            )}
+            <div className="form-group">
+              <label>Min amount ($)</label>
+              <input type="number" step="0.01" min="0" name="min_amount" value={formData.min_amount} onChange={handleChange} />
+            </div>
+            <div className="form-group">
+              <label>Max amount ($)</label>
+              <input type="number" step="0.01" min="0" name="max_amount" value={formData.max_amount} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Type</label>
+              <select name="type" value={formData.type} onChange={handleChange}>
+                <option value="expense">Expense</option>
+                <option value="income">Income</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Category</label>
+              <select name="category_id" value={formData.category_id} onChange={handleChange} required>
+                <option value="">Select a category</option>
+                {ruleCategories.map(category => (
+                  <option key={category.id} value={category.id}>{getCategoryLabel(category, categories)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Priority (lower runs first)</label>
+              <input type="number" step="1" name="priority" value={formData.priority} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Add tags (optional)</label>
+            <TagInput
+              value={formData.tags}
+              onChange={(ruleTags) => setFormData(prev => ({ ...prev, tags: ruleTags }))}
+              suggestions={tags}
+            />
+          </div>
+
+          <div className="form-actions">
+            <button type="button" onClick={resetForm} className="cancel-btn" disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving}>
+              {saving ? 'Saving...' : (editingId ? 'Save Changes' : 'Add Rule')}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {rules.length === 0 ? (
+        !showForm && <p className="category-rules-empty">No rules yet. Use "Rule" on a transaction to start from it.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Category</th>
+              <th>Tags</th>
+              <th>Priority</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.id} className={rule.active ? '' : 'paused'}>
+                <td>
+                  {describeMatch(rule)}
+                  {!rule.active && <span className="rule-badge">Paused</span>}
+                </td>
+                <td>{getCategoryLabel(categories.find(c => c.id === rule.category_id), categories) || rule.category_name}</td>
+                <td>{rule.tags.length > 0 ? rule.tags.map(tag => `#${tag}`).join(' ') : '-'}</td>
+                <td>{rule.priority}</td>
+                <td className="row-actions">
+                  <button onClick={() => startEditing(rule)} className="edit-btn">Edit</button>
+                  <button onClick={() => applyToPastTransactions(rule)} className="edit-btn" disabled={applying || !rule.active}>
+                    Apply
+                  </button>
+                  <button onClick={() => toggleActive(rule)} className="pause-btn">
+                    {rule.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="delete-btn">Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default CategoryRules;
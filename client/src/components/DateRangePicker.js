@@ -0,0 +1,56 @@
+import React from 'react';
+import { DATE_RANGE_PRESETS, getPresetRange } from '../utils/dateRanges';
+import { getLocalToday } from '../utils/budgets';
+import '../styles/DateRangePicker.css';
+
+// Pick a preset period or custom dates. `value` is { preset, startDate, endDate }
+// and `onChange` gets the next one.
+function DateRangePicker({ value, onChange }) {
+  const choosePreset = (preset) => {
+    // Custom dates start from whatever range was showing
+    const range = preset === 'custom' ? value : getPresetRange(preset, getLocalToday());
+    onChange({ preset, startDate: range.startDate, endDate: range.endDate });
+  };
+
+  const changeDate = (field, date) => {
+    if (!date) return;
+    const next = { ...value, preset: 'custom', [field]: date };
+    // Keep the range the right way round when one end moves past the other
+    if (next.startDate > next.endDate) {
+      if (field === 'startDate') next.endDate = date;
+      else next.startDate = date;
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="date-range-picker">
+      <div className="date-range-presets">
+        {DATE_RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            type="button"
+            className={value.preset === preset.id ? 'active' : ''}
+            onClick={() => choosePreset(preset.id)}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      {value.preset === 'custom' && (
+        <div className="date-range-custom">
+          <label>
+            From
+            <input type="date" value={value.startDate} onChange={(e) => changeDate('startDate', e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={value.endDate} onChange={(e) => changeDate('endDate', e.target.value)} />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DateRangePicker;
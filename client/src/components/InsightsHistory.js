@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { formatMonth } from '../utils/budgets';
+import { deleteInsight, describeInsight, fetchInsightHistory } from '../utils/insights';
+import '../styles/InsightsHistory.css';
+
+const MAX_COMPARED = 2;
+
+// Insights generated in past months. Picking two shows them side by side to
+// see how the advice changed. `refreshKey` reloads the list after a new one
+// has been generated.
+function InsightsHistory({ refreshKey }) {
+  const [history, setHistory] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadHistory();
+  }, [refreshKey]);
+
+  const loadHistory = async () => {
+    try {
+      const insights = await fetchInsightHistory();
+      setHistory(insights);
+      setSelected(prev => prev.filter(id => insights.some(i => i.id === id)));
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching insights history:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Picking a third drops the one picked first
+  const toggleSelected = (id) => {
+    setSelected(prev => prev.includes(id)
+      ? prev.filter(selectedId => selectedId !== id)
+      : [...prev, id].slice(-MAX_COMPARED));
+  };
+
+  const handleDelete = async (insight) => {
+    if (!window.confirm(`Delete the insights for ${formatMonth(insight)}?`)) return;
+    try {
+      await deleteInsight(insight.id);
+      await loadHistory();
+    } catch (error) {
+      console.error('Error deleting insight:', error.message);
+      setError(error.message);
+    }
+  };
+
+  if (history.length === 0 && !error) return null;
+
+  const compared = history
+    .filter(insight => selected.includes(insight.id))
+    .sort((a, b) => a.year - b.year || a.month - b.month || new Date(a.created_at) - new Date(b.created_at));
+
+  return (
+    <div className="insights-history">
+      <h2>Insights History</h2>
+      <p className="insights-history-hint">Pick up to {MAX_COMPARED} to compare how the advice changed.</p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <ul>
+        {history.map(insight => (
+          <li key={insight.id} className={selected.includes(insight.id) ? 'selected' : ''}>
+            <label>
+              <input
+                type="checkbox"
+                checked={selected.includes(insight.id)}
+                onChange={() => toggleSelected(insight.id)}
+              />
+              <strong>{formatMonth(insight)}</strong>
+            </label>
+            <span className="insights-history-meta">{describeInsight(insight)}</span>
+            <button onClick={() => handleDelete(insight)} className="delete-btn">Delete</button>
+          </li>
+        ))}
+      </ul>
+
+      {compared.length > 0 && (
+        <div className="insights-compare">
+          {compared.map(insight => (
+            <div key={insight.id} className="insights-compare-column">
+              <h3>{formatMonth(insight)}</h3>
+              <ReactMarkdown remarkPlugins={[remarkGfm]} children={insight.insights} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default InsightsHistory;
@@ -17,7 +17,10 @@ function Navbar() {
             <>
               <Link to="/dashboard">Dashboard</Link>
               <Link to="/transactions">Transactions</Link>
+              <Link to="/receipts">Receipts</Link>
               <Link to="/reports">Reports</Link>
+              <Link to="/categories">Categories</Link>
+              <Link to="/import">Import</Link>
               <button onClick={signOut} className="logout-btn">
                 Logout
               </button>
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { findCategoryByName, parseQuickEntry } from '../utils/quickAdd';
+import { matchCategoryRules } from '../utils/categoryRules';
+import { suggestCategories } from '../utils/categorySuggestions';
+import { getCategoryLabel, sortCategoriesForSelect } from '../utils/categories';
+import { getLocalToday } from '../utils/budgets';
+import '../styles/QuickAdd.css';
+
+const CATEGORY_SOURCES = {
+  rule: 'from a category rule',
+  name: 'named in the text',
+  history: 'from similar past transactions'
+};
+
+// The category to propose for a parsed entry: a matching category rule first,
+// then a category named in the text, then the best guess from past
+// transactions. Resolves to { category_id, source, tags } or null.
+const proposeCategory = async (entry, categories) => {
+  const usable = (id) => categories.some(c => c.id === id && !c.archived);
+
+  try {
+    const { description, amount, type } = entry;
+    const [match] = await matchCategoryRules([{ description, amount, type }]);
+    if (match && usable(match.category_id)) {
+      return { category_id: match.category_id, source: 'rule', tags: match.tags };
+    }
+  } catch (error) {
+    console.error('Error matching category rules:', error.message);
+  }
+
+  const named = findCategoryByName(entry.description, categories, entry.type);
+  if (named) return { category_id: named.id, source: 'name', tags: [] };
+
+  try {
+    const [suggestion] = await suggestCategories(entry.description, entry.type);
+    if (suggestion && usable(suggestion.category_id)) {
+      return { category_id: suggestion.category_id, source: 'history', tags: [] };
+    }
+  } catch (error) {
+    console.error('Error suggesting categories:', error.message);
+  }
+
+  return null;
+};
+
+// One text box for entries like "120 pizza with friends yesterday". What it
+// understood is shown on a card to confirm (or correct) before anything is
+// saved. `onConfirm(entry)` saves it; `onEdit(entry)` opens it in the full form.
+function QuickAdd({ categories, onConfirm, onEdit }) {
+  const [text, setText] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleParse = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    const entry = parseQuickEntry(text, { today: getLocalToday() });
+    if (entry.amount === null) {
+      setDraft(null);
+      setError('No amount found. Try something like "120 pizza yesterday".');
+      return;
+    }
+
+    setError(null);
+    setBusy(true);
+    const proposal = entry.description ? await proposeCategory(entry, categories) : null;
+    setDraft({
+      ...entry,
+      category_id: proposal ? String(proposal.category_id) : '',
+      categorySource: proposal?.source || null,
+      tags: [...entry.tags, ...(proposal?.tags || []).filter(tag => !entry.tags.includes(tag))]
+    });
+    setBusy(false);
+  };
+
+  const handleConfirm = async () => {
+    if (!draft.category_id) {
+      setError('Please select a category');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await onConfirm(draft);
+      setDraft(null);
+      setText('');
+      setError(null);
+    } catch (error) {
+      console.error('Error adding transaction:', error.message);
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEdit = () => {
+    onEdit(draft);
+    setDraft(null);
+    setText('');
+  };
+
+  const changeType = (type) => {
+    setDraft(prev => ({ ...prev, type, category_id: '', categorySource: null }));
+  };
+
+  const draftCategories = draft
+    ? sortCategoriesForSelect(categories.filter(c => (c.type || 'expense') === draft.type && !c.archived))
+    : [];
+
+  return (
+    <div className="quick-add">
+      <form onSubmit={handleParse}>
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder='Quick add, e.g. "120 pizza with friends yesterday"'
+          aria-label="Quick add"
+          disabled={busy}
+        />
+        <button type="submit" className="submit-btn" disabled={busy || !text.trim()}>
+          {busy && !draft ? 'Reading...' : 'Add'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {draft && (
+        <div className="quick-add-card">
+          <div className="quick-add-type">
+            {['expense', 'income'].map(type => (
+              <button
+                key={type}
+                type="button"
+                className={draft.type === type ? `active ${type}` : ''}
+                onClick={() => changeType(type)}
+              >
+                {type === 'expense' ? 'Expense' : 'Income'}
+              </button>
+            ))}
+          </div>
+
+          <dl>
+            <dt>Amount</dt>
+            <dd className={`quick-add-amount ${draft.type}`}>
+              {draft.type === 'income' ? '+' : '-'}${draft.amount.toFixed(2)}
+            </dd>
+            <dt>Date</dt>
+            <dd>
+              {new Date(`${draft.date}T00:00:00`).toLocaleDateString(undefined, { dateStyle: 'medium' })}
+              {draft.dateText && <span className="quick-add-note"> ({draft.dateText})</span>}
+            </dd>
+            <dt>Description</dt>
+            <dd>{draft.description || <span className="quick-add-note">None</span>}</dd>
+            <dt>Category</dt>
+            <dd>
+              <select
+                value={draft.category_id}
+                onChange={(e) => setDraft(prev => ({ ...prev, category_id: e.target.value, categorySource: null }))}
+              >
+                <option value="">Select a category</option>
+                {draftCategories.map(category => (
+                  <option key={category.id} value={category.id}>{getCategoryLabel(category, categories)}</option>
+                ))}
+              </select>
+              {draft.categorySource && (
+                <span className="quick-add-note"> {CATEGORY_SOURCES[draft.categorySource]}</span>
+              )}
+            </dd>
+            {draft.tags.length > 0 && (
+              <>
+                <dt>Tags</dt>
+                <dd>{draft.tags.map(tag => `#${tag}`).join(' ')}</dd>
+              </>
+            )}
+          </dl>
+
+          <div className="form-actions">
+            <button type="button" onClick={handleConfirm} className="submit-btn" disabled={busy}>
+              {busy ? 'Saving...' : 'Confirm'}
+            </button>
+            <button type="button" onClick={handleEdit} className="edit-btn" disabled={busy}>
+              Edit details
+            </button>
+            <button type="button" onClick={() => setDraft(null)} className="cancel-btn" disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QuickAdd;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { isPdf } from '../utils/receipts';
+import '../styles/ReceiptThumbnail.css';
+
+// Preview of a receipt that opens the full file. Receipts without a thumbnail
+// (moved over from before thumbnails were made) show a label instead.
+function ReceiptThumbnail({ receipt, large = false }) {
+  const name = receipt.filename || 'Receipt';
+
+  return (
+    <a
+      className={`receipt-thumbnail${large ? ' large' : ''}`}
+      href={receipt.url || undefined}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={name}
+    >
+      {receipt.thumbnail_url
+        ? <img src={receipt.thumbnail_url} alt={name} />
+        : <span>{isPdf(receipt) ? 'PDF' : 'View'}</span>}
+    </a>
+  );
+}
+
+export default ReceiptThumbnail;
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+import { getCategoryLabel, sortCategoriesForSelect } from '../utils/categories';
+import '../styles/RecurringRules.css';
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  semester: 'Every semester (6 months)'
+};
+
+const emptyRule = () => ({
+  type: 'expense',
+  amount: '',
+  category_id: '',
+  description: '',
+  frequency: 'monthly',
+  start_date: new Date().toISOString().split('T')[0],
+  end_date: ''
+});
+
+// Rent, subscriptions and other bills that repeat. The server turns each due
+// occurrence into a normal transaction; onGenerated lets the page refresh its list.
+function RecurringRules({ categories, onGenerated }) {
+  const [rules, setRules] = useState([]);
+  const [formData, setFormData] = useState(emptyRule);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      const data = await apiFetch('/api/recurring');
+      setRules(data.rules);
+    } catch (error) {
+      console.error('Error fetching recurring transactions:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      ...(name === 'type' ? { category_id: '' } : {})
+    }));
+  };
+
+  const resetForm = () => {
+    setFormData(emptyRule());
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const startEditing = (rule) => {
+    setError(null);
+    setEditingId(rule.id);
+    setShowForm(true);
+    setFormData({
+      type: rule.type,
+      amount: String(rule.amount),
+      category_id: String(rule.category_id),
+      description: rule.description || '',
+      frequency: rule.frequency,
+      start_date: rule.start_date,
+      end_date: rule.end_date || ''
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const payload = {
+        ...formData,
+        amount: parseFloat(formData.amount),
+        category_id: parseInt(formData.category_id),
+        end_date: formData.end_date || null
+      };
+
+      const data = editingId
+        ? await apiFetch(`/api/recurring/${editingId}`, { method: 'PUT', body: payload })
+        : await apiFetch('/api/recurring', { method: 'POST', body: payload });
+
+      resetForm();
+      await loadRules();
+      if (data.created > 0 && onGenerated) onGenerated();
+    } catch (error) {
+      console.error('Error saving recurring transaction:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (rule) => {
+    try {
+      const data = await apiFetch(`/api/recurring/${rule.id}`, {
+        method: 'PATCH',
+        body: { active: !rule.active }
+      });
+      await loadRules();
+      if (data.created > 0 && onGenerated) onGenerated();
+    } catch (error) {
+      console.error('Error updating recurring transaction:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    const confirmed = window.confirm(
+      `Stop "${rule.description || rule.category_name}" from repeating? Transactions it already added are kept.`
+    );
+    if (!confirmed) return;
+
+    try {
+      await apiFetch(`/api/recurring/${rule.id}`, { method: 'DELETE' });
+      if (editingId === rule.id) resetForm();
+      await loadRules();
+    } catch (error) {
+      console.error('Error deleting recurring transaction:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const ruleCategories = sortCategoriesForSelect(categories.filter(c =>
+    (c.type || 'expense') === formData.type &&
+    (!c.archived || String(c.id) === formData.category_id)
+  ));
+
+  return (
+    <div className="recurring-rules">
+      <div className="recurring-header">
+        <h2>Recurring Transactions</h2>
+        {!showForm && (
+          <button type="button" onClick={() => setShowForm(true)} className="submit-btn">
+            Add Recurring
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="recurring-form">
+          <div className="form-row">
+            <div className="form-group">
+              <label>Type</label>
+              <select name="type" value={formData.type} onChange={handleChange}>
+                <option value="expense">Expense</option>
+                <option value="income">Income</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Amount ($)</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                name="amount"
+                value={formData.amount}
+                onChange={handleChange}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Category</label>
+              <select name="category_id" value={formData.category_id} onChange={handleChange} required>
+                <option value="">Select a category</option>
+                {ruleCategories.map(category => (
+                  <option key={category.id} value={category.id}>{getCategoryLabel(category, categories)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Repeats</label>
+              <select name="frequency" value={formData.frequency} onChange={handleChange}>
+                {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Starts</label>
+              <input type="date" name="start_date" value={formData.start_date} onChange={handleChange} required />
+            </div>
+            <div className="form-group">
+              <label>Ends (optional)</label>
+              <input type="date" name="end_date" value={formData.end_date} min={formData.start_date} onChange={handleChange} />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Description</label>
+            <input
+              type="text"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              placeholder="e.g. Hostel rent, Spotify"
+            />
+          </div>
+
+          <div className="form-actions">
+            <button type="button" onClick={resetForm} className="cancel-btn" disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={saving}>
+              {saving ? 'Saving...' : (editingId ? 'Save Changes' : 'Add Recurring')}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {rules.length === 0 ? (
+        !showForm && <p className="recurring-empty">No recurring transactions yet.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th>Category</th>
+              <th>Repeats</th>
+              <th>Amount</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.id} className={rule.active ? '' : 'paused'}>
+                <td>
+                  {rule.description || '-'}
+                  {!rule.active && <span className="recurring-badge">Paused</span>}
+                </td>
+                <td>{getCategoryLabel(categories.find(c => c.id === rule.category_id), categories) || rule.category_name}</td>
+                <td>
+                  {FREQUENCY_LABELS[rule.frequency]}
+                  <div className="recurring-dates">
+                    from {new Date(rule.start_date).toLocaleDateString()}
+                    {rule.end_date && ` until ${new Date(rule.end_date).toLocaleDateString()}`}
+                  </div>
+                </td>
+                <td className={rule.type === 'income' ? 'income-amount' : ''}>
+                  {rule.type === 'income' ? '+' : ''}${parseFloat(rule.amount).toFixed(2)}
+                </td>
+                <td className="row-actions">
+                  <button onClick={() => startEditing(rule)} className="edit-btn">Edit</button>
+                  <button onClick={() => toggleActive(rule)} className="pause-btn">
+                    {rule.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="delete-btn">Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default RecurringRules;
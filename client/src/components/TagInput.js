@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { normalizeTag } from '../utils/tags';
+import '../styles/TagInput.css';
+
+// Chip-style tag entry with autocomplete from the user's existing tags.
+// Enter or comma adds the typed tag, Backspace on an empty input removes the last one.
+function TagInput({ value, onChange, suggestions = [], placeholder = 'Add tags...' }) {
+  const [input, setInput] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  const query = normalizeTag(input);
+  const matches = suggestions
+    .filter(tag => !value.includes(tag) && (!query || tag.includes(query)))
+    .slice(0, 8);
+
+  const addTag = (name) => {
+    const tag = normalizeTag(name);
+    if (tag && !value.includes(tag)) {
+      onChange([...value, tag]);
+    }
+    setInput('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter(t => t !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      if (input.trim()) addTag(input);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      <div className="tag-input-field">
+        {value.map(tag => (
+          <span key={tag} className="tag-chip">
+            #{tag}
+            <button type="button" onClick={() => removeTag(tag)} aria-label={`Remove ${tag}`}>
+              &times;
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setShowSuggestions(true)}
+          // Delay so a click on a suggestion lands before the list closes
+          onBlur={() => setTimeout(() => {
+            setShowSuggestions(false);
+            if (input.trim()) addTag(input);
+          }, 150)}
+          placeholder={value.length === 0 ? placeholder : ''}
+        />
+      </div>
+      {showSuggestions && matches.length > 0 && (
+        <ul className="tag-suggestions">
+          {matches.map(tag => (
+            <li key={tag} onMouseDown={(e) => e.preventDefault()} onClick={() => addTag(tag)}>
+              #{tag}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
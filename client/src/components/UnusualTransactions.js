@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { dismissUnusualTransaction, fetchUnusualTransactions } from '../utils/anomalies';
+import '../styles/UnusualTransactions.css';
+
+// Expenses that look out of character next to the user's history. Each can be
+// dismissed once, or marked as normal so the same pattern is not flagged again.
+function UnusualTransactions() {
+  const [anomalies, setAnomalies] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadAnomalies();
+  }, []);
+
+  const loadAnomalies = async () => {
+    try {
+      setAnomalies(await fetchUnusualTransactions());
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching unusual transactions:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const dismiss = async (anomaly, learn) => {
+    try {
+      await dismissUnusualTransaction(anomaly.id, { learn });
+      setAnomalies(prev => prev.filter(a => a.id !== anomaly.id));
+    } catch (error) {
+      console.error('Error dismissing unusual transaction:', error.message);
+      setError(error.message);
+    }
+  };
+
+  if (anomalies.length === 0 && !error) return null;
+
+  return (
+    <div className="unusual-transactions">
+      <h2>Unusual Transactions</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <ul>
+        {anomalies.map(anomaly => (
+          <li key={anomaly.id}>
+            <span className="unusual-date">
+              {new Date(anomaly.date).toLocaleDateString('default', { month: 'short', day: 'numeric' })}
+            </span>
+            <span className="unusual-details">
+              <strong>{anomaly.description || anomaly.category_name}</strong>
+              <span className="unusual-category">{anomaly.category_name}</span>
+              {anomaly.reasons.map(reason => (
+                <span key={reason.reason} className="unusual-reason">{reason.message}</span>
+              ))}
+            </span>
+            <span className="unusual-amount">${anomaly.amount.toFixed(2)}</span>
+            <span className="unusual-actions">
+              <button onClick={() => dismiss(anomaly, false)}>Dismiss</button>
+              <button onClick={() => dismiss(anomaly, true)} title="Don't flag expenses like this again">
+                This is normal
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default UnusualTransactions;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+import '../styles/UpcomingBills.css';
+
+const UPCOMING_DAYS = 30;
+
+// Recurring transactions due in the next 30 days. A single occurrence can be
+// skipped or given a different amount without changing the rule itself.
+function UpcomingBills() {
+  const [occurrences, setOccurrences] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadUpcoming();
+  }, []);
+
+  const loadUpcoming = async () => {
+    try {
+      const data = await apiFetch(`/api/recurring/upcoming?days=${UPCOMING_DAYS}`);
+      setOccurrences(data.occurrences);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching upcoming bills:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const occurrencePath = (occurrence) =>
+    `/api/recurring/${occurrence.recurring_id}/occurrences/${occurrence.date}`;
+
+  const updateOccurrence = async (occurrence, body) => {
+    try {
+      await apiFetch(occurrencePath(occurrence), { method: 'PUT', body });
+      setEditing(null);
+      await loadUpcoming();
+    } catch (error) {
+      console.error('Error updating occurrence:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const restoreOccurrence = async (occurrence) => {
+    try {
+      await apiFetch(occurrencePath(occurrence), { method: 'DELETE' });
+      await loadUpcoming();
+    } catch (error) {
+      console.error('Error restoring occurrence:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleSaveEdit = (occurrence) => {
+    const amount = parseFloat(editing.amount);
+    if (isNaN(amount) || amount <= 0) {
+      setError('Please enter a valid amount');
+      return;
+    }
+    updateOccurrence(occurrence, { amount });
+  };
+
+  if (occurrences.length === 0 && !error) return null;
+
+  const isEditing = (occurrence) =>
+    editing?.recurring_id === occurrence.recurring_id && editing?.date === occurrence.date;
+
+  const totalDue = occurrences
+    .filter(o => !o.skipped && o.type !== 'income')
+    .reduce((sum, o) => sum + parseFloat(o.amount), 0);
+
+  return (
+    <div className="upcoming-bills">
+      <div className="upcoming-header">
+        <h2>Upcoming Bills</h2>
+        <span>${totalDue.toFixed(2)} due in the next {UPCOMING_DAYS} days</span>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <ul>
+        {occurrences.map(occurrence => (
+          <li
+            key={`${occurrence.recurring_id}-${occurrence.date}`}
+            className={occurrence.skipped ? 'skipped' : ''}
+          >
+            <span className="upcoming-date">
+              {new Date(occurrence.date).toLocaleDateString('default', { month: 'short', day: 'numeric' })}
+            </span>
+            <span className="upcoming-description">
+              {occurrence.description || occurrence.category_name}
+              {occurrence.skipped && <span className="upcoming-badge">Skipped</span>}
+              {occurrence.edited && <span className="upcoming-badge">Changed</span>}
+            </span>
+
+            {isEditing(occurrence) ? (
+              <span className="upcoming-actions">
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  value={editing.amount}
+                  onChange={(e) => setEditing(prev => ({ ...prev, amount: e.target.value }))}
+                />
+                <button onClick={() => handleSaveEdit(occurrence)}>Save</button>
+                <button onClick={() => setEditing(null)}>Cancel</button>
+              </span>
+            ) : (
+              <>
+                <span className="upcoming-amount">
+                  {occurrence.type === 'income' ? '+' : ''}${parseFloat(occurrence.amount).toFixed(2)}
+                </span>
+                <span className="upcoming-actions">
+                  {occurrence.skipped || occurrence.edited ? (
+                    <button onClick={() => restoreOccurrence(occurrence)}>Undo</button>
+                  ) : (
+                    <>
+                      <button onClick={() => setEditing({ ...occurrence, amount: String(occurrence.amount) })}>
+                        Edit
+                      </button>
+                      <button onClick={() => updateOccurrence(occurrence, { skip: true })}>Skip</button>
+                    </>
+                  )}
+                </span>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default UpcomingBills;
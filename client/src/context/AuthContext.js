@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { supabase } from '../supabaseClient';
 import { useNavigate } from 'react-router-dom';
+import { clearQueries } from '../utils/dataStore';
 
 const AuthContext = createContext();
 
@@ -38,6 +39,8 @@ export function AuthProvider({ children }) {
     },
     signOut: async () => {
       await supabase.auth.signOut();
+      // The next user must not see this one's cached data
+      clearQueries();
       navigate('/login');
     },
   };
@@ -0,0 +1,21 @@
+import { useAuth } from '../context/AuthContext';
+import { budgetKey, fetchMonthBudget } from '../utils/budgets';
+import { useQuery } from './useQuery';
+
+const NONE = [];
+
+// The overall and per-category budgets of a month ({ month, year }) from the
+// shared cache. Returns { budget, categoryBudgets, loading, error, refresh }.
+export const useBudget = ({ month, year }) => {
+  const { user } = useAuth();
+  const { data, ...state } = useQuery(
+    user ? budgetKey(user.id, { month, year }) : null,
+    () => fetchMonthBudget(user.id, { month, year })
+  );
+
+  return {
+    budget: data?.budget ?? null,
+    categoryBudgets: data?.categoryBudgets ?? NONE,
+    ...state
+  };
+};
@@ -0,0 +1,16 @@
+import { useAuth } from '../context/AuthContext';
+import { fetchBudgetUsage, summaryKeyPrefix } from '../utils/summaries';
+import { useQuery } from './useQuery';
+
+// How much of a month's ({ month, year }) overall and per-category budgets has
+// been spent, from the server. Returns { usage, loading, refreshing, error, refresh };
+// usage is null until loaded.
+export const useBudgetUsage = ({ month, year }) => {
+  const { user } = useAuth();
+  const { data, ...state } = useQuery(
+    user ? `${summaryKeyPrefix(user.id)}budget:${year}-${month}` : null,
+    () => fetchBudgetUsage({ month, year })
+  );
+
+  return { usage: data ?? null, ...state };
+};
@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import { fetchQuery, getQueryState, subscribeToQuery } from '../utils/dataStore';
+
+const NO_QUERY = { data: undefined, error: null, loading: false };
+
+// Cached data for `key`, loaded with `fetcher` unless fresh data is cached.
+// Returns { data, error, loading, refreshing, refresh }: `loading` is only true
+// until there is something to show, `refreshing` while any request is running.
+// With a null key nothing is loaded.
+export const useQuery = (key, fetcher) => {
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const subscribe = useCallback(
+    (listener) => (key ? subscribeToQuery(key, listener) : () => {}),
+    [key]
+  );
+  const state = useSyncExternalStore(subscribe, () => (key ? getQueryState(key) : NO_QUERY));
+
+  useEffect(() => {
+    if (!key) return;
+    fetchQuery(key, () => fetcherRef.current())
+      .catch(error => console.error(`Error loading ${key}:`, error.message));
+  }, [key]);
+
+  const refresh = useCallback(
+    () => (key ? fetchQuery(key, () => fetcherRef.current(), { force: true }) : Promise.resolve()),
+    [key]
+  );
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: Boolean(key) && state.data === undefined && !state.error,
+    refreshing: state.loading,
+    refresh
+  };
+};
@@ -0,0 +1,16 @@
+import { useAuth } from '../context/AuthContext';
+import { fetchSummary, summaryKeyPrefix } from '../utils/summaries';
+import { useQuery } from './useQuery';
+
+// Expense and income totals of `range`, overall and per category, from the
+// server; `tag` only counts transactions with that tag.
+// Returns { summary, loading, refreshing, error, refresh }.
+export const useSummary = ({ startDate, endDate }, { tag = '' } = {}) => {
+  const { user } = useAuth();
+  const { data, ...state } = useQuery(
+    user ? `${summaryKeyPrefix(user.id)}totals:${startDate}:${endDate}:${tag}` : null,
+    () => fetchSummary({ startDate, endDate }, { tag })
+  );
+
+  return { summary: data ?? null, ...state };
+};
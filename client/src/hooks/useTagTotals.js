@@ -0,0 +1,17 @@
+import { useAuth } from '../context/AuthContext';
+import { fetchTagTotals, summaryKeyPrefix } from '../utils/summaries';
+import { useQuery } from './useQuery';
+
+const NONE = [];
+
+// Expenses and income per tag over `range`, from the server.
+// Returns { tagTotals, loading, refreshing, error, refresh }.
+export const useTagTotals = ({ startDate, endDate }) => {
+  const { user } = useAuth();
+  const { data, ...state } = useQuery(
+    user ? `${summaryKeyPrefix(user.id)}tags:${startDate}:${endDate}` : null,
+    () => fetchTagTotals({ startDate, endDate })
+  );
+
+  return { tagTotals: data ?? NONE, ...state };
+};
@@ -0,0 +1,29 @@
+import { useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { fetchTransactions, filterTransactions, transactionsKey } from '../utils/transactions';
+import { useQuery } from './useQuery';
+
+const NONE = [];
+
+// The signed-in user's transactions from the shared cache, newest first.
+// Only those within `range` ({ startDate, endDate }, all of them without one)
+// are loaded; `filters` ({ type, categoryId, tag }) narrow them down without
+// another request.
+// Returns { transactions, loading, refreshing, error, refresh }.
+export const useTransactions = ({ range, filters = {} } = {}) => {
+  const { user } = useAuth();
+  const { startDate, endDate } = range || {};
+  const { data, ...state } = useQuery(
+    user ? transactionsKey(user.id, { startDate, endDate }) : null,
+    () => fetchTransactions(user.id, { startDate, endDate })
+  );
+
+  const { type, categoryId, tag } = filters;
+  const transactions = useMemo(() => {
+    if (!data) return NONE;
+    if (!type && !categoryId && !tag) return data;
+    return filterTransactions(data, { type, categoryId, tag });
+  }, [data, type, categoryId, tag]);
+
+  return { transactions, ...state };
+};
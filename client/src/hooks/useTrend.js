@@ -0,0 +1,18 @@
+import { useAuth } from '../context/AuthContext';
+import { fetchTrend, summaryKeyPrefix } from '../utils/summaries';
+import { useQuery } from './useQuery';
+
+const EMPTY = { bucket: 'day', rows: [] };
+
+// Expenses, income and net per day, week or month of `range`, from the server.
+// The range decides the bucket unless one is given.
+// Returns { trend: { bucket, rows }, loading, refreshing, error, refresh }.
+export const useTrend = ({ startDate, endDate }, { bucket = '', tag = '' } = {}) => {
+  const { user } = useAuth();
+  const { data, ...state } = useQuery(
+    user ? `${summaryKeyPrefix(user.id)}trend:${startDate}:${endDate}:${bucket}:${tag}` : null,
+    () => fetchTrend({ startDate, endDate }, { bucket, tag })
+  );
+
+  return { trend: data ?? EMPTY, ...state };
+};
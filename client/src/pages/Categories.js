@@ -0,0 +1,392 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import {
+  FALLBACK_COLORS,
+  fetchCategories,
+  getCategoryColor,
+  getCategoryLabel,
+  isOwnCategory,
+  sortCategoriesForSelect
+} from '../utils/categories';
+import { fetchSuggestionAccuracy } from '../utils/categorySuggestions';
+import '../styles/Categories.css';
+
+const MAX_NAME_LENGTH = 50;
+
+const emptyForm = () => ({
+  name: '',
+  type: 'expense',
+  parent_id: '',
+  color: FALLBACK_COLORS[0]
+});
+
+function Categories() {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editing, setEditing] = useState(null);
+  const [merging, setMerging] = useState(null);
+  const [suggestionAccuracy, setSuggestionAccuracy] = useState(null);
+
+  useEffect(() => {
+    loadCategories();
+    loadSuggestionAccuracy();
+  }, []);
+
+  const loadCategories = async () => {
+    try {
+      const data = await fetchCategories();
+      setCategories(data);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching categories:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only informational, so a failure just hides the report
+  const loadSuggestionAccuracy = async () => {
+    try {
+      setSuggestionAccuracy(await fetchSuggestionAccuracy());
+    } catch (error) {
+      console.error('Error fetching suggestion accuracy:', error.message);
+    }
+  };
+
+  // Returns an error message, or null when the name can be used
+  const validateName = (name, type, parentId, ignoreId = null) => {
+    const trimmed = name.trim();
+    if (!trimmed) return 'Please enter a category name';
+    if (trimmed.length > MAX_NAME_LENGTH) return `Category names can be at most ${MAX_NAME_LENGTH} characters`;
+
+    const duplicate = categories.some(c =>
+      c.id !== ignoreId &&
+      c.type === type &&
+      (c.parent_id || null) === (parentId || null) &&
+      c.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    return duplicate ? 'A category with this name already exists' : null;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Sub-categories must share their parent's type
+      ...(name === 'type' ? { parent_id: '' } : {})
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const parentId = formData.parent_id ? parseInt(formData.parent_id) : null;
+    const validationError = validateName(formData.name, formData.type, parentId);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      const { error } = await supabase
+        .from('categories')
+        .insert({
+          name: formData.name.trim(),
+          type: formData.type,
+          parent_id: parentId,
+          color: formData.color,
+          user_id: user.id
+        });
+
+      if (error) throw error;
+
+      setFormData(emptyForm());
+      await loadCategories();
+    } catch (error) {
+      console.error('Error creating category:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const startEditing = (category) => {
+    setMerging(null);
+    setMessage(null);
+    setEditing({
+      id: category.id,
+      name: category.name,
+      color: category.color || getCategoryColor(category, categories)
+    });
+  };
+
+  const handleSaveEdit = async (category) => {
+    const validationError = validateName(editing.name, category.type, category.parent_id, category.id);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from('categories')
+        .update({ name: editing.name.trim(), color: editing.color })
+        .eq('id', category.id);
+
+      if (error) throw error;
+
+      setEditing(null);
+      await loadCategories();
+    } catch (error) {
+      console.error('Error updating category:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const toggleArchived = async (category) => {
+    setMessage(null);
+    try {
+      // Archiving a parent hides its sub-categories from pickers as well
+      const ids = [category.id, ...categories.filter(c => c.parent_id === category.id && isOwnCategory(c)).map(c => c.id)];
+      const { error } = await supabase
+        .from('categories')
+        .update({ archived: !category.archived })
+        .in('id', category.archived ? [category.id] : ids);
+
+      if (error) throw error;
+      await loadCategories();
+    } catch (error) {
+      console.error('Error archiving category:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleMerge = async (category) => {
+    const target = categories.find(c => c.id === parseInt(merging.targetId));
+    if (!target) {
+      setError('Please choose a category to merge into');
+      return;
+    }
+
+    const confirmed = window.confirm(
+      `Merge "${getCategoryLabel(category, categories)}" into "${getCategoryLabel(target, categories)}"? ` +
+      'All of its transactions and budgets will be moved and the category will be deleted.'
+    );
+    if (!confirmed) return;
+
+    try {
+      const { data: moved, error } = await supabase.rpc('merge_categories', {
+        source_id: category.id,
+        target_id: target.id
+      });
+
+      if (error) throw error;
+
+      setMerging(null);
+      setError(null);
+      setMessage(`Merged into ${target.name}: ${moved} transaction${moved === 1 ? '' : 's'} moved.`);
+      await loadCategories();
+    } catch (error) {
+      console.error('Error merging categories:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Valid merge targets: same type, not the category itself or its own sub-categories
+  const getMergeTargets = (category) => sortCategoriesForSelect(
+    categories.filter(c =>
+      c.id !== category.id &&
+      c.type === category.type &&
+      c.parent_id !== category.id &&
+      !c.archived
+    )
+  );
+
+  const parentOptions = categories.filter(c =>
+    c.type === formData.type && !c.parent_id && !c.archived
+  );
+
+  const renderRow = (category) => {
+    const own = isOwnCategory(category);
+    const isEditing = editing?.id === category.id;
+    const isMerging = merging?.id === category.id;
+
+    return (
+      <React.Fragment key={category.id}>
+        <tr className={`${category.parent_id ? 'sub-category' : ''} ${category.archived ? 'archived' : ''}`}>
+          <td>
+            {isEditing ? (
+              <input
+                type="color"
+                value={editing.color}
+                onChange={(e) => setEditing(prev => ({ ...prev, color: e.target.value }))}
+              />
+            ) : (
+              <span
+                className="color-swatch"
+                style={{ background: getCategoryColor(category, categories) }}
+              />
+            )}
+          </td>
+          <td>
+            {isEditing ? (
+              <input
+                type="text"
+                value={editing.name}
+                maxLength={MAX_NAME_LENGTH}
+                onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+              />
+            ) : (
+              <>
+                {category.parent_id ? '↳ ' : ''}{category.name}
+                {!own && <span className="category-badge">Default</span>}
+                {category.archived && <span className="category-badge">Archived</span>}
+              </>
+            )}
+          </td>
+          <td className="category-actions">
+            {own && (isEditing ? (
+              <>
+                <button onClick={() => handleSaveEdit(category)} className="save-btn">Save</button>
+                <button onClick={() => setEditing(null)} className="cancel-btn">Cancel</button>
+              </>
+            ) : (
+              <>
+                <button onClick={() => startEditing(category)} className="edit-btn">Edit</button>
+                <button onClick={() => toggleArchived(category)} className="archive-btn">
+                  {category.archived ? 'Unarchive' : 'Archive'}
+                </button>
+                <button
+                  onClick={() => {
+                    setEditing(null);
+                    setMerging(isMerging ? null : { id: category.id, targetId: '' });
+                  }}
+                  className="merge-btn"
+                >
+                  Merge
+                </button>
+              </>
+            ))}
+          </td>
+        </tr>
+        {isMerging && (
+          <tr className="merge-row">
+            <td colSpan="3">
+              <span>Merge into</span>
+              <select
+                value={merging.targetId}
+                onChange={(e) => setMerging(prev => ({ ...prev, targetId: e.target.value }))}
+              >
+                <option value="">Select a category</option>
+                {getMergeTargets(category).map(target => (
+                  <option key={target.id} value={target.id}>{getCategoryLabel(target, categories)}</option>
+                ))}
+              </select>
+              <button onClick={() => handleMerge(category)} className="merge-btn">Merge</button>
+              <button onClick={() => setMerging(null)} className="cancel-btn">Cancel</button>
+            </td>
+          </tr>
+        )}
+      </React.Fragment>
+    );
+  };
+
+  if (loading) return <div className="loading">Loading...</div>;
+
+  const visibleCategories = categories.filter(c => showArchived || !c.archived);
+
+  return (
+    <div className="categories-container">
+      <h1>Categories</h1>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {suggestionAccuracy?.evaluated > 0 && (
+        <p className="suggestion-accuracy">
+          Category suggestions would have picked the right category for{' '}
+          <strong>{Math.round(suggestionAccuracy.accuracy * 100)}%</strong> of the{' '}
+          {suggestionAccuracy.evaluated} past transactions they could judge
+          ({Math.round(suggestionAccuracy.top3_accuracy * 100)}% within the top three).
+        </p>
+      )}
+
+      <div className="category-form">
+        <h2>Add Category</h2>
+        <form onSubmit={handleCreate}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                maxLength={MAX_NAME_LENGTH}
+                onChange={handleChange}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Type</label>
+              <select name="type" value={formData.type} onChange={handleChange}>
+                <option value="expense">Expense</option>
+                <option value="income">Income</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Sub-category of (optional)</label>
+              <select name="parent_id" value={formData.parent_id} onChange={handleChange}>
+                <option value="">None (top-level)</option>
+                {parentOptions.map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group color-group">
+              <label>Colour</label>
+              <input type="color" name="color" value={formData.color} onChange={handleChange} />
+            </div>
+          </div>
+          <button type="submit" className="submit-btn">Add Category</button>
+        </form>
+      </div>
+
+      <label className="show-archived">
+        <input
+          type="checkbox"
+          checked={showArchived}
+          onChange={(e) => setShowArchived(e.target.checked)}
+        />
+        Show archived categories
+      </label>
+
+      {['expense', 'income'].map(type => (
+        <div key={type} className="category-list">
+          <h2>{type === 'expense' ? 'Expense Categories' : 'Income Categories'}</h2>
+          <table>
+            <thead>
+              <tr>
+                <th>Colour</th>
+                <th>Name</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortCategoriesForSelect(visibleCategories.filter(c => c.type === type)).map(renderRow)}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Categories;
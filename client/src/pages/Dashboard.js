@@ -1,297 +1,216 @@
-import React, { useEffect, useState } from 'react';
-import { supabase } from '../supabaseClient';
+import React, { useEffect, useRef, useState } from 'react';
 import { 
   PieChart, Pie, Cell, 
-  BarChart, Bar, 
-  LineChart, Line,
+  ComposedChart, Bar, 
+  LineChart, Line, ReferenceLine,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer 
 } from 'recharts';
+import { applyBudgetChange, getCurrentMonth, getLocalToday } from '../utils/budgets';
+import { fetchCategories, getCategoryColor, getCategoryLabel } from '../utils/categories';
+import { forecastMonthEnd, getForecastRange } from '../utils/forecast';
+import { formatRange, getPresetRange } from '../utils/dateRanges';
+import { apiFetch } from '../utils/api';
+import { subscribeToUserChanges } from '../utils/realtime';
+import { applyTransactionChange, refreshTransactions } from '../utils/transactions';
+import { refreshSummaries } from '../utils/summaries';
+import { describeInsight, fetchLatestInsight, generateInsights as requestInsights } from '../utils/insights';
+import { useAuth } from '../context/AuthContext';
+import { useSummary } from '../hooks/useSummary';
+import { useTrend } from '../hooks/useTrend';
+import { useBudgetUsage } from '../hooks/useBudgetUsage';
+import { useBudget } from '../hooks/useBudget';
+import UpcomingBills from '../components/UpcomingBills';
+import UnusualTransactions from '../components/UnusualTransactions';
+import DateRangePicker from '../components/DateRangePicker';
+import AssistantChat from '../components/AssistantChat';
 import '../styles/Dashboard.css';
 
-const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D'];
+const OVER_BUDGET_COLOR = '#dc3545';
+
+const BUCKET_LABELS = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+
+const TOTALS_REFRESH_DELAY_MS = 1000;
 
 function Dashboard() {
-  const [transactions, setTransactions] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [monthlyTotal, setMonthlyTotal] = useState(0);
-  const [categoryData, setCategoryData] = useState([]);
-  const [monthlyData, setMonthlyData] = useState([]);
-  const [weeklyData, setWeeklyData] = useState([]);
-  const [currentBudget, setCurrentBudget] = useState(null);
-  const [remainingBudget, setRemainingBudget] = useState(0);
-  const [budgetProgress, setBudgetProgress] = useState(0);
+  const userId = useAuth().user?.id;
+  const [range, setRange] = useState(() => ({ preset: 'month', ...getPresetRange('month', getLocalToday()) }));
+  const { summary: rangeSummary } = useSummary(range);
+  const { trend: trendData } = useTrend(range);
+  // Every total comes from the server, including the daily spending the forecast learns from
+  const { trend: forecastTrend } = useTrend(getForecastRange(getLocalToday()), { bucket: 'day' });
+  const { usage: budgetUsage, refresh: refreshBudgetUsage } = useBudgetUsage(getCurrentMonth());
+  const currentBudget = budgetUsage?.budget ?? null;
+  // Loading the month's budget fills in a new month from the recurring template
+  const { budget: monthBudget } = useBudget(getCurrentMonth());
+  const [categories, setCategories] = useState([]);
+  const [upcomingRecurring, setUpcomingRecurring] = useState([]);
+  const [forecast, setForecast] = useState(null);
   const [insights, setInsights] = useState('');
+  const [insightRecord, setInsightRecord] = useState(null);
   const [insightsLoading, setInsightsLoading] = useState(false);
-  const [refreshKey, setRefreshKey] = useState(0);
 
-  // Auto-refresh every 5 seconds when component is focused
-  useEffect(() => {
-    const interval = setInterval(() => {
-      if (document.visibilityState === 'visible') {
-        fetchTransactions();
-        fetchCurrentBudget();
-      }
-    }, 5000);
+  // Realtime changes are applied long after the first render, so they read
+  // the categories from here rather than from a stale closure
+  const categoriesRef = useRef([]);
+  // The budget the usage was last reloaded for, so it is reloaded only once
+  const usageBudgetIdRef = useRef(null);
 
-    return () => clearInterval(interval);
+  useEffect(() => {
+    fetchUpcomingRecurring();
   }, []);
 
-  // Listen for page visibility changes to refresh data
+  // Keep up with changes made in other tabs and on other devices as they
+  // happen, and reload everything after the connection has been lost
   useEffect(() => {
-    const handleVisibilityChange = () => {
-      if (document.visibilityState === 'visible') {
-        fetchTransactions();
-        fetchCurrentBudget();
+    if (!userId) return undefined;
+
+    // An import sends a change per row, so the totals are reloaded once they stop
+    let totalsTimer = null;
+    const refreshTotalsSoon = () => {
+      clearTimeout(totalsTimer);
+      totalsTimer = setTimeout(() => refreshSummaries(userId), TOTALS_REFRESH_DELAY_MS);
+    };
+
+    const unsubscribe = subscribeToUserChanges('dashboard', userId, ['transactions', 'budgets', 'category_budgets'], {
+      onChange: (table, payload) => {
+        if (table === 'transactions') {
+          applyTransactionChange(userId, payload, categoriesRef.current);
+        } else {
+          applyBudgetChange(userId, table, payload, categoriesRef.current);
+        }
+        refreshTotalsSoon();
+      },
+      onResync: () => {
+        refreshTransactions(userId);
+        fetchUpcomingRecurring();
       }
+    });
+
+    return () => {
+      clearTimeout(totalsTimer);
+      unsubscribe();
     };
+  }, [userId]);
 
-    document.addEventListener('visibilitychange', handleVisibilityChange);
-    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  useEffect(() => {
+    fetchCategories()
+      .then(setCategories)
+      .catch(error => console.error('Error fetching categories:', error.message));
   }, []);
 
   useEffect(() => {
-    fetchTransactions();
-    fetchCurrentBudget();
-  }, []);
+    categoriesRef.current = categories;
+  }, [categories]);
 
+  // The usage may have loaded before the template created this month's budget
   useEffect(() => {
-    if (currentBudget && transactions.length > 0) {
-      processData(transactions);
-    }
-  }, [currentBudget, transactions]);
+    if (!monthBudget || !budgetUsage || budgetUsage.budget?.id === monthBudget.id) return;
+    if (usageBudgetIdRef.current === monthBudget.id) return;
+    usageBudgetIdRef.current = monthBudget.id;
+    refreshBudgetUsage();
+  }, [monthBudget, budgetUsage, refreshBudgetUsage]);
 
-  const fetchTransactions = async () => {
-    try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error('User not authenticated');
-
-      const { data, error } = await supabase
-        .from('transactions')
-        .select(`
-          id,
-          amount,
-          date,
-          description,
-          category_id,
-          categories!inner(
-            name
-          )
-        `)
-        .eq('user_id', user.id)
-        .order('date', { ascending: false });
-
-      if (error) throw error;
-
-      // Format data to include category_name
-      const formattedData = data.map(transaction => ({
-        ...transaction,
-        category_name: transaction.categories.name
+  useEffect(() => {
+    if (forecastTrend.rows.length > 0) {
+      setForecast(forecastMonthEnd({
+        daily: forecastTrend.rows.map(row => ({ date: row.key, expenses: row.expenses, recurring: row.recurring })),
+        upcoming: upcomingRecurring,
+        budget: currentBudget ? currentBudget.effective : null,
+        today: getLocalToday()
       }));
-
-      setTransactions(formattedData);
-      
-      // Only set loading to false on initial load
-      if (loading) {
-        setLoading(false);
-      }
-    } catch (error) {
-      console.error('Error fetching transactions:', error.message);
-      if (loading) {
-        setLoading(false);
-      }
     }
-  };
+  }, [forecastTrend, upcomingRecurring, currentBudget]);
 
-  const fetchCurrentBudget = async () => {
+  // Recurring transactions still to be generated this month, for the forecast
+  const fetchUpcomingRecurring = async () => {
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error('User not authenticated');
-
       const now = new Date();
-      const currentMonth = now.getMonth() + 1;
-      const currentYear = now.getFullYear();
-
-      const { data, error } = await supabase
-        .from('budgets')
-        .select('*')
-        .eq('user_id', user.id)
-        .eq('month', currentMonth)
-        .eq('year', currentYear)
-        .single();
-
-      if (error && error.code !== 'PGRST116') {
-        throw error;
-      }
-
-      setCurrentBudget(data);
+      const daysLeft = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate() - now.getDate() + 1;
+      const data = await apiFetch(`/api/recurring/upcoming?days=${daysLeft}`);
+      setUpcomingRecurring(data.occurrences);
     } catch (error) {
-      console.error('Error fetching budget:', error.message);
-    }
-  };
-
-  const processData = (transactions) => {
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
-    
-    // Filter current month's transactions
-    const monthlyTransactions = transactions.filter(t => {
-      const date = new Date(t.date);
-      return date.getMonth() === currentMonth && date.getFullYear() === currentYear;
-    });
-    
-    // Calculate monthly total
-    const total = monthlyTransactions.reduce((sum, t) => sum + parseFloat(t.amount), 0);
-    setMonthlyTotal(total);
-
-    // Calculate budget-related metrics
-    if (currentBudget) {
-      const remaining = parseFloat(currentBudget.amount) - total;
-      const progress = (total / parseFloat(currentBudget.amount)) * 100;
-      setRemainingBudget(remaining);
-      setBudgetProgress(progress);
-    } else {
-      setRemainingBudget(0);
-      setBudgetProgress(0);
+      console.error('Error fetching upcoming recurring transactions:', error.message);
     }
-
-    // Prepare category data for pie chart
-    const categoryMap = {};
-    monthlyTransactions.forEach(t => {
-      const category = t.category_name;
-      categoryMap[category] = (categoryMap[category] || 0) + t.amount;
-    });
-
-    const categoryChartData = Object.keys(categoryMap).map(category => ({
-      name: category,
-      value: categoryMap[category]
-    }));
-    setCategoryData(categoryChartData);
-
-    // Prepare weekly data for line chart (maximum 5 weeks)
-    const weeklyMap = {};
-    const weeksInMonth = getWeeksInMonth(currentYear, currentMonth);
-    
-    // Initialize weekly data with 5 weeks max
-    for (let i = 1; i <= 5; i++) {
-      weeklyMap[`Week ${i}`] = 0;
-    }
-
-    // Assign transactions to weeks
-    monthlyTransactions.forEach(t => {
-      const date = new Date(t.date);
-      const weekNum = getWeekOfMonth(date);
-      // Cap at week 5 if needed
-      const adjustedWeekNum = Math.min(weekNum, 5);
-      const weekKey = `Week ${adjustedWeekNum}`;
-      weeklyMap[weekKey] = (weeklyMap[weekKey] || 0) + t.amount;
-    });
-
-    const weeklyChartData = Object.keys(weeklyMap).map(week => ({
-      name: week,
-      amount: weeklyMap[week]
-    }));
-    setWeeklyData(weeklyChartData);
-
-    // Prepare monthly data for bar chart (last 6 months)
-    const monthlyMap = {};
-    for (let i = 5; i >= 0; i--) {
-      const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const key = `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`;
-      monthlyMap[key] = 0;
-    }
-
-    transactions.forEach(t => {
-      const date = new Date(t.date);
-      const monthDiff = (now.getFullYear() - date.getFullYear()) * 12 + now.getMonth() - date.getMonth();
-      if (monthDiff >= 0 && monthDiff < 6) {
-        const key = `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`;
-        monthlyMap[key] = (monthlyMap[key] || 0) + t.amount;
-      }
-    });
-
-    const monthlyChartData = Object.keys(monthlyMap).map(month => ({
-      name: month,
-      total: monthlyMap[month]
-    }));
-    setMonthlyData(monthlyChartData);
-  };
-
-  // Improved week of month calculation
-  const getWeekOfMonth = (date) => {
-    const firstDayOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
-    const dayOfMonth = date.getDate();
-    
-    // Adjust for the first week starting on the 1st regardless of day
-    return Math.ceil((dayOfMonth + firstDayOfMonth.getDay()) / 7);
   };
 
-  // Simplified weeks in month calculation
-  const getWeeksInMonth = (year, month) => {
-    const firstDay = new Date(year, month, 1).getDay();
-    const daysInMonth = new Date(year, month + 1, 0).getDate();
-    return Math.ceil((daysInMonth + firstDay) / 7);
-  };
+  // Show the insights last generated for this month, if any
+  useEffect(() => {
+    const { month, year } = getCurrentMonth();
+    fetchLatestInsight(month, year)
+      .then(latest => {
+        if (!latest) return;
+        setInsights(latest.insights);
+        setInsightRecord(latest);
+      })
+      .catch(error => console.error('Error fetching saved insights:', error.message));
+  }, []);
 
-  const generateInsights = async () => {
+  const generateInsights = async (refresh = false) => {
     setInsightsLoading(true);
     try {
-      const { data: sessionData } = await supabase.auth.getSession();
-      
-      // Prepare comprehensive data for insights
-      const insightData = {
-        transactions: transactions.map(t => ({
-          amount: t.amount,
-          category: t.category_name,
-          date: t.date,
-          description: t.description
-        })),
-        monthlyTotal,
-        budget: currentBudget ? {
-          amount: currentBudget.amount,
-          remaining: remainingBudget,
-          percentUsed: budgetProgress,
-          isOverBudget: remainingBudget < 0
-        } : null,
-        categoryBreakdown: categoryData,
-        weeklySpending: weeklyData,
-        monthlyTrends: monthlyData
-      };
-
-      const response = await fetch('/api/generate-insights', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${sessionData.session?.access_token}`
-        },
-        body: JSON.stringify(insightData)
-      });
-
-      const data = await response.json();
+      // The server loads the month's transactions and budgets itself
+      const { month, year } = getCurrentMonth();
+      const data = await requestInsights({ month, year, source: 'dashboard' }, { refresh });
       setInsights(data.insights);
+      setInsightRecord(data.insight || null);
     } catch (error) {
       console.error('Error generating insights:', error);
       setInsights('Unable to generate insights at this time. Please try again later.');
+      setInsightRecord(null);
     } finally {
       setInsightsLoading(false);
     }
   };
 
-  if (loading) return <div className="loading">Loading...</div>;
+  const rangeTotal = rangeSummary?.totals.expenses ?? 0;
+  const rangeIncome = rangeSummary?.totals.income ?? 0;
+
+  // How much of this month's budgets is spent
+  const remainingBudget = currentBudget?.remaining ?? 0;
+  const budgetProgress = currentBudget?.percentUsed ?? 0;
+  const categoryBudgetStatus = budgetUsage?.categories ?? [];
+
+  // Budgets are monthly, so over-budget categories are only marked on this month's chart
+  const overBudgetIds = range.preset === 'month'
+    ? categoryBudgetStatus.filter(status => status.isOverBudget).map(status => status.category_id)
+    : [];
+  const categoryData = (rangeSummary?.categories ?? [])
+    .filter(row => row.type === 'expense')
+    .map((row, index) => {
+      const category = categories.find(c => c.id === row.category_id);
+      return {
+        name: getCategoryLabel(category, categories) || row.category,
+        value: row.total,
+        color: getCategoryColor(category, categories, index),
+        overBudget: overBudgetIds.includes(row.category_id) || overBudgetIds.includes(row.parent_id)
+      };
+    });
 
   return (
     <div className="dashboard-container">
       <h1>Expense Dashboard</h1>
+
+      <DateRangePicker value={range} onChange={setRange} />
       
       <div className="summary-cards">
         <div className="summary-card">
-          <h2>Monthly Summary</h2>
-          <p className="total-amount">Total Spent: ${monthlyTotal.toFixed(2)}</p>
+          <h2>Summary</h2>
+          <p className="range-label">{formatRange(range)}</p>
+          <p className="total-amount">Total Spent: ${rangeTotal.toFixed(2)}</p>
+          <div className="income-summary">
+            <div className="budget-item">
+              <span className="budget-label">Income:</span>
+              <span className="income-value">${rangeIncome.toFixed(2)}</span>
+            </div>
+            <div className="budget-item">
+              <span className="budget-label">Net Savings:</span>
+              <span className={rangeIncome - rangeTotal < 0 ? 'net-negative' : 'net-positive'}>
+                {rangeIncome - rangeTotal < 0 ? '-' : ''}${Math.abs(rangeIncome - rangeTotal).toFixed(2)}
+              </span>
+            </div>
+          </div>
           <button 
-            onClick={() => {
-              fetchTransactions();
-              fetchCurrentBudget();
-            }}
+            onClick={() => refreshTransactions(userId)}
             className="refresh-btn"
             style={{
               background: 'linear-gradient(135deg, #3E3F29, #BCA88D)',
@@ -313,11 +232,20 @@ function Dashboard() {
         {currentBudget && (
           <div className="summary-card budget-card">
             <h2>Budget Status</h2>
+            <p className="range-label">This month</p>
             <div className="budget-overview">
               <div className="budget-item">
                 <span className="budget-label">Budget:</span>
-                <span className="budget-value">${currentBudget.amount.toFixed(2)}</span>
+                <span className="budget-value">${parseFloat(currentBudget.amount).toFixed(2)}</span>
               </div>
+              {parseFloat(currentBudget.carry_over || 0) !== 0 && (
+                <div className="budget-item">
+                  <span className="budget-label">Carried over:</span>
+                  <span className={`budget-value ${currentBudget.carry_over < 0 ? 'over-budget' : 'under-budget'}`}>
+                    {currentBudget.carry_over > 0 ? '+' : '-'}${Math.abs(parseFloat(currentBudget.carry_over)).toFixed(2)}
+                  </span>
+                </div>
+              )}
               <div className="budget-item">
                 <span className="budget-label">Remaining:</span>
                 <span className={`budget-value ${remainingBudget < 0 ? 'over-budget' : 'under-budget'}`}>
@@ -336,11 +264,60 @@ function Dashboard() {
                   {budgetProgress > 100 && ` (${(budgetProgress - 100).toFixed(1)}% over)`}
                 </span>
               </div>
+              {forecast?.safePerDay != null && (
+                <>
+                  <div className="budget-item">
+                    <span className="budget-label">Projected month-end:</span>
+                    <span className={`budget-value ${forecast.projectedRemaining < 0 ? 'over-budget' : 'under-budget'}`}>
+                      ${forecast.projectedTotal.toFixed(2)}
+                    </span>
+                  </div>
+                  <p className="forecast-note">
+                    {forecast.projectedRemaining < 0
+                      ? `On track to go $${Math.abs(forecast.projectedRemaining).toFixed(2)} over budget`
+                      : `On track to finish $${forecast.projectedRemaining.toFixed(2)} under budget`}
+                  </p>
+                  <div className="budget-item">
+                    <span className="budget-label">Safe to spend per day:</span>
+                    <span className="budget-value">${forecast.safePerDay.toFixed(2)}</span>
+                  </div>
+                </>
+              )}
             </div>
           </div>
         )}
       </div>
 
+      {categoryBudgetStatus.length > 0 && (
+        <div className="category-budgets">
+          <h2>Category Budgets</h2>
+          {categoryBudgetStatus.map(status => (
+            <div key={status.category} className="category-budget-row">
+              <div className="category-budget-header">
+                <span className="budget-label">{status.category}</span>
+                <span className={`budget-value ${status.isOverBudget ? 'over-budget' : 'under-budget'}`}>
+                  ${status.spent.toFixed(2)} / ${status.budget.toFixed(2)}
+                </span>
+              </div>
+              <div className="budget-progress-bar">
+                <div
+                  className={`budget-progress-fill ${status.percentUsed > 100 ? 'over-budget' : status.percentUsed > 80 ? 'warning' : 'normal'}`}
+                  style={{ width: `${Math.min(status.percentUsed, 100)}%` }}
+                ></div>
+              </div>
+              <span className="budget-progress-text">
+                {status.percentUsed.toFixed(1)}% used
+                {status.isOverBudget && ` ($${Math.abs(status.remaining).toFixed(2)} over)`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <UnusualTransactions />
+
+      <UpcomingBills />
+
       <div className="charts-row">
         {/* Pie Chart */}
         <div className="chart-container">
@@ -356,10 +333,15 @@ function Dashboard() {
                   outerRadius={80}
                   fill="#8884d8"
                   dataKey="value"
-                  label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
+                  label={({ name, percent, overBudget }) => `${name}: ${(percent * 100).toFixed(0)}%${overBudget ? ' (over budget)' : ''}`}
                 >
                   {categoryData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                    <Cell
+                      key={`cell-${index}`}
+                      fill={entry.color}
+                      stroke={entry.overBudget ? OVER_BUDGET_COLOR : '#fff'}
+                      strokeWidth={entry.overBudget ? 4 : 1}
+                    />
                   ))}
                 </Pie>
                 <Tooltip />
@@ -370,12 +352,12 @@ function Dashboard() {
           )}
         </div>
 
-        {/* Weekly Line Chart */}
+        {/* Expenses over the range, by day, week or month */}
         <div className="chart-container">
-          <h3>Weekly Expenses (Current Month)</h3>
-          {weeklyData.length > 0 ? (
+          <h3>{BUCKET_LABELS[trendData.bucket]} Expenses</h3>
+          {trendData.rows.length > 0 ? (
             <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={weeklyData}>
+              <LineChart data={trendData.rows}>
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="name" />
                 <YAxis />
@@ -383,7 +365,7 @@ function Dashboard() {
                 <Legend />
                 <Line 
                   type="monotone" 
-                  dataKey="amount" 
+                  dataKey="expenses" 
                   stroke="#8884d8" 
                   activeDot={{ r: 8 }} 
                   name="Amount Spent"
@@ -391,39 +373,73 @@ function Dashboard() {
               </LineChart>
             </ResponsiveContainer>
           ) : (
-            <p>No weekly data available</p>
+            <p>No expense data available</p>
           )}
         </div>
       </div>
 
-      {/* Monthly Bar Chart */}
+      {forecast && (
+        <div className="chart-container full-width">
+          <h3>Month-End Forecast</h3>
+          <p className="forecast-note">
+            Spending about ${forecast.dailyRate.toFixed(2)} a day
+            {forecast.upcomingRecurring > 0 && `, plus $${forecast.upcomingRecurring.toFixed(2)} in recurring bills still due`}
+          </p>
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={forecast.chart}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="day" />
+              <YAxis />
+              <Tooltip formatter={(value) => `$${Number(value).toFixed(2)}`} labelFormatter={(day) => `Day ${day}`} />
+              <Legend />
+              <Line type="monotone" dataKey="actual" stroke="#3E3F29" dot={false} name="Actual" />
+              <Line type="monotone" dataKey="projected" stroke="#8884d8" strokeDasharray="6 4" dot={false} name="Projected" />
+              {currentBudget && (
+                <ReferenceLine y={currentBudget.effective} stroke={OVER_BUDGET_COLOR} strokeDasharray="3 3" label="Budget" />
+              )}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* Income vs. expenses bar chart */}
       <div className="chart-container full-width">
-        <h3>Monthly Comparison (Last 6 Months)</h3>
-        {monthlyData.length > 0 ? (
+        <h3>{BUCKET_LABELS[trendData.bucket]} Income vs. Expenses</h3>
+        {trendData.rows.length > 0 ? (
           <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={monthlyData}>
+            <ComposedChart data={trendData.rows}>
               <CartesianGrid strokeDasharray="3 3" />
               <XAxis dataKey="name" />
               <YAxis />
               <Tooltip />
               <Legend />
-              <Bar dataKey="total" fill="#8884d8" name="Total Expenses" />
-            </BarChart>
+              <Bar dataKey="income" fill="#82CA9D" name="Income" />
+              <Bar dataKey="expenses" fill="#8884d8" name="Total Expenses" />
+              <Line type="monotone" dataKey="net" stroke="#3E3F29" name="Net Savings" />
+            </ComposedChart>
           </ResponsiveContainer>
         ) : (
-          <p>No monthly data available</p>
+          <p>No income or expense data available</p>
         )}
       </div>
 
       <div className="insights-section">
         <h2>AI Insights</h2>
         <button 
-          onClick={generateInsights} 
+          onClick={() => generateInsights()} 
           className="generate-btn"
           disabled={insightsLoading}
         >
           {insightsLoading ? 'Generating...' : 'Generate Monthly Insights'}
         </button>
+        {insightRecord && (
+          <p className="insights-meta">
+            {describeInsight(insightRecord)}
+            <button onClick={() => generateInsights(true)} disabled={insightsLoading}>
+              Regenerate
+            </button>
+          </p>
+        )}
         {insights && (
           <div className="insights-content">
             <div className="insights-text">
@@ -434,6 +450,8 @@ function Dashboard() {
           </div>
         )}
       </div>
+
+      <AssistantChat />
     </div>
   );
 }
@@ -0,0 +1,539 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { fetchCategories, getCategoryLabel, sortCategoriesForSelect } from '../utils/categories';
+import {
+  DATE_FORMATS,
+  detectDateFormat,
+  getQifDates,
+  getStatementFormat,
+  guessCsvMapping,
+  mapCsvRows,
+  parseCsv,
+  parseOfx,
+  parseQif
+} from '../utils/statementParser';
+import { refreshTransactions } from '../utils/transactions';
+import '../styles/Import.css';
+
+const PREVIEW_ROWS = 5;
+
+// Column mapping fields for CSV statements
+const MAPPING_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description' },
+  { key: 'amount', label: 'Amount (one signed column)' },
+  { key: 'debit', label: 'Debit / money out' },
+  { key: 'credit', label: 'Credit / money in' },
+  { key: 'category', label: 'Category (optional)' }
+];
+
+const DEFAULT_CATEGORY_NAMES = { expense: 'others', income: 'other income' };
+
+function Import() {
+  const { user } = useAuth();
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [csvRows, setCsvRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(null);
+  const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0].value);
+  const [rows, setRows] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [recentImports, setRecentImports] = useState([]);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchCategories()
+      .then(setCategories)
+      .catch(error => console.error('Error fetching categories:', error.message));
+    loadRecentImports();
+  }, []);
+
+  const loadRecentImports = async () => {
+    try {
+      const data = await apiFetch('/api/imports');
+      setRecentImports(data.imports);
+    } catch (error) {
+      console.error('Error fetching imports:', error.message);
+    }
+  };
+
+  const activeCategories = categories.filter(c => !c.archived);
+
+  // Match a category name from the statement, falling back to "Others" / "Other Income"
+  const findCategoryId = (name, type) => {
+    const candidates = activeCategories.filter(c => (c.type || 'expense') === type);
+    const wanted = name.toLowerCase();
+    const match = (wanted && candidates.find(c => c.name.toLowerCase() === wanted)) ||
+      candidates.find(c => c.name.toLowerCase() === DEFAULT_CATEGORY_NAMES[type]);
+    return match ? String(match.id) : '';
+  };
+
+  const resetImport = () => {
+    setStep('upload');
+    setFile(null);
+    setCsvRows([]);
+    setMapping(null);
+    setRows([]);
+    setResult(null);
+    setError(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    const format = getStatementFormat(selected.name);
+    if (!format) {
+      setError('Please choose a .csv, .ofx or .qif file');
+      return;
+    }
+
+    setError(null);
+    setResult(null);
+
+    try {
+      const text = await selected.text();
+      setFile({ name: selected.name, format });
+
+      if (format === 'csv') {
+        const parsed = parseCsv(text);
+        if (parsed.length === 0) throw new Error('The file is empty');
+
+        const guessed = guessCsvMapping(parsed[0]);
+        setCsvRows(parsed);
+        setHasHeader(true);
+        setMapping(guessed);
+        setDateFormat(detectDateFormat(parsed.slice(1).map(cells => cells[guessed.date])));
+        setStep('map');
+      } else if (format === 'qif') {
+        const qifFormat = detectDateFormat(getQifDates(text));
+        setDateFormat(qifFormat);
+        await startReview(parseQif(text, qifFormat));
+      } else {
+        await startReview(parseOfx(text));
+      }
+    } catch (error) {
+      console.error('Error reading statement:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const getMappedRows = () => mapCsvRows(hasHeader ? csvRows.slice(1) : csvRows, mapping, dateFormat);
+
+  const handleMappingChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setMapping(prev => {
+      const next = { ...prev, [name]: type === 'checkbox' ? checked : value };
+      // A signed amount column and debit/credit columns are alternatives
+      if (name === 'amount' && value !== '') {
+        next.debit = '';
+        next.credit = '';
+      }
+      if ((name === 'debit' || name === 'credit') && value !== '') {
+        next.amount = '';
+      }
+      return next;
+    });
+  };
+
+  // Build the review rows and ask the server which ones are already recorded
+  // and which category rules they match. A matching rule picks the category
+  // and adds its tags.
+  const startReview = async (statementRows) => {
+    if (statementRows.length === 0) {
+      throw new Error('No transactions were found in this file');
+    }
+
+    setWorking(true);
+    try {
+      const { duplicates, matches } = await apiFetch('/api/imports/preview', {
+        method: 'POST',
+        body: {
+          rows: statementRows.map(row => ({
+            date: row.date,
+            amount: row.amount,
+            description: row.description,
+            type: row.type
+          }))
+        }
+      });
+
+      setRows(statementRows.map((row, index) => {
+        const valid = !!row.date && !Number.isNaN(row.amount) && row.amount > 0;
+        // Rules pointing at a category that has since been archived are ignored
+        const match = matches[index] && activeCategories.some(c => c.id === matches[index].category_id)
+          ? matches[index]
+          : null;
+        return {
+          ...row,
+          key: index,
+          valid,
+          duplicate: duplicates[index],
+          include: valid && !duplicates[index],
+          categoryId: match ? String(match.category_id) : findCategoryId(row.categoryName, row.type),
+          tags: match ? match.tags : [],
+          ruleMatched: !!match
+        };
+      }));
+      setStep('review');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleMappingContinue = async () => {
+    if (mapping.date === '' || (mapping.amount === '' && mapping.debit === '' && mapping.credit === '')) {
+      setError('Please choose the date column and either an amount column or debit/credit columns');
+      return;
+    }
+
+    setError(null);
+    try {
+      await startReview(getMappedRows());
+    } catch (error) {
+      console.error('Error preparing import:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const updateRow = (key, changes) => {
+    setRows(prev => prev.map(row => {
+      if (row.key !== key) return row;
+      const next = { ...row, ...changes };
+      // Switching type means the old category (and the rule that chose it) no longer fits
+      if (changes.type && changes.type !== row.type) {
+        next.categoryId = findCategoryId(row.categoryName, changes.type);
+        next.tags = [];
+        next.ruleMatched = false;
+      }
+      if (changes.categoryId !== undefined) next.ruleMatched = false;
+      return next;
+    }));
+  };
+
+  const setCategoryForUnassigned = (type, categoryId) => {
+    setRows(prev => prev.map(row =>
+      row.type === type && !row.categoryId ? { ...row, categoryId } : row
+    ));
+  };
+
+  const handleImport = async () => {
+    const selected = rows.filter(row => row.include && row.valid);
+    if (selected.length === 0) {
+      setError('Please select at least one transaction to import');
+      return;
+    }
+    if (selected.some(row => !row.categoryId)) {
+      setError('Please choose a category for every selected transaction');
+      return;
+    }
+
+    setWorking(true);
+    setError(null);
+    try {
+      const data = await apiFetch('/api/imports', {
+        method: 'POST',
+        body: {
+          filename: file.name,
+          format: file.format,
+          rows: selected.map(row => ({
+            date: row.date,
+            amount: row.amount,
+            type: row.type,
+            description: row.description || null,
+            category_id: parseInt(row.categoryId),
+            tags: row.tags,
+            allow_duplicate: row.duplicate
+          }))
+        }
+      });
+
+      setResult({ ...data.import, notSelected: rows.length - selected.length });
+      setStep('done');
+      refreshTransactions(user.id);
+      await loadRecentImports();
+    } catch (error) {
+      console.error('Error importing transactions:', error.message);
+      setError(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleUndo = async (importRecord) => {
+    const confirmed = window.confirm(
+      `Undo the import of ${importRecord.filename || 'this statement'}? ` +
+      `${importRecord.imported_count} transaction${importRecord.imported_count === 1 ? '' : 's'} will be deleted.`
+    );
+    if (!confirmed) return;
+
+    try {
+      await apiFetch(`/api/imports/${importRecord.id}`, { method: 'DELETE' });
+      if (result?.id === importRecord.id) resetImport();
+      refreshTransactions(user.id);
+      await loadRecentImports();
+    } catch (error) {
+      console.error('Error undoing import:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const categoryOptions = (type) => sortCategoriesForSelect(
+    activeCategories.filter(c => (c.type || 'expense') === type)
+  );
+
+  const renderMapping = () => {
+    const headers = hasHeader
+      ? csvRows[0]
+      : csvRows[0].map((_, index) => `Column ${index + 1}`);
+    const previewRows = getMappedRows().slice(0, PREVIEW_ROWS);
+
+    return (
+      <div className="import-card">
+        <h2>Map Columns</h2>
+        <p className="import-hint">Tell us which column holds what in <strong>{file.name}</strong>.</p>
+
+        <label className="import-checkbox">
+          <input type="checkbox" checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+          The first row contains column names
+        </label>
+
+        <div className="mapping-grid">
+          {MAPPING_FIELDS.map(field => (
+            <div key={field.key} className="form-group">
+              <label>{field.label}</label>
+              <select name={field.key} value={mapping[field.key]} onChange={handleMappingChange}>
+                <option value="">{field.required ? 'Select a column' : 'Not used'}</option>
+                {headers.map((header, index) => (
+                  <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <div className="form-group">
+            <label>Date format</label>
+            <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+              {DATE_FORMATS.map(format => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {mapping.amount !== '' && (
+          <label className="import-checkbox">
+            <input
+              type="checkbox"
+              name="negativeIsExpense"
+              checked={mapping.negativeIsExpense}
+              onChange={handleMappingChange}
+            />
+            Negative amounts are expenses (untick for statements that show spending as positive)
+          </label>
+        )}
+
+        <h3>Preview</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Description</th>
+              <th>Type</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {previewRows.map((row, index) => (
+              <tr key={index}>
+                <td>{row.date || <span className="import-invalid">Unreadable</span>}</td>
+                <td>{row.description || '-'}</td>
+                <td>{row.type}</td>
+                <td>{Number.isNaN(row.amount) ? <span className="import-invalid">Unreadable</span> : `$${row.amount.toFixed(2)}`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="form-actions">
+          <button onClick={resetImport} className="cancel-btn">Cancel</button>
+          <button onClick={handleMappingContinue} className="submit-btn" disabled={working}>
+            {working ? 'Checking...' : 'Continue'}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderReview = () => {
+    const selectedCount = rows.filter(row => row.include && row.valid).length;
+    const duplicateCount = rows.filter(row => row.duplicate).length;
+    const invalidCount = rows.filter(row => !row.valid).length;
+
+    return (
+      <div className="import-card">
+        <h2>Review Transactions</h2>
+        <p className="import-hint">
+          {rows.length} rows found in <strong>{file.name}</strong>
+          {duplicateCount > 0 && ` · ${duplicateCount} already recorded (unticked)`}
+          {invalidCount > 0 && ` · ${invalidCount} could not be read`}
+        </p>
+
+        <div className="bulk-categories">
+          {['expense', 'income'].map(type => rows.some(row => row.type === type && !row.categoryId) && (
+            <label key={type}>
+              Set category for unassigned {type === 'expense' ? 'expenses' : 'income'}
+              <select value="" onChange={(e) => setCategoryForUnassigned(type, e.target.value)}>
+                <option value="">Choose...</option>
+                {categoryOptions(type).map(category => (
+                  <option key={category.id} value={category.id}>{getCategoryLabel(category, categories)}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <table className="review-table">
+          <thead>
+            <tr>
+              <th>Import</th>
+              <th>Date</th>
+              <th>Description</th>
+              <th>Type</th>
+              <th>Category</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className={!row.valid ? 'invalid-row' : row.duplicate ? 'duplicate-row' : ''}>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={row.include}
+                    disabled={!row.valid}
+                    onChange={(e) => updateRow(row.key, { include: e.target.checked })}
+                  />
+                </td>
+                <td>{row.date || <span className="import-invalid">Unreadable</span>}</td>
+                <td>
+                  {row.description || '-'}
+                  {row.duplicate && <span className="import-badge">Already recorded</span>}
+                  {row.tags.length > 0 && (
+                    <span className="import-tags">{row.tags.map(tag => `#${tag}`).join(' ')}</span>
+                  )}
+                </td>
+                <td>
+                  <select value={row.type} onChange={(e) => updateRow(row.key, { type: e.target.value })}>
+                    <option value="expense">Expense</option>
+                    <option value="income">Income</option>
+                  </select>
+                </td>
+                <td>
+                  <select
+                    value={row.categoryId}
+                    onChange={(e) => updateRow(row.key, { categoryId: e.target.value })}
+                  >
+                    <option value="">Select a category</option>
+                    {categoryOptions(row.type).map(category => (
+                      <option key={category.id} value={category.id}>{getCategoryLabel(category, categories)}</option>
+                    ))}
+                  </select>
+                  {row.ruleMatched && <span className="import-rule">by rule</span>}
+                </td>
+                <td className={row.type === 'income' ? 'income-amount' : ''}>
+                  {Number.isNaN(row.amount)
+                    ? <span className="import-invalid">Unreadable</span>
+                    : `${row.type === 'income' ? '+' : ''}$${row.amount.toFixed(2)}`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="form-actions">
+          <button onClick={resetImport} className="cancel-btn" disabled={working}>Cancel</button>
+          <button onClick={handleImport} className="submit-btn" disabled={working || selectedCount === 0}>
+            {working ? 'Importing...' : `Import ${selectedCount} transaction${selectedCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="import-container">
+      <h1>Import Bank Statement</h1>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {step === 'upload' && (
+        <div className="import-card">
+          <h2>Choose a File</h2>
+          <p className="import-hint">
+            Upload a CSV, OFX or QIF statement exported from your bank. You can check every
+            row before anything is saved.
+          </p>
+          <input type="file" accept=".csv,.ofx,.qif" onChange={handleFileChange} disabled={working} />
+          {working && <p className="import-hint">Checking for transactions you have already recorded...</p>}
+        </div>
+      )}
+
+      {step === 'map' && renderMapping()}
+      {step === 'review' && renderReview()}
+
+      {step === 'done' && result && (
+        <div className="import-card import-summary">
+          <h2>Import Complete</h2>
+          <ul>
+            <li><strong>{result.imported_count}</strong> transaction{result.imported_count === 1 ? '' : 's'} imported</li>
+            {result.skipped_count > 0 && (
+              <li><strong>{result.skipped_count}</strong> skipped as already recorded</li>
+            )}
+            {result.notSelected > 0 && (
+              <li><strong>{result.notSelected}</strong> not selected</li>
+            )}
+          </ul>
+          <div className="form-actions">
+            <button onClick={() => handleUndo(result)} className="delete-btn">Undo Import</button>
+            <button onClick={resetImport} className="submit-btn">Import Another File</button>
+          </div>
+        </div>
+      )}
+
+      {recentImports.length > 0 && (
+        <div className="import-card">
+          <h2>Recent Imports</h2>
+          <table>
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Imported</th>
+                <th>Transactions</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recentImports.map(importRecord => (
+                <tr key={importRecord.id}>
+                  <td>{importRecord.filename || importRecord.format.toUpperCase()}</td>
+                  <td>{new Date(importRecord.created_at).toLocaleString()}</td>
+                  <td>{importRecord.imported_count}</td>
+                  <td>
+                    <button onClick={() => handleUndo(importRecord)} className="delete-btn">Undo</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Import;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../utils/api';
+import { deleteReceipt, extractReceiptAgain } from '../utils/receipts';
+import ReceiptThumbnail from '../components/ReceiptThumbnail';
+import '../styles/Receipts.css';
+
+const PAGE_SIZE = 24;
+
+const STATUS_LABELS = {
+  pending: 'Text not read yet',
+  failed: 'Could not read text'
+};
+
+function Receipts() {
+  const [receipts, setReceipts] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadReceipts = useCallback(async (pageToLoad) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: pageToLoad, limit: PAGE_SIZE });
+      if (searchQuery.trim()) params.set('search', searchQuery.trim());
+
+      const data = await apiFetch(`/api/receipts?${params}`);
+      setReceipts(prev => (pageToLoad === 1 ? data.receipts : [...prev, ...data.receipts]));
+      setPage(pageToLoad);
+      setTotalPages(data.pagination.totalPages);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching receipts:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [searchQuery]);
+
+  // Start again from the first page whenever the search changes, once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => loadReceipts(1), searchQuery ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [searchQuery, loadReceipts]);
+
+  const handleExtract = async (receipt) => {
+    setWorkingId(receipt.id);
+    try {
+      const updated = await extractReceiptAgain(receipt.id);
+      setReceipts(prev => prev.map(r => (r.id === updated.id ? updated : r)));
+      if (updated.status === 'failed') setError(`Could not read the receipt: ${updated.error}`);
+    } catch (error) {
+      console.error('Error reading receipt:', error.message);
+      setError(error.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleDelete = async (receipt) => {
+    if (!window.confirm('Delete this receipt? This cannot be undone.')) return;
+
+    setWorkingId(receipt.id);
+    try {
+      await deleteReceipt(receipt.id);
+      setReceipts(prev => prev.filter(r => r.id !== receipt.id));
+    } catch (error) {
+      console.error('Error deleting receipt:', error.message);
+      setError(error.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  return (
+    <div className="receipts-container">
+      <h1>Receipts</h1>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="receipts-search">
+        <input
+          type="search"
+          placeholder="Search the text on your receipts"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+        />
+      </div>
+
+      {!loading && receipts.length === 0 && (
+        <p className="receipts-empty">
+          {searchQuery ? 'No receipts match your search.' : 'Receipts you attach to transactions appear here.'}
+        </p>
+      )}
+
+      <div className="receipt-gallery">
+        {receipts.map(receipt => (
+          <div key={receipt.id} className="receipt-card">
+            <ReceiptThumbnail receipt={receipt} large />
+            <div className="receipt-card-details">
+              {receipt.transaction ? (
+                <>
+                  <strong>{receipt.transaction.description || 'No description'}</strong>
+                  <span>
+                    {new Date(receipt.transaction.date).toLocaleDateString()} ·{' '}
+                    {receipt.transaction.type === 'income' ? '+' : ''}${Number(receipt.transaction.amount).toFixed(2)}
+                  </span>
+                </>
+              ) : (
+                <strong>Not attached to a transaction</strong>
+              )}
+              <span className="receipt-card-file">{receipt.filename || 'Receipt'}</span>
+              {STATUS_LABELS[receipt.status] && (
+                <span className={`receipt-status ${receipt.status}`}>{STATUS_LABELS[receipt.status]}</span>
+              )}
+            </div>
+            <div className="receipt-card-actions">
+              <button
+                type="button"
+                className="edit-btn"
+                onClick={() => handleExtract(receipt)}
+                disabled={workingId === receipt.id}
+              >
+                {workingId === receipt.id ? 'Working...' : 'Read again'}
+              </button>
+              <button
+                type="button"
+                className="delete-btn"
+                onClick={() => handleDelete(receipt)}
+                disabled={workingId === receipt.id}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {loading && <div className="loading">Loading...</div>}
+
+      {!loading && page < totalPages && (
+        <div className="receipts-more">
+          <button type="button" className="submit-btn" onClick={() => loadReceipts(page + 1)}>
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Receipts;
@@ -1,11 +1,19 @@
-import React, { useState, useEffect } from 'react';
-import { supabase } from '../supabaseClient';
+import React, { useState, useEffect, useCallback } from 'react';
 import { jsPDF } from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import '../styles/Reports.css';
+import '../styles/TagInput.css';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { Link } from "react-router-dom";
+import { apiDownload } from '../utils/api';
+import { getMonthRange } from '../utils/budgets';
+import { describeInsight, fetchLatestInsight, generateInsights } from '../utils/insights';
+import { useTransactions } from '../hooks/useTransactions';
+import { useSummary } from '../hooks/useSummary';
+import { useTagTotals } from '../hooks/useTagTotals';
+import InsightsHistory from '../components/InsightsHistory';
+import { fetchCategories, getCategoryLabel, sortCategoriesForSelect } from '../utils/categories';
 
 const tableStyles = `
     table {
@@ -21,13 +29,25 @@ const tableStyles = `
 
 
 function Reports() {
-  const [transactions, setTransactions] = useState([]);
-  const [transactionsByWeek, setTransactionsByWeek] = useState({});
-  const [loading, setLoading] = useState(true);
+  const [tagFilter, setTagFilter] = useState('');
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
+  const monthRange = getMonthRange({ month: selectedMonth, year: selectedYear });
+  const {
+    transactions,
+    loading,
+    error: transactionsError
+  } = useTransactions({ range: monthRange });
+  // Totals come from the server, so they match the Dashboard and the AI summary
+  const { summary: monthSummary } = useSummary(monthRange, { tag: tagFilter });
+  const { tagTotals } = useTagTotals(monthRange);
   const [summary, setSummary] = useState('');
+  const [summaryRecord, setSummaryRecord] = useState(null);
+  const [historyKey, setHistoryKey] = useState(0);
   const [error, setError] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [exportFilters, setExportFilters] = useState({ categoryId: '', type: '' });
+  const [exporting, setExporting] = useState(null);
 
   // Helper function to get week of month
   const getWeekOfMonth = (date) => {
@@ -36,111 +56,72 @@ function Reports() {
     return Math.ceil((dayOfMonth + firstDayOfMonth.getDay()) / 7);
   };
 
-  useEffect(() => {
-    fetchTransactions();
-  }, [selectedMonth, selectedYear]);
+  // Group transactions by week
+  const groupByWeek = (list) => {
+    const weeklyTransactions = {};
+    list.forEach(transaction => {
+      const date = new Date(transaction.date);
+      const weekNum = getWeekOfMonth(date);
+      const weekKey = `Week ${weekNum}`;
 
-  const fetchTransactions = async () => {
-    setLoading(true);
-    setError(null);
+      if (!weeklyTransactions[weekKey]) {
+        weeklyTransactions[weekKey] = [];
+      }
+      weeklyTransactions[weekKey].push(transaction);
+    });
+    return weeklyTransactions;
+  };
+
+  // The summary last generated for the selected month, if any
+  const loadSavedSummary = useCallback(async () => {
+    setSummary('');
+    setSummaryRecord(null);
     try {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) throw new Error('User not authenticated');
-
-      // Create date range for the selected month/year
-      const startDate = new Date(selectedYear, selectedMonth - 1, 1).toISOString();
-      const endDate = new Date(selectedYear, selectedMonth, 0).toISOString();
-
-      const { data, error } = await supabase
-        .from('transactions')
-        .select(`
-          id,
-          amount,
-          date,
-          description,
-          receipt_url,
-          category_id,
-          categories!inner(
-            name
-          )
-        `)
-        .gte('date', startDate)
-        .lte('date', endDate)
-        .eq('user_id', user.id)
-        .order('date', { ascending: false });
-
-      if (error) throw error;
-
-      // Format data to include category_name
-      const formattedData = data.map(transaction => ({
-        ...transaction,
-        category_name: transaction.categories.name
-      }));
-
-      setTransactions(formattedData);
-
-      // Group transactions by week
-      const weeklyTransactions = {};
-      formattedData.forEach(transaction => {
-        const date = new Date(transaction.date);
-        const weekNum = getWeekOfMonth(date);
-        const weekKey = `Week ${weekNum}`;
-
-        if (!weeklyTransactions[weekKey]) {
-          weeklyTransactions[weekKey] = [];
-        }
-        weeklyTransactions[weekKey].push(transaction);
-      });
-
-      setTransactionsByWeek(weeklyTransactions);
+      const latest = await fetchLatestInsight(selectedMonth, selectedYear);
+      if (latest) {
+        setSummary(latest.insights);
+        setSummaryRecord(latest);
+      }
     } catch (error) {
-      console.error('Error fetching transactions:', error.message);
-      setError(error.message);
-    } finally {
-      setLoading(false);
+      console.error('Error fetching saved summary:', error.message);
     }
-  };
+  }, [selectedMonth, selectedYear]);
 
-  const generateSummary = async () => {
+  useEffect(() => {
+    setTagFilter('');
+    setExportFilters(prev => ({ ...prev, ...getMonthRange({ month: selectedMonth, year: selectedYear }) }));
+    loadSavedSummary();
+  }, [selectedMonth, selectedYear, loadSavedSummary]);
+
+  useEffect(() => {
+    setError(transactionsError ? transactionsError.message : null);
+  }, [transactionsError]);
+
+  useEffect(() => {
+    fetchCategories()
+      .then(setCategories)
+      .catch(error => console.error('Error fetching categories:', error.message));
+  }, []);
+
+  const generateSummary = async (refresh = false) => {
     try {
       setError(null);
       setSummary("Generating insights with AI...");
+      setSummaryRecord(null);
 
-      const { data: { session } } = await supabase.auth.getSession();
-      if (!session) throw new Error("Please sign in");
-
-      // Prepare optimized payload
+      // The server loads the month's transactions (with the tag, if one is picked) itself
       const payload = {
-        transactions: transactions.map(t => ({
-          amount: t.amount,
-          category: t.category_name,
-          date: t.date,
-          description: t.description?.substring(0, 50) || ''
-        })),
-        month: new Date(selectedYear, selectedMonth - 1).toLocaleString('default', { month: 'long' }),
-        year: selectedYear
+        month: selectedMonth,
+        year: selectedYear,
+        source: 'reports',
+        tag: tagFilter || null
       };
 
-      const apiUrl = process.env.NODE_ENV === 'production' 
-      ? `${process.env.REACT_APP_API_URL}/api/generate-insights`
-      : 'http://localhost:5000/api/generate-insights';
-
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${session.access_token}`
-      },
-      body: JSON.stringify(payload)
-    });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.error || data.fallback || "Analysis failed");
-      }
+      const data = await generateInsights(payload, { refresh });
 
-      setSummary(data.insights || data.fallback);
+      setSummary(data.insights);
+      setSummaryRecord(data.insight || null);
+      if (data.insight && !data.cached) setHistoryKey(key => key + 1);
 
     } catch (error) {
       setError(error.message);
@@ -149,6 +130,44 @@ function Reports() {
     }
   };
 
+  const handleExportChange = (e) => {
+    const { name, value } = e.target;
+    setExportFilters(prev => ({
+      ...prev,
+      [name]: value,
+      ...(name === 'type' ? { categoryId: '' } : {})
+    }));
+  };
+
+  const exportTransactions = async (format) => {
+    const { startDate, endDate, categoryId, type } = exportFilters;
+    if (startDate && endDate && startDate > endDate) {
+      setError('The export start date must be before the end date');
+      return;
+    }
+
+    setExporting(format);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ format });
+      if (startDate) params.set('start_date', startDate);
+      if (endDate) params.set('end_date', endDate);
+      if (categoryId) params.set('category_id', categoryId);
+      if (type) params.set('type', type);
+
+      const range = [startDate, endDate].filter(Boolean).join('-to-');
+      await apiDownload(
+        `/api/transactions/export?${params}`,
+        `transactions${range ? `-${range}` : ''}.${format}`
+      );
+    } catch (error) {
+      console.error('Error exporting transactions:', error.message);
+      setError(error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
   const generatePDF = () => {
     try {
       let elementContents = document.getElementById("pdf-dl").innerHTML;
@@ -175,8 +194,23 @@ function Reports() {
     setSelectedYear(parseInt(e.target.value));
   };
 
+  const monthTags = [...new Set(transactions.flatMap(t => t.tags))].sort();
+  const reportTransactions = tagFilter
+    ? transactions.filter(t => t.tags.includes(tagFilter))
+    : transactions;
+
   if (loading) return <div className="loading">Loading...</div>;
 
+  const sumAmounts = (list) => list.reduce((sum, t) => sum + t.amount, 0);
+  const isIncome = (t) => t.type === 'income';
+  const totalIncome = monthSummary?.totals.income ?? 0;
+  const totalExpenses = monthSummary?.totals.expenses ?? 0;
+  const transactionsByWeek = groupByWeek(reportTransactions);
+
+  // Expense totals per tag for the selected month
+  const tagExpenses = tagTotals.filter(total => total.expenses > 0);
+  const netSavings = monthSummary?.totals.net ?? 0;
+
   return (
     <div className="reports-container">
       <h1>Expense Reports</h1>
@@ -199,12 +233,67 @@ function Reports() {
               return <option key={year} value={year}>{year}</option>;
             })}
           </select>
+
+          {monthTags.length > 0 && (
+            <select value={tagFilter} onChange={(e) => setTagFilter(e.target.value)}>
+              <option value="">All tags</option>
+              {monthTags.map(tag => (
+                <option key={tag} value={tag}>#{tag}</option>
+              ))}
+            </select>
+          )}
         </div>
 
-        <button onClick={generateSummary} className="generate-btn">
+        <button onClick={() => generateSummary()} className="generate-btn">
           Generate AI Summary
         </button>
       </div>
+
+      <div className="export-controls">
+        <h3>Export Transactions</h3>
+        <div className="export-filters">
+          <label>
+            From
+            <input type="date" name="startDate" value={exportFilters.startDate || ''} onChange={handleExportChange} />
+          </label>
+          <label>
+            To
+            <input type="date" name="endDate" value={exportFilters.endDate || ''} onChange={handleExportChange} />
+          </label>
+          <label>
+            Type
+            <select name="type" value={exportFilters.type} onChange={handleExportChange}>
+              <option value="">All</option>
+              <option value="expense">Expenses</option>
+              <option value="income">Income</option>
+            </select>
+          </label>
+          <label>
+            Category
+            <select name="categoryId" value={exportFilters.categoryId} onChange={handleExportChange}>
+              <option value="">All categories</option>
+              {sortCategoriesForSelect(categories.filter(c => !exportFilters.type || c.type === exportFilters.type)).map(category => (
+                <option key={category.id} value={category.id}>{getCategoryLabel(category, categories)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="export-buttons">
+          <button onClick={() => exportTransactions('csv')} className="download-btn" disabled={!!exporting}>
+            {exporting === 'csv' ? 'Exporting...' : 'Export CSV'}
+          </button>
+          <button onClick={() => exportTransactions('xlsx')} className="download-btn" disabled={!!exporting}>
+            {exporting === 'xlsx' ? 'Exporting...' : 'Export Excel'}
+          </button>
+        </div>
+      </div>
+      {/* Outside pdf-dl so it stays out of the printed report */}
+      {summaryRecord && (
+        <p className="summary-meta">
+          {describeInsight(summaryRecord)}
+          <button onClick={() => generateSummary(true)}>Regenerate</button>
+        </p>
+      )}
       <div id='pdf-dl'>
         {summary && (
           <div className="summary-section">
@@ -224,6 +313,43 @@ function Reports() {
           </div>
         )}
 
+        {tagFilter && (
+          <h2 className="tag-report-title">Transactions tagged #{tagFilter}</h2>
+        )}
+
+        {reportTransactions.length > 0 && (
+          <div className="income-expense-summary">
+            <div className="summary-stat">
+              <span>Total Income</span>
+              <strong className="income">${totalIncome.toFixed(2)}</strong>
+            </div>
+            <div className="summary-stat">
+              <span>Total Expenses</span>
+              <strong>${totalExpenses.toFixed(2)}</strong>
+            </div>
+            <div className="summary-stat">
+              <span>Net Savings</span>
+              <strong className={netSavings < 0 ? 'negative' : 'income'}>
+                {netSavings < 0 ? '-' : ''}${Math.abs(netSavings).toFixed(2)}
+              </strong>
+            </div>
+          </div>
+        )}
+
+        {!tagFilter && tagExpenses.length > 0 && (
+          <div className="tag-totals">
+            <h3>Spending by Tag</h3>
+            <ul>
+              {tagExpenses.map(({ tag, expenses }) => (
+                <li key={tag}>
+                  <button type="button" className="tag-chip" onClick={() => setTagFilter(tag)}>#{tag}</button>
+                  <span>${expenses.toFixed(2)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className="weekly-transactions">
           {Object.entries(transactionsByWeek).map(([week, weekTransactions]) => (
             <div key={week} className="week-section">
@@ -243,12 +369,20 @@ function Reports() {
                       <td>{new Date(tx.date).toLocaleDateString()}</td>
                       <td>{tx.category_name}</td>
                       <td>{tx.description || '-'}</td>
-                      <td>${tx.amount.toFixed(2)}</td>
+                      <td className={isIncome(tx) ? 'income' : ''}>
+                        {isIncome(tx) ? '+' : ''}${tx.amount.toFixed(2)}
+                      </td>
                     </tr>
                   ))}
+                  {weekTransactions.some(isIncome) && (
+                    <tr className="week-total">
+                      <td colSpan="3">Weekly Income:</td>
+                      <td className="income">+${sumAmounts(weekTransactions.filter(isIncome)).toFixed(2)}</td>
+                    </tr>
+                  )}
                   <tr className="week-total">
                     <td colSpan="3">Weekly Total:</td>
-                    <td>${weekTransactions.reduce((sum, t) => sum + t.amount, 0).toFixed(2)}</td>
+                    <td>${sumAmounts(weekTransactions.filter(t => !isIncome(t))).toFixed(2)}</td>
                   </tr>
                 </tbody>
               </table>
@@ -258,7 +392,7 @@ function Reports() {
       </div>
 
       <div className="report-actions">
-        {transactions.length > 0 ? (
+        {reportTransactions.length > 0 ? (
           <button onClick={generatePDF} className="download-btn">
             Download PDF Report
           </button>
@@ -266,6 +400,8 @@ function Reports() {
           <p>No transactions found for selected period.</p>
         )}
       </div>
+
+      <InsightsHistory refreshKey={historyKey} />
     </div>
   );
 }
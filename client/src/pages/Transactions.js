@@ -1,86 +1,238 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { supabase } from '../supabaseClient';
-import Tesseract from 'tesseract.js';
+import TagInput from '../components/TagInput';
+import RecurringRules from '../components/RecurringRules';
+import CategoryRules from '../components/CategoryRules';
+import QuickAdd from '../components/QuickAdd';
+import ReceiptThumbnail from '../components/ReceiptThumbnail';
+import { fetchTags } from '../utils/tags';
+import { apiFetch } from '../utils/api';
+import { matchCategoryRules } from '../utils/categoryRules';
+import { suggestCategories } from '../utils/categorySuggestions';
+import { describeAnomaly, fetchUnusualTransactions } from '../utils/anomalies';
+import {
+  MAX_RECEIPTS_PER_TRANSACTION,
+  RECEIPT_FILE_TYPES,
+  attachReceipt,
+  deleteReceipt,
+  extractReceiptAgain,
+  getConfidenceLevel,
+  uploadReceipt
+} from '../utils/receipts';
+import {
+  fetchCategories as fetchCategoryList,
+  getCategoryLabel,
+  sortCategoriesForSelect
+} from '../utils/categories';
+import {
+  calculateCarryOver,
+  compareMonths,
+  fetchBudgetTemplate,
+  formatMonth,
+  getCurrentMonth,
+  getEffectiveBudget,
+  getNextMonth,
+  getPreviousMonth
+} from '../utils/budgets';
+import {
+  createTransaction,
+  deleteTransaction as deleteSavedTransaction,
+  updateTransaction
+} from '../utils/transactions';
+import { refreshSummaries } from '../utils/summaries';
+import { useTransactions } from '../hooks/useTransactions';
+import { useBudget } from '../hooks/useBudget';
+import { useBudgetUsage } from '../hooks/useBudgetUsage';
 import '../styles/Transactions.css';
 
+const emptyForm = () => ({
+  type: 'expense',
+  amount: '',
+  category_id: '',
+  description: '',
+  date: new Date().toISOString().split('T')[0],
+  tags: [],
+  receipts: [],
+  // The category rule that filled in the category and tags, until the user picks a category
+  ruleMatch: null,
+  categoryChosen: false
+});
+
+// Take the category and tags from a category rule match, replacing whatever
+// an earlier match filled in. A category the user picked is left alone.
+const applyRuleMatch = (formData, match) => {
+  const previous = formData.ruleMatch;
+  if (formData.categoryChosen || previous?.rule_id === match?.rule_id) return formData;
+
+  const tags = formData.tags.filter(tag => !previous?.tags.includes(tag));
+  return {
+    ...formData,
+    category_id: match ? String(match.category_id) : (previous ? '' : formData.category_id),
+    tags: match ? [...tags, ...match.tags.filter(tag => !tags.includes(tag))] : tags,
+    ruleMatch: match
+  };
+};
+
+// Returns an error message for invalid form data, or null when it can be saved
+const validateForm = (formData) => {
+  if (!formData.amount || isNaN(formData.amount) || parseFloat(formData.amount) <= 0) {
+    return 'Please enter a valid amount';
+  }
+  if (!formData.category_id) {
+    return 'Please select a category';
+  }
+  if (!formData.date) {
+    return 'Please select a date';
+  }
+  return null;
+};
+
 function Transactions() {
-  const [transactions, setTransactions] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const {
+    transactions,
+    loading,
+    error: transactionsError,
+    refresh: refreshTransactions
+  } = useTransactions();
   const [categories, setCategories] = useState([]);
-  const [currentBudget, setCurrentBudget] = useState(null);
+  const [allTags, setAllTags] = useState([]);
+  const [tagFilter, setTagFilter] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [receiptMatches, setReceiptMatches] = useState(new Set());
+  const [unusual, setUnusual] = useState(new Map());
   const [budgetInput, setBudgetInput] = useState('');
+  const [categoryBudgetInputs, setCategoryBudgetInputs] = useState({});
+  const [budgetMonth, setBudgetMonth] = useState(getCurrentMonth);
+  const { budget: currentBudget, categoryBudgets, refresh: refreshBudget } = useBudget(budgetMonth);
+  // Spending against the budgets comes from the server, the same figures as the Dashboard
+  const { usage: budgetUsage, refresh: refreshBudgetUsage } = useBudgetUsage(budgetMonth);
+  const [budgetTemplate, setBudgetTemplate] = useState(null);
+  const [repeatBudget, setRepeatBudget] = useState(false);
+  const [carryOverInput, setCarryOverInput] = useState(false);
   const [showBudgetForm, setShowBudgetForm] = useState(false);
-  const [monthlySpent, setMonthlySpent] = useState(0);
-  const [remainingBudget, setRemainingBudget] = useState(0);
-  const [formData, setFormData] = useState({
-    amount: '',
-    category_id: '',
-    description: '',
-    date: new Date().toISOString().split('T')[0],
-    receipt: null
-  });
-  const [ocrProgress, setOcrProgress] = useState(0);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingTransaction, setEditingTransaction] = useState(null);
+  const [removedReceiptIds, setRemovedReceiptIds] = useState([]);
+  const [ruleDraft, setRuleDraft] = useState(null);
+  const [categorySuggestions, setCategorySuggestions] = useState([]);
+  const formRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [ocrRunning, setOcrRunning] = useState(false);
+  // Chosen files the server has already read ({ file, receipt }), attached to the transaction on save
+  const [uploadedReceipts, setUploadedReceipts] = useState([]);
   const [ocrText, setOcrText] = useState('');
+  const [receiptFields, setReceiptFields] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Archived categories stay selectable where they are already in use
+  const expenseCategories = sortCategoriesForSelect(categories.filter(c =>
+    c.type !== 'income' &&
+    (!c.archived || categoryBudgets.some(b => b.category_id === c.id))
+  ));
+  const formCategories = sortCategoriesForSelect(categories.filter(c =>
+    (c.type || 'expense') === formData.type &&
+    (!c.archived || c.id === editingTransaction?.category_id)
+  ));
+
   useEffect(() => {
-    fetchTransactions();
     fetchCategories();
-    fetchCurrentBudget();
+    loadTags();
+    loadBudgetTemplate();
+    loadUnusual();
   }, []);
 
   useEffect(() => {
-    calculateMonthlySpending();
-  }, [transactions, currentBudget]);
+    setShowBudgetForm(false);
+  }, [budgetMonth]);
+
+  useEffect(() => {
+    if (transactionsError) setError(transactionsError.message);
+  }, [transactionsError]);
 
-  const fetchTransactions = async () => {
-    setLoading(true);
+  // Search the text on receipts as well as descriptions, once typing pauses
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setReceiptMatches(new Set());
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const { receipts } = await apiFetch(`/api/receipts?limit=100&search=${encodeURIComponent(searchQuery)}`);
+        setReceiptMatches(new Set(receipts.map(receipt => receipt.transaction_id).filter(Boolean)));
+      } catch (error) {
+        console.error('Error searching receipts:', error.message);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Let the category rules fill in the category and tags as the transaction is
+  // typed in or read from a receipt, once typing pauses
+  useEffect(() => {
+    if (formData.categoryChosen) return undefined;
+    if (!formData.description.trim() && !formData.amount) {
+      setFormData(prev => applyRuleMatch(prev, null));
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const [match] = await matchCategoryRules([{
+          description: formData.description,
+          amount: formData.amount,
+          type: formData.type
+        }]);
+        if (!cancelled) setFormData(prev => applyRuleMatch(prev, match));
+      } catch (error) {
+        console.error('Error matching category rules:', error.message);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.description, formData.amount, formData.type, formData.categoryChosen]);
+
+  // Suggest categories from past transactions while no rule or choice has set one
+  useEffect(() => {
+    if (formData.categoryChosen || formData.ruleMatch || !formData.description.trim()) {
+      setCategorySuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const suggestions = await suggestCategories(formData.description, formData.type);
+        if (!cancelled) setCategorySuggestions(suggestions);
+      } catch (error) {
+        console.error('Error suggesting categories:', error.message);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.description, formData.type, formData.categoryChosen, formData.ruleMatch]);
+
+  const loadTags = async () => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      const { data, error } = await supabase
-        .from('transactions')
-        .select(`
-          id,
-          amount,
-          date,
-          description,
-          receipt_url,
-          category_id,
-          categories!inner(
-            name
-          )
-        `)
-        .eq('user_id', user.id)
-        .order('date', { ascending: false });
-
-      if (error) throw error;
-      
-      // Format the data to include category_name
-      const formattedData = data.map(transaction => ({
-        ...transaction,
-        category_name: transaction.categories.name
-      }));
-      
-      setTransactions(formattedData);
-      setError(null);
+      const tags = await fetchTags(user.id);
+      setAllTags(tags.map(tag => tag.name));
     } catch (error) {
-      console.error('Error fetching transactions:', error.message);
-      setError(error.message);
-    } finally {
-      setLoading(false);
+      console.error('Error fetching tags:', error.message);
     }
   };
 
   const fetchCategories = async () => {
     try {
-      const { data, error } = await supabase
-        .from('categories')
-        .select('*');
-      
-      if (error) throw error;
+      const data = await fetchCategoryList();
       setCategories(data);
     } catch (error) {
       console.error('Error fetching categories:', error.message);
@@ -88,53 +240,127 @@ function Transactions() {
     }
   };
 
-  const fetchCurrentBudget = async () => {
+  // Flag unusual expenses, including any just added. The scan reads the whole
+  // expense history on the server, so it runs when the page opens and after
+  // the user saves a transaction rather than on every change to the list.
+  const loadUnusual = async () => {
+    try {
+      const anomalies = await fetchUnusualTransactions();
+      setUnusual(new Map(anomalies.map(anomaly => [anomaly.transaction_id, anomaly])));
+    } catch (error) {
+      console.error('Error fetching unusual transactions:', error.message);
+    }
+  };
+
+  // The recurring budget that fills in months without one
+  const loadBudgetTemplate = async () => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      const now = new Date();
-      const currentMonth = now.getMonth() + 1; // getMonth() returns 0-11
-      const currentYear = now.getFullYear();
+      setBudgetTemplate(await fetchBudgetTemplate(user.id));
+    } catch (error) {
+      console.error('Error fetching budget template:', error.message);
+    }
+  };
 
-      const { data, error } = await supabase
-        .from('budgets')
-        .select('*')
-        .eq('user_id', user.id)
-        .eq('month', currentMonth)
-        .eq('year', currentYear)
-        .single();
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 is "not found"
-        throw error;
+  const openBudgetForm = () => {
+    const inputs = {};
+    categoryBudgets.forEach(budget => {
+      inputs[budget.category_id] = String(budget.amount);
+    });
+    setCategoryBudgetInputs(inputs);
+    setBudgetInput(currentBudget ? String(currentBudget.amount) : '');
+    setRepeatBudget(!!budgetTemplate);
+    setCarryOverInput(budgetTemplate ? budgetTemplate.carry_over : false);
+    setShowBudgetForm(true);
+  };
+
+  const handleCategoryBudgetChange = (categoryId, value) => {
+    setCategoryBudgetInputs(prev => ({
+      ...prev,
+      [categoryId]: value
+    }));
+  };
+
+  // Upsert filled-in category budgets and drop the ones that were cleared
+  const saveCategoryBudgets = async (userId, month, year) => {
+    const toUpsert = [];
+    const toDelete = [];
+
+    expenseCategories.forEach(category => {
+      const value = categoryBudgetInputs[category.id];
+      const existing = categoryBudgets.find(budget => budget.category_id === category.id);
+      if (value && parseFloat(value) > 0) {
+        toUpsert.push({
+          user_id: userId,
+          category_id: category.id,
+          amount: parseFloat(value),
+          month,
+          year
+        });
+      } else if (existing) {
+        toDelete.push(existing.id);
       }
+    });
 
-      setCurrentBudget(data);
-    } catch (error) {
-      console.error('Error fetching budget:', error.message);
+    if (toUpsert.length > 0) {
+      const { error } = await supabase
+        .from('category_budgets')
+        .upsert(toUpsert, { onConflict: 'user_id,category_id,month,year' });
+      if (error) throw error;
     }
+
+    if (toDelete.length > 0) {
+      const { error } = await supabase
+        .from('category_budgets')
+        .delete()
+        .in('id', toDelete);
+      if (error) throw error;
+    }
+
+    return toUpsert;
   };
 
-  const calculateMonthlySpending = () => {
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
+  // Keep (or drop) the recurring template that fills in future months
+  const saveBudgetTemplate = async (userId, categoryRows) => {
+    if (!repeatBudget) {
+      if (!budgetTemplate) return;
+      const { error } = await supabase
+        .from('budget_templates')
+        .delete()
+        .eq('user_id', userId);
+      if (error) throw error;
+      return;
+    }
 
-    const monthlyTransactions = transactions.filter(t => {
-      const transactionDate = new Date(t.date);
-      return transactionDate.getMonth() === currentMonth && 
-             transactionDate.getFullYear() === currentYear;
+    const categoryAmounts = {};
+    categoryRows.forEach(row => {
+      categoryAmounts[row.category_id] = row.amount;
     });
 
-    const totalSpent = monthlyTransactions.reduce((sum, t) => sum + parseFloat(t.amount), 0);
-    setMonthlySpent(totalSpent);
+    // A template only applies from the month it was first set up in
+    const start = budgetTemplate && compareMonths(
+      { month: budgetTemplate.start_month, year: budgetTemplate.start_year },
+      budgetMonth
+    ) < 0
+      ? { month: budgetTemplate.start_month, year: budgetTemplate.start_year }
+      : budgetMonth;
 
-    if (currentBudget) {
-      const remaining = parseFloat(currentBudget.amount) - totalSpent;
-      setRemainingBudget(remaining);
-    } else {
-      setRemainingBudget(0);
-    }
+    const { error } = await supabase
+      .from('budget_templates')
+      .upsert({
+        user_id: userId,
+        amount: parseFloat(budgetInput),
+        category_amounts: categoryAmounts,
+        carry_over: carryOverInput,
+        start_month: start.month,
+        start_year: start.year,
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'user_id'
+      });
+    if (error) throw error;
   };
 
   const handleBudgetSubmit = async (e) => {
@@ -144,30 +370,37 @@ function Transactions() {
       return;
     }
 
+    const invalidCategoryBudget = Object.values(categoryBudgetInputs)
+      .some(value => value !== '' && (isNaN(value) || parseFloat(value) < 0));
+    if (invalidCategoryBudget) {
+      setError('Please enter valid category budget amounts');
+      return;
+    }
+
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      const now = new Date();
-      const currentMonth = now.getMonth() + 1;
-      const currentYear = now.getFullYear();
+      const { month, year } = budgetMonth;
+      const carryOver = carryOverInput ? await calculateCarryOver(user.id, budgetMonth) : 0;
 
-      const { data, error } = await supabase
+      const { error } = await supabase
         .from('budgets')
         .upsert({
           user_id: user.id,
           amount: parseFloat(budgetInput),
-          month: currentMonth,
-          year: currentYear
+          carry_over: carryOver,
+          month,
+          year
         }, {
           onConflict: 'user_id,month,year'
         })
-        .select()
-        .single();
-
       if (error) throw error;
 
-      setCurrentBudget(data);
+      const categoryRows = await saveCategoryBudgets(user.id, month, year);
+      await saveBudgetTemplate(user.id, categoryRows);
+
+      await Promise.all([refreshBudget(), refreshSummaries(user.id), loadBudgetTemplate()]);
       setBudgetInput('');
       setShowBudgetForm(false);
       setError(null);
@@ -181,62 +414,203 @@ function Transactions() {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Categories are specific to expenses or income
+      ...(name === 'type' && value !== prev.type ? { category_id: '', categoryChosen: false } : {}),
+      // A category picked by hand wins over the category rules
+      ...(name === 'category_id' ? { categoryChosen: true, ruleMatch: null } : {})
     }));
+    // A field the user has typed over no longer needs its OCR confidence badge
+    setReceiptFields(prev => (prev && prev[name] ? { ...prev, [name]: null } : prev));
+  };
+
+  const discardUploadedReceipts = () => {
+    if (uploadedReceipts.length === 0) return;
+    setUploadedReceipts([]);
+    // Read but never saved with a transaction
+    uploadedReceipts.forEach(({ receipt }) => {
+      deleteReceipt(receipt.id).catch(error => console.error('Error discarding receipt:', error.message));
+    });
   };
 
   const handleFileChange = (e) => {
+    const files = Array.from(e.target.files);
+    const kept = editingTransaction
+      ? editingTransaction.receipts.filter(r => !removedReceiptIds.includes(r.id)).length
+      : 0;
+
+    if (kept + files.length > MAX_RECEIPTS_PER_TRANSACTION) {
+      setError(`A transaction can have at most ${MAX_RECEIPTS_PER_TRANSACTION} receipts`);
+      e.target.value = '';
+      return;
+    }
+
+    discardUploadedReceipts();
+    setOcrText('');
+    setReceiptFields(null);
     setFormData(prev => ({
       ...prev,
-      receipt: e.target.files[0]
+      receipts: files
     }));
   };
 
-  const runOcr = async (file) => {
-    setOcrProgress(0);
+  const showExtractedReceipt = (receipt) => {
+    if (receipt.status === 'failed') {
+      setError(`Could not read the receipt: ${receipt.error}`);
+      return;
+    }
+
+    setOcrText(receipt.ocr_text);
+
+    // Pre-fill whatever the parser could read; fields it missed keep their values
+    const parsed = receipt.parsed;
+    setFormData(prev => ({
+      ...prev,
+      type: 'expense',
+      category_id: prev.type === 'expense' ? prev.category_id : '',
+      categoryChosen: prev.type === 'expense' && prev.categoryChosen,
+      amount: parsed.total.value !== null ? parsed.total.value.toFixed(2) : prev.amount,
+      date: parsed.date.value || prev.date,
+      description: parsed.merchant.value || prev.description
+    }));
+    setReceiptFields({
+      amount: parsed.total.value !== null ? parsed.total : null,
+      date: parsed.date.value ? parsed.date : null,
+      description: parsed.merchant.value ? parsed.merchant : null,
+      currency: parsed.currency,
+      lineItems: parsed.lineItems
+    });
+  };
+
+  // The server stores the files and runs OCR on them, so phones don't have to.
+  // The form is filled from the first receipt that could be read.
+  const runOcr = async (files) => {
+    setOcrRunning(true);
     setOcrText('');
+    setReceiptFields(null);
     setError(null);
-    
+
     try {
-      const result = await Tesseract.recognize(
-        file,
-        'eng',
-        {
-          logger: m => {
-            if (m.status === 'recognizing text') {
-              setOcrProgress(Math.round(m.progress * 100));
-            }
-          }
+      const uploaded = [...uploadedReceipts];
+      for (const file of files) {
+        if (!uploaded.some(entry => entry.file === file)) {
+          uploaded.push({ file, receipt: await uploadReceipt(file) });
+          setUploadedReceipts([...uploaded]);
         }
-      );
-      
-      setOcrText(result.data.text);
-      
-      // Try to extract amount (simple pattern matching)
-      const amountMatch = result.data.text.match(/(\d+\.\d{2})/);
-      if (amountMatch) {
-        setFormData(prev => ({
-          ...prev,
-          amount: amountMatch[1]
-        }));
       }
+
+      const readable = uploaded.find(({ receipt }) => receipt.status === 'processed');
+      showExtractedReceipt(readable ? readable.receipt : uploaded[0].receipt);
+    } catch (error) {
+      console.error('OCR error:', error);
+      setError(`Failed to process receipt: ${error.message}`);
+    } finally {
+      setOcrRunning(false);
+    }
+  };
+
+  // Read a saved receipt again, e.g. after a failed or poor first attempt
+  const rerunExtraction = async (receiptId) => {
+    setOcrRunning(true);
+    setOcrText('');
+    setReceiptFields(null);
+    setError(null);
+
+    try {
+      const receipt = await extractReceiptAgain(receiptId);
+      setEditingTransaction(prev => prev && {
+        ...prev,
+        receipts: prev.receipts.map(r => (r.id === receipt.id ? receipt : r))
+      });
+      showExtractedReceipt(receipt);
     } catch (error) {
       console.error('OCR error:', error);
-      setError('Failed to process receipt image');
+      setError(`Failed to process receipt: ${error.message}`);
+    } finally {
+      setOcrRunning(false);
     }
   };
 
+  // Attach the chosen files to the transaction, reusing the copies already
+  // uploaded for OCR. Returns how many could not be saved.
+  const saveReceipts = async (files, transactionId) => {
+    let failed = 0;
+
+    for (const file of files) {
+      const uploaded = uploadedReceipts.find(entry => entry.file === file);
+      try {
+        if (uploaded) {
+          await attachReceipt(uploaded.receipt.id, transactionId);
+        } else {
+          await uploadReceipt(file, transactionId);
+        }
+      } catch (error) {
+        console.error('Receipt upload failed:', error);
+        failed++;
+      }
+    }
+
+    setUploadedReceipts([]);
+    return failed;
+  };
+
+  const toggleRemovedReceipt = (receiptId) => {
+    setRemovedReceiptIds(prev => (prev.includes(receiptId)
+      ? prev.filter(id => id !== receiptId)
+      : [...prev, receiptId]));
+  };
+
+  const cancelEditing = () => {
+    discardUploadedReceipts();
+    resetForm();
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm());
+    setEditingTransaction(null);
+    setUploadedReceipts([]);
+    setRemovedReceiptIds([]);
+    setOcrText('');
+    setReceiptFields(null);
+
+    // Clear file input
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const startEditing = (tx) => {
+    discardUploadedReceipts();
+    setEditingTransaction(tx);
+    setRemovedReceiptIds([]);
+    setOcrText('');
+    setReceiptFields(null);
+    setError(null);
+    setFormData({
+      type: tx.type || 'expense',
+      amount: String(tx.amount),
+      category_id: String(tx.category_id),
+      description: tx.description || '',
+      date: tx.date,
+      tags: tx.tags || [],
+      receipts: [],
+      ruleMatch: null,
+      categoryChosen: true
+    });
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+    formRef.current?.scrollIntoView({ behavior: 'smooth' });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
     
     // Validation
-    if (!formData.amount || isNaN(formData.amount)) {
-      setError('Please enter a valid amount');
-      return;
-    }
-    if (!formData.category_id) {
-      setError('Please select a category');
+    const validationError = validateForm(formData);
+    if (validationError) {
+      setError(validationError);
       return;
     }
 
@@ -247,111 +621,115 @@ function Transactions() {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      // 2. Handle receipt upload if exists
-      let receiptUrl = null;
-      if (formData.receipt) {
-        try {
-          const fileExt = formData.receipt.name.split('.').pop();
-          const fileName = `${user.id}/${Date.now()}.${fileExt}`;
-          
-          // First, make sure the receipts bucket exists
-          const { data: buckets } = await supabase.storage.listBuckets();
-          const receiptsBucket = buckets.find(bucket => bucket.name === 'receipts');
-          
-          if (!receiptsBucket) {
-            // Create the bucket if it doesn't exist
-            const { error: bucketError } = await supabase.storage.createBucket('receipts', {
-              public: true,
-              allowedMimeTypes: ['image/*'],
-              fileSizeLimit: 1024 * 1024 * 10 // 10MB
-            });
-            if (bucketError) throw bucketError;
-          }
-
-          const { error: uploadError } = await supabase.storage
-            .from('receipts')
-            .upload(fileName, formData.receipt, {
-              cacheControl: '3600',
-              upsert: false
-            });
-          
-          if (uploadError) throw uploadError;
-          
-          const { data: { publicUrl } } = supabase.storage
-            .from('receipts')
-            .getPublicUrl(fileName);
-          
-          receiptUrl = publicUrl;
-        } catch (uploadError) {
-          console.error('Receipt upload failed:', uploadError);
-          setError(`Receipt upload failed: ${uploadError.message}. Transaction will be saved without receipt.`);
-          // Continue without receipt if upload fails
-        }
+      const transaction = {
+        type: formData.type,
+        amount: parseFloat(formData.amount),
+        category_id: parseInt(formData.category_id),
+        description: formData.description,
+        date: formData.date
+      };
+
+      // Named right away in the list, before the saved transaction is loaded
+      const category = categories.find(c => c.id === transaction.category_id);
+
+      let transactionId;
+      if (editingTransaction) {
+        // 2a. Update the existing transaction
+        transactionId = editingTransaction.id;
+        await updateTransaction(user.id, transactionId, transaction, { tags: formData.tags, category });
+
+        await Promise.all(removedReceiptIds.map(deleteReceipt));
+      } else {
+        // 2b. Insert transaction
+        transactionId = await createTransaction(user.id, transaction, { tags: formData.tags, category });
       }
 
-      // 3. Insert transaction
-      const { data, error: insertError } = await supabase
-        .from('transactions')
-        .insert({
-          amount: parseFloat(formData.amount),
-          category_id: parseInt(formData.category_id),
-          description: formData.description,
-          date: formData.date,
-          receipt_url: receiptUrl,
-          user_id: user.id
-        })
-        .select();
+      // 3. Attach the receipts; the transaction is kept even if this fails
+      const failedReceipts = formData.receipts.length > 0
+        ? await saveReceipts(formData.receipts, transactionId)
+        : 0;
+
+      // 4. Reset form and load the receipts and any new tags
+      resetForm();
 
-      if (insertError) throw insertError;
-      
-      console.log('Transaction added:', data);
-
-      // 4. Reset form and refresh data
-      setFormData({
-        amount: '',
-        category_id: '',
-        description: '',
-        date: new Date().toISOString().split('T')[0],
-        receipt: null
-      });
-      setOcrText('');
-      
-      // Force refresh of all data
       await Promise.all([
-        fetchTransactions(),
-        fetchCurrentBudget()
+        removedReceiptIds.length > 0 || formData.receipts.length > 0 ? refreshTransactions() : null,
+        loadTags(),
+        loadUnusual()
       ]);
 
-      // Clear file input
-      const fileInput = document.querySelector('input[type="file"]');
-      if (fileInput) {
-        fileInput.value = '';
+      if (failedReceipts > 0) {
+        setError(`${failedReceipts} receipt(s) could not be uploaded. The transaction was saved without them.`);
       }
 
     } catch (error) {
       console.error('Transaction error:', error);
-      setError(error.message || 'Failed to add transaction');
+      setError(error.message || `Failed to ${editingTransaction ? 'update' : 'add'} transaction`);
     } finally {
       setIsUploading(false);
     }
   };
 
+  // Save a confirmed quick-add entry as it is
+  const addQuickEntry = async (entry) => {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const categoryId = parseInt(entry.category_id);
+    await createTransaction(user.id, {
+      type: entry.type,
+      amount: entry.amount,
+      category_id: categoryId,
+      description: entry.description,
+      date: entry.date
+    }, {
+      tags: entry.tags,
+      category: categories.find(c => c.id === categoryId)
+    });
+
+    await Promise.all([loadTags(), loadUnusual()]);
+  };
+
+  // Finish a quick-add entry in the full form, e.g. to attach a receipt
+  const editQuickEntry = (entry) => {
+    discardUploadedReceipts();
+    resetForm();
+    setFormData({
+      ...emptyForm(),
+      type: entry.type,
+      amount: String(entry.amount),
+      category_id: entry.category_id,
+      description: entry.description,
+      date: entry.date,
+      tags: entry.tags,
+      categoryChosen: !!entry.category_id
+    });
+    formRef.current?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  // Open the category rule form filled in from a transaction
+  const createRuleFrom = (tx) => {
+    setRuleDraft({
+      type: tx.type || 'expense',
+      match_type: 'contains',
+      pattern: tx.description || '',
+      category_id: String(tx.category_id),
+      tags: tx.tags
+    });
+  };
+
   const deleteTransaction = async (id) => {
     if (!window.confirm('Are you sure you want to delete this transaction?')) return;
     
     try {
-      const { error } = await supabase
-        .from('transactions')
-        .delete()
-        .eq('id', id);
-      
-      if (error) throw error;
-      
-      // Refresh all data after deletion
-      await Promise.all([
-        fetchTransactions(),
-        fetchCurrentBudget()
-      ]);
+      if (editingTransaction?.id === id) {
+        resetForm();
+      }
+
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) throw new Error('User not authenticated');
+
+      await deleteSavedTransaction(user.id, id);
     } catch (error) {
       console.error('Error deleting transaction:', error.message);
       setError(error.message);
@@ -360,15 +738,56 @@ function Transactions() {
 
   if (loading) return <div className="loading">Loading...</div>;
 
+  const effectiveBudget = getEffectiveBudget(currentBudget);
+  const monthlySpent = budgetUsage?.spent ?? 0;
+  const remainingBudget = effectiveBudget - monthlySpent;
+  const categorySpent = new Map((budgetUsage?.categories ?? []).map(usage => [usage.category_id, usage.spent]));
+  const search = searchQuery.trim().toLowerCase();
+  const filteredTransactions = transactions.filter(t =>
+    (!tagFilter || t.tags.includes(tagFilter)) &&
+    (!search || (t.description || '').toLowerCase().includes(search) || receiptMatches.has(t.id))
+  );
+  const isCurrentMonth = compareMonths(budgetMonth, getCurrentMonth()) === 0;
+
+  // "high/medium/low" marker next to a field that was filled from the receipt
+  const renderConfidence = (field) => {
+    const detected = receiptFields?.[field];
+    if (!detected) return null;
+    const level = getConfidenceLevel(detected.confidence);
+    return (
+      <span className={`confidence-badge ${level}`} title="Read from the receipt - please check it">
+        {level} confidence
+      </span>
+    );
+  };
+
   return (
     <div className="transactions-container">
       <h1>Manage Transactions</h1>
       
       {error && <div className="error-message">{error}</div>}
+
+      <QuickAdd categories={categories} onConfirm={addQuickEntry} onEdit={editQuickEntry} />
       
       {/* Budget Section */}
       <div className="budget-section">
-        <h2>Monthly Budget</h2>
+        <div className="budget-header">
+          <h2>Monthly Budget</h2>
+          <div className="month-navigator">
+            <button onClick={() => setBudgetMonth(getPreviousMonth(budgetMonth))} aria-label="Previous month">
+              &lsaquo;
+            </button>
+            <span className="month-label">{formatMonth(budgetMonth)}</span>
+            <button onClick={() => setBudgetMonth(getNextMonth(budgetMonth))} aria-label="Next month">
+              &rsaquo;
+            </button>
+            {!isCurrentMonth && (
+              <button onClick={() => setBudgetMonth(getCurrentMonth())} className="month-today-btn">
+                This month
+              </button>
+            )}
+          </div>
+        </div>
         {currentBudget ? (
           <div className="budget-info">
             <div className="budget-stats">
@@ -376,6 +795,14 @@ function Transactions() {
                 <span className="stat-label">Budget:</span>
                 <span className="stat-value">${parseFloat(currentBudget.amount).toFixed(2)}</span>
               </div>
+              {parseFloat(currentBudget.carry_over || 0) !== 0 && (
+                <div className="stat-item">
+                  <span className="stat-label">Carried over:</span>
+                  <span className={`stat-value ${currentBudget.carry_over < 0 ? 'over-budget' : 'under-budget'}`}>
+                    {currentBudget.carry_over > 0 ? '+' : '-'}${Math.abs(parseFloat(currentBudget.carry_over)).toFixed(2)}
+                  </span>
+                </div>
+              )}
               <div className="stat-item">
                 <span className="stat-label">Spent:</span>
                 <span className="stat-value">${monthlySpent.toFixed(2)}</span>
@@ -390,25 +817,44 @@ function Transactions() {
             <div className="budget-progress">
               <div className="progress-bar">
                 <div 
-                  className={`progress-fill ${monthlySpent > parseFloat(currentBudget.amount) ? 'over-budget' : ''}`}
-                  style={{ width: `${Math.min((monthlySpent / parseFloat(currentBudget.amount)) * 100, 100)}%` }}
+                  className={`progress-fill ${monthlySpent > effectiveBudget ? 'over-budget' : ''}`}
+                  style={{ width: `${effectiveBudget > 0 ? Math.min((monthlySpent / effectiveBudget) * 100, 100) : 100}%` }}
                 ></div>
               </div>
               <span className="progress-text">
-                {((monthlySpent / parseFloat(currentBudget.amount)) * 100).toFixed(1)}% used
-                {monthlySpent > parseFloat(currentBudget.amount) && 
-                  ` (${(((monthlySpent / parseFloat(currentBudget.amount)) - 1) * 100).toFixed(1)}% over)`
+                {effectiveBudget > 0 ? `${((monthlySpent / effectiveBudget) * 100).toFixed(1)}% used` : 'No budget left'}
+                {effectiveBudget > 0 && monthlySpent > effectiveBudget && 
+                  ` (${(((monthlySpent / effectiveBudget) - 1) * 100).toFixed(1)}% over)`
                 }
               </span>
             </div>
+            {categoryBudgets.length > 0 && (
+              <div className="category-budget-list">
+                {categoryBudgets.map(budget => {
+                  const spent = categorySpent.get(budget.category_id) || 0;
+                  return (
+                    <div
+                      key={budget.id}
+                      className={`category-budget-item ${spent > parseFloat(budget.amount) ? 'over-budget' : ''}`}
+                    >
+                      <span className="stat-label">{budget.category_name}</span>
+                      <span className="category-budget-amounts">
+                        ${spent.toFixed(2)} / ${parseFloat(budget.amount).toFixed(2)}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
             <div className="budget-actions">
-              <button onClick={() => setShowBudgetForm(true)} className="update-budget-btn">
+              <button onClick={openBudgetForm} className="update-budget-btn">
                 Update Budget
               </button>
               <button 
                 onClick={() => {
-                  fetchTransactions();
-                  fetchCurrentBudget();
+                  refreshTransactions();
+                  refreshBudget();
+                  refreshBudgetUsage();
                 }}
                 className="refresh-budget-btn"
                 style={{
@@ -429,8 +875,8 @@ function Transactions() {
           </div>
         ) : (
           <div className="no-budget">
-            <p>No budget set for this month</p>
-            <button onClick={() => setShowBudgetForm(true)} className="set-budget-btn">
+            <p>No budget set for {formatMonth(budgetMonth)}</p>
+            <button onClick={openBudgetForm} className="set-budget-btn">
               Set Budget
             </button>
           </div>
@@ -440,7 +886,7 @@ function Transactions() {
           <div className="budget-form">
             <form onSubmit={handleBudgetSubmit}>
               <div className="form-group">
-                <label>Monthly Budget ($)</label>
+                <label>Budget for {formatMonth(budgetMonth)} ($)</label>
                 <input
                   type="number"
                   step="0.01"
@@ -450,6 +896,40 @@ function Transactions() {
                   required
                 />
               </div>
+              <div className="category-budget-inputs">
+                <label>Category Budgets (optional)</label>
+                {expenseCategories.map(category => (
+                  <div key={category.id} className="category-budget-input">
+                    <span>{getCategoryLabel(category, categories)}</span>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={categoryBudgetInputs[category.id] || ''}
+                      onChange={(e) => handleCategoryBudgetChange(category.id, e.target.value)}
+                      placeholder="No limit"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="budget-options">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={repeatBudget}
+                    onChange={(e) => setRepeatBudget(e.target.checked)}
+                  />
+                  Repeat this budget every month
+                </label>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={carryOverInput}
+                    onChange={(e) => setCarryOverInput(e.target.checked)}
+                  />
+                  Carry over unspent (or overspent) amount from the previous month
+                </label>
+              </div>
               <div className="form-actions">
                 <button type="submit" className="save-budget-btn">Save Budget</button>
                 <button type="button" onClick={() => setShowBudgetForm(false)} className="cancel-btn">
@@ -461,11 +941,29 @@ function Transactions() {
         )}
       </div>
       
-      <div className="transaction-form">
-        <h2>Add New Transaction</h2>
+      <div className="transaction-form" ref={formRef}>
+        <h2>{editingTransaction ? 'Edit Transaction' : 'Add New Transaction'}</h2>
         <form onSubmit={handleSubmit}>
           <div className="form-group">
-            <label>Amount ($)</label>
+            <label>Type</label>
+            <div className="type-toggle">
+              {['expense', 'income'].map(type => (
+                <label key={type} className={formData.type === type ? `active ${type}` : ''}>
+                  <input
+                    type="radio"
+                    name="type"
+                    value={type}
+                    checked={formData.type === type}
+                    onChange={handleChange}
+                  />
+                  {type === 'expense' ? 'Expense' : 'Income'}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Amount ($) {renderConfidence('amount')}</label>
             <input
               type="number"
               step="0.01"
@@ -477,7 +975,10 @@ function Transactions() {
           </div>
           
           <div className="form-group">
-            <label>Category</label>
+            <label>
+              Category
+              {formData.ruleMatch && <span className="rule-badge">Filled in by a rule</span>}
+            </label>
             <select
               name="category_id"
               value={formData.category_id}
@@ -485,14 +986,32 @@ function Transactions() {
               required
             >
               <option value="">Select a category</option>
-              {categories.map(category => (
-                <option key={category.id} value={category.id}>{category.name}</option>
+              {formCategories.map(category => (
+                <option key={category.id} value={category.id}>
+                  {category.parent_id ? `\u00A0\u00A0${category.name}` : category.name}
+                </option>
               ))}
             </select>
+            {categorySuggestions.length > 0 && (
+              <div className="category-suggestions">
+                <span>Suggested:</span>
+                {categorySuggestions.map(suggestion => (
+                  <button
+                    key={suggestion.category_id}
+                    type="button"
+                    className="suggestion-chip"
+                    onClick={() => handleChange({ target: { name: 'category_id', value: String(suggestion.category_id) } })}
+                  >
+                    {getCategoryLabel(categories.find(c => c.id === suggestion.category_id), categories) || suggestion.category_name}
+                    {' '}({Math.round(suggestion.confidence * 100)}%)
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
           
           <div className="form-group">
-            <label>Description</label>
+            <label>Description {renderConfidence('description')}</label>
             <input
               type="text"
               name="description"
@@ -500,9 +1019,19 @@ function Transactions() {
               onChange={handleChange}
             />
           </div>
+
+          <div className="form-group">
+            <label>Tags (optional)</label>
+            <TagInput
+              value={formData.tags}
+              onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+              suggestions={allTags}
+              placeholder="e.g. trip-goa, exam-week"
+            />
+          </div>
           
           <div className="form-group">
-            <label>Date</label>
+            <label>Date {renderConfidence('date')}</label>
             <input
               type="date"
               name="date"
@@ -513,46 +1042,135 @@ function Transactions() {
           </div>
           
           <div className="form-group">
-            <label>Receipt (optional)</label>
+            <label>{editingTransaction?.receipts.length > 0 ? 'Add Receipts (optional)' : 'Receipts (optional)'}</label>
+            {editingTransaction?.receipts.length > 0 && (
+              <ul className="current-receipts">
+                {editingTransaction.receipts.map(receipt => (
+                  <li key={receipt.id} className={removedReceiptIds.includes(receipt.id) ? 'removed' : ''}>
+                    <ReceiptThumbnail receipt={receipt} />
+                    <button
+                      type="button"
+                      className="ocr-btn"
+                      onClick={() => rerunExtraction(receipt.id)}
+                      disabled={ocrRunning || removedReceiptIds.includes(receipt.id)}
+                    >
+                      {ocrRunning ? 'Reading receipt...' : 'Read again'}
+                    </button>
+                    <label className="remove-receipt">
+                      <input
+                        type="checkbox"
+                        checked={removedReceiptIds.includes(receipt.id)}
+                        onChange={() => toggleRemovedReceipt(receipt.id)}
+                      />
+                      Remove
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
             <input
               type="file"
-              accept="image/*"
+              accept={RECEIPT_FILE_TYPES}
+              multiple
               onChange={handleFileChange}
+              ref={fileInputRef}
             />
-            {formData.receipt && (
+            {formData.receipts.length > 0 && (
               <div className="ocr-section">
                 <button 
                   type="button" 
-                  onClick={() => runOcr(formData.receipt)}
+                  onClick={() => runOcr(formData.receipts)}
                   className="ocr-btn"
+                  disabled={ocrRunning}
                 >
-                  Extract Text from Receipt
+                  {ocrRunning ? 'Reading receipt...' : 'Extract Text from Receipt'}
                 </button>
-                {ocrProgress > 0 && ocrProgress < 100 && (
-                  <div className="ocr-progress">
-                    <progress value={ocrProgress} max="100" />
-                    <span>{ocrProgress}%</span>
-                  </div>
-                )}
-                {ocrText && (
-                  <div className="ocr-result">
-                    <h4>Extracted Text:</h4>
-                    <p>{ocrText}</p>
-                  </div>
-                )}
+              </div>
+            )}
+            {receiptFields?.currency.value && receiptFields.currency.value !== 'USD' && (
+              <p className="ocr-note">
+                This receipt looks like it is in {receiptFields.currency.value}. The amount is saved exactly as entered.
+              </p>
+            )}
+            {receiptFields?.lineItems.length > 0 && (
+              <div className="ocr-result">
+                <h4>Items on the receipt:</h4>
+                <ul className="ocr-line-items">
+                  {receiptFields.lineItems.map((item, index) => (
+                    <li key={index}>
+                      <span>{item.quantity > 1 ? `${item.quantity} × ` : ''}{item.description}</span>
+                      <span>{item.amount.toFixed(2)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {ocrText && (
+              <div className="ocr-result">
+                <h4>Extracted Text:</h4>
+                <p>{ocrText}</p>
               </div>
             )}
           </div>
           
-          <button type="submit" disabled={isUploading} className="submit-btn">
-            {isUploading ? 'Adding...' : 'Add Transaction'}
-          </button>
+          <div className="form-actions">
+            {editingTransaction && (
+              <button type="button" onClick={cancelEditing} className="cancel-btn" disabled={isUploading}>
+                Cancel
+              </button>
+            )}
+            <button type="submit" disabled={isUploading} className="submit-btn">
+              {editingTransaction
+                ? (isUploading ? 'Saving...' : 'Save Changes')
+                : (isUploading ? 'Adding...' : 'Add Transaction')}
+            </button>
+          </div>
         </form>
       </div>
       
+      <RecurringRules
+        categories={categories}
+        onGenerated={refreshTransactions}
+      />
+
+      <CategoryRules
+        categories={categories}
+        tags={allTags}
+        draft={ruleDraft}
+        onApplied={() => Promise.all([refreshTransactions(), loadTags()])}
+      />
+
       <div className="transactions-list">
         <h2>Recent Transactions</h2>
-        {transactions.length === 0 ? (
+        <div className="transaction-search">
+          <input
+            type="search"
+            placeholder="Search descriptions and receipt text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+          />
+        </div>
+        {allTags.length > 0 && (
+          <div className="tag-filter">
+            <label>Filter by tag</label>
+            <select value={tagFilter} onChange={(e) => setTagFilter(e.target.value)}>
+              <option value="">All transactions</option>
+              {allTags.map(tag => (
+                <option key={tag} value={tag}>#{tag}</option>
+              ))}
+            </select>
+            {tagFilter && (
+              <span className="tag-total">
+                Total spent on #{tagFilter}: $
+                {filteredTransactions
+                  .filter(t => t.type !== 'income')
+                  .reduce((sum, t) => sum + t.amount, 0)
+                  .toFixed(2)}
+              </span>
+            )}
+          </div>
+        )}
+        {filteredTransactions.length === 0 ? (
           <p>No transactions found.</p>
         ) : (
           <table>
@@ -561,26 +1179,57 @@ function Transactions() {
                 <th>Date</th>
                 <th>Category</th>
                 <th>Description</th>
+                <th>Tags</th>
                 <th>Amount</th>
-                <th>Receipt</th>
+                <th>Receipts</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {transactions.map(tx => (
-                <tr key={tx.id}>
+              {filteredTransactions.map(tx => (
+                <tr key={tx.id} className={editingTransaction?.id === tx.id ? 'editing-row' : ''}>
                   <td>{new Date(tx.date).toLocaleDateString()}</td>
-                  <td>{tx.category_name}</td>
-                  <td>{tx.description || '-'}</td>
-                  <td>${tx.amount.toFixed(2)}</td>
+                  <td>{getCategoryLabel(categories.find(c => c.id === tx.category_id), categories) || tx.category_name}</td>
                   <td>
-                    {tx.receipt_url ? (
-                      <a href={tx.receipt_url} target="_blank" rel="noopener noreferrer">
-                        View
-                      </a>
-                    ) : '-'}
+                    {tx.description || '-'}
+                    {tx.recurring_id && <span className="recurring-badge">Recurring</span>}
+                    {unusual.has(tx.id) && (
+                      <span className="unusual-badge" title={describeAnomaly(unusual.get(tx.id))}>Unusual</span>
+                    )}
+                  </td>
+                  <td>
+                    {tx.tags.length > 0 ? tx.tags.map(tag => (
+                      <button key={tag} type="button" className="tag-chip" onClick={() => setTagFilter(tag)}>
+                        #{tag}
+                      </button>
+                    )) : '-'}
+                  </td>
+                  <td className={tx.type === 'income' ? 'income-amount' : ''}>
+                    {tx.type === 'income' ? '+' : ''}${tx.amount.toFixed(2)}
                   </td>
                   <td>
+                    {tx.receipts.length > 0 ? (
+                      <div className="receipt-thumbnails">
+                        {tx.receipts.map(receipt => (
+                          <ReceiptThumbnail key={receipt.id} receipt={receipt} />
+                        ))}
+                      </div>
+                    ) : '-'}
+                  </td>
+                  <td className="row-actions">
+                    <button
+                      onClick={() => startEditing(tx)}
+                      className="edit-btn"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => createRuleFrom(tx)}
+                      className="pause-btn"
+                      title="Create a category rule from this transaction"
+                    >
+                      Rule
+                    </button>
                     <button 
                       onClick={() => deleteTransaction(tx.id)}
                       className="delete-btn"
@@ -0,0 +1,16 @@
+import { apiFetch } from './api';
+
+// Check recently added expenses for anything unusual, then list the open flags:
+// [{ id, transaction_id, reasons: [{ reason, message }], amount, date, description, ... }]
+export const fetchUnusualTransactions = async () => {
+  await apiFetch('/api/anomalies/scan', { method: 'POST' });
+  const { anomalies } = await apiFetch('/api/anomalies');
+  return anomalies;
+};
+
+// Hide a flag. With `learn`, similar expenses are not flagged again.
+export const dismissUnusualTransaction = (id, { learn = false } = {}) =>
+  apiFetch(`/api/anomalies/${id}/dismiss`, { method: 'POST', body: { learn } });
+
+// The reasons of a flag as one line, for tooltips
+export const describeAnomaly = (anomaly) => anomaly.reasons.map(r => r.message).join('; ');
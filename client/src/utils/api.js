@@ -0,0 +1,58 @@
+import { supabase } from '../supabaseClient';
+
+// The deployed API in production, the local Express server in development
+export const API_BASE_URL = process.env.NODE_ENV === 'production'
+  ? process.env.REACT_APP_API_URL
+  : 'http://localhost:5000';
+
+// Call the server API as the signed-in user. Resolves with the parsed JSON body
+// (null for empty responses) and throws with the server's error message.
+const request = async (path, { method = 'GET', body } = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Please sign in');
+
+  // FormData (file uploads) is sent as multipart and sets its own Content-Type
+  const isForm = body instanceof FormData;
+
+  return fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      ...(isForm ? {} : { 'Content-Type': 'application/json' }),
+      'Authorization': `Bearer ${session.access_token}`
+    },
+    body: body === undefined || isForm ? body : JSON.stringify(body)
+  });
+};
+
+const getErrorMessage = (data, response) => {
+  const details = data?.details?.map(d => d.message).join(', ');
+  return details || data?.error || `Request failed (${response.status})`;
+};
+
+export const apiFetch = async (path, options) => {
+  const response = await request(path, options);
+  const text = await response.text();
+  const data = text ? JSON.parse(text) : null;
+
+  if (!response.ok) throw new Error(getErrorMessage(data, response));
+  return data;
+};
+
+// Download a file from the server API and save it in the browser as `filename`
+export const apiDownload = async (path, filename) => {
+  const response = await request(path);
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new Error(getErrorMessage(data, response));
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
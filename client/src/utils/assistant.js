@@ -0,0 +1,43 @@
+import { apiFetch } from './api';
+import { getLocalToday } from './budgets';
+
+// Ask the assistant the last question in `messages` ([{ role, content }]).
+// The user's own date goes along so "this week" means their week.
+// Resolves to { reply, tool_calls: [{ name, arguments, result }] }.
+export const askAssistant = (messages) =>
+  apiFetch('/api/assistant', {
+    method: 'POST',
+    body: { messages, today: getLocalToday() }
+  });
+
+const GROUP_LABELS = {
+  none: 'Total',
+  category: 'Totals by category',
+  tag: 'Totals by tag',
+  day: 'Totals by day',
+  week: 'Totals by week',
+  month: 'Totals by month',
+  weekday: 'Totals by weekday'
+};
+
+// One line describing the query behind a tool call, e.g.
+// "Totals by month · expenses · Food · 2026-07-19 to 2026-10-19"
+export const describeToolCall = ({ name, result }) => {
+  const filters = result?.filters || {};
+  const title = name === 'list_transactions'
+    ? `Transactions, ${result?.order || 'largest'} first`
+    : GROUP_LABELS[result?.group_by] || 'Totals';
+
+  const period = filters.start_date || filters.end_date
+    ? `${filters.start_date || 'start'} to ${filters.end_date || 'today'}`
+    : 'all time';
+
+  return [
+    title,
+    filters.type === 'income' ? 'income' : 'expenses',
+    filters.category,
+    filters.tag && `#${filters.tag}`,
+    filters.search && `"${filters.search}"`,
+    period
+  ].filter(Boolean).join(' · ');
+};
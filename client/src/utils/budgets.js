@@ -0,0 +1,205 @@
+import { supabase } from '../supabaseClient';
+import { setQueryData } from './dataStore';
+
+// month is 1-12 throughout, matching the budgets table
+export const getPreviousMonth = ({ month, year }) =>
+  month === 1 ? { month: 12, year: year - 1 } : { month: month - 1, year };
+
+export const getNextMonth = ({ month, year }) =>
+  month === 12 ? { month: 1, year: year + 1 } : { month: month + 1, year };
+
+export const getCurrentMonth = () => {
+  const now = new Date();
+  return { month: now.getMonth() + 1, year: now.getFullYear() };
+};
+
+// Today as YYYY-MM-DD in the user's time zone
+export const getLocalToday = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+export const formatMonth = ({ month, year }) =>
+  new Date(year, month - 1).toLocaleString('default', { month: 'long', year: 'numeric' });
+
+// Compare two { month, year } values; negative when a is earlier than b
+export const compareMonths = (a, b) => (a.year - b.year) * 12 + (a.month - b.month);
+
+// First and last day of the month as YYYY-MM-DD strings
+export const getMonthRange = ({ month, year }) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const lastDay = new Date(year, month, 0).getDate();
+  return {
+    startDate: `${year}-${pad(month)}-01`,
+    endDate: `${year}-${pad(month)}-${pad(lastDay)}`
+  };
+};
+
+// The amount the user can spend this month: the set amount plus anything carried over
+export const getEffectiveBudget = (budget) =>
+  budget ? parseFloat(budget.amount) + parseFloat(budget.carry_over || 0) : 0;
+
+export const fetchBudgetTemplate = async (userId) => {
+  const { data, error } = await supabase
+    .from('budget_templates')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const fetchMonthSpent = async (userId, monthRef) => {
+  const { startDate, endDate } = getMonthRange(monthRef);
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('amount')
+    .eq('user_id', userId)
+    .eq('type', 'expense')
+    .gte('date', startDate)
+    .lte('date', endDate);
+
+  if (error) throw error;
+  return data.reduce((sum, t) => sum + parseFloat(t.amount), 0);
+};
+
+// What is left (or overspent) from the month before, or 0 when it had no budget
+export const calculateCarryOver = async (userId, monthRef) => {
+  const previous = getPreviousMonth(monthRef);
+  const { data: previousBudget, error } = await supabase
+    .from('budgets')
+    .select('amount, carry_over')
+    .eq('user_id', userId)
+    .eq('month', previous.month)
+    .eq('year', previous.year)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!previousBudget) return 0;
+
+  const spent = await fetchMonthSpent(userId, previous);
+  return Math.round((getEffectiveBudget(previousBudget) - spent) * 100) / 100;
+};
+
+// Create the month's budget rows from the recurring template
+const applyTemplate = async (userId, template, monthRef) => {
+  const carryOver = template.carry_over ? await calculateCarryOver(userId, monthRef) : 0;
+
+  // ignoreDuplicates keeps this safe when several tabs apply the template at once
+  const { error } = await supabase
+    .from('budgets')
+    .upsert({
+      user_id: userId,
+      amount: template.amount,
+      carry_over: carryOver,
+      month: monthRef.month,
+      year: monthRef.year
+    }, {
+      onConflict: 'user_id,month,year',
+      ignoreDuplicates: true
+    });
+
+  if (error) throw error;
+
+  const categoryRows = Object.entries(template.category_amounts || {})
+    .filter(([, amount]) => parseFloat(amount) > 0)
+    .map(([categoryId, amount]) => ({
+      user_id: userId,
+      category_id: parseInt(categoryId),
+      amount: parseFloat(amount),
+      month: monthRef.month,
+      year: monthRef.year
+    }));
+
+  if (categoryRows.length > 0) {
+    const { error: categoryError } = await supabase
+      .from('category_budgets')
+      .upsert(categoryRows, {
+        onConflict: 'user_id,category_id,month,year',
+        ignoreDuplicates: true
+      });
+
+    if (categoryError) throw categoryError;
+  }
+};
+
+const fetchBudgetRows = async (userId, monthRef) => {
+  const { data: budget, error } = await supabase
+    .from('budgets')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('month', monthRef.month)
+    .eq('year', monthRef.year)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const { data: categoryBudgets, error: categoryError } = await supabase
+    .from('category_budgets')
+    .select(`
+      id,
+      amount,
+      category_id,
+      categories!inner(
+        name
+      )
+    `)
+    .eq('user_id', userId)
+    .eq('month', monthRef.month)
+    .eq('year', monthRef.year);
+
+  if (categoryError) throw categoryError;
+
+  return {
+    budget,
+    categoryBudgets: categoryBudgets.map(b => ({
+      ...b,
+      category_name: b.categories.name
+    }))
+  };
+};
+
+// Load the overall and per-category budgets for a month. Months without a
+// budget pick up the recurring template, from the month it was created onwards.
+export const fetchMonthBudget = async (userId, monthRef) => {
+  const result = await fetchBudgetRows(userId, monthRef);
+  if (result.budget) return result;
+
+  const template = await fetchBudgetTemplate(userId);
+  if (!template || compareMonths(monthRef, { month: template.start_month, year: template.start_year }) < 0) {
+    return result;
+  }
+
+  await applyTemplate(userId, template, monthRef);
+  return fetchBudgetRows(userId, monthRef);
+};
+
+// Cache key of a month's budgets in the data store
+export const budgetKey = (userId, { month, year }) => `budget:${userId}:${year}-${month}`;
+
+// Apply a realtime change to a row of `table` (budgets or category_budgets)
+// to the cached month it belongs to. `categories` name new category budgets.
+export const applyBudgetChange = (userId, table, { eventType, new: row, old }, categories) => {
+  if (eventType === 'DELETE') {
+    // Only the id is known, so look for it in whatever the current month holds
+    setQueryData(budgetKey(userId, getCurrentMonth()), data => (table === 'budgets'
+      ? { ...data, budget: data.budget?.id === old.id ? null : data.budget }
+      : { ...data, categoryBudgets: data.categoryBudgets.filter(b => b.id !== old.id) }));
+    return;
+  }
+
+  setQueryData(budgetKey(userId, row), data => {
+    if (table === 'budgets') return { ...data, budget: row };
+
+    const category = categories.find(c => c.id === row.category_id);
+    const categoryBudget = {
+      id: row.id,
+      amount: row.amount,
+      category_id: row.category_id,
+      category_name: category?.name
+    };
+    return { ...data, categoryBudgets: [...data.categoryBudgets.filter(b => b.id !== row.id), categoryBudget] };
+  });
+};
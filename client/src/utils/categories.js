@@ -0,0 +1,41 @@
+import { supabase } from '../supabaseClient';
+
+// Used for categories that have no colour of their own
+export const FALLBACK_COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D'];
+
+// Default categories plus the user's own ones (RLS hides other users' rows)
+export const fetchCategories = async () => {
+  const { data, error } = await supabase
+    .from('categories')
+    .select('id, name, type, color, parent_id, archived, user_id')
+    .order('name');
+
+  if (error) throw error;
+  return data;
+};
+
+// "Food → Groceries" for sub-categories, the plain name otherwise
+export const getCategoryLabel = (category, categories) => {
+  if (!category) return null;
+  const parent = category.parent_id && categories.find(c => c.id === category.parent_id);
+  return parent ? `${parent.name} → ${category.name}` : category.name;
+};
+
+// Top-level categories each followed by their sub-categories, for <select> lists
+export const sortCategoriesForSelect = (categories) => {
+  const topLevel = categories.filter(c => !c.parent_id || !categories.some(p => p.id === c.parent_id));
+  return topLevel.flatMap(parent => [
+    parent,
+    ...categories.filter(c => c.parent_id === parent.id)
+  ]);
+};
+
+// Sub-categories without a colour use their parent's
+export const getCategoryColor = (category, categories, index = 0) => {
+  if (category?.color) return category.color;
+  const parent = category?.parent_id && categories.find(c => c.id === category.parent_id);
+  if (parent?.color) return parent.color;
+  return FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+};
+
+export const isOwnCategory = (category) => !!category.user_id;
@@ -0,0 +1,27 @@
+import { apiFetch } from './api';
+
+export const MATCH_TYPE_LABELS = {
+  contains: 'Description contains',
+  regex: 'Description matches (regex)',
+  merchant: 'Merchant is',
+  amount: 'Amount is in a range'
+};
+
+// The rule matching each transaction ({ description, amount, type }),
+// as { rule_id, category_id, tags } or null, in the same order
+export const matchCategoryRules = async (transactions) => {
+  const { matches } = await apiFetch('/api/rules/match', {
+    method: 'POST',
+    body: { transactions }
+  });
+  return matches;
+};
+
+// "$5.00 to $20.00", "$5.00 or more", "up to $20.00", or '' without a range
+export const formatAmountRange = (min, max) => {
+  const format = (value) => `$${Number(value).toFixed(2)}`;
+  if (min !== null && max !== null) return `${format(min)} to ${format(max)}`;
+  if (min !== null) return `${format(min)} or more`;
+  if (max !== null) return `up to ${format(max)}`;
+  return '';
+};
@@ -0,0 +1,12 @@
+import { apiFetch } from './api';
+
+// Likely categories for a description, learned from the user's past
+// transactions: [{ category_id, category_name, confidence }], best first
+export const suggestCategories = async (description, type) => {
+  const params = new URLSearchParams({ description, type });
+  const { suggestions } = await apiFetch(`/api/suggest-category?${params}`);
+  return suggestions;
+};
+
+// How often the top suggestion matched the category actually chosen
+export const fetchSuggestionAccuracy = () => apiFetch('/api/suggest-category/accuracy');
@@ -0,0 +1,122 @@
+// In-memory cache for data that several pages load, such as the transactions
+// and budgets. Each query is cached by key for the whole session, so going
+// back to a page shows what was loaded before while it refreshes, and pages
+// showing the same key share one request and see each other's changes.
+
+// Cached data older than this is reloaded when a page asks for it again
+const STALE_MS = 30 * 1000;
+
+const queries = new Map();
+
+const getEntry = (key) => {
+  if (!queries.has(key)) {
+    queries.set(key, {
+      snapshot: { data: undefined, error: null, loading: false },
+      promise: null,
+      fetcher: null,
+      // Bumped by every request so an older response cannot overwrite a newer one
+      generation: 0,
+      updatedAt: 0,
+      listeners: new Set()
+    });
+  }
+  return queries.get(key);
+};
+
+// Components re-render when the snapshot object changes, so it is replaced
+// rather than modified
+const publish = (entry, changes) => {
+  entry.snapshot = { ...entry.snapshot, ...changes };
+  entry.listeners.forEach(listener => listener());
+};
+
+// { data, error, loading } for a key; data is undefined until first loaded
+export const getQueryState = (key) => getEntry(key).snapshot;
+
+export const subscribeToQuery = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+};
+
+// Load a key with `fetcher`, unless fresh data is cached. Requests for a key
+// that is already loading share that request. `force` always starts a new one.
+export const fetchQuery = (key, fetcher, { force = false } = {}) => {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+
+  if (entry.promise && !force) return entry.promise;
+  if (!force && entry.snapshot.data !== undefined && Date.now() - entry.updatedAt < STALE_MS) {
+    return Promise.resolve(entry.snapshot.data);
+  }
+
+  const generation = ++entry.generation;
+  const promise = fetcher()
+    .then(data => {
+      if (generation === entry.generation) {
+        entry.updatedAt = Date.now();
+        publish(entry, { data, error: null, loading: false });
+      }
+      return data;
+    })
+    .catch(error => {
+      if (generation === entry.generation) publish(entry, { error, loading: false });
+      throw error;
+    })
+    .finally(() => {
+      if (entry.promise === promise) entry.promise = null;
+    });
+
+  entry.promise = promise;
+  publish(entry, { loading: true });
+  return promise;
+};
+
+// Change cached data in place, e.g. for an optimistic update. `updater` gets
+// the current data and is skipped while nothing is cached. Any request still
+// loading is dropped, as its response would undo the change.
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key);
+  if (entry.snapshot.data === undefined) return;
+
+  if (entry.promise) {
+    entry.generation++;
+    entry.promise = null;
+  }
+  publish(entry, { data: updater(entry.snapshot.data), loading: false });
+};
+
+// setQueryData for every key starting with `prefix`; `updater` also gets the key
+export const setQueriesData = (prefix, updater) => {
+  [...queries.keys()]
+    .filter(key => key.startsWith(prefix))
+    .forEach(key => setQueryData(key, data => updater(data, key)));
+};
+
+// Mark a key as out of date. It is reloaded straight away if a page is
+// showing it, and on the next visit otherwise.
+export const invalidateQuery = (key) => {
+  const entry = queries.get(key);
+  if (!entry) return Promise.resolve();
+
+  entry.updatedAt = 0;
+  if (entry.listeners.size === 0 || !entry.fetcher) return Promise.resolve();
+  return fetchQuery(key, entry.fetcher, { force: true })
+    .catch(error => console.error(`Error reloading ${key}:`, error.message));
+};
+
+// Mark every key starting with `prefix` as out of date, e.g. all of a user's
+// summaries after one transaction changed
+export const invalidateQueries = (prefix) => Promise.all(
+  [...queries.keys()].filter(key => key.startsWith(prefix)).map(invalidateQuery)
+);
+
+// Forget everything, e.g. when the user signs out
+export const clearQueries = () => {
+  queries.forEach(entry => {
+    entry.generation++;
+    entry.promise = null;
+    entry.updatedAt = 0;
+    publish(entry, { data: undefined, error: null, loading: false });
+  });
+};
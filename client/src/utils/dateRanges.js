@@ -0,0 +1,78 @@
+// Date ranges for the Dashboard analytics. Ranges are { startDate, endDate }
+// as inclusive YYYY-MM-DD strings in the user's time zone.
+
+export const DATE_RANGE_PRESETS = [
+  { id: 'week', label: 'This week' },
+  { id: 'month', label: 'This month' },
+  { id: 'last30', label: 'Last 30 days' },
+  { id: 'last90', label: 'Last 90 days' },
+  { id: 'semester', label: 'This semester' },
+  { id: 'year', label: 'This year' },
+  { id: 'custom', label: 'Custom' }
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDateString = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addDays = (value, days) => {
+  const date = parseDate(value);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+};
+
+// Monday of the week `value` falls in
+const weekStart = (value) => addDays(value, -((parseDate(value).getDay() + 6) % 7));
+
+// The range a preset covers on `today`. Semesters are the two halves of the
+// year, January to June and July to December.
+export const getPresetRange = (preset, today) => {
+  const date = parseDate(today);
+  const year = date.getFullYear();
+  const month = date.getMonth();
+
+  switch (preset) {
+    case 'week': {
+      const startDate = weekStart(today);
+      return { startDate, endDate: addDays(startDate, 6) };
+    }
+    case 'last30':
+      return { startDate: addDays(today, -29), endDate: today };
+    case 'last90':
+      return { startDate: addDays(today, -89), endDate: today };
+    case 'semester':
+      return month < 6
+        ? { startDate: `${year}-01-01`, endDate: `${year}-06-30` }
+        : { startDate: `${year}-07-01`, endDate: `${year}-12-31` };
+    case 'year':
+      return { startDate: `${year}-01-01`, endDate: `${year}-12-31` };
+    case 'month':
+    default:
+      return {
+        startDate: toDateString(new Date(year, month, 1)),
+        endDate: toDateString(new Date(year, month + 1, 0))
+      };
+  }
+};
+
+// Chart label of a period, e.g. "Oct 6", "Week of Oct 6" or "Oct 2026".
+// `key` is YYYY-MM-DD, or YYYY-MM for a month.
+export const bucketLabel = (key, bucket) => {
+  if (bucket === 'month') {
+    return parseDate(`${key}-01`).toLocaleString('default', { month: 'short', year: 'numeric' });
+  }
+  const label = parseDate(key).toLocaleString('default', { month: 'short', day: 'numeric' });
+  return bucket === 'week' ? `Week of ${label}` : label;
+};
+
+// A short description of a range, e.g. "Oct 1, 2026 - Oct 31, 2026"
+export const formatRange = ({ startDate, endDate }) => {
+  const format = (value) => parseDate(value).toLocaleDateString('default', { dateStyle: 'medium' });
+  return startDate === endDate ? format(startDate) : `${format(startDate)} - ${format(endDate)}`;
+};
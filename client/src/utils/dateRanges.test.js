@@ -0,0 +1,25 @@
+import { getPresetRange } from './dateRanges';
+
+// A Monday
+const TODAY = '2026-10-19';
+
+describe('getPresetRange', () => {
+  test.each([
+    ['week', '2026-10-19', '2026-10-25'],
+    ['month', '2026-10-01', '2026-10-31'],
+    ['last30', '2026-09-20', '2026-10-19'],
+    ['last90', '2026-07-22', '2026-10-19'],
+    ['semester', '2026-07-01', '2026-12-31'],
+    ['year', '2026-01-01', '2026-12-31']
+  ])('%s runs from %s to %s', (preset, startDate, endDate) => {
+    expect(getPresetRange(preset, TODAY)).toEqual({ startDate, endDate });
+  });
+
+  test('starts the week on Monday', () => {
+    expect(getPresetRange('week', '2026-10-18')).toEqual({ startDate: '2026-10-12', endDate: '2026-10-18' });
+  });
+
+  test('takes the first half of the year as a semester until June', () => {
+    expect(getPresetRange('semester', '2026-02-10')).toEqual({ startDate: '2026-01-01', endDate: '2026-06-30' });
+  });
+});
@@ -0,0 +1,128 @@
+// Month-end spending forecast for the Dashboard budget card.
+// Dates are YYYY-MM-DD strings and compared as text, so no time zone is involved.
+
+// How many earlier months to learn the end-of-month pattern from
+const HISTORY_MONTHS = 3;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const monthKey = (year, month) => `${year}-${pad(month)}`;
+
+const daysIn = (year, month) => new Date(year, month, 0).getDate();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const dayOf = (date) => parseInt(date.slice(8, 10), 10);
+
+// Spending on a day that did not come from a recurring rule
+const everyday = (row) => row.expenses - (row.recurring || 0);
+
+// The days the forecast needs: the start of the earliest month it learns from
+// up to today, for a daily trend from /api/summary/trend
+export const getForecastRange = (today) => {
+  const [year, month] = today.split('-').map(Number);
+  const start = new Date(year, month - 1 - HISTORY_MONTHS, 1);
+  return { startDate: `${monthKey(start.getFullYear(), start.getMonth() + 1)}-01`, endDate: today };
+};
+
+// Average non-recurring spend per day over the days after `day` in each of the
+// last few months that have any expenses. null when there is nothing to go on.
+const historicalDailyRate = (daily, year, month, day) => {
+  const rates = [];
+
+  for (let back = 1; back <= HISTORY_MONTHS; back++) {
+    const date = new Date(year, month - 1 - back, 1);
+    const key = monthKey(date.getFullYear(), date.getMonth() + 1);
+    const inMonth = daily.filter(row => row.date.startsWith(key) && row.expenses > 0);
+    const daysLeft = daysIn(date.getFullYear(), date.getMonth() + 1) - day;
+    if (inMonth.length === 0 || daysLeft <= 0) continue;
+
+    const lateSpend = inMonth
+      .filter(row => dayOf(row.date) > day)
+      .reduce((sum, row) => sum + everyday(row), 0);
+    rates.push(lateSpend / daysLeft);
+  }
+
+  return rates.length > 0 ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : null;
+};
+
+// Project this month's expenses to the end of the month.
+//
+// Spending so far is split into recurring (generated from a recurring rule) and
+// everything else. The everyday part is extended at a daily rate that blends
+// this month's burn rate with the same stretch of recent months, leaning on
+// this month more as it goes on. Recurring expenses still to come (from
+// /api/recurring/upcoming) are added on their own dates instead.
+//
+// `daily` is the expenses per day over getForecastRange(today), as
+// { date, expenses, recurring } where `recurring` is the part generated from
+// recurring rules. `budget` is the effective budget or null. Returns the
+// totals, a safe amount to spend per day for the rest of the month (today
+// included) and one chart row per day: { day, actual, projected }.
+export const forecastMonthEnd = ({ daily, upcoming = [], budget = null, today }) => {
+  const [year, month, day] = today.split('-').map(Number);
+  const key = monthKey(year, month);
+  const daysInMonth = daysIn(year, month);
+
+  const thisMonth = daily.filter(row => row.date.startsWith(key) && row.date <= today);
+
+  const spent = thisMonth.reduce((sum, row) => sum + row.expenses, 0);
+  const everydaySpent = thisMonth.reduce((sum, row) => sum + everyday(row), 0);
+
+  const currentRate = everydaySpent / day;
+  const pastRate = historicalDailyRate(daily, year, month, day);
+  const weight = day / daysInMonth;
+  const dailyRate = pastRate === null ? currentRate : currentRate * weight + pastRate * (1 - weight);
+
+  // Recurring expenses still due this month, by day of the month
+  const recurringByDay = {};
+  upcoming
+    .filter(o => !o.skipped && o.type !== 'income' && o.date.startsWith(key) && o.date >= today)
+    .forEach(o => {
+      const dueDay = dayOf(o.date);
+      recurringByDay[dueDay] = (recurringByDay[dueDay] || 0) + parseFloat(o.amount);
+    });
+  const upcomingRecurring = Object.values(recurringByDay).reduce((sum, amount) => sum + amount, 0);
+
+  const daysLeft = daysInMonth - day;
+  const projectedTotal = spent + dailyRate * daysLeft + upcomingRecurring;
+
+  const spentByDay = {};
+  thisMonth.forEach(row => {
+    const spentDay = dayOf(row.date);
+    spentByDay[spentDay] = (spentByDay[spentDay] || 0) + row.expenses;
+  });
+
+  const chart = [];
+  let actual = 0;
+  let projected = 0;
+  for (let d = 1; d <= daysInMonth; d++) {
+    const row = { day: d };
+    if (d <= day) {
+      actual += spentByDay[d] || 0;
+      row.actual = round(actual);
+    }
+    // The projection starts from today's actual total so the two lines meet
+    if (d === day) {
+      projected = actual + (recurringByDay[d] || 0);
+      row.projected = round(projected);
+    } else if (d > day) {
+      projected += dailyRate + (recurringByDay[d] || 0);
+      row.projected = round(projected);
+    }
+    chart.push(row);
+  }
+
+  const available = budget === null ? null : budget - spent - upcomingRecurring;
+
+  return {
+    spent: round(spent),
+    dailyRate: round(dailyRate),
+    upcomingRecurring: round(upcomingRecurring),
+    projectedTotal: round(projectedTotal),
+    projectedRemaining: budget === null ? null : round(budget - projectedTotal),
+    safePerDay: available === null ? null : round(Math.max(0, available) / (daysLeft + 1)),
+    daysLeft,
+    chart
+  };
+};
@@ -0,0 +1,78 @@
+import { forecastMonthEnd, getForecastRange } from './forecast';
+
+// Day 10 of a 30-day month
+const TODAY = '2026-09-10';
+
+// Expenses of one day, `recurring` of them generated from recurring rules
+const spend = (date, expenses, recurring = 0) => ({ date, expenses, recurring });
+
+describe('forecastMonthEnd', () => {
+  test('extends the current burn rate when there is no history', () => {
+    const forecast = forecastMonthEnd({
+      daily: [spend('2026-09-01', 0), spend('2026-09-02', 50), spend('2026-09-08', 50)],
+      budget: 500,
+      today: TODAY
+    });
+
+    expect(forecast.spent).toBe(100);
+    expect(forecast.dailyRate).toBe(10);
+    expect(forecast.projectedTotal).toBe(300);
+    expect(forecast.projectedRemaining).toBe(200);
+    expect(forecast.safePerDay).toBe(19.05);
+    expect(forecast.daysLeft).toBe(20);
+  });
+
+  test('adds recurring expenses on their dates instead of in the burn rate', () => {
+    const forecast = forecastMonthEnd({
+      daily: [spend('2026-09-01', 300, 300), spend('2026-09-04', 100)],
+      upcoming: [
+        { date: '2026-09-20', type: 'expense', amount: '200', skipped: false },
+        { date: '2026-09-25', type: 'expense', amount: '80', skipped: true },
+        { date: '2026-10-01', type: 'expense', amount: '300', skipped: false }
+      ],
+      budget: 1000,
+      today: TODAY
+    });
+
+    expect(forecast.dailyRate).toBe(10);
+    expect(forecast.upcomingRecurring).toBe(200);
+    expect(forecast.projectedTotal).toBe(800);
+    expect(forecast.chart[19].projected - forecast.chart[18].projected).toBeCloseTo(210);
+  });
+
+  test('blends in the end-of-month pattern of earlier months', () => {
+    const forecast = forecastMonthEnd({
+      daily: [
+        spend('2026-09-05', 100),
+        // August: 21 days after the 10th, 630 spent in them besides the rent
+        spend('2026-08-03', 1000),
+        spend('2026-08-25', 830, 200),
+        // Nothing spent in July, so it is left out
+        spend('2026-07-20', 0)
+      ],
+      budget: null,
+      today: TODAY
+    });
+
+    // 10/day this month, 30/day late last month, a third of the way in
+    expect(forecast.dailyRate).toBeCloseTo(23.33);
+    expect(forecast.projectedRemaining).toBeNull();
+    expect(forecast.safePerDay).toBeNull();
+  });
+
+  test('charts actual spend up to today and the projection from today', () => {
+    const { chart } = forecastMonthEnd({ daily: [spend('2026-09-10', 100)], budget: 400, today: TODAY });
+
+    expect(chart).toHaveLength(30);
+    expect(chart[8]).toEqual({ day: 9, actual: 0 });
+    expect(chart[9]).toEqual({ day: 10, actual: 100, projected: 100 });
+    expect(chart[29]).toEqual({ day: 30, projected: 300 });
+  });
+});
+
+describe('getForecastRange', () => {
+  test('starts three months back and ends today', () => {
+    expect(getForecastRange(TODAY)).toEqual({ startDate: '2026-06-01', endDate: TODAY });
+    expect(getForecastRange('2026-02-14')).toEqual({ startDate: '2025-11-01', endDate: '2026-02-14' });
+  });
+});
@@ -0,0 +1,36 @@
+import { apiFetch } from './api';
+
+// Ask for AI insights on a month ({ month: 1-12, year, source, tag? }).
+// The server answers from its stored copy when the data hasn't changed since
+// the last time; `refresh` asks the AI again anyway. Resolves to the server's
+// { insights, success, cached, insight, fallback? }.
+export const generateInsights = (payload, { refresh = false } = {}) =>
+  apiFetch('/api/generate-insights', {
+    method: 'POST',
+    body: { ...payload, refresh }
+  });
+
+// Stored insights, newest month first: { year?, month?, limit? }
+export const fetchInsightHistory = async (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params.set(key, value);
+  });
+  const { insights } = await apiFetch(`/api/insights?${params}`);
+  return insights;
+};
+
+// The most recent insight stored for a month, or null
+export const fetchLatestInsight = async (month, year) => {
+  const [latest] = await fetchInsightHistory({ month, year, limit: 1 });
+  return latest || null;
+};
+
+export const deleteInsight = (id) => apiFetch(`/api/insights/${id}`, { method: 'DELETE' });
+
+const SOURCE_LABELS = { dashboard: 'Dashboard', reports: 'Reports' };
+
+// "Generated 3 Oct 2026, 14:05 on Reports with gemini-2.5-flash"
+export const describeInsight = ({ created_at: createdAt, source, model }) =>
+  `Generated ${new Date(createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}` +
+  ` on ${SOURCE_LABELS[source] || source} with ${model}`;
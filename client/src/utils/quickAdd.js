@@ -0,0 +1,267 @@
+import { parseStatementAmount } from './statementParser';
+import { normalizeTag } from './tags';
+
+// Reads a one-line entry such as "120 pizza with friends yesterday" or
+// "rent 8000 on 1st" into the fields of a transaction. Entirely local and
+// deterministic: the same text and `today` always give the same result, so
+// the confirm card shows exactly what will be saved.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBREVIATIONS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Words that make an entry income rather than an expense
+const INCOME_WORDS = /^(salary|stipend|scholarship|allowance|income|refund|refunded|received|earned|paycheck|payday|bonus|cashback)$/;
+
+// Words that only glue the sentence together, dropped from the ends of the description
+const FILLER_WORDS = new Set(['spent', 'paid', 'pay', 'for', 'on', 'at', 'the', 'of', 'got', 'bought', 'a', 'an', 'rs', 'rs.', 'inr', 'usd', 'rupees', 'bucks', 'dollars']);
+
+const CURRENCY_WORDS = /^(rs\.?|inr|usd|₹|\$|€|£)$/;
+const CURRENCY_SUFFIXES = /^(rs\.?|inr|usd|rupees|bucks|dollars)$/;
+
+// 120, $120, ₹1,200, 12.50, rs.80, 2k, 120/-
+const AMOUNT_TOKEN = /^([+-])?(₹|\$|€|£|rs\.?|inr|usd)?(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:[.,]\d{1,2})?)(k)?(\/-|rs|inr)?$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// YYYY-MM-DD for a real calendar date, or null (e.g. 31 February)
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const parseIsoDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const addDays = (value, days) => {
+  const date = parseIsoDate(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const MONTH_WORD = /^(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?)$/;
+
+// 1-12 for a month name or its abbreviation, or null
+const monthIndex = (word) => (MONTH_WORD.test(word) ? MONTHS.indexOf(word.slice(0, 3)) + 1 : null);
+
+// 1st, 2nd, 23rd, 15th, or a plain 1-31 when `plain` is allowed
+const parseDay = (word, plain = false) => {
+  const match = word.match(plain ? /^(\d{1,2})(st|nd|rd|th)?$/ : /^(\d{1,2})(st|nd|rd|th)$/);
+  const day = match && Number(match[1]);
+  return day >= 1 && day <= 31 ? day : null;
+};
+
+// The latest date on this day of the month that is not after today: "on 1st"
+// is the 1st of this month, "on 30th" early in a month is the 30th of the last
+const latestDayOfMonth = (day, today) => {
+  const [year, month] = today.split('-').map(Number);
+  for (let back = 0; back < 12; back++) {
+    const y = month - back < 1 ? year - 1 : year;
+    const m = ((month - back - 1 + 12) % 12) + 1;
+    const date = toIsoDate(y, m, day);
+    if (date && date <= today) return date;
+  }
+  return null;
+};
+
+// A month and day without a year is the latest one that is not after today
+const latestMonthDay = (month, day, today) => {
+  const year = Number(today.slice(0, 4));
+  const date = toIsoDate(year, month, day);
+  if (date && date <= today) return date;
+  return toIsoDate(year - 1, month, day);
+};
+
+const normalizeYear = (year) => (year < 100 ? 2000 + year : year);
+
+// Try to read a date expression starting at words[i]. Returns { date, length }
+// with the number of words used, or null.
+const matchDate = (words, i, today) => {
+  const [w0, w1 = '', w2 = '', w3 = ''] = words.slice(i, i + 4);
+
+  if (w0 === 'today' || w0 === 'tonight') return { date: today, length: 1 };
+  if (w0 === 'yesterday' || w0 === 'yday') return { date: addDays(today, -1), length: 1 };
+  if (w0 === 'tomorrow') return { date: addDays(today, 1), length: 1 };
+  if (w0 === 'day' && w1 === 'before' && w2 === 'yesterday') return { date: addDays(today, -2), length: 3 };
+
+  // "3 days ago", "a week ago", "2 weeks ago"
+  if (w2 === 'ago' && /^(days?|weeks?)$/.test(w1) && (/^\d{1,3}$/.test(w0) || w0 === 'a')) {
+    const count = w0 === 'a' ? 1 : Number(w0);
+    return { date: addDays(today, -count * (w1.startsWith('week') ? 7 : 1)), length: 3 };
+  }
+  if (w0 === 'last' && w1 === 'week') return { date: addDays(today, -7), length: 2 };
+
+  // "monday", "last friday", "on sat": the most recent such day, today included
+  // unless it says "last"
+  const isLast = w0 === 'last';
+  const dayWord = isLast ? w1 : w0;
+  let weekday = WEEKDAYS.indexOf(dayWord);
+  if (weekday === -1 && (isLast || words[i - 1] === 'on')) weekday = WEEKDAY_ABBREVIATIONS.indexOf(dayWord);
+  if (weekday !== -1) {
+    const todayWeekday = parseIsoDate(today).getUTCDay();
+    let back = (todayWeekday - weekday + 7) % 7;
+    if (back === 0 && isLast) back = 7;
+    return { date: addDays(today, -back), length: isLast ? 2 : 1 };
+  }
+
+  // 2026-10-15
+  let match = w0.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    const date = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    return date && { date, length: 1 };
+  }
+
+  // 15/10, 15/10/2026, 15-10-26: day first unless only month first makes sense
+  match = w0.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/);
+  if (match) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const [day, month] = first <= 12 && second > 12 ? [second, first] : [first, second];
+    if (month > 12) return null;
+    const date = match[3]
+      ? toIsoDate(normalizeYear(Number(match[3])), month, day)
+      : latestMonthDay(month, day, today);
+    return date && { date, length: 1 };
+  }
+
+  // "15 oct", "15th of october", "15th october 2026"
+  const skipOf = w1 === 'of' ? 1 : 0;
+  const dayFirst = parseDay(w0, true);
+  const monthAfter = dayFirst && monthIndex(skipOf ? w2 : w1);
+  if (monthAfter) {
+    const yearWord = skipOf ? w3 : w2;
+    const hasYear = /^\d{4}$/.test(yearWord);
+    const date = hasYear
+      ? toIsoDate(Number(yearWord), monthAfter, dayFirst)
+      : latestMonthDay(monthAfter, dayFirst, today);
+    return date && { date, length: 2 + skipOf + (hasYear ? 1 : 0) };
+  }
+
+  // "oct 15", "october 15th 2026"
+  const monthFirst = monthIndex(w0);
+  const dayAfter = monthFirst && parseDay(w1, true);
+  if (dayAfter) {
+    const hasYear = /^\d{4}$/.test(w2);
+    const date = hasYear
+      ? toIsoDate(Number(w2), monthFirst, dayAfter)
+      : latestMonthDay(monthFirst, dayAfter, today);
+    return date && { date, length: hasYear ? 3 : 2 };
+  }
+
+  // "1st", "the 3rd", or a bare number after "on" ("on 12"): a day of this month
+  const day = parseDay(w0, words[i - 1] === 'on' || words[i - 1] === 'the');
+  if (day) {
+    const date = latestDayOfMonth(day, today);
+    return date && { date, length: 1 };
+  }
+
+  return null;
+};
+
+// Amount from a single word, or NaN
+const parseAmountWord = (word) => {
+  const match = word.match(AMOUNT_TOKEN);
+  if (!match) return { amount: NaN };
+  let amount = parseStatementAmount(match[3]);
+  if (match[4]) amount *= 1000;
+  return {
+    amount: Math.round(amount * 100) / 100,
+    sign: match[1] || null,
+    hasCurrency: !!(match[2] || match[5])
+  };
+};
+
+const trimFillers = (words) => {
+  let start = 0;
+  let end = words.length;
+  while (start < end && FILLER_WORDS.has(words[start].toLowerCase())) start++;
+  while (end > start && FILLER_WORDS.has(words[end - 1].toLowerCase())) end--;
+  return words.slice(start, end);
+};
+
+/**
+ * Parse a quick-add entry. Options: today ('YYYY-MM-DD', the date used when
+ * none is written and the base for "yesterday", "on 1st" and so on).
+ * Returns { amount, date, dateText, description, type, tags } where amount is
+ * null when the text has no number that reads as one.
+ */
+export const parseQuickEntry = (text, { today }) => {
+  const original = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const words = original.map(word => word.toLowerCase().replace(/[,!?]+$/, ''));
+  const used = new Array(words.length).fill(false);
+
+  // Dates first, so "on 1st" or "15/10" are not taken for amounts
+  let date = null;
+  let dateText = null;
+  for (let i = 0; i < words.length && !date; i++) {
+    const found = matchDate(words, i, today);
+    if (!found) continue;
+
+    let start = i;
+    // "on", "the" and "on the" belong to the date
+    while (start > 0 && ['on', 'the'].includes(words[start - 1])) start--;
+    for (let j = start; j < i + found.length; j++) used[j] = true;
+    date = found.date;
+    dateText = original.slice(start, i + found.length).join(' ');
+  }
+
+  // With several numbers ("2 coffees 180") one with a currency wins, then the largest
+  const candidates = [];
+  words.forEach((word, i) => {
+    if (used[i]) return;
+    const parsed = parseAmountWord(word);
+    if (Number.isNaN(parsed.amount) || parsed.amount <= 0) return;
+    const nextIsCurrency = CURRENCY_SUFFIXES.test(words[i + 1] || '');
+    const previousIsCurrency = CURRENCY_WORDS.test(words[i - 1] || '');
+    candidates.push({ ...parsed, index: i, hasCurrency: parsed.hasCurrency || nextIsCurrency || previousIsCurrency });
+  });
+  const amountWord = [...candidates].sort((a, b) =>
+    Number(b.hasCurrency) - Number(a.hasCurrency) || b.amount - a.amount
+  )[0] || null;
+  if (amountWord) used[amountWord.index] = true;
+
+  // #hashtags become tags
+  const tags = [];
+  words.forEach((word, i) => {
+    if (!used[i] && /^#[\w-]+$/.test(word)) {
+      const tag = normalizeTag(word);
+      if (tag && !tags.includes(tag)) tags.push(tag);
+      used[i] = true;
+    }
+  });
+
+  const rest = original.filter((word, i) => !used[i]);
+  const isIncome = amountWord?.sign === '+' ||
+    words.some((word, i) => !used[i] && INCOME_WORDS.test(word)) ||
+    /\bgot paid\b/.test(words.join(' '));
+
+  const descriptionWords = trimFillers(rest).join(' ').replace(/[,;]+$/, '');
+  const description = descriptionWords.charAt(0).toUpperCase() + descriptionWords.slice(1);
+
+  return {
+    amount: amountWord ? amountWord.amount : null,
+    date: date || today,
+    dateText,
+    description,
+    type: isIncome ? 'income' : 'expense',
+    tags
+  };
+};
+
+// The category of `type` whose name appears as a word in the description,
+// preferring the longest name ("Eating Out" over "Out"). Archived categories
+// are skipped. Returns the category or null.
+export const findCategoryByName = (description, categories, type) => {
+  const text = ` ${description.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ')} `;
+  return categories
+    .filter(c => (c.type || 'expense') === type && !c.archived)
+    .filter(c => {
+      const name = c.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+      return name && text.includes(` ${name} `);
+    })
+    .sort((a, b) => b.name.length - a.name.length)[0] || null;
+};
@@ -0,0 +1,104 @@
+import { findCategoryByName, parseQuickEntry } from './quickAdd';
+
+// A Monday
+const TODAY = '2026-10-19';
+
+const parse = (text) => parseQuickEntry(text, { today: TODAY });
+
+describe('parseQuickEntry', () => {
+  test('reads amount, description and a relative date', () => {
+    expect(parse('120 pizza with friends yesterday')).toEqual({
+      amount: 120,
+      date: '2026-10-18',
+      dateText: 'yesterday',
+      description: 'Pizza with friends',
+      type: 'expense',
+      tags: []
+    });
+  });
+
+  test('reads a day of the month without taking it for the amount', () => {
+    const entry = parse('rent 8000 on 1st');
+    expect(entry.amount).toBe(8000);
+    expect(entry.date).toBe('2026-10-01');
+    expect(entry.dateText).toBe('on 1st');
+    expect(entry.description).toBe('Rent');
+  });
+
+  test('takes a day later than today from the month before', () => {
+    expect(parse('gym 900 on the 25th').date).toBe('2026-09-25');
+  });
+
+  test.each([
+    ['coffee 80', TODAY],
+    ['coffee 80 today', TODAY],
+    ['coffee 80 day before yesterday', '2026-10-17'],
+    ['coffee 80 3 days ago', '2026-10-16'],
+    ['coffee 80 last friday', '2026-10-16'],
+    ['coffee 80 monday', TODAY],
+    ['coffee 80 last monday', '2026-10-12'],
+    ['coffee 80 on sat', '2026-10-17'],
+    ['coffee 80 15 oct', '2026-10-15'],
+    ['coffee 80 oct 15th', '2026-10-15'],
+    ['coffee 80 25th of december', '2025-12-25'],
+    ['coffee 80 15/10', '2026-10-15'],
+    ['coffee 80 10/15/2026', '2026-10-15'],
+    ['coffee 80 2026-03-02', '2026-03-02']
+  ])('"%s" is dated %s', (text, date) => {
+    const entry = parse(text);
+    expect(entry.date).toBe(date);
+    expect(entry.amount).toBe(80);
+    expect(entry.description).toBe('Coffee');
+  });
+
+  test.each([
+    ['₹1,200 headphones', 1200],
+    ['$12.50 lunch', 12.5],
+    ['uber rs.250', 250],
+    ['laptop 45k', 45000],
+    ['2 coffees 180', 180],
+    ['movie 2 tickets 500rs', 500]
+  ])('"%s" costs %s', (text, amount) => {
+    expect(parse(text).amount).toBe(amount);
+  });
+
+  test('has no amount when the text has no number', () => {
+    expect(parse('pizza yesterday').amount).toBeNull();
+  });
+
+  test('recognises income', () => {
+    expect(parse('stipend 15000 on 1st').type).toBe('income');
+    expect(parse('+500 from mom').type).toBe('income');
+    expect(parse('500 groceries').type).toBe('expense');
+  });
+
+  test('turns hashtags into tags', () => {
+    const entry = parse('spent 300 on dinner #goa-trip #Friends');
+    expect(entry.tags).toEqual(['goa-trip', 'friends']);
+    expect(entry.description).toBe('Dinner');
+  });
+});
+
+describe('findCategoryByName', () => {
+  const categories = [
+    { id: 1, name: 'Food', type: 'expense' },
+    { id: 2, name: 'Eating Out', type: 'expense' },
+    { id: 3, name: 'Rent', type: 'expense' },
+    { id: 4, name: 'Salary', type: 'income' },
+    { id: 5, name: 'Books', type: 'expense', archived: true }
+  ];
+
+  test('finds a category named in the description', () => {
+    expect(findCategoryByName('Rent', categories, 'expense').id).toBe(3);
+  });
+
+  test('prefers the longest name and whole words', () => {
+    expect(findCategoryByName('eating out food', categories, 'expense').id).toBe(2);
+    expect(findCategoryByName('Parental', categories, 'expense')).toBeNull();
+  });
+
+  test('ignores other types and archived categories', () => {
+    expect(findCategoryByName('salary', categories, 'expense')).toBeNull();
+    expect(findCategoryByName('books', categories, 'expense')).toBeNull();
+  });
+});
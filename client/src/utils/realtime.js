@@ -0,0 +1,32 @@
+import { supabase } from '../supabaseClient';
+
+// Listen for changes to the user's rows in `tables`. `onChange(table, payload)`
+// gets each insert, update and delete as Supabase sends it
+// ({ eventType, new, old }). When the connection drops and comes back, changes
+// made in the meantime are lost, so `onResync` is called to reload instead.
+// Returns a function that stops listening.
+export const subscribeToUserChanges = (name, userId, tables, { onChange, onResync }) => {
+  const channel = supabase.channel(`${name}:${userId}`);
+  let joined = false;
+
+  tables.forEach(table => {
+    const handle = (payload) => onChange(table, payload);
+    const filter = `user_id=eq.${userId}`;
+    channel
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table, filter }, handle)
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table, filter }, handle)
+      // Deletes cannot be filtered and only carry the id, which is unknown
+      // here unless the row was ours
+      .on('postgres_changes', { event: 'DELETE', schema: 'public', table }, handle);
+  });
+
+  channel.subscribe((status) => {
+    if (status !== 'SUBSCRIBED') return;
+    if (joined) onResync();
+    joined = true;
+  });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
@@ -0,0 +1,65 @@
+import { supabase } from '../supabaseClient';
+import { apiFetch } from './api';
+
+// Receipts are private; links to them stop working after this long
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+export const MAX_RECEIPTS_PER_TRANSACTION = 10;
+export const RECEIPT_FILE_TYPES = 'image/jpeg,image/png,image/webp,application/pdf';
+
+export const isPdf = (receipt) => receipt.mime_type === 'application/pdf';
+
+// high, medium or low for the 0-1 confidence the server gives each field it
+// read from a receipt
+export const getConfidenceLevel = (confidence) => {
+  if (confidence >= 0.8) return 'high';
+  if (confidence >= 0.5) return 'medium';
+  return 'low';
+};
+
+// Add signed `url` and `thumbnail_url` links to receipts read straight from
+// Supabase (the server API already includes them)
+export const signReceipts = async (receipts) => {
+  const paths = [...new Set(receipts.flatMap(r => [r.storage_path, r.thumbnail_path]).filter(Boolean))];
+  if (paths.length === 0) return receipts;
+
+  const { data, error } = await supabase.storage
+    .from('receipts')
+    .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+  if (error) throw error;
+
+  const urls = new Map(data.filter(file => !file.error).map(file => [file.path, file.signedUrl]));
+  return receipts.map(receipt => ({
+    ...receipt,
+    url: urls.get(receipt.storage_path) || null,
+    thumbnail_url: urls.get(receipt.thumbnail_path) || null
+  }));
+};
+
+// Upload a receipt; the server stores it and reads its text. With a
+// transactionId it is added to that transaction's receipts.
+export const uploadReceipt = async (file, transactionId) => {
+  const body = new FormData();
+  body.append('file', file);
+  if (transactionId) body.append('transaction_id', transactionId);
+
+  const { receipt } = await apiFetch('/api/receipts', { method: 'POST', body });
+  return receipt;
+};
+
+export const attachReceipt = async (receiptId, transactionId) => {
+  const { receipt } = await apiFetch(`/api/receipts/${receiptId}`, {
+    method: 'PATCH',
+    body: { transaction_id: transactionId }
+  });
+  return receipt;
+};
+
+export const extractReceiptAgain = async (receiptId) => {
+  const { receipt } = await apiFetch(`/api/receipts/${receiptId}/extract`, { method: 'POST' });
+  return receipt;
+};
+
+export const deleteReceipt = (receiptId) =>
+  apiFetch(`/api/receipts/${receiptId}`, { method: 'DELETE' });
@@ -0,0 +1,248 @@
+// Parsers for bank statement files. Every parser produces the same row shape:
+// { date: 'YYYY-MM-DD' | null, amount: number (positive), type: 'expense' | 'income',
+//   description: string, categoryName: string }
+
+export const DATE_FORMATS = [
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY' }
+];
+
+export const getStatementFormat = (filename) => {
+  const extension = filename.split('.').pop().toLowerCase();
+  return ['csv', 'ofx', 'qif'].includes(extension) ? extension : null;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Parse a date in one of DATE_FORMATS. Any of / - . ' works as a separator.
+export const parseStatementDate = (value, format) => {
+  const parts = String(value || '').trim().split(/[\s/\-.']+/).map(Number);
+  if (parts.length < 3 || parts.slice(0, 3).some(Number.isNaN)) return null;
+
+  const [a, b, c] = parts;
+  switch (format) {
+    case 'YYYY-MM-DD':
+      return toIsoDate(a, b, c);
+    case 'DD/MM/YYYY':
+      return toIsoDate(c, b, a);
+    case 'MM/DD/YYYY':
+      return toIsoDate(c, a, b);
+    default:
+      return null;
+  }
+};
+
+// Pick the first date format that reads every sample value
+export const detectDateFormat = (values) => {
+  const samples = values.filter(Boolean).slice(0, 50);
+  const match = DATE_FORMATS.find(({ value: format }) =>
+    samples.length > 0 && samples.every(sample => parseStatementDate(sample, format))
+  );
+  return match ? match.value : DATE_FORMATS[0].value;
+};
+
+// Read amounts as banks print them: "1,234.56", "1.234,56", "-12.00",
+// "(12.00)", "12.00 DR", "$12", "₹ 1,200". Returns a signed number or NaN.
+export const parseStatementAmount = (value) => {
+  let text = String(value ?? '').trim();
+  if (!text) return NaN;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/DR$/i.test(text)) sign = -1;
+  text = text.replace(/\s*(CR|DR)$/i, '');
+  if (text.includes('-')) sign = -sign;
+  text = text.replace(/[^\d.,]/g, '');
+
+  // The last separator followed by one or two digits is the decimal point
+  const decimal = text.match(/[.,](\d{1,2})$/);
+  const whole = decimal ? text.slice(0, -decimal[0].length) : text;
+  const number = Number(`${whole.replace(/[.,]/g, '')}${decimal ? `.${decimal[1]}` : ''}`);
+
+  return whole || decimal ? sign * number : NaN;
+};
+
+// Split CSV text into rows of cells (RFC 4180 quoting). The delimiter is
+// whichever of , ; or tab appears most in the first line.
+export const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(Boolean));
+};
+
+// Guess the column mapping from the header row
+export const guessCsvMapping = (headers) => {
+  const find = (pattern) => {
+    const index = headers.findIndex(header => pattern.test(header));
+    return index === -1 ? '' : String(index);
+  };
+
+  const debit = find(/debit|withdrawal|paid out|money out/i);
+  const credit = find(/credit|deposit|paid in|money in/i);
+
+  return {
+    date: find(/date/i),
+    description: find(/description|narration|details|particulars|payee|memo|merchant/i),
+    amount: debit && credit ? '' : find(/amount|value/i),
+    debit: debit && credit ? debit : '',
+    credit: debit && credit ? credit : '',
+    category: find(/category/i),
+    negativeIsExpense: true
+  };
+};
+
+const toRow = (date, signedAmount, description, categoryName = '') => ({
+  date,
+  amount: Number.isNaN(signedAmount) ? NaN : Math.abs(signedAmount),
+  type: signedAmount > 0 ? 'income' : 'expense',
+  description: description.replace(/\s+/g, ' ').trim(),
+  categoryName: categoryName.trim()
+});
+
+// Turn CSV data rows into statement rows using the chosen column mapping.
+// mapping holds column indexes (as strings, '' when unused) plus the sign rule.
+export const mapCsvRows = (dataRows, mapping, dateFormat) =>
+  dataRows.map(cells => {
+    const cell = (key) => (mapping[key] === '' ? '' : cells[Number(mapping[key])] || '');
+
+    let signedAmount;
+    if (mapping.debit !== '' || mapping.credit !== '') {
+      const debit = parseStatementAmount(cell('debit'));
+      const credit = parseStatementAmount(cell('credit'));
+      signedAmount = !Number.isNaN(credit) && credit !== 0
+        ? Math.abs(credit)
+        : -Math.abs(debit);
+    } else {
+      const amount = parseStatementAmount(cell('amount'));
+      signedAmount = mapping.negativeIsExpense ? amount : -amount;
+    }
+
+    return toRow(parseStatementDate(cell('date'), dateFormat), signedAmount, cell('description'), cell('category'));
+  });
+
+// OFX 1.x is SGML (closing tags optional), OFX 2.x is XML; reading each
+// <TAG>value up to the next tag handles both
+const readOfxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+export const parseOfx = (text) => {
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+
+  return blocks.map(block => {
+    const posted = readOfxTag(block, 'DTPOSTED');
+    const date = posted.length >= 8
+      ? toIsoDate(Number(posted.slice(0, 4)), Number(posted.slice(4, 6)), Number(posted.slice(6, 8)))
+      : null;
+    const name = decodeEntities(readOfxTag(block, 'NAME'));
+    const memo = decodeEntities(readOfxTag(block, 'MEMO'));
+    const description = name && memo && !name.includes(memo) ? `${name} - ${memo}` : name || memo;
+
+    return toRow(date, parseStatementAmount(readOfxTag(block, 'TRNAMT')), description);
+  });
+};
+
+// QIF: one field per line, a type letter then the value, records end with ^.
+// Dates are usually MM/DD/YY or MM/DD'YY; dateFormat can override that.
+export const parseQif = (text, dateFormat = 'MM/DD/YYYY') => {
+  const rows = [];
+  let record = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      if (record.date || record.amount) {
+        rows.push(toRow(
+          parseStatementDate(record.date, dateFormat),
+          parseStatementAmount(record.amount),
+          [record.payee, record.memo].filter(Boolean).join(' - '),
+          record.category
+        ));
+      }
+      record = {};
+    } else if (code === 'D') {
+      record.date = value;
+    } else if (code === 'T' || code === 'U') {
+      record.amount = value;
+    } else if (code === 'P') {
+      record.payee = value;
+    } else if (code === 'M') {
+      record.memo = value;
+    } else if (code === 'L') {
+      // Transfers are written as [Account]; sub-categories as Parent:Child
+      record.category = value.replace(/^\[|\]$/g, '').split(':').pop();
+    }
+  });
+
+  return rows;
+};
+
+// Dates as written in a QIF file, for detectDateFormat
+export const getQifDates = (text) =>
+  text.split(/\r?\n/).filter(line => line.startsWith('D')).map(line => line.slice(1).trim());
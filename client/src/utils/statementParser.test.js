@@ -0,0 +1,250 @@
+import {
+  detectDateFormat,
+  getQifDates,
+  getStatementFormat,
+  guessCsvMapping,
+  mapCsvRows,
+  parseCsv,
+  parseOfx,
+  parseQif,
+  parseStatementAmount,
+  parseStatementDate
+} from './statementParser';
+
+describe('parseStatementAmount', () => {
+  test('reads plain and signed amounts', () => {
+    expect(parseStatementAmount('12.50')).toBe(12.5);
+    expect(parseStatementAmount('-12.50')).toBe(-12.5);
+    expect(parseStatementAmount(42)).toBe(42);
+  });
+
+  test('reads negative amounts in parentheses, with a trailing minus or marked DR', () => {
+    expect(parseStatementAmount('(12.00)')).toBe(-12);
+    expect(parseStatementAmount('12.00-')).toBe(-12);
+    expect(parseStatementAmount('12.00 DR')).toBe(-12);
+    expect(parseStatementAmount('12.00 CR')).toBe(12);
+  });
+
+  test('reads thousands separators and comma decimals', () => {
+    expect(parseStatementAmount('1,234.56')).toBe(1234.56);
+    expect(parseStatementAmount('1.234,56')).toBe(1234.56);
+    expect(parseStatementAmount('12,5')).toBe(12.5);
+    expect(parseStatementAmount('1,200')).toBe(1200);
+  });
+
+  test('ignores currency symbols', () => {
+    expect(parseStatementAmount('$12')).toBe(12);
+    expect(parseStatementAmount('₹ 1,200.00')).toBe(1200);
+    expect(parseStatementAmount('-€3,99')).toBe(-3.99);
+  });
+
+  test('gives NaN without a number', () => {
+    expect(parseStatementAmount('')).toBeNaN();
+    expect(parseStatementAmount(null)).toBeNaN();
+    expect(parseStatementAmount('n/a')).toBeNaN();
+  });
+});
+
+describe('parseStatementDate', () => {
+  test('reads each date format with any separator', () => {
+    expect(parseStatementDate('2026-10-19', 'YYYY-MM-DD')).toBe('2026-10-19');
+    expect(parseStatementDate('19/10/2026', 'DD/MM/YYYY')).toBe('2026-10-19');
+    expect(parseStatementDate('19.10.26', 'DD/MM/YYYY')).toBe('2026-10-19');
+    expect(parseStatementDate("10/19'26", 'MM/DD/YYYY')).toBe('2026-10-19');
+  });
+
+  test('gives null for dates that do not exist or do not fit the format', () => {
+    expect(parseStatementDate('19/10/2026', 'MM/DD/YYYY')).toBeNull();
+    expect(parseStatementDate('2026-02-29', 'YYYY-MM-DD')).toBeNull();
+    expect(parseStatementDate('yesterday', 'YYYY-MM-DD')).toBeNull();
+  });
+});
+
+describe('detectDateFormat', () => {
+  test('tells day-first from month-first dates', () => {
+    expect(detectDateFormat(['03/10/2026', '19/10/2026'])).toBe('DD/MM/YYYY');
+    expect(detectDateFormat(['10/03/2026', '10/19/2026'])).toBe('MM/DD/YYYY');
+    expect(detectDateFormat(['2026-10-03', '', '2026-10-19'])).toBe('YYYY-MM-DD');
+  });
+
+  test('prefers day-first when every date reads both ways', () => {
+    expect(detectDateFormat(['03/10/2026', '04/10/2026'])).toBe('DD/MM/YYYY');
+  });
+
+  test('falls back to YYYY-MM-DD', () => {
+    expect(detectDateFormat([])).toBe('YYYY-MM-DD');
+    expect(detectDateFormat(['sometime'])).toBe('YYYY-MM-DD');
+  });
+});
+
+describe('getStatementFormat', () => {
+  test('goes by the file extension', () => {
+    expect(getStatementFormat('october.CSV')).toBe('csv');
+    expect(getStatementFormat('bank.export.ofx')).toBe('ofx');
+    expect(getStatementFormat('money.qif')).toBe('qif');
+    expect(getStatementFormat('statement.pdf')).toBeNull();
+  });
+});
+
+describe('parseCsv', () => {
+  test('splits on commas, keeping quoted commas, quotes and line breaks', () => {
+    const csv = 'Date,Description,Amount\r\n2026-10-19,"Pizza, with ""friends""",-12.50\r\n2026-10-20,"Two\nlines",5\r\n';
+
+    expect(parseCsv(csv)).toEqual([
+      ['Date', 'Description', 'Amount'],
+      ['2026-10-19', 'Pizza, with "friends"', '-12.50'],
+      ['2026-10-20', 'Two\nlines', '5']
+    ]);
+  });
+
+  test('uses semicolons or tabs when the header has more of them', () => {
+    expect(parseCsv('Datum;Omschrijving;Bedrag\n19-10-2026;Koffie, groot;-3,50')).toEqual([
+      ['Datum', 'Omschrijving', 'Bedrag'],
+      ['19-10-2026', 'Koffie, groot', '-3,50']
+    ]);
+    expect(parseCsv('Date\tDetails\tAmount\n2026-10-19\tBus\t-2')[1]).toEqual(['2026-10-19', 'Bus', '-2']);
+  });
+
+  test('drops blank lines and trims cells', () => {
+    expect(parseCsv('a, b\n\n , \n1 ,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('guessCsvMapping', () => {
+  test('finds a single amount column', () => {
+    expect(guessCsvMapping(['Transaction Date', 'Narration', 'Amount', 'Category'])).toEqual({
+      date: '0',
+      description: '1',
+      amount: '2',
+      debit: '',
+      credit: '',
+      category: '3',
+      negativeIsExpense: true
+    });
+  });
+
+  test('uses separate debit and credit columns when there are both', () => {
+    expect(guessCsvMapping(['Date', 'Details', 'Money out', 'Money in', 'Balance'])).toMatchObject({
+      amount: '',
+      debit: '2',
+      credit: '3',
+      category: ''
+    });
+  });
+});
+
+describe('mapCsvRows', () => {
+  test('reads a statement with one signed amount column', () => {
+    const [header, ...rows] = parseCsv([
+      'Date,Description,Amount,Category',
+      '19/10/2026,Coffee   shop,(3.50),Food',
+      '20/10/2026,Salary,"1,500.00",',
+      '21/10/2026,Bank fee,12.00-,'
+    ].join('\n'));
+    const mapping = guessCsvMapping(header);
+
+    expect(mapCsvRows(rows, mapping, 'DD/MM/YYYY')).toEqual([
+      { date: '2026-10-19', amount: 3.5, type: 'expense', description: 'Coffee shop', categoryName: 'Food' },
+      { date: '2026-10-20', amount: 1500, type: 'income', description: 'Salary', categoryName: '' },
+      { date: '2026-10-21', amount: 12, type: 'expense', description: 'Bank fee', categoryName: '' }
+    ]);
+  });
+
+  test('can read positive amounts as expenses', () => {
+    const mapping = { ...guessCsvMapping(['Date', 'Description', 'Amount']), negativeIsExpense: false };
+
+    expect(mapCsvRows([['2026-10-19', 'Card payment', '25']], mapping, 'YYYY-MM-DD')[0]).toMatchObject({
+      amount: 25,
+      type: 'expense'
+    });
+  });
+
+  test('reads separate debit and credit columns', () => {
+    const [header, ...rows] = parseCsv([
+      'Date;Details;Paid out;Paid in',
+      '10/19/2026;Groceries;45,20;',
+      '10/20/2026;Paycheck;;900'
+    ].join('\n'));
+
+    expect(mapCsvRows(rows, guessCsvMapping(header), 'MM/DD/YYYY').map(({ date, amount, type }) => [date, amount, type])).toEqual([
+      ['2026-10-19', 45.2, 'expense'],
+      ['2026-10-20', 900, 'income']
+    ]);
+  });
+
+  test('keeps rows it cannot read so they can be reviewed', () => {
+    const row = mapCsvRows([['19/10/2026', 'Mystery', 'n/a']], guessCsvMapping(['Date', 'Description', 'Amount']), 'YYYY-MM-DD')[0];
+
+    expect(row.date).toBeNull();
+    expect(row.amount).toBeNaN();
+  });
+});
+
+describe('parseOfx', () => {
+  test('reads OFX 1.x without closing tags', () => {
+    const ofx = [
+      'OFXHEADER:100',
+      '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+      '<STMTTRN>',
+      '<TRNTYPE>DEBIT',
+      '<DTPOSTED>20261019120000[-5:EST]',
+      '<TRNAMT>-12.50',
+      '<NAME>STARBUCKS &amp; CO',
+      '<MEMO>Latte',
+      '<STMTTRN>',
+      '<TRNTYPE>CREDIT',
+      '<DTPOSTED>20261020',
+      '<TRNAMT>1500.00',
+      '<NAME>ACME PAYROLL',
+      '<MEMO>ACME',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\r\n');
+
+    expect(parseOfx(ofx)).toEqual([
+      { date: '2026-10-19', amount: 12.5, type: 'expense', description: 'STARBUCKS & CO - Latte', categoryName: '' },
+      { date: '2026-10-20', amount: 1500, type: 'income', description: 'ACME PAYROLL', categoryName: '' }
+    ]);
+  });
+
+  test('reads OFX 2.x XML', () => {
+    const ofx = '<?xml version="1.0"?><OFX><STMTTRN><DTPOSTED>20261021</DTPOSTED>' +
+      '<TRNAMT>-3,99</TRNAMT><MEMO>Bus ticket</MEMO></STMTTRN></OFX>';
+
+    expect(parseOfx(ofx)).toEqual([
+      { date: '2026-10-21', amount: 3.99, type: 'expense', description: 'Bus ticket', categoryName: '' }
+    ]);
+  });
+});
+
+describe('parseQif', () => {
+  const QIF = [
+    '!Type:Bank',
+    "D10/19'26",
+    'T-12.50',
+    'PStarbucks',
+    'MLatte',
+    'LFood:Coffee',
+    '^',
+    'D10/20/2026',
+    'U1,500.00',
+    'PAcme',
+    'L[Savings]',
+    '^',
+    ''
+  ].join('\n');
+
+  test('reads each record up to the ^', () => {
+    expect(parseQif(QIF)).toEqual([
+      { date: '2026-10-19', amount: 12.5, type: 'expense', description: 'Starbucks - Latte', categoryName: 'Coffee' },
+      { date: '2026-10-20', amount: 1500, type: 'income', description: 'Acme', categoryName: 'Savings' }
+    ]);
+  });
+
+  test('reads day-first dates when told to', () => {
+    const qif = '!Type:CCard\nD19/10/2026\nT-4.00\nPBakery\n^';
+
+    expect(detectDateFormat(getQifDates(qif))).toBe('DD/MM/YYYY');
+    expect(parseQif(qif, 'DD/MM/YYYY')[0].date).toBe('2026-10-19');
+    expect(parseQif(qif)[0].date).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+import { apiFetch } from './api';
+import { invalidateQueries } from './dataStore';
+import { bucketLabel } from './dateRanges';
+
+// Totals added up by the server (/api/summary), so charts and summaries do not
+// depend on how much history has been loaded. Ranges are { startDate, endDate }.
+
+const rangeParams = ({ startDate, endDate }, extra = {}) => {
+  const params = new URLSearchParams({ start_date: startDate, end_date: endDate });
+  Object.entries(extra).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params;
+};
+
+// Cache keys of the user's summaries in the data store all start with this
+export const summaryKeyPrefix = (userId) => `summary:${userId}:`;
+
+// { totals: { expenses, income, net, count, expenseCount }, categories: [{ category_id, category, parent_id, type, total, count }] }
+export const fetchSummary = (range, { tag } = {}) =>
+  apiFetch(`/api/summary?${rangeParams(range, { tag })}`);
+
+// { bucket, rows: [{ key, name, expenses, recurring, income, net, count }] }
+// with a row for every day, week or month of the range; the server picks the
+// bucket unless one is given. `recurring` is the part of the expenses
+// generated from recurring rules.
+export const fetchTrend = async (range, { bucket, tag } = {}) => {
+  const trend = await apiFetch(`/api/summary/trend?${rangeParams(range, { bucket, tag })}`);
+  return {
+    bucket: trend.bucket,
+    rows: trend.rows.map(({ period, ...row }) => {
+      const key = trend.bucket === 'month' ? period.slice(0, 7) : period;
+      return { key, name: bucketLabel(key, trend.bucket), ...row };
+    })
+  };
+};
+
+// [{ tag, expenses, income, net, count }], largest expenses first
+export const fetchTagTotals = async (range) => {
+  const { tags } = await apiFetch(`/api/summary/tags?${rangeParams(range)}`);
+  return tags;
+};
+
+// How much of a month's budgets has been spent: { spent, budget, categories }.
+// budget is null without one, else { amount, carry_over, effective, spent,
+// remaining, percentUsed, isOverBudget }; categories have the same figures.
+export const fetchBudgetUsage = ({ month, year }) =>
+  apiFetch(`/api/summary/budget?month=${month}&year=${year}`);
+
+// Reload every summary a page is showing and mark the rest out of date
+export const refreshSummaries = (userId) => invalidateQueries(summaryKeyPrefix(userId));
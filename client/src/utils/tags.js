@@ -0,0 +1,56 @@
+import { supabase } from '../supabaseClient';
+
+const MAX_TAG_LENGTH = 50;
+
+// Tags are stored lower-case with dashes: "Trip Goa" becomes "trip-goa"
+export const normalizeTag = (name) => name
+  .trim()
+  .toLowerCase()
+  .replace(/^#/, '')
+  .replace(/\s+/g, '-')
+  .replace(/[^a-z0-9\-_]/g, '')
+  .slice(0, MAX_TAG_LENGTH);
+
+export const fetchTags = async (userId) => {
+  const { data, error } = await supabase
+    .from('tags')
+    .select('id, name')
+    .eq('user_id', userId)
+    .order('name');
+
+  if (error) throw error;
+  return data;
+};
+
+// Flatten the transaction_tags(tags(name)) join into a list of names
+export const getTransactionTags = (transaction) =>
+  (transaction.transaction_tags || [])
+    .map(link => link.tags?.name)
+    .filter(Boolean)
+    .sort();
+
+// Replace the tags on a transaction, creating any tags the user has not used before
+export const saveTransactionTags = async (userId, transactionId, names) => {
+  const uniqueNames = [...new Set(names.map(normalizeTag).filter(Boolean))];
+
+  const { error: deleteError } = await supabase
+    .from('transaction_tags')
+    .delete()
+    .eq('transaction_id', transactionId);
+
+  if (deleteError) throw deleteError;
+  if (uniqueNames.length === 0) return;
+
+  const { data: tags, error: tagError } = await supabase
+    .from('tags')
+    .upsert(uniqueNames.map(name => ({ user_id: userId, name })), { onConflict: 'user_id,name' })
+    .select('id');
+
+  if (tagError) throw tagError;
+
+  const { error: linkError } = await supabase
+    .from('transaction_tags')
+    .insert(tags.map(tag => ({ transaction_id: transactionId, tag_id: tag.id })));
+
+  if (linkError) throw linkError;
+};
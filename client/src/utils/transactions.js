@@ -0,0 +1,242 @@
+import { supabase } from '../supabaseClient';
+import { apiFetch } from './api';
+import { invalidateQueries, setQueriesData } from './dataStore';
+import { signReceipts } from './receipts';
+import { refreshSummaries } from './summaries';
+import { getTransactionTags, saveTransactionTags } from './tags';
+
+// Everything any page shows about a transaction
+const TRANSACTION_COLUMNS = `
+  id,
+  amount,
+  type,
+  date,
+  description,
+  category_id,
+  recurring_id,
+  created_at,
+  categories!inner(
+    name,
+    parent_id
+  ),
+  receipts(
+    id,
+    storage_path,
+    thumbnail_path,
+    filename,
+    mime_type,
+    status
+  ),
+  transaction_tags(
+    tags(
+      name
+    )
+  )
+`;
+
+// PostgREST caps each response, so the history is read in batches
+const BATCH_SIZE = 1000;
+
+// Cache keys of the user's transactions in the data store all start with this
+const transactionsKeyPrefix = (userId) => `transactions:${userId}:`;
+
+// Cache key of the user's transactions within `range` (either end optional)
+export const transactionsKey = (userId, { startDate, endDate } = {}) =>
+  `${transactionsKeyPrefix(userId)}${startDate || ''}:${endDate || ''}`;
+
+const getKeyRange = (userId, key) => {
+  const [startDate, endDate] = key.slice(transactionsKeyPrefix(userId).length).split(':');
+  return { startDate, endDate };
+};
+
+const newestFirst = (a, b) => b.date.localeCompare(a.date);
+
+let pendingIds = 0;
+
+// The user's transactions within `range` ({ startDate, endDate }, either end
+// optional; all of them without one), newest first, with the category name,
+// tag names and signed receipt links flattened onto each one
+export const fetchTransactions = async (userId, { startDate, endDate } = {}) => {
+  const rows = [];
+  for (let from = 0; ; from += BATCH_SIZE) {
+    let query = supabase
+      .from('transactions')
+      .select(TRANSACTION_COLUMNS)
+      .eq('user_id', userId);
+    if (startDate) query = query.gte('date', startDate);
+    if (endDate) query = query.lte('date', endDate);
+
+    const { data, error } = await query
+      .order('date', { ascending: false })
+      .order('id')
+      .range(from, from + BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < BATCH_SIZE) break;
+  }
+
+  const signed = await signReceipts(rows.flatMap(transaction => transaction.receipts));
+  const receipts = new Map(signed.map(receipt => [receipt.id, receipt]));
+
+  return rows.map(({ categories, transaction_tags: links, ...transaction }) => ({
+    ...transaction,
+    category_name: categories.name,
+    category_parent_id: categories.parent_id,
+    tags: getTransactionTags({ transaction_tags: links }),
+    receipts: transaction.receipts.map(receipt => receipts.get(receipt.id))
+  }));
+};
+
+// Transactions within `range` ({ startDate, endDate }, either end optional)
+// that match `filters`: { type, categoryId, tag }
+export const filterTransactions = (transactions, { range, type, categoryId, tag } = {}) =>
+  transactions.filter(t =>
+    (!range?.startDate || t.date >= range.startDate) &&
+    (!range?.endDate || t.date <= range.endDate) &&
+    (!type || (t.type || 'expense') === type) &&
+    (!categoryId || t.category_id === categoryId || t.category_parent_id === categoryId) &&
+    (!tag || t.tags.includes(tag))
+  );
+
+// Change every cached range of the user's transactions, keeping each to the
+// rows that belong in it
+const updateCachedTransactions = (userId, updater) => {
+  setQueriesData(transactionsKeyPrefix(userId), (rows, key) =>
+    filterTransactions(updater(rows), { range: getKeyRange(userId, key) }));
+};
+
+const invalidateTransactions = (userId) => invalidateQueries(transactionsKeyPrefix(userId));
+
+// The cached row for a transaction before the saved one is loaded
+const draftRow = (transaction, { category, tags }) => ({
+  ...transaction,
+  ...(category ? { category_name: category.name, category_parent_id: category.parent_id } : {}),
+  ...(tags ? { tags } : {})
+});
+
+// Add a transaction with its tags. Every page shows it straight away; if
+// saving fails it is taken out again. `category` names it in the meantime.
+// Resolves to the new transaction's id.
+export const createTransaction = async (userId, transaction, { tags = [], category = null } = {}) => {
+  const pendingId = `pending-${++pendingIds}`;
+  updateCachedTransactions(userId, rows => [
+    { recurring_id: null, receipts: [], ...draftRow(transaction, { category, tags }), id: pendingId },
+    ...rows
+  ].sort(newestFirst));
+
+  try {
+    const { data, error } = await supabase
+      .from('transactions')
+      .insert({ ...transaction, user_id: userId })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    if (tags.length > 0) {
+      await saveTransactionTags(userId, data.id, tags);
+    }
+
+    // A realtime update may have added the saved row already
+    updateCachedTransactions(userId, rows => rows
+      .filter(row => row.id !== data.id)
+      .map(row => (row.id === pendingId ? { ...row, id: data.id } : row)));
+    return data.id;
+  } catch (error) {
+    updateCachedTransactions(userId, rows => rows.filter(row => row.id !== pendingId));
+    throw error;
+  } finally {
+    invalidateTransactions(userId);
+    refreshSummaries(userId);
+  }
+};
+
+// Change a transaction and, when given, replace its tags. Shown straight away
+// and reloaded afterwards, which also undoes the change if saving fails.
+export const updateTransaction = async (userId, id, changes, { tags, category } = {}) => {
+  updateCachedTransactions(userId, rows => rows
+    .map(row => (row.id === id ? { ...row, ...draftRow(changes, { category, tags }) } : row))
+    .sort(newestFirst));
+
+  try {
+    const { error } = await supabase
+      .from('transactions')
+      .update(changes)
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    if (tags) {
+      await saveTransactionTags(userId, id, tags);
+    }
+  } finally {
+    invalidateTransactions(userId);
+    refreshSummaries(userId);
+  }
+};
+
+// Delete a transaction through the server, which also removes its receipt
+// files. It disappears straight away and comes back if the delete fails.
+export const deleteTransaction = async (userId, id) => {
+  let removed = null;
+  updateCachedTransactions(userId, rows => {
+    removed = removed || rows.find(row => row.id === id) || null;
+    return rows.filter(row => row.id !== id);
+  });
+
+  try {
+    await apiFetch(`/api/transactions/${id}`, { method: 'DELETE' });
+  } catch (error) {
+    if (removed) {
+      updateCachedTransactions(userId, rows => [...rows.filter(row => row.id !== id), removed].sort(newestFirst));
+    }
+    throw error;
+  }
+
+  refreshSummaries(userId);
+};
+
+// Reload the transactions and their totals on every page, e.g. after an
+// import or after rules changed many of them at once
+export const refreshTransactions = (userId) =>
+  Promise.all([invalidateTransactions(userId), refreshSummaries(userId)]);
+
+// Apply a realtime change ({ eventType, new, old }) to the cached transactions.
+// `categories` name the category of new rows; for one not among them
+// (created since they were loaded) everything is reloaded instead.
+export const applyTransactionChange = (userId, { eventType, new: row, old }, categories) => {
+  if (eventType === 'DELETE') {
+    updateCachedTransactions(userId, rows => rows.filter(t => t.id !== old.id));
+    return;
+  }
+
+  const category = categories.find(c => c.id === row.category_id);
+  if (!category) {
+    invalidateTransactions(userId);
+    return;
+  }
+
+  updateCachedTransactions(userId, rows => {
+    // Tags and receipts are not part of the change, so keep what is known
+    const existing = rows.find(t => t.id === row.id);
+    const transaction = {
+      tags: [],
+      receipts: [],
+      ...existing,
+      id: row.id,
+      amount: Number(row.amount),
+      type: row.type,
+      date: row.date,
+      description: row.description,
+      category_id: row.category_id,
+      recurring_id: row.recurring_id,
+      created_at: row.created_at,
+      category_name: category.name,
+      category_parent_id: category.parent_id
+    };
+    return [...rows.filter(t => t.id !== row.id), transaction].sort(newestFirst);
+  });
+};
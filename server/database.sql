@@ -45,4 +45,619 @@ USING (bucket_id = 'receipts' AND auth.uid()::text = (storage.foldername(name))[
 
 CREATE POLICY "Users can manage their own transactions" 
 ON transactions FOR ALL
-USING (auth.uid() = user_id);
\ No newline at end of file
+USING (auth.uid() = user_id);
+
+-- Create budgets table (overall monthly cap)
+CREATE TABLE IF NOT EXISTS budgets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+  year INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, month, year)
+);
+
+ALTER TABLE budgets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own budgets"
+ON budgets FOR ALL
+USING (auth.uid() = user_id);
+
+-- Create category_budgets table (per-category monthly caps alongside the overall budget)
+CREATE TABLE category_budgets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  category_id INTEGER REFERENCES categories(id) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+  year INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, category_id, month, year)
+);
+
+ALTER TABLE category_budgets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own category budgets"
+ON category_budgets FOR ALL
+USING (auth.uid() = user_id);
+
+-- Carry-over from the previous month (positive = unspent, negative = overspent)
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS carry_over DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- Create budget_templates table (recurring budget auto-applied to each new month)
+CREATE TABLE budget_templates (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id),
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  category_amounts JSONB NOT NULL DEFAULT '{}'::jsonb, -- { "<category_id>": amount }
+  carry_over BOOLEAN NOT NULL DEFAULT FALSE,
+  start_month INTEGER NOT NULL CHECK (start_month BETWEEN 1 AND 12),
+  start_year INTEGER NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE budget_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own budget template"
+ON budget_templates FOR ALL
+USING (auth.uid() = user_id);
+
+-- Income tracking: categories and transactions are either expenses or income
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS type VARCHAR(10) NOT NULL DEFAULT 'expense'
+  CHECK (type IN ('expense', 'income'));
+
+INSERT INTO categories (name, type) VALUES
+('Allowance', 'income'), ('Stipend', 'income'), ('Scholarship', 'income'),
+('Part-time Job', 'income'), ('Other Income', 'income');
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS type VARCHAR(10) NOT NULL DEFAULT 'expense'
+  CHECK (type IN ('expense', 'income'));
+
+CREATE INDEX IF NOT EXISTS transactions_user_type_date_idx ON transactions (user_id, type, date);
+
+-- User-defined categories: rows with a NULL user_id are the shared defaults
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categories(id) ON DELETE CASCADE;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS color VARCHAR(7);
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS archived BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Give the defaults the colours the dashboard used to hard-code
+UPDATE categories SET color = CASE name
+  WHEN 'Food' THEN '#0088FE'
+  WHEN 'Clothing' THEN '#00C49F'
+  WHEN 'Travel' THEN '#FFBB28'
+  WHEN 'Rent' THEN '#FF8042'
+  WHEN 'Entertainment' THEN '#8884D8'
+  WHEN 'Others' THEN '#82CA9D'
+  ELSE '#28A745'
+END
+WHERE user_id IS NULL AND color IS NULL;
+
+CREATE INDEX IF NOT EXISTS categories_user_id_idx ON categories (user_id);
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view default and their own categories"
+ON categories FOR SELECT USING (user_id IS NULL OR auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own categories"
+ON categories FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own categories"
+ON categories FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own categories"
+ON categories FOR DELETE USING (auth.uid() = user_id);
+
+-- Merge one of the user's categories into another visible category. Moves the
+-- user's transactions, budgets, category rules and sub-categories, then deletes
+-- the source.
+-- Returns the number of transactions that were moved.
+CREATE OR REPLACE FUNCTION merge_categories(source_id INTEGER, target_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  source categories%ROWTYPE;
+  target categories%ROWTYPE;
+  moved INTEGER;
+BEGIN
+  SELECT * INTO source FROM categories WHERE id = source_id AND user_id = auth.uid();
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Only your own categories can be merged';
+  END IF;
+
+  SELECT * INTO target FROM categories
+  WHERE id = target_id AND (user_id IS NULL OR user_id = auth.uid());
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Target category not found';
+  END IF;
+
+  IF source.id = target.id THEN
+    RAISE EXCEPTION 'A category cannot be merged into itself';
+  END IF;
+  IF source.type <> target.type THEN
+    RAISE EXCEPTION 'Only categories of the same type can be merged';
+  END IF;
+  IF target.parent_id = source.id THEN
+    RAISE EXCEPTION 'A category cannot be merged into one of its sub-categories';
+  END IF;
+
+  UPDATE transactions SET category_id = target.id
+  WHERE category_id = source.id AND user_id = auth.uid();
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  -- Months budgeted for both categories keep one budget with the combined amount
+  UPDATE category_budgets t SET amount = t.amount + s.amount
+  FROM category_budgets s
+  WHERE s.category_id = source.id AND t.category_id = target.id
+    AND s.user_id = auth.uid() AND t.user_id = s.user_id
+    AND t.month = s.month AND t.year = s.year;
+
+  DELETE FROM category_budgets s
+  WHERE s.category_id = source.id AND s.user_id = auth.uid()
+    AND EXISTS (
+      SELECT 1 FROM category_budgets t
+      WHERE t.category_id = target.id AND t.user_id = s.user_id
+        AND t.month = s.month AND t.year = s.year
+    );
+
+  UPDATE category_budgets SET category_id = target.id
+  WHERE category_id = source.id AND user_id = auth.uid();
+
+  UPDATE budget_templates
+  SET category_amounts = (category_amounts - source.id::text) || jsonb_build_object(
+    target.id::text,
+    COALESCE((category_amounts ->> target.id::text)::numeric, 0) + (category_amounts ->> source.id::text)::numeric
+  )
+  WHERE user_id = auth.uid() AND category_amounts ? source.id::text;
+
+  UPDATE category_rules SET category_id = target.id
+  WHERE category_id = source.id AND user_id = auth.uid();
+
+  UPDATE recurring_transactions SET category_id = target.id
+  WHERE category_id = source.id AND user_id = auth.uid();
+
+  -- What the unusual-expense check was taught about the merged category still
+  -- applies to the combined one
+  DELETE FROM anomaly_exceptions s
+  WHERE s.category_id = source.id AND s.user_id = auth.uid()
+    AND EXISTS (
+      SELECT 1 FROM anomaly_exceptions t
+      WHERE t.category_id = target.id AND t.user_id = s.user_id
+        AND t.reason = s.reason AND t.merchant IS NOT DISTINCT FROM s.merchant
+    );
+
+  UPDATE anomaly_exceptions SET category_id = target.id
+  WHERE category_id = source.id AND user_id = auth.uid();
+
+  -- Sub-categories follow the merge; only two levels are allowed
+  UPDATE categories SET parent_id = COALESCE(target.parent_id, target.id)
+  WHERE parent_id = source.id AND user_id = auth.uid();
+
+  DELETE FROM categories WHERE id = source.id;
+
+  RETURN moved;
+END;
+$$;
+
+-- Create tags table (free-form labels such as "trip-goa" or "exam-week")
+CREATE TABLE tags (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+-- Create transaction_tags table (many-to-many between transactions and tags)
+CREATE TABLE transaction_tags (
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE NOT NULL,
+  tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE NOT NULL,
+  PRIMARY KEY (transaction_id, tag_id)
+);
+
+CREATE INDEX transaction_tags_tag_id_idx ON transaction_tags (tag_id);
+
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transaction_tags ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own tags"
+ON tags FOR ALL
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage tags on their own transactions"
+ON transaction_tags FOR ALL
+USING (EXISTS (
+  SELECT 1 FROM transactions t
+  WHERE t.id = transaction_id AND t.user_id = auth.uid()
+))
+WITH CHECK (
+  EXISTS (SELECT 1 FROM transactions t WHERE t.id = transaction_id AND t.user_id = auth.uid()) AND
+  EXISTS (SELECT 1 FROM tags g WHERE g.id = tag_id AND g.user_id = auth.uid())
+);
+
+-- Create recurring_transactions table (rent, subscriptions, mess fees...)
+CREATE TABLE recurring_transactions (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  type VARCHAR(10) NOT NULL DEFAULT 'expense' CHECK (type IN ('expense', 'income')),
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  category_id INTEGER REFERENCES categories(id) NOT NULL,
+  description TEXT,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'semester')),
+  start_date DATE NOT NULL,
+  end_date DATE CHECK (end_date IS NULL OR end_date >= start_date),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Every occurrence up to and including this date has been turned into a transaction
+  last_generated_date DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create recurring_exceptions table (a single occurrence skipped or changed)
+CREATE TABLE recurring_exceptions (
+  id SERIAL PRIMARY KEY,
+  recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  occurrence_date DATE NOT NULL,
+  skip BOOLEAN NOT NULL DEFAULT FALSE,
+  amount DECIMAL(10, 2) CHECK (amount > 0),
+  description TEXT,
+  UNIQUE (recurring_id, occurrence_date)
+);
+
+-- Link generated transactions to their rule; the unique key makes generation idempotent
+ALTER TABLE transactions
+  ADD COLUMN recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL,
+  ADD COLUMN occurrence_date DATE,
+  ADD CONSTRAINT transactions_recurring_occurrence_key UNIQUE (recurring_id, occurrence_date);
+
+ALTER TABLE recurring_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recurring_exceptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own recurring transactions"
+ON recurring_transactions FOR ALL
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own recurring exceptions"
+ON recurring_exceptions FOR ALL
+USING (auth.uid() = user_id);
+
+-- Create imports table (one row per imported bank statement, so it can be undone)
+CREATE TABLE imports (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  filename TEXT,
+  format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'ofx', 'qif')),
+  imported_count INTEGER NOT NULL DEFAULT 0,
+  skipped_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Undoing an import deletes its row, which removes the transactions it created
+ALTER TABLE transactions
+  ADD COLUMN import_id INTEGER REFERENCES imports(id) ON DELETE CASCADE;
+
+CREATE INDEX transactions_import_id_idx ON transactions (import_id);
+
+ALTER TABLE imports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own imports"
+ON imports FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own imports"
+ON imports FOR DELETE USING (auth.uid() = user_id);
+
+-- Record an import and insert all of its transactions in a single database
+-- transaction, so a failure part-way through leaves nothing behind. Only the
+-- server calls this (with the service key) after validating every row.
+-- Returns the new import id.
+CREATE OR REPLACE FUNCTION import_transactions(
+  p_user_id UUID,
+  p_filename TEXT,
+  p_format TEXT,
+  p_skipped INTEGER,
+  p_rows JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  new_import_id INTEGER;
+  new_transaction_id UUID;
+  inserted INTEGER := 0;
+  r RECORD;
+BEGIN
+  INSERT INTO imports (user_id, filename, format, skipped_count)
+  VALUES (p_user_id, p_filename, p_format, p_skipped)
+  RETURNING id INTO new_import_id;
+
+  FOR r IN
+    SELECT * FROM jsonb_to_recordset(p_rows) AS x(
+      type VARCHAR(10),
+      amount DECIMAL(10, 2),
+      category_id INTEGER,
+      description TEXT,
+      date DATE,
+      tags TEXT[]
+    )
+  LOOP
+    INSERT INTO transactions (user_id, type, amount, category_id, description, date, import_id)
+    VALUES (p_user_id, r.type, r.amount, r.category_id, r.description, r.date, new_import_id)
+    RETURNING id INTO new_transaction_id;
+    inserted := inserted + 1;
+
+    -- Tags added by category rules
+    IF COALESCE(cardinality(r.tags), 0) > 0 THEN
+      INSERT INTO tags (user_id, name)
+      SELECT p_user_id, unnest(r.tags)
+      ON CONFLICT (user_id, name) DO NOTHING;
+
+      INSERT INTO transaction_tags (transaction_id, tag_id)
+      SELECT new_transaction_id, id FROM tags
+      WHERE user_id = p_user_id AND name = ANY(r.tags)
+      ON CONFLICT DO NOTHING;
+    END IF;
+  END LOOP;
+
+  UPDATE imports SET imported_count = inserted WHERE id = new_import_id;
+
+  RETURN new_import_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION import_transactions(UUID, TEXT, TEXT, INTEGER, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Create receipts table (uploaded receipt files with the text read from them)
+CREATE TABLE receipts (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE,
+  storage_path TEXT NOT NULL,
+  thumbnail_path TEXT,
+  filename TEXT,
+  mime_type VARCHAR(100) NOT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+  ocr_text TEXT,
+  parsed JSONB,
+  error TEXT,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(ocr_text, ''))) STORED
+);
+
+CREATE INDEX receipts_user_id_idx ON receipts (user_id);
+CREATE INDEX receipts_transaction_id_idx ON receipts (transaction_id);
+CREATE INDEX receipts_search_idx ON receipts USING GIN (search_vector);
+
+ALTER TABLE receipts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own receipts"
+ON receipts FOR SELECT USING (auth.uid() = user_id);
+
+-- Receipts are private; the app reads them through short-lived signed URLs
+UPDATE storage.buckets SET public = false WHERE id = 'receipts';
+
+-- Move receipts stored as public URLs on transactions into the receipts table
+-- (their text can be extracted later from the app), then drop the column
+INSERT INTO receipts (user_id, transaction_id, storage_path, mime_type)
+SELECT
+  user_id,
+  id,
+  substring(receipt_url FROM '/receipts/(.+)$'),
+  CASE lower(substring(receipt_url FROM '\.(\w+)$'))
+    WHEN 'pdf' THEN 'application/pdf'
+    WHEN 'png' THEN 'image/png'
+    WHEN 'webp' THEN 'image/webp'
+    ELSE 'image/jpeg'
+  END
+FROM transactions
+WHERE receipt_url LIKE '%/receipts/%';
+
+ALTER TABLE transactions DROP COLUMN receipt_url;
+
+-- Create category_rules table (fill in the category and tags of transactions
+-- whose description, merchant or amount matches)
+CREATE TABLE category_rules (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  match_type VARCHAR(10) NOT NULL CHECK (match_type IN ('contains', 'regex', 'merchant', 'amount')),
+  pattern TEXT,
+  min_amount DECIMAL(10, 2) CHECK (min_amount >= 0),
+  max_amount DECIMAL(10, 2) CHECK (max_amount >= 0),
+  category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE NOT NULL,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  priority INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (match_type = 'amount' OR pattern IS NOT NULL),
+  CHECK (match_type <> 'amount' OR min_amount IS NOT NULL OR max_amount IS NOT NULL),
+  CHECK (min_amount IS NULL OR max_amount IS NULL OR min_amount <= max_amount)
+);
+
+CREATE INDEX category_rules_user_id_idx ON category_rules (user_id);
+
+ALTER TABLE category_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own category rules"
+ON category_rules FOR ALL
+USING (auth.uid() = user_id);
+
+-- Create insights table (AI insights as generated, kept for history and so an
+-- unchanged month is not sent to the AI provider again)
+CREATE TABLE insights (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+  year INTEGER NOT NULL,
+  source VARCHAR(10) NOT NULL CHECK (source IN ('dashboard', 'reports')),
+  input_hash CHAR(64) NOT NULL,
+  provider VARCHAR(20) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  insights TEXT NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX insights_user_month_idx ON insights (user_id, year, month);
+CREATE INDEX insights_input_hash_idx ON insights (user_id, input_hash);
+
+ALTER TABLE insights ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own insights"
+ON insights FOR ALL
+USING (auth.uid() = user_id);
+
+-- Create transaction_anomalies table (expenses flagged as unusual, kept once
+-- dismissed so they are not flagged again)
+CREATE TABLE transaction_anomalies (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE NOT NULL UNIQUE,
+  reasons JSONB NOT NULL DEFAULT '[]',
+  status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'dismissed')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  dismissed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX transaction_anomalies_user_status_idx ON transaction_anomalies (user_id, status);
+
+-- Create anomaly_exceptions table (what the user has taught the detector is
+-- normal: a reason in a category, optionally only for one merchant)
+CREATE TABLE anomaly_exceptions (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('amount', 'new_merchant', 'duplicate')),
+  category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE NOT NULL,
+  merchant TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX anomaly_exceptions_user_id_idx ON anomaly_exceptions (user_id);
+
+ALTER TABLE transaction_anomalies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE anomaly_exceptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own transaction anomalies"
+ON transaction_anomalies FOR ALL
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own anomaly exceptions"
+ON anomaly_exceptions FOR ALL
+USING (auth.uid() = user_id);
+
+-- Send changes to transactions and budgets over Supabase Realtime so open
+-- dashboards update without polling
+ALTER PUBLICATION supabase_realtime ADD TABLE transactions, budgets, category_budgets;
+
+-- Totals for charts and summaries, computed in the database so a long history
+-- never has to be sent to the browser. Only the server calls these (with the
+-- service key) for the signed-in user. Dates are inclusive; a tag, when given,
+-- narrows every total down to the transactions carrying it.
+CREATE INDEX IF NOT EXISTS transactions_user_date_idx ON transactions (user_id, date);
+
+-- Expense and income totals per category
+CREATE OR REPLACE FUNCTION transaction_totals_by_category(
+  p_user_id UUID,
+  p_start DATE,
+  p_end DATE,
+  p_tag TEXT DEFAULT NULL
+)
+RETURNS TABLE (category_id INTEGER, type VARCHAR(10), total DECIMAL(12, 2), count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT t.category_id, t.type, SUM(t.amount), COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.date BETWEEN p_start AND p_end
+    AND (p_tag IS NULL OR EXISTS (
+      SELECT 1 FROM transaction_tags tt JOIN tags g ON g.id = tt.tag_id
+      WHERE tt.transaction_id = t.id AND g.name = p_tag
+    ))
+  GROUP BY t.category_id, t.type;
+$$;
+
+-- Expenses and income per day, week (starting Monday) or month, including the
+-- periods without any transactions. recurring_expenses is the part of the
+-- expenses generated from recurring rules, which the forecast treats apart.
+-- The columns have changed over time, and CREATE OR REPLACE cannot change them.
+DROP FUNCTION IF EXISTS transaction_totals_by_period(UUID, DATE, DATE, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION transaction_totals_by_period(
+  p_user_id UUID,
+  p_start DATE,
+  p_end DATE,
+  p_bucket TEXT,
+  p_tag TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  period DATE,
+  expenses DECIMAL(12, 2),
+  recurring_expenses DECIMAL(12, 2),
+  income DECIMAL(12, 2),
+  count BIGINT,
+  expense_count BIGINT,
+  income_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH periods AS (
+    SELECT generate_series(
+      date_trunc(p_bucket, p_start::TIMESTAMP),
+      date_trunc(p_bucket, p_end::TIMESTAMP),
+      ('1 ' || p_bucket)::INTERVAL
+    )::DATE AS period
+  ),
+  totals AS (
+    SELECT date_trunc(p_bucket, t.date::TIMESTAMP)::DATE AS period,
+      SUM(t.amount) FILTER (WHERE t.type = 'expense') AS expenses,
+      SUM(t.amount) FILTER (WHERE t.type = 'expense' AND t.recurring_id IS NOT NULL) AS recurring_expenses,
+      SUM(t.amount) FILTER (WHERE t.type = 'income') AS income,
+      COUNT(*) AS count,
+      COUNT(*) FILTER (WHERE t.type = 'expense') AS expense_count,
+      COUNT(*) FILTER (WHERE t.type = 'income') AS income_count
+    FROM transactions t
+    WHERE t.user_id = p_user_id
+      AND t.date BETWEEN p_start AND p_end
+      AND (p_tag IS NULL OR EXISTS (
+        SELECT 1 FROM transaction_tags tt JOIN tags g ON g.id = tt.tag_id
+        WHERE tt.transaction_id = t.id AND g.name = p_tag
+      ))
+    GROUP BY 1
+  )
+  SELECT p.period, COALESCE(s.expenses, 0), COALESCE(s.recurring_expenses, 0),
+    COALESCE(s.income, 0), COALESCE(s.count, 0), COALESCE(s.expense_count, 0),
+    COALESCE(s.income_count, 0)
+  FROM periods p
+  LEFT JOIN totals s ON s.period = p.period
+  ORDER BY p.period;
+$$;
+
+-- Expenses and income per tag
+CREATE OR REPLACE FUNCTION transaction_totals_by_tag(
+  p_user_id UUID,
+  p_start DATE,
+  p_end DATE
+)
+RETURNS TABLE (tag TEXT, expenses DECIMAL(12, 2), income DECIMAL(12, 2), count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT g.name,
+    COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'expense'), 0),
+    COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'income'), 0),
+    COUNT(*)
+  FROM transactions t
+  JOIN transaction_tags tt ON tt.transaction_id = t.id
+  JOIN tags g ON g.id = tt.tag_id
+  WHERE t.user_id = p_user_id
+    AND t.date BETWEEN p_start AND p_end
+  GROUP BY g.name;
+$$;
+
+REVOKE EXECUTE ON FUNCTION transaction_totals_by_category(UUID, DATE, DATE, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION transaction_totals_by_period(UUID, DATE, DATE, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION transaction_totals_by_tag(UUID, DATE, DATE) FROM PUBLIC, anon, authenticated;
@@ -1,9 +1,36 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
 const PDFDocument = require('pdfkit');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { authenticateJWT } = require('./middleware/auth');
+const transactionsRouter = require('./routes/transactions');
+const recurringRouter = require('./routes/recurring');
+const importsRouter = require('./routes/imports');
+const receiptsRouter = require('./routes/receipts');
+const rulesRouter = require('./routes/rules');
+const insightsRouter = require('./routes/insights');
+const assistantRouter = require('./routes/assistant');
+const suggestionsRouter = require('./routes/suggestions');
+const anomaliesRouter = require('./routes/anomalies');
+const summariesRouter = require('./routes/summaries');
+const { materializeRecurringTransactions } = require('./lib/recurring');
+const { getAiProvider } = require('./lib/aiProviders');
+const {
+  INSIGHT_SOURCES,
+  MONTH_NAMES,
+  findCachedInsight,
+  hashInsightInput,
+  parseInsightMonth,
+  saveInsight
+} = require('./lib/insights');
+const {
+  fetchBudgetUsage,
+  fetchSummary,
+  fetchTransactionLog,
+  getMonthRange
+} = require('./lib/summaries');
+const { normalizeTag } = require('./lib/tags');
+const { sendError } = require('./lib/errors');
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -14,40 +41,72 @@ const port = process.env.PORT || 5000;
 
 app.use(cors({
   origin: '*', // Allow all origins for now since we're using Vercel
-  methods: ['POST', 'GET', 'PUT', 'DELETE'],
+  methods: ['POST', 'GET', 'PUT', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true
 }));
 
-app.use(express.json());
+// Statement imports can carry a couple of thousand rows
+app.use(express.json({ limit: '1mb' }));
 
-// Supabase setup
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
+// AI provider for insights and the assistant, chosen by AI_PROVIDER / AI_MODEL (see lib/aiProviders.js)
+const aiProvider = getAiProvider();
 
-// Gemini AI setup
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Transactions REST API
+app.use('/api/transactions', transactionsRouter);
 
-// Middleware to verify JWT
-const authenticateJWT = async (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
+// Recurring transaction rules and upcoming bills
+app.use('/api/recurring', recurringRouter);
 
+// Bank statement imports
+app.use('/api/imports', importsRouter);
+
+// Receipt uploads with server-side OCR
+app.use('/api/receipts', receiptsRouter);
+
+// Category rules that fill in the category and tags of new transactions
+app.use('/api/rules', rulesRouter);
+
+// Category suggestions learned from the user's history (no external AI)
+app.use('/api/suggest-category', suggestionsRouter);
+
+// History of generated AI insights
+app.use('/api/insights', insightsRouter);
+
+// Chat assistant answering questions from queries over the user's transactions
+app.use('/api/assistant', assistantRouter);
+
+// Unusual expenses flagged against the user's own history
+app.use('/api/anomalies', anomaliesRouter);
+
+// Totals by category, period, tag and budget, added up in the database
+app.use('/api/summary', summariesRouter);
+
+// Turn due recurring occurrences into transactions. Runs at startup and then
+// hourly; it is idempotent, so overlapping runs or restarts are harmless.
+const RECURRING_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+const runRecurringJob = async () => {
   try {
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    if (error) throw error;
-    req.user = user;
-    next();
+    const created = await materializeRecurringTransactions();
+    if (created > 0) {
+      console.log(`Recurring job created ${created} transaction(s)`);
+    }
   } catch (error) {
-    res.status(401).json({ error: 'Unauthorized' });
+    console.error('Recurring job failed:', error);
   }
 };
 
 // Generate PDF report
 app.post('/api/generate-report', authenticateJWT, async (req, res) => {
   try {
-    const { month, year, transactions, summary } = req.body;
+    const { month, year, transactions, summary, tags } = req.body;
+
+    // Optional tag filter, e.g. ["goa-trip"] to total a single trip or event
+    const tagFilter = Array.isArray(tags) ? tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean) : [];
+    const reportTransactions = tagFilter.length > 0
+      ? transactions.filter(t => (t.tags || []).some(tag => tagFilter.includes(tag)))
+      : transactions;
     
     const doc = new PDFDocument();
     res.setHeader('Content-Type', 'application/pdf');
@@ -56,6 +115,9 @@ app.post('/api/generate-report', authenticateJWT, async (req, res) => {
 
     // Add title
     doc.fontSize(20).text(`Expense Report - ${month}/${year}`, { align: 'center' });
+    if (tagFilter.length > 0) {
+      doc.fontSize(12).text(`Tagged: ${tagFilter.map(tag => `#${tag}`).join(', ')}`, { align: 'center' });
+    }
     doc.moveDown();
 
     // Add summary
@@ -79,18 +141,47 @@ app.post('/api/generate-report', authenticateJWT, async (req, res) => {
 
     // Table rows
     let total = 0;
-    transactions.forEach(t => {
-      total += t.amount;
+    let totalIncome = 0;
+    const tagTotals = {};
+    reportTransactions.forEach(t => {
+      const isIncome = t.type === 'income';
+      if (isIncome) {
+        totalIncome += t.amount;
+      } else {
+        total += t.amount;
+        (t.tags || []).forEach(tag => {
+          tagTotals[tag] = (tagTotals[tag] || 0) + t.amount;
+        });
+      }
       doc.text(new Date(t.date).toLocaleDateString(), 50, doc.y);
       doc.text(t.category_name || t.category, 150, doc.y);
       doc.text(t.description || '-', 250, doc.y, { width: 150 });
-      doc.text(`$${t.amount.toFixed(2)}`, 400, doc.y, { width: 100, align: 'right' });
+      doc.text(`${isIncome ? '+' : ''}$${t.amount.toFixed(2)}`, 400, doc.y, { width: 100, align: 'right' });
       doc.moveDown();
     });
 
-    // Add total
+    // Add totals
     doc.moveDown();
-    doc.font('Helvetica-Bold').text(`Total Expenses: $${total.toFixed(2)}`, { align: 'right' });
+    doc.font('Helvetica-Bold');
+    if (totalIncome > 0) {
+      doc.text(`Total Income: $${totalIncome.toFixed(2)}`, { align: 'right' });
+    }
+    doc.text(`Total Expenses: $${total.toFixed(2)}`, { align: 'right' });
+    if (totalIncome > 0) {
+      doc.text(`Net Savings: $${(totalIncome - total).toFixed(2)}`, { align: 'right' });
+    }
+
+    // Expense totals per tag
+    const tagEntries = Object.entries(tagTotals).sort((a, b) => b[1] - a[1]);
+    if (tagEntries.length > 0) {
+      doc.moveDown();
+      doc.fontSize(14).text('Totals by Tag:', 50, doc.y, { underline: true });
+      doc.moveDown(0.5);
+      doc.fontSize(12).font('Helvetica');
+      tagEntries.forEach(([tag, amount]) => {
+        doc.text(`#${tag}: $${amount.toFixed(2)}`);
+      });
+    }
 
     doc.end();
   } catch (error) {
@@ -99,56 +190,77 @@ app.post('/api/generate-report', authenticateJWT, async (req, res) => {
   }
 });
 
-// Get AI insights
+// Get AI insights. `month` is 1-12 (or an English month name) and `source`
+// says which page asked; `tag` narrows the month down to one tag. The figures
+// come from the database, the same as on the Dashboard and Reports pages.
+// Insights are stored per month; when the same data was already analysed by
+// the same model the stored text is returned instead of calling the AI again,
+// unless `refresh` is true.
 app.post('/api/generate-insights', authenticateJWT, async (req, res) => {
-  try {
-    const { transactions, month, year } = req.body;
+  const { month, year, tag, source = 'dashboard', refresh } = req.body || {};
 
-    if (!transactions || !Array.isArray(transactions)) {
-      return res.status(400).json({ error: 'Invalid transactions data' });
-    }
+  const monthNumber = parseInsightMonth(month);
+  if (Number.isNaN(monthNumber) || !Number.isInteger(Number(year)) || Number(year) < 1) {
+    return res.status(400).json({ error: 'Invalid month or year' });
+  }
+  if (!INSIGHT_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of: ${INSIGHT_SOURCES.join(', ')}` });
+  }
+  if (tag !== undefined && tag !== null && typeof tag !== 'string') {
+    return res.status(400).json({ error: 'tag must be a string' });
+  }
+  const monthName = MONTH_NAMES[monthNumber - 1];
+  const tagName = tag ? normalizeTag(tag) || null : null;
 
-    if (transactions.length === 0) {
+  let summary;
+  let transactions;
+  let budgetUsage;
+  try {
+    const range = getMonthRange({ month: monthNumber, year: Number(year) });
+    summary = await fetchSummary(req.user.id, range, { tag: tagName });
+    if (summary.totals.count === 0) {
       return res.json({ insights: "No transactions available for analysis" });
     }
 
-    // Initialize with correct model name - use gemini-1.5-flash for better stability
-    const model = genAI.getGenerativeModel({ 
-      model: "gemini-1.5-flash"
-    });
-
-    // Calculate category totals for better analysis
-    const categoryTotals = {};
-    let totalAmount = 0;
-    
-    transactions.forEach(t => {
-      const category = t.category || t.category_name || 'Other';
-      categoryTotals[category] = (categoryTotals[category] || 0) + t.amount;
-      totalAmount += t.amount;
-    });
+    [transactions, budgetUsage] = await Promise.all([
+      fetchTransactionLog(req.user.id, range, { tag: tagName }),
+      // Budgets cover all of the month's spending, not one tag's
+      tagName ? null : fetchBudgetUsage(req.user.id, { month: monthNumber, year: Number(year) }, summary)
+    ]);
+  } catch (error) {
+    return sendError(res, error, 'Failed to load transactions for insights');
+  }
 
-    // Get top 3 categories
-    const topCategories = Object.entries(categoryTotals)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 3);
+  try {
+    const { totalAmount, expenseCount, totalIncome, incomeSources, topCategories } = summarizeMonth(summary);
+    const budgetStatus = formatBudgetStatus(budgetUsage);
 
     // Create comprehensive prompt with markdown formatting instructions
     const prompt = `You are an expert financial advisor and behavioral analyst.
 
-Analyze the student's **monthly expenses** for **${month} ${year}** and generate a **deeply insightful, structured, and surprising** report. Go beyond the obvious—deduce **hidden patterns**, **psychological spending habits**, **possible lifestyle indicators**, and **potential financial risks** that may not be explicitly stated. 
+Analyze the student's **monthly expenses${totalIncome > 0 ? ' and income' : ''}** for **${monthName} ${year}** and generate a **deeply insightful, structured, and surprising** report. Go beyond the obvious—deduce **hidden patterns**, **psychological spending habits**, **possible lifestyle indicators**, and **potential financial risks** that may not be explicitly stated. 
 
 ---
 
 ## 🧾 RAW DATA
 
 ### 🔹 Spending Summary
-• **Total Spent**: \`${totalAmount.toFixed(2)}\`  
-• **Number of Transactions**: \`${transactions.length}\`  
+${tagName ? `• **Tag**: \`#${tagName}\`  
+` : ''}• **Total Spent**: \`${totalAmount.toFixed(2)}\`  
+• **Number of Transactions**: \`${expenseCount}\`  
 • **Top Categories**: ${topCategories.map(([cat, amt]) => `\`${cat}\` (\$${amt.toFixed(2)})`).join(', ')}
 
-### 🔹 Transaction Log
+${totalIncome > 0 ? `### 🔹 Income Summary
+• **Total Income**: \`${totalIncome.toFixed(2)}\`  
+• **Net Savings**: \`${(totalIncome - totalAmount).toFixed(2)}\` (${((totalIncome - totalAmount) / totalIncome * 100).toFixed(1)}% of income)  
+• **Sources**: ${incomeSources.map(([source, amt]) => `\`${source}\` (\$${amt.toFixed(2)})`).join(', ')}
+
+` : ''}${budgetStatus ? `### 🔹 Budget Status
+${budgetStatus}
+
+` : ''}### 🔹 Transaction Log
 ${transactions.map(t => 
-  `• \`${t.date}\`: **${t.category || t.category_name}** - \$${t.amount.toFixed(2)} *(“${t.description || 'No description'}”)*`
+  `• \`${t.date}\`: **${t.category}** ${t.type === 'income' ? '+ (income)' : '-'} \$${t.amount.toFixed(2)} *(“${t.description || 'No description'}”)*`
 ).join('\n')}
 
 ---
@@ -159,7 +271,7 @@ Give a **comprehensive report** (within **200 words** max) in this **strict form
 
 ---
 
-## 📊 Expense Analysis for ${month} ${year}
+## 📊 Expense Analysis for ${monthName} ${year}
 
 ### 💰 Top Spending Categories (with % of total)
 - **Category Name**: \`$XX.XX\` (XX%)
@@ -172,7 +284,14 @@ Give a **comprehensive report** (within **200 words** max) in this **strict form
 - **Behavioral inference**, **habit clues**, **lifestyle indicators**, or **financial red flags** from patterns
 - What might the student not even realize?
 
-### 💡 Money-Saving Opportunities
+${totalIncome > 0 ? `### 💵 Income vs. Expenses
+- How much of the income was spent, and whether the savings rate is healthy
+
+` : ''}${budgetStatus ? `### 🚦 Budget Check
+- Call out every **over-budget category** and how far over it is
+- Flag categories close to their limit
+
+` : ''}### 💡 Money-Saving Opportunities
 - At least 2 **concrete**, personalized suggestions to reduce costs
 
 ### 🎯 Budget Strategy
@@ -192,40 +311,71 @@ Give a **comprehensive report** (within **200 words** max) in this **strict form
 `;
 
 
-    console.log('Sending request to Gemini API...');
-    const result = await model.generateContent(prompt);
-    
-    if (!result || !result.response) {
-      throw new Error('No response from Gemini API');
-    }
-    
-    const response = await result.response;
-    const text = response.text();
+    const inputHash = hashInsightInput(prompt);
+    const cacheKey = { inputHash, provider: aiProvider.name, model: aiProvider.model };
+
+    // The stored copy is only a shortcut; if it can't be read, ask the AI
+    const cached = refresh === true ? null : await findCachedInsight(req.user.id, cacheKey).catch(error => {
+      console.error('Error reading cached insights:', error);
+      return null;
+    });
 
-    if (!text || text.trim().length === 0) {
-      throw new Error('Empty response from Gemini API');
+    if (cached) {
+      return res.json({
+        insights: cached.insights,
+        success: true,
+        cached: true,
+        insight: formatInsightRecord(cached),
+        metadata: cached.metadata
+      });
     }
 
-    console.log('Successfully received Gemini response');
+    console.log(`Sending request to ${aiProvider.name} (${aiProvider.model})...`);
+    const text = await aiProvider.generateText(prompt);
+
+    console.log('Successfully received AI response');
+    const metadata = {
+      totalTransactions: summary.totals.count,
+      totalAmount: totalAmount.toFixed(2),
+      totalIncome: totalIncome.toFixed(2),
+      netSavings: (totalIncome - totalAmount).toFixed(2),
+      topCategories: topCategories.map(([cat, amt]) => ({ category: cat, amount: amt.toFixed(2) })),
+      provider: aiProvider.name,
+      model: aiProvider.model
+    };
+
+    // Failing to store the insight shouldn't cost the user the answer
+    const saved = await saveInsight(req.user.id, {
+      month: monthNumber,
+      year: Number(year),
+      source,
+      input_hash: inputHash,
+      provider: aiProvider.name,
+      model: aiProvider.model,
+      insights: text,
+      metadata
+    }).catch(error => {
+      console.error('Error saving insights:', error);
+      return null;
+    });
+
     res.json({ 
       insights: text,
       success: true,
-      metadata: {
-        totalTransactions: transactions.length,
-        totalAmount: totalAmount.toFixed(2),
-        topCategories: topCategories.map(([cat, amt]) => ({ category: cat, amount: amt.toFixed(2) }))
-      }
+      cached: false,
+      insight: saved && formatInsightRecord(saved),
+      metadata
     });
 
   } catch (error) {
-    console.error("Gemini API Error:", {
+    console.error("AI provider error:", {
       message: error.message,
       stack: error.stack,
       name: error.name
     });
     
     // Provide fallback analysis
-    const fallbackAnalysis = getFallbackAnalysis(req.body.transactions, req.body.month, req.body.year);
+    const fallbackAnalysis = getFallbackAnalysis(summary, transactions, monthName, year, budgetUsage);
     
     res.status(200).json({ // Changed to 200 since we're providing fallback
       insights: fallbackAnalysis,
@@ -236,26 +386,63 @@ Give a **comprehensive report** (within **200 words** max) in this **strict form
   }
 });
 
+// A stored insight without its text, to tell the client when and by which model it was written
+function formatInsightRecord({ id, month, year, source, provider, model, created_at }) {
+  return { id, month, year, source, provider, model, created_at };
+}
+
+// Format the overall and per-category budget usage (see fetchBudgetUsage) for the insights prompt
+function formatBudgetStatus(budgetUsage) {
+  const lines = [];
+  if (!budgetUsage) return '';
+
+  const { budget, categories } = budgetUsage;
+  if (budget && budget.effective) {
+    lines.push(`• **Overall Budget**: \`${budget.effective.toFixed(2)}\` (${budget.percentUsed.toFixed(1)}% used${budget.isOverBudget ? ', **OVER BUDGET**' : ''})`);
+  }
+
+  if (categories.length > 0) {
+    categories.forEach(c => {
+      lines.push(`• **${c.category}**: spent \`${Number(c.spent).toFixed(2)}\` of \`${Number(c.budget).toFixed(2)}\` (${Number(c.percentUsed).toFixed(1)}%)${c.isOverBudget ? ' **OVER BUDGET**' : ''}`);
+    });
+  }
+
+  return lines.join('  \n');
+}
+
+// Totals for the prompt from a month's summary (see fetchSummary): spending,
+// the three largest expense categories and income per source, largest first
+function summarizeMonth(summary) {
+  const byType = (type) => summary.categories
+    .filter(c => c.type === type)
+    .map(c => [c.category, c.total]);
+
+  return {
+    totalAmount: summary.totals.expenses,
+    expenseCount: summary.totals.expenseCount,
+    totalIncome: summary.totals.income,
+    incomeSources: byType('income'),
+    topCategories: byType('expense').slice(0, 3)
+  };
+}
+
 // Enhanced fallback analysis with markdown formatting
-function getFallbackAnalysis(transactions, month, year) {
-  if (!transactions || transactions.length === 0) {
+function getFallbackAnalysis(summary, allTransactions, month, year, budgetUsage) {
+  if (summary.totals.count === 0) {
     return "## ❌ No Data Available\n\nNo transaction data available for analysis.";
   }
 
-  const categories = {};
-  let totalAmount = 0;
-  
-  transactions.forEach(t => {
-    const category = t.category || t.category_name || 'Other';
-    categories[category] = (categories[category] || 0) + t.amount;
-    totalAmount += t.amount;
-  });
-  
-  const topCategories = Object.entries(categories)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 3);
+  const { totalAmount, expenseCount, totalIncome, topCategories } = summarizeMonth(summary);
+  const transactions = allTransactions.filter(t => t.type !== 'income');
+  if (expenseCount === 0) {
+    return `## 📊 Expense Analysis for ${month} ${year}
+
+### 💵 Income
+- **Total Income**: \`${totalIncome.toFixed(2)}\`
+- No expenses recorded yet this month.`;
+  }
 
-  const averageTransaction = totalAmount / transactions.length;
+  const averageTransaction = totalAmount / expenseCount;
   
   // Calculate weekly pattern if we have dates
   const weeklySpending = {};
@@ -271,18 +458,25 @@ function getFallbackAnalysis(transactions, month, year) {
   const weeks = Object.keys(weeklySpending).length;
   const avgWeeklySpend = weeks > 0 ? totalAmount / weeks : totalAmount;
 
+  const overBudget = budgetUsage ? budgetUsage.categories.filter(c => c.isOverBudget) : [];
+
   return `## 📊 Expense Analysis for ${month} ${year}
 
 ### 💰 Spending Overview
 - **Total Expenses**: \`${totalAmount.toFixed(2)}\`
-- **Number of Transactions**: \`${transactions.length}\`
-- **Average per Transaction**: \`${averageTransaction.toFixed(2)}\`${weeks > 1 ? `\n- **Average Weekly Spend**: \`${avgWeeklySpend.toFixed(2)}\`` : ''}
+- **Number of Transactions**: \`${expenseCount}\`
+- **Average per Transaction**: \`${averageTransaction.toFixed(2)}\`${weeks > 1 ? `\n- **Average Weekly Spend**: \`${avgWeeklySpend.toFixed(2)}\`` : ''}${totalIncome > 0 ? `\n- **Total Income**: \`${totalIncome.toFixed(2)}\`\n- **Net Savings**: \`${(totalIncome - totalAmount).toFixed(2)}\`` : ''}
 
 ### 📈 Top Spending Categories
 ${topCategories.map(([cat, amt], i) => 
   `${i + 1}. **${cat}**: \`${amt.toFixed(2)}\` *(${((amt/totalAmount) * 100).toFixed(1)}%)*`
 ).join('\n')}
-
+${overBudget.length > 0 ? `
+### 🚦 Over-Budget Categories
+${overBudget.map(c =>
+  `- **${c.category}**: \`${Number(c.spent).toFixed(2)}\` spent of \`${Number(c.budget).toFixed(2)}\` *(${Number(c.percentUsed).toFixed(1)}%)*`
+).join('\n')}
+` : ''}
 ### 💡 Money-Saving Opportunities
 - **Track Daily Expenses**: Monitor small recurring costs that add up over time
 - **Set Weekly Budget**: Aim for \`${(avgWeeklySpend * 0.9).toFixed(2)}\` per week to save 10%
@@ -307,7 +501,8 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    geminiModel: 'gemini-1.5-flash'
+    aiProvider: aiProvider.name,
+    aiModel: aiProvider.model
   });
 });
 
@@ -333,5 +528,8 @@ app.use((error, req, res, next) => {
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Using Gemini model: gemini-2.5-flash`);
+  console.log(`Using AI provider: ${aiProvider.name} (${aiProvider.model})`);
+
+  runRecurringJob();
+  setInterval(runRecurringJob, RECURRING_JOB_INTERVAL_MS);
 });
\ No newline at end of file
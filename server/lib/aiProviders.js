@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Text generation for AI insights and the assistant, behind one interface so
+// the backend can be chosen by environment:
+//   AI_PROVIDER      gemini (default), openai or mock
+//   AI_MODEL         model name; defaults per provider below
+//   AI_TIMEOUT_MS    per attempt, default 30000
+//   AI_MAX_RETRIES   extra attempts after a timeout, rate limit or server error, default 2
+//   GEMINI_API_KEY   for gemini
+//   OPENAI_BASE_URL  for openai: any OpenAI-compatible API, e.g. Ollama or a llama.cpp server
+//   OPENAI_API_KEY   for openai, if the endpoint needs one
+
+const AI_PROVIDERS = ['gemini', 'openai', 'mock'];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'llama3.1',
+  mock: 'mock'
+};
+
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1'; // Ollama
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+// `retryable` marks failures that may succeed if the same request is sent again
+class AiProviderError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'AiProviderError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every backend implements complete({ system, messages, tools }, { signal }),
+// resolving to { text, toolCalls }. Messages are
+//   { role: 'user', content }
+//   { role: 'assistant', content, toolCalls?: [{ id, name, args }] }
+//   { role: 'tool', id, name, result }   (the answer to one tool call)
+// and tools are { name, description, parameters } with JSON Schema parameters.
+
+// Gemini wants the turns of one role grouped together and names tool results
+// by function rather than by call id
+const toGeminiContents = (messages) => {
+  const contents = [];
+  messages.forEach(message => {
+    let role;
+    let parts;
+    if (message.role === 'tool') {
+      role = 'function';
+      parts = [{ functionResponse: { name: message.name, response: { result: message.result } } }];
+    } else {
+      role = message.role === 'assistant' ? 'model' : 'user';
+      parts = [
+        ...(message.content ? [{ text: message.content }] : []),
+        ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.args } }))
+      ];
+    }
+
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) last.parts.push(...parts);
+    else contents.push({ role, parts });
+  });
+  return contents;
+};
+
+const createGeminiProvider = ({ model, apiKey }) => {
+  const client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+
+  return async ({ system, messages, tools }, { signal }) => {
+    if (!client) throw new AiProviderError('GEMINI_API_KEY is not set');
+
+    try {
+      const generativeModel = client.getGenerativeModel({
+        model,
+        ...(system ? { systemInstruction: system } : {}),
+        ...(tools.length > 0 ? { tools: [{ functionDeclarations: tools }] } : {})
+      });
+      const result = await generativeModel.generateContent({ contents: toGeminiContents(messages) }, { signal });
+
+      // text() throws when the answer was blocked
+      const text = result.response.text();
+      const toolCalls = (result.response.functionCalls() || []).map((call, index) => ({
+        id: `call_${index}`,
+        name: call.name,
+        args: call.args || {}
+      }));
+      return { text, toolCalls };
+    } catch (error) {
+      if (signal.aborted) throw error;
+      // Blocked or malformed answers won't improve on a retry; network errors might
+      const status = error.status ?? null;
+      const retryable = status ? isRetryableStatus(status) : error.name !== 'GoogleGenerativeAIResponseError';
+      throw new AiProviderError(error.message, { status, retryable });
+    }
+  };
+};
+
+const toOpenAiMessages = (system, messages) => [
+  ...(system ? [{ role: 'system', content: system }] : []),
+  ...messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.id, content: JSON.stringify(message.result) };
+    }
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  })
+];
+
+// Tool arguments arrive as a JSON string which small local models sometimes get wrong
+const parseToolArguments = (value) => {
+  try {
+    const args = JSON.parse(value || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// POST /chat/completions as implemented by OpenAI, Ollama, llama.cpp, vLLM...
+const createOpenAiProvider = ({ model, baseUrl, apiKey }) => async ({ system, messages, tools }, { signal }) => {
+  let response;
+  try {
+    response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: toOpenAiMessages(system, messages),
+        ...(tools.length > 0 ? {
+          tools: tools.map(tool => ({ type: 'function', function: tool }))
+        } : {})
+      }),
+      signal
+    });
+  } catch (error) {
+    if (signal.aborted) throw error;
+    throw new AiProviderError(`Could not reach ${baseUrl}: ${error.message}`, { retryable: true });
+  }
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new AiProviderError(data?.error?.message || `AI request failed (${response.status})`, {
+      status: response.status,
+      retryable: isRetryableStatus(response.status)
+    });
+  }
+
+  const message = data?.choices?.[0]?.message;
+  if (!message || (typeof message.content !== 'string' && !message.tool_calls)) {
+    throw new AiProviderError('The AI endpoint returned an unexpected response');
+  }
+  return {
+    text: message.content || '',
+    toolCalls: (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      args: parseToolArguments(call.function.arguments)
+    }))
+  };
+};
+
+// The same conversation always gives the same answer, without any network
+// access. With tools it calls the first one once, with no arguments, then
+// reports how many results it got back.
+const createMockProvider = () => async ({ messages, tools }) => {
+  const last = messages[messages.length - 1];
+
+  if (tools.length > 0 && last.role === 'user') {
+    return { text: '', toolCalls: [{ id: 'call_0', name: tools[0].name, args: {} }] };
+  }
+  if (last.role === 'tool') {
+    const results = messages.filter(message => message.role === 'tool').length;
+    return { text: `Mock answer based on ${results} tool result(s).`, toolCalls: [] };
+  }
+
+  const prompt = last.content || '';
+  const fingerprint = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+  const text = [
+    '## 🤖 Mock Insights',
+    '',
+    `- Prompt length: \`${prompt.length}\` characters`,
+    `- Prompt fingerprint: \`${fingerprint}\``,
+    '- This text comes from the mock AI provider (AI_PROVIDER=mock).'
+  ].join('\n');
+  return { text, toolCalls: [] };
+};
+
+const parseSetting = (value, fallback, min) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`Invalid AI setting "${value}": expected a whole number of at least ${min}`);
+  }
+  return number;
+};
+
+// Build the provider configured in `env`: { name, model, generateText(prompt),
+// chat({ system, messages, tools }) }. chat resolves to { text, toolCalls }
+// and is how the assistant lets the model ask for data. Both give each attempt
+// AI_TIMEOUT_MS and retry failures that might be temporary, waiting a little
+// longer each time. They throw an AiProviderError when the provider cannot
+// produce an answer.
+const createAiProvider = (env = process.env) => {
+  const name = (env.AI_PROVIDER || 'gemini').trim().toLowerCase();
+  if (!AI_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown AI_PROVIDER "${env.AI_PROVIDER}"; use one of: ${AI_PROVIDERS.join(', ')}`);
+  }
+
+  const model = env.AI_MODEL || DEFAULT_MODELS[name];
+  const timeoutMs = parseSetting(env.AI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS, 1);
+  const maxRetries = parseSetting(env.AI_MAX_RETRIES, DEFAULT_MAX_RETRIES, 0);
+
+  const complete = {
+    gemini: () => createGeminiProvider({ model, apiKey: env.GEMINI_API_KEY }),
+    openai: () => createOpenAiProvider({
+      model,
+      baseUrl: env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY
+    }),
+    mock: () => createMockProvider()
+  }[name]();
+
+  const chat = async ({ system = null, messages, tools = [] }) => {
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const result = await complete({ system, messages, tools }, { signal: controller.signal });
+        if (result.toolCalls.length === 0 && !result.text.trim()) {
+          throw new AiProviderError('The AI provider returned an empty response', { retryable: true });
+        }
+        return result;
+      } catch (error) {
+        const failure = controller.signal.aborted
+          ? new AiProviderError(`The AI provider did not answer within ${timeoutMs} ms`, { retryable: true })
+          : error;
+        if (!(failure instanceof AiProviderError) || !failure.retryable || attempt >= maxRetries) {
+          throw failure;
+        }
+        console.warn(`AI request failed (${failure.message}); retrying`);
+        await sleep(RETRY_DELAY_MS * 2 ** attempt);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+
+  const generateText = async (prompt) => {
+    const { text } = await chat({ messages: [{ role: 'user', content: prompt }] });
+    return text;
+  };
+
+  return { name, model, generateText, chat };
+};
+
+// The provider configured for this server, created on first use
+let sharedProvider = null;
+const getAiProvider = () => {
+  if (!sharedProvider) sharedProvider = createAiProvider();
+  return sharedProvider;
+};
+
+module.exports = { AI_PROVIDERS, AiProviderError, createAiProvider, getAiProvider };
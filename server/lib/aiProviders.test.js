@@ -0,0 +1,132 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { AiProviderError, createAiProvider } = require('./aiProviders');
+
+// An OpenAI-compatible endpoint answering with `responses` in turn, each a
+// status or { status, body }; 'hang' never answers until the request is aborted
+const stubEndpoint = (t, responses) => {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, { signal }) => {
+    const next = responses[Math.min(calls.length, responses.length - 1)];
+    calls.push(url);
+
+    if (next === 'hang') {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+    }
+
+    const { status, body } = typeof next === 'number' ? { status: next, body: {} } : next;
+    return new Response(JSON.stringify(body), { status });
+  });
+  return calls;
+};
+
+const answer = (content) => ({ status: 200, body: { choices: [{ message: { content } }] } });
+
+const openAi = (settings = {}) => createAiProvider({
+  AI_PROVIDER: 'openai',
+  OPENAI_BASE_URL: 'http://ai.test/v1/',
+  AI_TIMEOUT_MS: '50',
+  ...settings
+});
+
+describe('createAiProvider', () => {
+  beforeEach((t) => {
+    // Every retry logs a warning
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  test('picks the provider and its default model from the environment', () => {
+    assert.equal(createAiProvider({}).name, 'gemini');
+    assert.equal(createAiProvider({ AI_PROVIDER: ' Mock ' }).name, 'mock');
+    assert.equal(createAiProvider({ AI_PROVIDER: 'openai' }).model, 'llama3.1');
+    assert.equal(createAiProvider({ AI_PROVIDER: 'openai', AI_MODEL: 'qwen2.5' }).model, 'qwen2.5');
+  });
+
+  test('rejects unknown providers and invalid settings', () => {
+    assert.throws(() => createAiProvider({ AI_PROVIDER: 'watson' }), /Unknown AI_PROVIDER "watson"/);
+    assert.throws(() => createAiProvider({ AI_PROVIDER: 'mock', AI_TIMEOUT_MS: '0' }), /at least 1/);
+    assert.throws(() => createAiProvider({ AI_PROVIDER: 'mock', AI_MAX_RETRIES: '1.5' }), /whole number/);
+  });
+
+  test('the mock provider answers the same prompt the same way without the network', async (t) => {
+    const calls = stubEndpoint(t, [500]);
+    const provider = createAiProvider({ AI_PROVIDER: 'mock' });
+
+    const first = await provider.generateText('Summarise September');
+    assert.equal(await provider.generateText('Summarise September'), first);
+    assert.notEqual(await provider.generateText('Summarise October'), first);
+    assert.match(first, /mock AI provider/);
+    assert.equal(calls.length, 0);
+  });
+
+  test('the mock provider calls the first tool, then answers from its result', async () => {
+    const provider = createAiProvider({ AI_PROVIDER: 'mock' });
+    const tools = [{ name: 'get_totals', description: 'Totals', parameters: { type: 'object' } }];
+
+    const first = await provider.chat({ messages: [{ role: 'user', content: 'How much on food?' }], tools });
+    assert.deepEqual(first.toolCalls, [{ id: 'call_0', name: 'get_totals', args: {} }]);
+
+    const second = await provider.chat({
+      messages: [
+        { role: 'user', content: 'How much on food?' },
+        { role: 'assistant', content: '', toolCalls: first.toolCalls },
+        { role: 'tool', id: 'call_0', name: 'get_totals', result: { total: 42 } }
+      ],
+      tools
+    });
+    assert.equal(second.text, 'Mock answer based on 1 tool result(s).');
+  });
+
+  test('retries rate limits and server errors', async (t) => {
+    const calls = stubEndpoint(t, [429, 503, answer('All good')]);
+
+    assert.equal(await openAi().generateText('Hi'), 'All good');
+    assert.equal(calls.length, 3);
+    assert.equal(calls[0], 'http://ai.test/v1/chat/completions');
+  });
+
+  test('gives up after AI_MAX_RETRIES extra attempts', async (t) => {
+    const calls = stubEndpoint(t, [{ status: 500, body: { error: { message: 'Model crashed' } } }]);
+
+    await assert.rejects(openAi({ AI_MAX_RETRIES: '1' }).generateText('Hi'), (error) => {
+      assert.ok(error instanceof AiProviderError);
+      assert.equal(error.status, 500);
+      assert.equal(error.message, 'Model crashed');
+      return true;
+    });
+    assert.equal(calls.length, 2);
+  });
+
+  test('does not retry other client errors', async (t) => {
+    const calls = stubEndpoint(t, [401, answer('Too late')]);
+
+    await assert.rejects(openAi().generateText('Hi'), { name: 'AiProviderError', status: 401, retryable: false });
+    assert.equal(calls.length, 1);
+  });
+
+  test('aborts an attempt that takes longer than AI_TIMEOUT_MS and retries it', async (t) => {
+    const calls = stubEndpoint(t, ['hang', answer('Made it')]);
+
+    assert.equal(await openAi({ AI_MAX_RETRIES: '1' }).generateText('Hi'), 'Made it');
+    assert.equal(calls.length, 2);
+  });
+
+  test('reports a timeout once the retries run out', async (t) => {
+    const calls = stubEndpoint(t, ['hang']);
+
+    await assert.rejects(openAi({ AI_MAX_RETRIES: '0' }).generateText('Hi'), {
+      name: 'AiProviderError',
+      message: 'The AI provider did not answer within 50 ms'
+    });
+    assert.equal(calls.length, 1);
+  });
+
+  test('treats an empty answer as a failure worth retrying', async (t) => {
+    const calls = stubEndpoint(t, [answer('  '), answer('Second time lucky')]);
+
+    assert.equal(await openAi().generateText('Hi'), 'Second time lucky');
+    assert.equal(calls.length, 2);
+  });
+});
@@ -0,0 +1,273 @@
+const { supabase } = require('../supabaseClient');
+const { normalizeMerchant } = require('./categoryRules');
+
+// Flag expenses that look out of character next to the user's own history:
+// an amount far above what the category usually costs, a merchant never seen
+// before, or the same expense entered twice within a few minutes. Dismissing a
+// flag with `learn` records an exception so the same pattern is not flagged
+// again.
+
+const ANOMALY_STATUSES = ['open', 'dismissed'];
+
+const BATCH_SIZE = 1000;
+// The most recent expenses are history enough
+const MAX_HISTORY = 5000;
+// A scan checks the expenses added this recently that have not been flagged yet
+const SCAN_WINDOW_DAYS = 30;
+// Fewer earlier expenses than this say nothing about what is usual
+const MIN_HISTORY = 5;
+// Modified z-score (from the median absolute deviation) above which an amount
+// is an outlier, as suggested by Iglewicz and Hoaglin
+const OUTLIER_SCORE = 3.5;
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+
+const ANOMALY_COLUMNS = `
+  id,
+  transaction_id,
+  reasons,
+  status,
+  created_at,
+  dismissed_at,
+  transactions!inner(
+    amount,
+    date,
+    description,
+    category_id,
+    categories!inner(
+      name
+    )
+  )
+`;
+
+const formatAnomaly = ({ transactions: transaction, ...anomaly }) => ({
+  ...anomaly,
+  amount: parseFloat(transaction.amount),
+  date: transaction.date,
+  description: transaction.description,
+  category_id: transaction.category_id,
+  category_name: transaction.categories?.name ?? null
+});
+
+// The merchant is taken to be the first word of the description, which is how
+// statements and receipts start: "Starbucks #1234 latte" gives "starbucks"
+const merchantKey = (description) =>
+  normalizeMerchant(description).split(' ').find(word => word && !/^\d+$/.test(word)) || null;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Whether transaction a was entered before b: by date, then by when it was added
+const isEarlier = (a, b) =>
+  a.date < b.date || (a.date === b.date && new Date(a.created_at) < new Date(b.created_at));
+
+// Whether an exception the user taught covers this reason for this transaction
+const isExcepted = (exceptions, reason, transaction) => exceptions.some(exception =>
+  exception.reason === reason &&
+  exception.category_id === transaction.category_id &&
+  (!exception.merchant || exception.merchant === merchantKey(transaction.description))
+);
+
+// Why `transaction` looks unusual next to `history` (the user's other
+// expenses), as [{ reason, message }]. Empty when nothing stands out.
+const detectAnomalies = (transaction, history, exceptions = []) => {
+  const found = [];
+  const amount = parseFloat(transaction.amount);
+  const earlier = history.filter(t => t.id !== transaction.id && isEarlier(t, transaction));
+  const categoryAmounts = earlier
+    .filter(t => t.category_id === transaction.category_id)
+    .map(t => parseFloat(t.amount));
+  const usual = categoryAmounts.length > 0 ? median(categoryAmounts) : null;
+
+  if (categoryAmounts.length >= MIN_HISTORY && !isExcepted(exceptions, 'amount', transaction)) {
+    const deviation = median(categoryAmounts.map(value => Math.abs(value - usual)));
+    // With no spread at all (every amount the same) anything over double stands out
+    const outlier = deviation > 0
+      ? 0.6745 * (amount - usual) / deviation > OUTLIER_SCORE
+      : amount > usual * 2;
+    if (outlier) {
+      found.push({
+        reason: 'amount',
+        message: `$${amount.toFixed(2)} is well above the usual $${usual.toFixed(2)} for this category`
+      });
+    }
+  }
+
+  // A new place only matters for a bigger than usual expense
+  const merchant = merchantKey(transaction.description);
+  if (
+    merchant &&
+    earlier.length >= MIN_HISTORY &&
+    (usual === null || amount > usual) &&
+    !earlier.some(t => merchantKey(t.description) === merchant) &&
+    !isExcepted(exceptions, 'new_merchant', transaction)
+  ) {
+    found.push({ reason: 'new_merchant', message: `First expense at "${merchant}"` });
+  }
+
+  const description = normalizeMerchant(transaction.description);
+  const duplicate = history.find(t =>
+    t.id !== transaction.id &&
+    t.date === transaction.date &&
+    t.category_id === transaction.category_id &&
+    parseFloat(t.amount) === amount &&
+    normalizeMerchant(t.description) === description &&
+    new Date(t.created_at) <= new Date(transaction.created_at) &&
+    new Date(transaction.created_at) - new Date(t.created_at) <= DUPLICATE_WINDOW_MS &&
+    // Of two added at the same moment, only the second is the duplicate
+    (t.created_at !== transaction.created_at || t.id < transaction.id)
+  );
+  if (duplicate && !isExcepted(exceptions, 'duplicate', transaction)) {
+    const minutes = Math.round((new Date(transaction.created_at) - new Date(duplicate.created_at)) / 60000);
+    found.push({
+      reason: 'duplicate',
+      message: minutes > 0
+        ? `Same amount and description as an expense added ${minutes} minute(s) earlier`
+        : 'Same amount and description as an expense added at the same time'
+    });
+  }
+
+  return found;
+};
+
+// The user's most recent expenses, newest first
+const fetchExpenses = async (userId) => {
+  const expenses = [];
+
+  for (let from = 0; from < MAX_HISTORY; from += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('id, amount, date, description, category_id, recurring_id, created_at')
+      .eq('user_id', userId)
+      .eq('type', 'expense')
+      .order('date', { ascending: false })
+      .order('id')
+      .range(from, Math.min(from + BATCH_SIZE, MAX_HISTORY) - 1);
+
+    if (error) throw error;
+
+    expenses.push(...data);
+    if (data.length < BATCH_SIZE) break;
+  }
+
+  return expenses;
+};
+
+const fetchExceptions = async (userId) => {
+  const { data, error } = await supabase
+    .from('anomaly_exceptions')
+    .select('reason, category_id, merchant')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data;
+};
+
+// Check recently added expenses (or just `transactionIds`) that have not been
+// flagged before and store a flag for each one that looks unusual. Expenses
+// generated from a recurring rule are expected and never flagged.
+// Returns how many were checked and how many were flagged.
+const scanForAnomalies = async (userId, { transactionIds } = {}) => {
+  const since = new Date(Date.now() - SCAN_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const [history, exceptions] = await Promise.all([fetchExpenses(userId), fetchExceptions(userId)]);
+
+  // Flags are stored after the transaction is added, so any flag on a
+  // candidate is newer than the window
+  const { data: flagged, error } = await supabase
+    .from('transaction_anomalies')
+    .select('transaction_id')
+    .eq('user_id', userId)
+    .gte('created_at', since);
+
+  if (error) throw error;
+
+  const seen = new Set(flagged.map(anomaly => anomaly.transaction_id));
+  const candidates = history.filter(t =>
+    !t.recurring_id &&
+    !seen.has(t.id) &&
+    (transactionIds ? transactionIds.includes(t.id) : new Date(t.created_at) >= new Date(since))
+  );
+
+  const rows = candidates
+    .map(transaction => ({ transaction, reasons: detectAnomalies(transaction, history, exceptions) }))
+    .filter(({ reasons }) => reasons.length > 0)
+    .map(({ transaction, reasons }) => ({ user_id: userId, transaction_id: transaction.id, reasons }));
+
+  if (rows.length > 0) {
+    // Two scans at once would otherwise flag the same transaction twice
+    const { error: insertError } = await supabase
+      .from('transaction_anomalies')
+      .upsert(rows, { onConflict: 'transaction_id', ignoreDuplicates: true });
+
+    if (insertError) throw insertError;
+  }
+
+  return { checked: candidates.length, flagged: rows.length };
+};
+
+// Flags with the given status, newest expense first
+const fetchAnomalies = async (userId, { status = 'open' } = {}) => {
+  const { data, error } = await supabase
+    .from('transaction_anomalies')
+    .select(ANOMALY_COLUMNS)
+    .eq('user_id', userId)
+    .eq('status', status)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data
+    .map(formatAnomaly)
+    .sort((a, b) => b.date.localeCompare(a.date));
+};
+
+// Dismiss a flag. With `learn`, each of its reasons becomes an exception for
+// the transaction's category (and merchant, for amounts and duplicates) so
+// similar expenses are not flagged again. Resolves to null when not found.
+const dismissAnomaly = async (userId, id, { learn = false } = {}) => {
+  const { data, error } = await supabase
+    .from('transaction_anomalies')
+    .update({ status: 'dismissed', dismissed_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select(ANOMALY_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const anomaly = formatAnomaly(data);
+
+  if (learn) {
+    const merchant = merchantKey(anomaly.description);
+    const exceptions = anomaly.reasons.map(({ reason }) => ({
+      user_id: userId,
+      reason,
+      category_id: anomaly.category_id,
+      merchant: reason === 'new_merchant' ? null : merchant
+    }));
+
+    const existing = await fetchExceptions(userId);
+    const added = exceptions.filter(exception => !existing.some(e =>
+      e.reason === exception.reason &&
+      e.category_id === exception.category_id &&
+      (e.merchant || null) === exception.merchant
+    ));
+
+    if (added.length > 0) {
+      const { error: insertError } = await supabase.from('anomaly_exceptions').insert(added);
+      if (insertError) throw insertError;
+    }
+  }
+
+  return anomaly;
+};
+
+module.exports = {
+  ANOMALY_STATUSES,
+  detectAnomalies,
+  dismissAnomaly,
+  fetchAnomalies,
+  scanForAnomalies
+};
@@ -0,0 +1,95 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectAnomalies } = require('./anomalies');
+
+const FOOD = 1;
+const TRANSPORT = 2;
+
+const expense = ({ id, amount, date, description = 'Subway', category_id = FOOD, created_at = `${date}T12:00:00Z` }) =>
+  ({ id, amount, date, description, category_id, created_at });
+
+// Five lunches: usually $11, give or take $1
+const HISTORY = ['10.00', '12.00', '11.00', '13.00', '9.00']
+  .map((amount, i) => expense({ id: i + 1, amount, date: `2026-10-0${i + 1}` }));
+
+const lunch = (amount, fields = {}) =>
+  expense({ id: 100, amount, date: '2026-10-10', description: 'Subway lunch', ...fields });
+
+const reasons = (found) => found.map(anomaly => anomaly.reason);
+
+describe('detectAnomalies', () => {
+  test('flags an amount far above the category\'s usual one', () => {
+    assert.deepEqual(detectAnomalies(lunch('20.00'), HISTORY), [
+      { reason: 'amount', message: '$20.00 is well above the usual $11.00 for this category' }
+    ]);
+  });
+
+  test('leaves amounts within the usual spread alone', () => {
+    assert.deepEqual(detectAnomalies(lunch('13.50'), HISTORY), []);
+    assert.deepEqual(detectAnomalies(lunch('20.00', { category_id: TRANSPORT }), HISTORY), []);
+  });
+
+  test('flags anything over double the usual amount when every amount is the same', () => {
+    const rent = [1, 2, 3, 4, 5].map(id => expense({ id, amount: 10, date: `2026-10-0${id}` }));
+
+    assert.deepEqual(reasons(detectAnomalies(lunch(21), rent)), ['amount']);
+    assert.deepEqual(detectAnomalies(lunch(19), rent), []);
+  });
+
+  test('needs enough earlier expenses before anything counts as unusual', () => {
+    const short = HISTORY.slice(0, 4);
+
+    assert.deepEqual(detectAnomalies(lunch(100), short), []);
+    assert.deepEqual(detectAnomalies(lunch(100, { description: 'Starbucks' }), short), []);
+  });
+
+  test('only compares with expenses from before it', () => {
+    const later = HISTORY.map(t => ({ ...t, id: t.id + 10, date: '2026-10-20' }));
+
+    assert.deepEqual(detectAnomalies(lunch(100), [...HISTORY.slice(0, 4), ...later]), []);
+  });
+
+  test('flags the first bigger than usual expense at a new merchant', () => {
+    assert.deepEqual(detectAnomalies(lunch(15, { description: 'Starbucks #1234 latte' }), HISTORY), [
+      { reason: 'new_merchant', message: 'First expense at "starbucks"' }
+    ]);
+    assert.deepEqual(detectAnomalies(lunch(5, { description: 'Starbucks #1234 latte' }), HISTORY), []);
+  });
+
+  test('takes the merchant from the first word that is not a number', () => {
+    assert.deepEqual(detectAnomalies(lunch(15, { description: '#42 SUBWAY' }), HISTORY), []);
+  });
+
+  test('flags the same expense entered again within ten minutes', () => {
+    const first = lunch(11, { id: 10, created_at: '2026-10-10T12:00:00Z' });
+
+    assert.deepEqual(detectAnomalies(lunch(11, { id: 11, description: 'subway  LUNCH', created_at: '2026-10-10T12:05:00Z' }), [...HISTORY, first]), [
+      { reason: 'duplicate', message: 'Same amount and description as an expense added 5 minute(s) earlier' }
+    ]);
+    assert.deepEqual(detectAnomalies(lunch(11, { id: 11, created_at: '2026-10-10T12:11:00Z' }), [...HISTORY, first]), []);
+    assert.deepEqual(detectAnomalies(lunch(12, { id: 11, created_at: '2026-10-10T12:05:00Z' }), [...HISTORY, first]), []);
+  });
+
+  test('of two expenses added at the same moment, flags only the second', () => {
+    const first = lunch(11, { id: 10 });
+    const second = lunch(11, { id: 11 });
+    const history = [...HISTORY, first, second];
+
+    assert.deepEqual(detectAnomalies(first, history), []);
+    assert.deepEqual(detectAnomalies(second, history), [
+      { reason: 'duplicate', message: 'Same amount and description as an expense added at the same time' }
+    ]);
+  });
+
+  test('does not flag what a learned exception covers', () => {
+    const big = lunch(20);
+
+    assert.deepEqual(detectAnomalies(big, HISTORY, [{ reason: 'amount', category_id: FOOD, merchant: null }]), []);
+    assert.deepEqual(detectAnomalies(big, HISTORY, [{ reason: 'amount', category_id: FOOD, merchant: 'subway' }]), []);
+    assert.deepEqual(reasons(detectAnomalies(big, HISTORY, [
+      { reason: 'amount', category_id: FOOD, merchant: 'starbucks' },
+      { reason: 'amount', category_id: TRANSPORT, merchant: null },
+      { reason: 'new_merchant', category_id: FOOD, merchant: null }
+    ])), ['amount']);
+  });
+});
@@ -0,0 +1,51 @@
+const { TOOLS, fetchCategories, runTool } = require('./assistantTools');
+
+// The finance assistant: the model answers questions about the user's money by
+// calling the tools in assistantTools.js instead of reading the raw log.
+
+// Rounds of tool calls before the model must answer with what it has
+const MAX_TOOL_ROUNDS = 4;
+
+const buildSystemPrompt = (categories, today) => {
+  const names = (type) => categories.filter(c => c.type === type && !c.archived).map(c => c.name).join(', ');
+
+  return `You are the finance assistant of a student expense tracker. Today is ${today}.
+Answer questions about the student's own transactions using the tools; never guess amounts.
+Work out exact dates for phrases like "last three months" or "this week" from today's date.
+Expense categories: ${names('expense') || 'none'}.
+Income categories: ${names('income') || 'none'}.
+Amounts are in dollars. Keep answers short and friendly, mention the period you looked at, and say so
+when the data cannot answer the question.`;
+};
+
+// Answer the last user message of `messages` ([{ role: 'user' | 'assistant', content }]).
+// `today` (YYYY-MM-DD) is the user's local date, for relative periods.
+// Resolves to { reply, toolCalls: [{ name, arguments, result }] }, the tool
+// calls being the queries the answer is based on, in the order they ran.
+const answerQuestion = async (provider, userId, messages, today) => {
+  const categories = await fetchCategories(userId);
+  const system = buildSystemPrompt(categories, today);
+  // Some models insist the conversation opens with the user, which a trimmed history may not
+  const firstQuestion = messages.findIndex(message => message.role === 'user');
+  const conversation = messages.slice(firstQuestion).map(({ role, content }) => ({ role, content }));
+  const toolCalls = [];
+
+  for (let round = 0; ; round++) {
+    // Without tools on the last round the model has to answer
+    const tools = round < MAX_TOOL_ROUNDS ? TOOLS : [];
+    const { text, toolCalls: calls } = await provider.chat({ system, messages: conversation, tools });
+
+    if (calls.length === 0 || tools.length === 0) {
+      return { reply: text || "Sorry, I couldn't work that out.", toolCalls };
+    }
+
+    conversation.push({ role: 'assistant', content: text, toolCalls: calls });
+    for (const call of calls) {
+      const result = await runTool(userId, call, categories);
+      toolCalls.push({ name: call.name, arguments: call.args, result });
+      conversation.push({ role: 'tool', id: call.id, name: call.name, result });
+    }
+  }
+};
+
+module.exports = { answerQuestion };
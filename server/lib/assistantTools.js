@@ -0,0 +1,340 @@
+const { supabase } = require('../supabaseClient');
+const { MAX_TREND_PERIODS, countPeriods } = require('./summaries');
+const { normalizeTag } = require('./tags');
+const { isValidDate } = require('./validation');
+
+// Functions the assistant's model may call to look at the user's transactions.
+// The model only ever sees what these return, so every answer can be traced
+// back to the figures they computed. Bad arguments come back as { error } for
+// the model to correct rather than failing the whole conversation. Totals are
+// added up by the transaction_totals_* functions in database.sql where they
+// cover the grouping and filters, and from the transactions themselves otherwise.
+
+const BATCH_SIZE = 1000;
+const MAX_GROUPS = 50;
+const MAX_LISTED = 20;
+
+const GROUP_BY = ['none', 'category', 'tag', 'day', 'week', 'month', 'weekday'];
+const ORDERS = ['largest', 'smallest', 'newest', 'oldest'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Stand-ins for an open start or end when the database needs both
+const EARLIEST_DATE = '0001-01-01';
+const LATEST_DATE = '9999-12-31';
+
+const FILTER_PARAMETERS = {
+  start_date: { type: 'string', description: 'First day to include, YYYY-MM-DD. Omit for no lower bound.' },
+  end_date: { type: 'string', description: 'Last day to include, YYYY-MM-DD. Omit for no upper bound.' },
+  type: { type: 'string', enum: ['expense', 'income'], description: 'expense (the default) or income' },
+  category: { type: 'string', description: 'Category name; includes its subcategories' },
+  tag: { type: 'string', description: 'Only transactions with this tag' },
+  search: { type: 'string', description: 'Text the description must contain' }
+};
+
+const TOOLS = [
+  {
+    name: 'aggregate_transactions',
+    description: 'Total, count and average of the matching transactions, overall or grouped by category, tag, ' +
+      'day, week (starting Monday), month or weekday.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...FILTER_PARAMETERS,
+        group_by: { type: 'string', enum: GROUP_BY, description: 'How to group the totals; none (the default) for one total' }
+      }
+    }
+  },
+  {
+    name: 'list_transactions',
+    description: `Individual matching transactions, at most ${MAX_LISTED}, e.g. the largest expenses of a month.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        ...FILTER_PARAMETERS,
+        order: { type: 'string', enum: ORDERS, description: 'largest (the default), smallest, newest or oldest first' },
+        limit: { type: 'integer', description: `How many to return, 1 to ${MAX_LISTED} (default 10)` }
+      }
+    }
+  }
+];
+
+// The user's own and the default categories
+const fetchCategories = async (userId) => {
+  const { data, error } = await supabase
+    .from('categories')
+    .select('id, name, type, parent_id, archived')
+    .or(`user_id.is.null,user_id.eq.${userId}`);
+
+  if (error) throw error;
+  return data;
+};
+
+// Check the shared filter arguments. Returns { filters } or { error }.
+const parseFilters = (args, categories) => {
+  const filters = { type: args.type || 'expense' };
+
+  for (const field of ['start_date', 'end_date']) {
+    if (args[field] === undefined || args[field] === null || args[field] === '') continue;
+    if (!isValidDate(args[field])) return { error: `${field} must be a date in YYYY-MM-DD format` };
+    filters[field] = args[field];
+  }
+  if (filters.start_date && filters.end_date && filters.start_date > filters.end_date) {
+    return { error: 'end_date must not be before start_date' };
+  }
+  if (!['expense', 'income'].includes(filters.type)) {
+    return { error: 'type must be expense or income' };
+  }
+
+  if (args.category) {
+    const name = String(args.category).trim().toLowerCase();
+    const matched = categories.filter(c => c.name.toLowerCase() === name && c.type === filters.type);
+    if (matched.length === 0) {
+      const known = categories.filter(c => c.type === filters.type && !c.archived).map(c => c.name);
+      return { error: `Unknown ${filters.type} category "${args.category}". Known categories: ${known.join(', ')}` };
+    }
+    const ids = matched.map(c => c.id);
+    filters.category = matched[0].name;
+    filters.categoryIds = [...ids, ...categories.filter(c => ids.includes(c.parent_id)).map(c => c.id)];
+  }
+
+  if (args.tag) filters.tag = normalizeTag(String(args.tag));
+  if (args.search) filters.search = String(args.search).trim();
+
+  return { filters };
+};
+
+// The search text is taken literally, not as a LIKE pattern
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Every transaction matching the filters as { date, description, amount, category, tags }
+const fetchMatching = async (userId, filters, categories) => {
+  const names = new Map(categories.map(c => [c.id, c.name]));
+  const transactions = [];
+
+  for (let from = 0; ; from += BATCH_SIZE) {
+    let query = supabase
+      .from('transactions')
+      .select('id, amount, date, description, category_id, transaction_tags(tags(name))')
+      .eq('user_id', userId)
+      .eq('type', filters.type);
+
+    if (filters.start_date) query = query.gte('date', filters.start_date);
+    if (filters.end_date) query = query.lte('date', filters.end_date);
+    if (filters.categoryIds) query = query.in('category_id', filters.categoryIds);
+    if (filters.search) query = query.ilike('description', `%${escapeLike(filters.search)}%`);
+
+    const { data, error } = await query
+      .order('date')
+      .order('id')
+      .range(from, from + BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    data.forEach(({ transaction_tags: links, ...transaction }) => {
+      const tags = (links || []).map(link => link.tags?.name).filter(Boolean);
+      if (filters.tag && !tags.includes(filters.tag)) return;
+      transactions.push({
+        date: transaction.date,
+        description: transaction.description || '',
+        amount: Number(transaction.amount),
+        category: names.get(transaction.category_id) || 'Unknown',
+        tags
+      });
+    });
+    if (data.length < BATCH_SIZE) break;
+  }
+
+  return transactions;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Monday of the week `date` (YYYY-MM-DD) falls in
+const weekStart = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+const groupKeys = {
+  none: () => ['all'],
+  category: (t) => [t.category],
+  tag: (t) => (t.tags.length > 0 ? t.tags : ['(untagged)']),
+  day: (t) => [t.date],
+  week: (t) => [`week of ${weekStart(t.date)}`],
+  month: (t) => [t.date.slice(0, 7)],
+  weekday: (t) => [WEEKDAYS[new Date(`${t.date}T00:00:00Z`).getUTCDay()]]
+};
+
+const isChronological = (groupBy) => ['day', 'week', 'month'].includes(groupBy);
+
+// Drop the internal category ids from the filters reported back
+const describeFilters = ({ categoryIds, ...filters }) => filters;
+
+// { total, count, groups } from { key, total, count } parts, adding up the
+// parts that share a key
+const combineParts = (parts) => {
+  const groups = new Map();
+  parts.forEach(({ key, total, count }) => {
+    const group = groups.get(key) || { key, total: 0, count: 0 };
+    group.total += total;
+    group.count += count;
+    groups.set(key, group);
+  });
+
+  return {
+    total: parts.reduce((sum, part) => sum + part.total, 0),
+    count: parts.reduce((sum, part) => sum + part.count, 0),
+    groups: [...groups.values()]
+  };
+};
+
+// One total, or one per category, from transaction_totals_by_category
+const sumByCategory = async (userId, groupBy, filters, categories) => {
+  const { data, error } = await supabase.rpc('transaction_totals_by_category', {
+    p_user_id: userId,
+    p_start: filters.start_date || EARLIEST_DATE,
+    p_end: filters.end_date || LATEST_DATE,
+    p_tag: filters.tag || null
+  });
+
+  if (error) throw error;
+
+  const names = new Map(categories.map(c => [c.id, c.name]));
+  return combineParts(data
+    .filter(row => row.type === filters.type && (!filters.categoryIds || filters.categoryIds.includes(row.category_id)))
+    .map(row => ({
+      key: groupBy === 'none' ? 'all' : names.get(row.category_id) || 'Unknown',
+      total: Number(row.total),
+      count: Number(row.count)
+    })));
+};
+
+// Totals per day, week or month from transaction_totals_by_period
+const sumByPeriod = async (userId, groupBy, filters) => {
+  const { data, error } = await supabase.rpc('transaction_totals_by_period', {
+    p_user_id: userId,
+    p_start: filters.start_date,
+    p_end: filters.end_date,
+    p_bucket: groupBy,
+    p_tag: filters.tag || null
+  });
+
+  if (error) throw error;
+
+  const totalField = filters.type === 'income' ? 'income' : 'expenses';
+  const countField = `${filters.type}_count`;
+  return combineParts(data
+    .filter(row => Number(row[countField]) > 0)
+    .map(row => ({
+      key: groupKeys[groupBy]({ date: row.period })[0],
+      total: Number(row[totalField]),
+      count: Number(row[countField])
+    })));
+};
+
+// The totals when the database can add them up, else null. The database
+// functions cannot search descriptions, and the periods ones know nothing of
+// categories and need both ends of the range.
+const sumInDatabase = (userId, groupBy, filters, categories) => {
+  if (filters.search) return null;
+  if (groupBy === 'none' || groupBy === 'category') return sumByCategory(userId, groupBy, filters, categories);
+
+  const range = { startDate: filters.start_date, endDate: filters.end_date };
+  if (
+    isChronological(groupBy) &&
+    !filters.categoryIds &&
+    range.startDate && range.endDate &&
+    countPeriods(range, groupBy) <= MAX_TREND_PERIODS
+  ) {
+    return sumByPeriod(userId, groupBy, filters);
+  }
+  return null;
+};
+
+// The totals added up from the matching transactions. One with several tags
+// counts towards each of them, but only once towards the overall total.
+const sumTransactions = async (userId, groupBy, filters, categories) => {
+  const transactions = await fetchMatching(userId, filters, categories);
+  const { groups } = combineParts(transactions.flatMap(t =>
+    groupKeys[groupBy](t).map(key => ({ key, total: t.amount, count: 1 }))));
+
+  return {
+    total: transactions.reduce((sum, t) => sum + t.amount, 0),
+    count: transactions.length,
+    groups
+  };
+};
+
+const aggregateTransactions = async (userId, args, categories) => {
+  const groupBy = args.group_by || 'none';
+  if (!GROUP_BY.includes(groupBy)) return { error: `group_by must be one of: ${GROUP_BY.join(', ')}` };
+
+  const { filters, error } = parseFilters(args, categories);
+  if (error) return { error };
+
+  const { total, count, groups } = await (sumInDatabase(userId, groupBy, filters, categories) ||
+    sumTransactions(userId, groupBy, filters, categories));
+
+  // Time periods read best in order; everything else biggest first
+  const sorted = groups.sort(isChronological(groupBy)
+    ? (a, b) => a.key.localeCompare(b.key)
+    : (a, b) => b.total - a.total);
+
+  return {
+    filters: describeFilters(filters),
+    group_by: groupBy,
+    total: round(total),
+    count,
+    average: count > 0 ? round(total / count) : 0,
+    groups: sorted.slice(0, MAX_GROUPS).map(group => ({
+      key: group.key,
+      total: round(group.total),
+      count: group.count,
+      average: round(group.total / group.count)
+    })),
+    ...(sorted.length > MAX_GROUPS ? { truncated: true } : {})
+  };
+};
+
+const listTransactions = async (userId, args, categories) => {
+  const order = args.order || 'largest';
+  if (!ORDERS.includes(order)) return { error: `order must be one of: ${ORDERS.join(', ')}` };
+
+  const limit = args.limit === undefined ? 10 : Number(args.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LISTED) {
+    return { error: `limit must be between 1 and ${MAX_LISTED}` };
+  }
+
+  const { filters, error } = parseFilters(args, categories);
+  if (error) return { error };
+
+  const compare = {
+    largest: (a, b) => b.amount - a.amount,
+    smallest: (a, b) => a.amount - b.amount,
+    newest: (a, b) => b.date.localeCompare(a.date),
+    oldest: (a, b) => a.date.localeCompare(b.date)
+  }[order];
+
+  const transactions = await fetchMatching(userId, filters, categories);
+  return {
+    filters: describeFilters(filters),
+    order,
+    count: transactions.length,
+    transactions: transactions.sort(compare).slice(0, limit)
+  };
+};
+
+const TOOL_HANDLERS = {
+  aggregate_transactions: aggregateTransactions,
+  list_transactions: listTransactions
+};
+
+// Run one tool call for the user. Resolves to the result given to the model.
+const runTool = async (userId, { name, args }, categories) => {
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) return { error: `Unknown tool "${name}"` };
+  return handler(userId, args || {}, categories);
+};
+
+module.exports = { TOOLS, fetchCategories, parseFilters, runTool };
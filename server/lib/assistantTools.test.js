@@ -0,0 +1,275 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { supabase } = require('../supabaseClient');
+const { parseFilters, runTool } = require('./assistantTools');
+
+const FOOD = 1;
+const GROCERIES = 2;
+const TRANSPORT = 3;
+const SALARY = 4;
+
+const CATEGORIES = [
+  { id: FOOD, name: 'Food', type: 'expense', parent_id: null, archived: false },
+  { id: GROCERIES, name: 'Groceries', type: 'expense', parent_id: FOOD, archived: false },
+  { id: TRANSPORT, name: 'Transport', type: 'expense', parent_id: null, archived: false },
+  { id: SALARY, name: 'Salary', type: 'income', parent_id: null, archived: false },
+  { id: 5, name: 'Gym', type: 'expense', parent_id: null, archived: true }
+];
+
+const run = (name, args) => runTool('user-1', { name, args }, CATEGORIES);
+
+// supabase.rpc answering with `rows`; returns the calls made
+const stubTotals = (t, rows) => {
+  const calls = [];
+  t.mock.method(supabase, 'rpc', async (name, params) => {
+    calls.push({ name, params });
+    return { data: rows, error: null };
+  });
+  return calls;
+};
+
+// supabase.from answering every query with `rows`; returns each query's
+// builder calls as [method, ...args]
+const stubTransactions = (t, rows) => {
+  const queries = [];
+  t.mock.method(supabase, 'from', () => {
+    const calls = [];
+    queries.push(calls);
+    const builder = new Proxy({}, {
+      get: (target, method) => (method === 'then'
+        ? (resolve) => resolve({ data: rows, error: null })
+        : (...args) => {
+          calls.push([method, ...args]);
+          return builder;
+        })
+    });
+    return builder;
+  });
+  return queries;
+};
+
+const transaction = (date, amount, category_id, description, tags = []) => ({
+  id: date + description,
+  date,
+  amount: String(amount),
+  description,
+  category_id,
+  transaction_tags: tags.map(name => ({ tags: { name } }))
+});
+
+describe('parseFilters', () => {
+  test('counts expenses without any other filter by default', () => {
+    assert.deepEqual(parseFilters({}, CATEGORIES), { filters: { type: 'expense' } });
+  });
+
+  test('includes the subcategories of a category, found whatever its case', () => {
+    const { filters } = parseFilters({ category: ' food ', start_date: '2026-10-01', end_date: '' }, CATEGORIES);
+
+    assert.deepEqual(filters, { type: 'expense', start_date: '2026-10-01', category: 'Food', categoryIds: [FOOD, GROCERIES] });
+  });
+
+  test('normalises the tag and trims the search text', () => {
+    assert.deepEqual(parseFilters({ tag: '#Goa Trip', search: '  uber ' }, CATEGORIES).filters, {
+      type: 'expense',
+      tag: 'goa-trip',
+      search: 'uber'
+    });
+  });
+
+  test('explains what is wrong with bad arguments', () => {
+    assert.deepEqual(parseFilters({ start_date: '2026-13-01' }, CATEGORIES), {
+      error: 'start_date must be a date in YYYY-MM-DD format'
+    });
+    assert.deepEqual(parseFilters({ start_date: '2026-10-31', end_date: '2026-10-01' }, CATEGORIES), {
+      error: 'end_date must not be before start_date'
+    });
+    assert.deepEqual(parseFilters({ type: 'transfer' }, CATEGORIES), { error: 'type must be expense or income' });
+  });
+
+  test('lists the known categories of the type for an unknown one, leaving out archived ones', () => {
+    assert.deepEqual(parseFilters({ category: 'Pets' }, CATEGORIES), {
+      error: 'Unknown expense category "Pets". Known categories: Food, Groceries, Transport'
+    });
+    assert.match(parseFilters({ category: 'Food', type: 'income' }, CATEGORIES).error, /Known categories: Salary$/);
+  });
+});
+
+describe('aggregate_transactions', () => {
+  const CATEGORY_TOTALS = [
+    { category_id: FOOD, type: 'expense', total: '30.50', count: '2' },
+    { category_id: GROCERIES, type: 'expense', total: '10.00', count: '1' },
+    { category_id: TRANSPORT, type: 'expense', total: '20.00', count: '1' },
+    { category_id: SALARY, type: 'income', total: '1000.00', count: '1' }
+  ];
+
+  test('totals a category and its subcategories in the database', async (t) => {
+    const calls = stubTotals(t, CATEGORY_TOTALS);
+    const queries = stubTransactions(t, []);
+
+    const result = await run('aggregate_transactions', {
+      category: 'Food',
+      tag: 'Goa Trip',
+      start_date: '2026-10-01',
+      end_date: '2026-10-31'
+    });
+
+    assert.deepEqual(calls, [{
+      name: 'transaction_totals_by_category',
+      params: { p_user_id: 'user-1', p_start: '2026-10-01', p_end: '2026-10-31', p_tag: 'goa-trip' }
+    }]);
+    assert.equal(queries.length, 0);
+    assert.deepEqual(result, {
+      filters: { type: 'expense', start_date: '2026-10-01', end_date: '2026-10-31', category: 'Food', tag: 'goa-trip' },
+      group_by: 'none',
+      total: 40.5,
+      count: 3,
+      average: 13.5,
+      groups: [{ key: 'all', total: 40.5, count: 3, average: 13.5 }]
+    });
+  });
+
+  test('groups by category, largest first, over the whole history when no dates are given', async (t) => {
+    const calls = stubTotals(t, CATEGORY_TOTALS);
+
+    const result = await run('aggregate_transactions', { group_by: 'category' });
+
+    assert.deepEqual(calls[0].params, { p_user_id: 'user-1', p_start: '0001-01-01', p_end: '9999-12-31', p_tag: null });
+    assert.deepEqual(result.groups.map(group => [group.key, group.total]), [['Food', 30.5], ['Transport', 20], ['Groceries', 10]]);
+    assert.equal(result.total, 60.5);
+  });
+
+  test('groups by period in the database, skipping periods without any', async (t) => {
+    const calls = stubTotals(t, [
+      { period: '2026-08-01', expenses: '0', income: '500', count: '1', expense_count: '0', income_count: '1' },
+      { period: '2026-09-01', expenses: '120.25', income: '0', count: '3', expense_count: '3', income_count: '0' },
+      { period: '2026-10-01', expenses: '80', income: '0', count: '1', expense_count: '1', income_count: '0' }
+    ]);
+
+    const result = await run('aggregate_transactions', { group_by: 'month', start_date: '2026-08-01', end_date: '2026-10-31' });
+
+    assert.equal(calls[0].name, 'transaction_totals_by_period');
+    assert.equal(calls[0].params.p_bucket, 'month');
+    assert.deepEqual(result.groups, [
+      { key: '2026-09', total: 120.25, count: 3, average: 40.08 },
+      { key: '2026-10', total: 80, count: 1, average: 80 }
+    ]);
+    assert.equal(result.count, 4);
+  });
+
+  test('adds up the transactions themselves when searching, taking the text literally', async (t) => {
+    const calls = stubTotals(t, []);
+    const queries = stubTransactions(t, [
+      transaction('2026-10-02', 12, FOOD, '50% off pizza', ['party', 'friday']),
+      transaction('2026-10-09', 8, FOOD, '50% off_burger', ['party']),
+      transaction('2026-10-10', 5, FOOD, '50% off drinks')
+    ]);
+
+    const result = await run('aggregate_transactions', { group_by: 'tag', search: '50%_off' });
+
+    assert.equal(calls.length, 0);
+    assert.deepEqual(queries[0].find(([method]) => method === 'ilike'), ['ilike', 'description', '%50\\%\\_off%']);
+    // The pizza counts towards both its tags but only once overall
+    assert.deepEqual(result.groups.map(group => [group.key, group.total, group.count]), [
+      ['party', 20, 2],
+      ['friday', 12, 1],
+      ['(untagged)', 5, 1]
+    ]);
+    assert.equal(result.total, 25);
+    assert.equal(result.count, 3);
+  });
+
+  test('adds up the transactions themselves for a category by period or by weekday', async (t) => {
+    const calls = stubTotals(t, []);
+    const queries = stubTransactions(t, [
+      transaction('2026-10-19', 10, FOOD, 'Lunch'),
+      transaction('2026-10-21', 6, GROCERIES, 'Milk'),
+      transaction('2026-10-26', 9, FOOD, 'Lunch')
+    ]);
+
+    const byWeek = await run('aggregate_transactions', {
+      group_by: 'week',
+      category: 'Food',
+      start_date: '2026-10-01',
+      end_date: '2026-10-31'
+    });
+    assert.deepEqual(byWeek.groups.map(group => [group.key, group.total]), [['week of 2026-10-19', 16], ['week of 2026-10-26', 9]]);
+    assert.deepEqual(queries[0].find(([method]) => method === 'in'), ['in', 'category_id', [FOOD, GROCERIES]]);
+
+    const byWeekday = await run('aggregate_transactions', { group_by: 'weekday' });
+    assert.deepEqual(byWeekday.groups.map(group => [group.key, group.count]), [['Monday', 2], ['Wednesday', 1]]);
+    assert.equal(calls.length, 0);
+  });
+
+  test('gives an error result for bad arguments without loading anything', async (t) => {
+    const calls = stubTotals(t, []);
+
+    assert.deepEqual(await run('aggregate_transactions', { group_by: 'year' }), {
+      error: 'group_by must be one of: none, category, tag, day, week, month, weekday'
+    });
+    assert.deepEqual(await run('aggregate_transactions', { type: 'transfer' }), { error: 'type must be expense or income' });
+    assert.equal(calls.length, 0);
+  });
+
+  test('passes on database errors', async (t) => {
+    t.mock.method(supabase, 'rpc', async () => ({ data: null, error: new Error('function does not exist') }));
+
+    await assert.rejects(run('aggregate_transactions', {}), /function does not exist/);
+  });
+});
+
+describe('list_transactions', () => {
+  const ROWS = [
+    transaction('2026-10-02', 12, FOOD, 'Pizza', ['party']),
+    transaction('2026-10-09', 45, TRANSPORT, 'Train'),
+    transaction('2026-10-05', 3, FOOD, 'Coffee')
+  ];
+
+  test('lists the largest first by default', async (t) => {
+    stubTransactions(t, ROWS);
+
+    const result = await run('list_transactions', { limit: 2 });
+
+    assert.deepEqual(result, {
+      filters: { type: 'expense' },
+      order: 'largest',
+      count: 3,
+      transactions: [
+        { date: '2026-10-09', description: 'Train', amount: 45, category: 'Transport', tags: [] },
+        { date: '2026-10-02', description: 'Pizza', amount: 12, category: 'Food', tags: ['party'] }
+      ]
+    });
+  });
+
+  test('orders by date or by the smallest amount', async (t) => {
+    stubTransactions(t, ROWS);
+
+    const dates = async (order) => (await run('list_transactions', { order })).transactions.map(tr => tr.date);
+    assert.deepEqual(await dates('newest'), ['2026-10-09', '2026-10-05', '2026-10-02']);
+    assert.deepEqual(await dates('oldest'), ['2026-10-02', '2026-10-05', '2026-10-09']);
+    assert.deepEqual(await dates('smallest'), ['2026-10-05', '2026-10-02', '2026-10-09']);
+  });
+
+  test('only keeps transactions with the tag', async (t) => {
+    stubTransactions(t, ROWS);
+
+    const result = await run('list_transactions', { tag: 'party' });
+    assert.deepEqual(result.transactions.map(tr => tr.description), ['Pizza']);
+  });
+
+  test('gives an error result for a bad order or limit', async (t) => {
+    const queries = stubTransactions(t, ROWS);
+
+    assert.deepEqual(await run('list_transactions', { order: 'random' }), {
+      error: 'order must be one of: largest, smallest, newest, oldest'
+    });
+    assert.deepEqual(await run('list_transactions', { limit: 0 }), { error: 'limit must be between 1 and 20' });
+    assert.deepEqual(await run('list_transactions', { limit: 21 }), { error: 'limit must be between 1 and 20' });
+    assert.equal(queries.length, 0);
+  });
+});
+
+describe('runTool', () => {
+  test('gives an error result for an unknown tool', async () => {
+    assert.deepEqual(await run('delete_everything', {}), { error: 'Unknown tool "delete_everything"' });
+  });
+});
@@ -0,0 +1,27 @@
+const { supabase } = require('../supabaseClient');
+const { ValidationError } = require('./errors');
+
+// Check the category is a default or one of the user's own, not archived and,
+// when a type is given, that it belongs to that type. `currentCategoryId` is
+// the category already assigned, which may be kept after it was archived.
+const ensureCategoryExists = async (categoryId, type, userId, { currentCategoryId = null } = {}) => {
+  const { data, error } = await supabase
+    .from('categories')
+    .select('id, type, user_id, archived')
+    .eq('id', categoryId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (
+    !data ||
+    (data.user_id && data.user_id !== userId) ||
+    (data.archived && categoryId !== currentCategoryId)
+  ) {
+    throw new ValidationError([{ field: 'category_id', message: 'Category does not exist' }]);
+  }
+  if (type && data.type !== type) {
+    throw new ValidationError([{ field: 'category_id', message: `Category is not an ${type} category` }]);
+  }
+};
+
+module.exports = { ensureCategoryExists };
@@ -0,0 +1,69 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { supabase } = require('../supabaseClient');
+const { ValidationError } = require('./errors');
+const { ensureCategoryExists } = require('./categories');
+
+// supabase.from answering the category lookup with `category` (or null)
+const stubCategory = (t, category) => {
+  t.mock.method(supabase, 'from', () => {
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      maybeSingle: async () => ({ data: category, error: null })
+    };
+    return builder;
+  });
+};
+
+const categoryError = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.details;
+  }
+  return null;
+};
+
+describe('ensureCategoryExists', () => {
+  const food = { id: 7, type: 'expense', user_id: 'user-1', archived: false };
+
+  test('accepts the user\'s own and the default categories', async (t) => {
+    stubCategory(t, food);
+    assert.equal(await categoryError(ensureCategoryExists(7, 'expense', 'user-1')), null);
+
+    stubCategory(t, { ...food, user_id: null });
+    assert.equal(await categoryError(ensureCategoryExists(7, null, 'user-2')), null);
+  });
+
+  test('refuses missing categories and other users\' ones', async (t) => {
+    const missing = [{ field: 'category_id', message: 'Category does not exist' }];
+
+    stubCategory(t, null);
+    assert.deepEqual(await categoryError(ensureCategoryExists(7, 'expense', 'user-1')), missing);
+
+    stubCategory(t, food);
+    assert.deepEqual(await categoryError(ensureCategoryExists(7, 'expense', 'user-2')), missing);
+  });
+
+  test('refuses a category of the other type', async (t) => {
+    stubCategory(t, food);
+
+    assert.deepEqual(await categoryError(ensureCategoryExists(7, 'income', 'user-1')), [
+      { field: 'category_id', message: 'Category is not an income category' }
+    ]);
+  });
+
+  test('refuses an archived category unless it is the one already assigned', async (t) => {
+    stubCategory(t, { ...food, archived: true });
+
+    assert.deepEqual(await categoryError(ensureCategoryExists(7, 'expense', 'user-1')), [
+      { field: 'category_id', message: 'Category does not exist' }
+    ]);
+    assert.deepEqual(await categoryError(ensureCategoryExists(7, 'expense', 'user-1', { currentCategoryId: 3 })), [
+      { field: 'category_id', message: 'Category does not exist' }
+    ]);
+    assert.equal(await categoryError(ensureCategoryExists(7, 'expense', 'user-1', { currentCategoryId: 7 })), null);
+  });
+});
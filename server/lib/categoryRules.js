@@ -0,0 +1,215 @@
+const vm = require('vm');
+const { supabase } = require('../supabaseClient');
+const { addTagsToTransactions } = require('./tags');
+const { isSlowRegex } = require('./validation');
+
+const RULE_COLUMNS = `
+  id,
+  match_type,
+  pattern,
+  min_amount,
+  max_amount,
+  category_id,
+  tags,
+  priority,
+  active,
+  created_at,
+  categories!inner(
+    name,
+    type
+  )
+`;
+
+const BATCH_SIZE = 1000;
+// Ids per UPDATE ... WHERE id IN (...); they travel in the request URL
+const UPDATE_BATCH_SIZE = 200;
+// Longest a regex rule may take on one description before it is given up on
+const REGEX_TIMEOUT_MS = 50;
+
+const regexTestScript = new vm.Script('pattern.test(text)');
+
+// A rule applies to transactions of its category's type
+const formatRule = ({ categories, ...rule }) => ({
+  ...rule,
+  category_name: categories?.name ?? null,
+  type: categories?.type ?? 'expense'
+});
+
+// Rules in the order they are tried: lowest priority number first, then oldest
+const fetchRules = async (userId) => {
+  const { data, error } = await supabase
+    .from('category_rules')
+    .select(RULE_COLUMNS)
+    .eq('user_id', userId)
+    .order('priority')
+    .order('id');
+
+  if (error) throw error;
+  return data.map(formatRule);
+};
+
+const normalizeText = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Statements and receipts decorate merchant names with store numbers and
+// punctuation, so only letters and digits are compared: "STARBUCKS #1234"
+// becomes "starbucks 1234"
+const normalizeMerchant = (value) => normalizeText(String(value || '').replace(/[^\p{L}\p{N}]+/gu, ' '));
+
+// The description/merchant part of a rule as a test on a transaction
+const buildTextTest = (rule) => {
+  switch (rule.match_type) {
+    case 'contains': {
+      const needle = normalizeText(rule.pattern);
+      return (transaction) => normalizeText(transaction.description).includes(needle);
+    }
+    case 'regex': {
+      let pattern;
+      try {
+        pattern = new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        return () => false;
+      }
+      // Rules saved before slow patterns were refused never match
+      if (isSlowRegex(rule.pattern)) return () => false;
+
+      // A pattern the check lets through can still be slow on some text, so
+      // each test runs with a time limit. A rule that runs out of time stops
+      // matching for the rest of this batch instead of holding up every request.
+      const context = vm.createContext({ pattern, text: '' });
+      let timedOut = false;
+      return (transaction) => {
+        if (timedOut) return false;
+        context.text = transaction.description || '';
+        try {
+          return regexTestScript.runInContext(context, { timeout: REGEX_TIMEOUT_MS });
+        } catch (error) {
+          if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+          timedOut = true;
+          console.warn(`Category rule ${rule.id} took over ${REGEX_TIMEOUT_MS} ms to match and was skipped`);
+          return false;
+        }
+      };
+    }
+    case 'merchant': {
+      // Receipts and statements put the merchant first: "Starbucks" matches
+      // "Starbucks" and "STARBUCKS COFFEE #12", not "Not Starbucks"
+      const name = normalizeMerchant(rule.pattern);
+      return (transaction) => {
+        const merchant = normalizeMerchant(transaction.description);
+        return merchant === name || merchant.startsWith(`${name} `);
+      };
+    }
+    default:
+      return () => true;
+  }
+};
+
+const matchesTypeAndAmount = (rule, transaction) => {
+  if (transaction.type && transaction.type !== rule.type) return false;
+  if (rule.min_amount === null && rule.max_amount === null) return true;
+
+  const amount = Number(transaction.amount);
+  if (transaction.amount === null || transaction.amount === undefined || !Number.isFinite(amount)) return false;
+  if (rule.min_amount !== null && amount < Number(rule.min_amount)) return false;
+  if (rule.max_amount !== null && amount > Number(rule.max_amount)) return false;
+  return true;
+};
+
+// Build a function that finds the first active rule matching a transaction
+// ({ description, amount, type }, any of which may be missing).
+// It returns { rule_id, category_id, tags } or null.
+const createRuleMatcher = (rules) => {
+  const tests = rules
+    .filter(rule => rule.active)
+    .map(rule => ({ rule, matchesText: buildTextTest(rule) }));
+
+  return (transaction) => {
+    const found = tests.find(({ rule, matchesText }) =>
+      matchesTypeAndAmount(rule, transaction) && matchesText(transaction)
+    );
+    return found
+      ? { rule_id: found.rule.id, category_id: found.rule.category_id, tags: found.rule.tags }
+      : null;
+  };
+};
+
+// Run the rules over the user's existing transactions (optionally only those
+// between startDate and endDate, and only where `ruleId` is the rule that
+// matches). Matching transactions are moved to the rule's category and get
+// its tags; tags they already have are kept. With dryRun nothing is changed.
+// Returns how many transactions were checked and how many were (or would be)
+// updated.
+const reapplyRules = async (userId, { ruleId, startDate, endDate, dryRun = false } = {}) => {
+  const match = createRuleMatcher(await fetchRules(userId));
+  const changes = [];
+  let checked = 0;
+
+  for (let from = 0; ; from += BATCH_SIZE) {
+    let query = supabase
+      .from('transactions')
+      .select('id, description, amount, type, category_id, transaction_tags(tags(name))')
+      .eq('user_id', userId);
+    if (startDate) query = query.gte('date', startDate);
+    if (endDate) query = query.lte('date', endDate);
+
+    const { data, error } = await query.order('id').range(from, from + BATCH_SIZE - 1);
+    if (error) throw error;
+
+    data.forEach(transaction => {
+      checked++;
+      const found = match(transaction);
+      if (!found || (ruleId && found.rule_id !== ruleId)) return;
+
+      const currentTags = (transaction.transaction_tags || []).map(link => link.tags?.name);
+      const change = {
+        id: transaction.id,
+        category_id: found.category_id !== transaction.category_id ? found.category_id : null,
+        tags: found.tags.filter(tag => !currentTags.includes(tag))
+      };
+      if (change.category_id || change.tags.length > 0) changes.push(change);
+    });
+
+    if (data.length < BATCH_SIZE) break;
+  }
+
+  if (!dryRun) {
+    // Transactions getting the same category (or the same tags) are updated together
+    const byCategory = new Map();
+    const byTags = new Map();
+    const addTo = (groups, key, id) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(id);
+    };
+    changes.forEach(change => {
+      if (change.category_id) addTo(byCategory, change.category_id, change.id);
+      if (change.tags.length > 0) addTo(byTags, change.tags.join(','), change.id);
+    });
+
+    for (const [categoryId, ids] of byCategory) {
+      for (let from = 0; from < ids.length; from += UPDATE_BATCH_SIZE) {
+        const { error } = await supabase
+          .from('transactions')
+          .update({ category_id: categoryId })
+          .in('id', ids.slice(from, from + UPDATE_BATCH_SIZE))
+          .eq('user_id', userId);
+
+        if (error) throw error;
+      }
+    }
+
+    for (const [key, ids] of byTags) {
+      await addTagsToTransactions(userId, ids, key.split(','));
+    }
+  }
+
+  return { checked, updated: changes.length };
+};
+
+module.exports = {
+  RULE_COLUMNS,
+  createRuleMatcher,
+  fetchRules,
+  formatRule,
+  normalizeMerchant,
+  reapplyRules
+};
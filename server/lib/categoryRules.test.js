@@ -0,0 +1,57 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRuleMatcher } = require('./categoryRules');
+
+const rule = (id, matchType, pattern, extra = {}) => ({
+  id,
+  match_type: matchType,
+  pattern,
+  min_amount: null,
+  max_amount: null,
+  category_id: id * 10,
+  tags: [],
+  active: true,
+  type: 'expense',
+  ...extra
+});
+
+describe('createRuleMatcher', () => {
+  test('uses the first active rule that matches', () => {
+    const match = createRuleMatcher([
+      rule(1, 'contains', 'uber', { active: false }),
+      rule(2, 'merchant', 'Starbucks'),
+      rule(3, 'regex', '^(uber|ola)\\b'),
+      rule(4, 'amount', null, { min_amount: 100 })
+    ]);
+
+    assert.equal(match({ description: 'STARBUCKS COFFEE #12', amount: 5 }).rule_id, 2);
+    assert.equal(match({ description: 'Not Starbucks', amount: 5 }), null);
+    assert.equal(match({ description: 'Uber trip', amount: 12 }).rule_id, 3);
+    assert.equal(match({ description: 'Rent', amount: 400 }).rule_id, 4);
+    assert.equal(match({ description: 'Uber trip', amount: 12, type: 'income' }), null);
+  });
+
+  test('never matches with a regex that does not compile or is too slow', () => {
+    const match = createRuleMatcher([rule(1, 'regex', '(unclosed'), rule(2, 'regex', '(a+)+$')]);
+
+    assert.equal(match({ description: '(unclosed' }), null);
+    assert.equal(match({ description: 'aaaa' }), null);
+  });
+
+  test('gives up on a regex that takes too long and moves on to the next rule', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    // Polynomial rather than exponential, so it passes the pattern check, but
+    // far too slow on a long description without an "=" in it
+    const match = createRuleMatcher([
+      rule(1, 'regex', '.*.*.*.*.*.*.*='),
+      rule(2, 'contains', 'x')
+    ]);
+    const description = 'x'.repeat(500);
+
+    const started = Date.now();
+    assert.equal(match({ description }).rule_id, 2);
+    assert.equal(match({ description }).rule_id, 2);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
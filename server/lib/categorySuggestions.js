@@ -0,0 +1,173 @@
+const { supabase } = require('../supabaseClient');
+
+// Suggest a category for a description from the user's own history with a
+// naive Bayes classifier over description words. Everything runs here on the
+// server; no external service is involved.
+
+const BATCH_SIZE = 1000;
+// The most recent transactions are enough to learn from and keep training fast
+const MAX_HISTORY = 5000;
+// Models are reused for a short while so typing in the form stays cheap
+const MODEL_TTL_MS = 60 * 1000;
+// Laplace smoothing for words a category has never seen
+const SMOOTHING = 1;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'from', 'in', 'of', 'on', 'the', 'to', 'with']);
+
+// Distinct words of a description, e.g. "Lunch at Subway #42" gives
+// ["lunch", "subway"]. Numbers carry no meaning across transactions.
+const tokenize = (description) => {
+  const words = String(description || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter(word =>
+    word.length > 1 && !/^\d+$/.test(word) && !STOP_WORDS.has(word)
+  ))];
+};
+
+// Count, per category, how many transactions it has and how often each word
+// appears in their descriptions. `examples` are { tokens, category_id, type }.
+const trainModel = (examples) => {
+  const categories = new Map();
+  // How many transactions use each word
+  const vocabulary = new Map();
+
+  examples.forEach(({ tokens, category_id: categoryId, type }) => {
+    if (!categories.has(categoryId)) {
+      categories.set(categoryId, { type, documents: 0, words: 0, counts: new Map() });
+    }
+    const category = categories.get(categoryId);
+    category.documents++;
+    category.words += tokens.length;
+    tokens.forEach(token => {
+      category.counts.set(token, (category.counts.get(token) || 0) + 1);
+      vocabulary.set(token, (vocabulary.get(token) || 0) + 1);
+    });
+  });
+
+  return { categories, vocabulary, documents: examples.length };
+};
+
+// Rank categories for the given words, most likely first, as
+// [{ category_id, confidence }] with confidences summing to 1. `type` limits
+// the ranking to expense or income categories and `categoryIds` (a Set) to the
+// categories that may be suggested. `exclude` is a training example to leave
+// out, which is how accuracy is measured without a separate test set.
+// Returns [] when none of the words has been seen before.
+const rankCategories = (model, tokens, { type, categoryIds, exclude } = {}) => {
+  // Words only the left-out transaction uses are as good as unseen
+  const known = tokens.filter(token =>
+    (model.vocabulary.get(token) || 0) > (exclude && exclude.tokens.includes(token) ? 1 : 0)
+  );
+  if (known.length === 0) return [];
+
+  const documents = model.documents - (exclude ? 1 : 0);
+  const scores = [];
+
+  model.categories.forEach((category, categoryId) => {
+    if (type && category.type !== type) return;
+    if (categoryIds && !categoryIds.has(categoryId)) return;
+
+    const excluded = exclude && exclude.category_id === categoryId;
+    const categoryDocuments = category.documents - (excluded ? 1 : 0);
+    if (categoryDocuments <= 0) return;
+
+    const words = category.words - (excluded ? exclude.tokens.length : 0);
+    const denominator = words + SMOOTHING * model.vocabulary.size;
+    let score = Math.log(categoryDocuments / documents);
+    known.forEach(token => {
+      const count = (category.counts.get(token) || 0) - (excluded && exclude.tokens.includes(token) ? 1 : 0);
+      score += Math.log((count + SMOOTHING) / denominator);
+    });
+    scores.push({ category_id: categoryId, score });
+  });
+
+  if (scores.length === 0) return [];
+
+  // Turn log scores into probabilities without overflowing
+  const best = Math.max(...scores.map(s => s.score));
+  const total = scores.reduce((sum, s) => sum + Math.exp(s.score - best), 0);
+
+  return scores
+    .map(s => ({ category_id: s.category_id, confidence: Math.exp(s.score - best) / total }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// Leave-one-out accuracy: each past transaction with a description is
+// categorised by a model trained on all the others. `accuracy` counts the top
+// suggestion, `top3_accuracy` any of the first three; `evaluated` is how many
+// transactions got a suggestion at all out of the `described` ones.
+const evaluateModel = (model, examples) => {
+  let evaluated = 0;
+  let correct = 0;
+  let correctInTop3 = 0;
+
+  examples.forEach(example => {
+    const ranked = rankCategories(model, example.tokens, { type: example.type, exclude: example });
+    if (ranked.length === 0) return;
+
+    evaluated++;
+    if (ranked[0].category_id === example.category_id) correct++;
+    if (ranked.slice(0, 3).some(r => r.category_id === example.category_id)) correctInTop3++;
+  });
+
+  return {
+    described: examples.length,
+    evaluated,
+    correct,
+    accuracy: evaluated > 0 ? correct / evaluated : null,
+    top3_accuracy: evaluated > 0 ? correctInTop3 / evaluated : null
+  };
+};
+
+// The user's recent transactions that have a description, as training examples
+const fetchExamples = async (userId) => {
+  const examples = [];
+
+  for (let from = 0; from < MAX_HISTORY; from += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('description, category_id, type')
+      .eq('user_id', userId)
+      .not('description', 'is', null)
+      .order('date', { ascending: false })
+      .order('id')
+      .range(from, Math.min(from + BATCH_SIZE, MAX_HISTORY) - 1);
+
+    if (error) throw error;
+
+    data.forEach(transaction => {
+      const tokens = tokenize(transaction.description);
+      if (tokens.length > 0) {
+        examples.push({ tokens, category_id: transaction.category_id, type: transaction.type || 'expense' });
+      }
+    });
+    if (data.length < BATCH_SIZE) break;
+  }
+
+  return examples;
+};
+
+const modelCache = new Map();
+
+// The user's model and its training examples, trained at most once a minute
+const getModel = async (userId) => {
+  const cached = modelCache.get(userId);
+  if (cached && cached.expires > Date.now()) return cached;
+
+  const examples = await fetchExamples(userId);
+  const entry = { examples, model: trainModel(examples), expires: Date.now() + MODEL_TTL_MS };
+
+  // Drop expired entries so the cache does not grow with every user ever seen
+  modelCache.forEach((value, key) => {
+    if (value.expires <= Date.now()) modelCache.delete(key);
+  });
+  modelCache.set(userId, entry);
+  return entry;
+};
+
+module.exports = {
+  evaluateModel,
+  getModel,
+  rankCategories,
+  tokenize,
+  trainModel
+};
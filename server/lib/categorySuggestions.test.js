@@ -0,0 +1,101 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateModel, rankCategories, tokenize, trainModel } = require('./categorySuggestions');
+
+const FOOD = 1;
+const TRANSPORT = 2;
+const SALARY = 3;
+const SOCIAL = 4;
+
+const example = (description, categoryId, type = 'expense') =>
+  ({ tokens: tokenize(description), category_id: categoryId, type });
+
+const EXAMPLES = [
+  example('Lunch at Subway', FOOD),
+  example('Subway sandwich', FOOD),
+  example('Dinner pizza', FOOD),
+  example('Uber to campus', TRANSPORT),
+  example('Uber ride home', TRANSPORT),
+  example('Bus pass', TRANSPORT),
+  example('Salary from cafe job', SALARY, 'income'),
+  example('Lunch with friends', SOCIAL)
+];
+
+const sum = (ranked) => ranked.reduce((total, r) => total + r.confidence, 0);
+
+describe('tokenize', () => {
+  test('keeps the distinct words and drops numbers and stop words', () => {
+    assert.deepEqual(tokenize('Lunch at Subway #42'), ['lunch', 'subway']);
+    assert.deepEqual(tokenize('UBER uber Uber-Eats'), ['uber', 'eats']);
+    assert.deepEqual(tokenize('Café Müller, 2x'), ['café', 'müller', '2x']);
+  });
+
+  test('gives nothing for an empty description', () => {
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+    assert.deepEqual(tokenize('12 / 3'), []);
+  });
+});
+
+describe('rankCategories', () => {
+  const model = trainModel(EXAMPLES);
+
+  test('ranks the category that uses the words most first', () => {
+    const ranked = rankCategories(model, tokenize('subway lunch'));
+
+    assert.equal(ranked[0].category_id, FOOD);
+    assert.ok(ranked[0].confidence > ranked[1].confidence);
+    assert.ok(Math.abs(sum(ranked) - 1) < 1e-9);
+  });
+
+  test('gives nothing for words never seen before', () => {
+    assert.deepEqual(rankCategories(model, tokenize('textbooks')), []);
+  });
+
+  test('ranks only categories of the given type', () => {
+    const ranked = rankCategories(model, tokenize('cafe lunch'), { type: 'income' });
+
+    assert.deepEqual(ranked.map(r => r.category_id), [SALARY]);
+    assert.equal(ranked[0].confidence, 1);
+  });
+
+  test('ranks only the allowed categories, with confidences still adding up to 1', () => {
+    const all = rankCategories(model, tokenize('lunch'), { type: 'expense' });
+    const allowed = rankCategories(model, tokenize('lunch'), { type: 'expense', categoryIds: new Set([FOOD, TRANSPORT]) });
+
+    assert.deepEqual(allowed.map(r => r.category_id), [FOOD, TRANSPORT]);
+    assert.ok(Math.abs(sum(allowed) - 1) < 1e-9);
+    assert.ok(allowed[0].confidence > all.find(r => r.category_id === FOOD).confidence);
+  });
+
+  test('treats words only the left-out example uses as unseen', () => {
+    const pizza = EXAMPLES[2];
+
+    assert.equal(rankCategories(model, pizza.tokens)[0].category_id, FOOD);
+    assert.deepEqual(rankCategories(model, pizza.tokens, { exclude: pizza }), []);
+  });
+});
+
+describe('evaluateModel', () => {
+  test('judges each example by a model trained on the others', () => {
+    // "Dinner pizza", "Bus pass" and the salary share no words with the rest;
+    // "Lunch with friends" is the only one of its category, so it is missed
+    assert.deepEqual(evaluateModel(trainModel(EXAMPLES), EXAMPLES), {
+      described: 8,
+      evaluated: 5,
+      correct: 4,
+      accuracy: 0.8,
+      top3_accuracy: 0.8
+    });
+  });
+
+  test('has no accuracy without anything to judge', () => {
+    assert.deepEqual(evaluateModel(trainModel([]), []), {
+      described: 0,
+      evaluated: 0,
+      correct: 0,
+      accuracy: null,
+      top3_accuracy: null
+    });
+  });
+});
@@ -0,0 +1,20 @@
+// Error thrown by validators so routes can answer with a 400 and the field details
+class ValidationError extends Error {
+  constructor(details) {
+    super('Validation failed');
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// Send a consistent JSON error body: { error, details? }
+const sendError = (res, error, message) => {
+  if (error instanceof ValidationError) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+module.exports = { ValidationError, sendError };
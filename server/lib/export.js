@@ -0,0 +1,94 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// The column order is part of the export format that people build spreadsheets
+// on, so new columns go at the end
+const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'type', header: 'Type', width: 10 },
+  { key: 'category', header: 'Category', width: 20 },
+  { key: 'parent_category', header: 'Parent Category', width: 20 },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'tags', header: 'Tags', width: 25 },
+  { key: 'amount', header: 'Amount', width: 12 },
+  { key: 'signed_amount', header: 'Signed Amount', width: 14 }
+];
+
+// One flat row per transaction. `categories` is used to resolve parent names.
+const toExportRow = (transaction, categories) => {
+  const category = categories.find(c => c.id === transaction.category_id);
+  const parent = category?.parent_id && categories.find(c => c.id === category.parent_id);
+  const amount = Number(transaction.amount);
+
+  return {
+    date: transaction.date,
+    type: transaction.type,
+    category: category?.name ?? transaction.category_name ?? '',
+    parent_category: parent?.name ?? '',
+    description: transaction.description ?? '',
+    tags: (transaction.tags || []).join(', '),
+    amount,
+    signed_amount: transaction.type === 'income' ? amount : -amount
+  };
+};
+
+// Spreadsheet apps run cells that start with these characters as formulas
+const escapeFormula = (value) => /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+const escapeCsvValue = (value) => {
+  // Numbers are always written with a dot and two decimals, whatever the
+  // server or user locale, so they parse the same everywhere
+  if (typeof value === 'number') return value.toFixed(2);
+
+  const text = escapeFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 CSV with a UTF-8 byte order mark so Excel detects the encoding
+const toCsv = (rows) => {
+  const lines = [
+    EXPORT_COLUMNS.map(column => column.header).join(','),
+    ...rows.map(row => EXPORT_COLUMNS.map(column => escapeCsvValue(row[column.key])).join(','))
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+// XLSX with real date and number cells, so the user's spreadsheet app applies
+// its own locale for display
+const toXlsx = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Transactions', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    const [year, month, day] = row.date.split('-').map(Number);
+    sheet.addRow({
+      ...row,
+      date: new Date(Date.UTC(year, month - 1, day)),
+      category: escapeFormula(row.category),
+      parent_category: escapeFormula(row.parent_category),
+      description: escapeFormula(row.description),
+      tags: escapeFormula(row.tags)
+    });
+  });
+
+  sheet.getColumn('date').numFmt = 'yyyy-mm-dd';
+  sheet.getColumn('amount').numFmt = '0.00';
+  sheet.getColumn('signed_amount').numFmt = '0.00';
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  toCsv,
+  toExportRow,
+  toXlsx
+};
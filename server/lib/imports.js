@@ -0,0 +1,56 @@
+const { supabase } = require('../supabaseClient');
+
+const BATCH_SIZE = 1000;
+
+// Same date, amount and description (ignoring case and spacing) counts as the
+// same transaction
+const normalizeDescription = (description) =>
+  (description || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const getDuplicateKey = (row) =>
+  `${row.date}|${Number(row.amount).toFixed(2)}|${normalizeDescription(row.description)}`;
+
+const fetchExistingKeys = async (userId, startDate, endDate) => {
+  const counts = new Map();
+
+  for (let from = 0; ; from += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('date, amount, description')
+      .eq('user_id', userId)
+      .gte('date', startDate)
+      .lte('date', endDate)
+      .order('id')
+      .range(from, from + BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    data.forEach(transaction => {
+      const key = getDuplicateKey(transaction);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    if (data.length < BATCH_SIZE) break;
+  }
+
+  return counts;
+};
+
+// Flag each row that matches a transaction the user already has. Matching is
+// one-to-one: a statement with two identical coffees against one recorded
+// coffee flags only the first, so genuine repeats can still be imported.
+const findDuplicates = async (userId, rows) => {
+  const dates = rows.map(row => row.date).filter(Boolean).sort();
+  if (dates.length === 0) return rows.map(() => false);
+
+  const existing = await fetchExistingKeys(userId, dates[0], dates[dates.length - 1]);
+
+  return rows.map(row => {
+    const key = getDuplicateKey(row);
+    const remaining = existing.get(key) || 0;
+    if (remaining === 0) return false;
+    existing.set(key, remaining - 1);
+    return true;
+  });
+};
+
+module.exports = { findDuplicates, getDuplicateKey };
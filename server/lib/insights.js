@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { supabase } = require('../supabaseClient');
+
+// Stored AI insights. Each one records the month it is about, where it was
+// asked for, which provider and model wrote it, and a hash of the exact prompt,
+// so the same data sent again can be answered from the table.
+
+const INSIGHT_SOURCES = ['dashboard', 'reports'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const INSIGHT_COLUMNS = 'id, month, year, source, provider, model, input_hash, insights, metadata, created_at';
+
+// 1-12 from a month number or an English month name ("March"), or NaN
+const parseInsightMonth = (value) => {
+  if (typeof value === 'string' && !/^\d+$/.test(value.trim())) {
+    const index = MONTH_NAMES.findIndex(name => name.toLowerCase() === value.trim().toLowerCase());
+    return index === -1 ? NaN : index + 1;
+  }
+  const month = Number(value);
+  return Number.isInteger(month) && month >= 1 && month <= 12 ? month : NaN;
+};
+
+// The prompt holds every figure the AI sees, so equal hashes mean equal input
+const hashInsightInput = (prompt) => crypto.createHash('sha256').update(prompt).digest('hex');
+
+// The latest insight the same provider and model wrote for the same input, or null
+const findCachedInsight = async (userId, { inputHash, provider, model }) => {
+  const { data, error } = await supabase
+    .from('insights')
+    .select(INSIGHT_COLUMNS)
+    .eq('user_id', userId)
+    .eq('input_hash', inputHash)
+    .eq('provider', provider)
+    .eq('model', model)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const saveInsight = async (userId, insight) => {
+  const { data, error } = await supabase
+    .from('insights')
+    .insert({ ...insight, user_id: userId })
+    .select(INSIGHT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// The user's insights, newest first, optionally for one year or month
+const fetchInsightHistory = async (userId, { year, month, limit }) => {
+  let query = supabase
+    .from('insights')
+    .select(INSIGHT_COLUMNS)
+    .eq('user_id', userId);
+
+  if (year) query = query.eq('year', year);
+  if (month) query = query.eq('month', month);
+
+  const { data, error } = await query
+    .order('year', { ascending: false })
+    .order('month', { ascending: false })
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+};
+
+module.exports = {
+  INSIGHT_SOURCES,
+  MONTH_NAMES,
+  fetchInsightHistory,
+  findCachedInsight,
+  hashInsightInput,
+  parseInsightMonth,
+  saveInsight
+};
@@ -0,0 +1,290 @@
+// Turns the raw text Tesseract reads from a receipt into structured fields.
+// Every field comes back as { value, confidence } where confidence is a 0-1
+// score; getConfidenceLevel() turns it into high/medium/low.
+
+// Lines that name the amount actually paid, best first. "total" on its own is
+// weaker because it also appears on subtotal/tax lines that the exclusions catch.
+const TOTAL_KEYWORDS = [
+  { pattern: /grand\s*total/, confidence: 0.95 },
+  { pattern: /amount\s*(due|payable)|balance\s*due|total\s*(due|payable|to\s*pay)|net\s*(amount|payable)/, confidence: 0.95 },
+  { pattern: /total\s*amount|bill\s*amount|amount\s*paid/, confidence: 0.85 },
+  { pattern: /total/, confidence: 0.75 }
+];
+
+const NOT_TOTAL = /sub\s*-?\s*total|total\s*(tax|vat|gst|savings?|discount|items?|qty|quantity)|tax\s*total|items?\s*total/;
+
+// Lines that are never line items
+const NON_ITEM = /total|tax|vat|gst|cgst|sgst|igst|discount|savings|change|cash|card|visa|master|amex|upi|paid|tender|balance|tip|gratuity|service\s*charge|round(ing)?\s*off|due|payable|invoice|receipt|bill\s*no|table|date|time/;
+
+// Lines near the top that are not the merchant name
+const NOT_MERCHANT = /receipt|invoice|welcome|thank|date|time|tel|phone|ph\s*[:.]|gst|vat\s*no|tax\s*id|www\.|http|@|order|table|cashier|bill/;
+
+const CURRENCIES = [
+  { code: 'INR', pattern: /₹|\brs\.?\s*\d|\binr\b/ },
+  { code: 'EUR', pattern: /€|\beur\b/ },
+  { code: 'GBP', pattern: /£|\bgbp\b/ },
+  { code: 'USD', pattern: /\$|\busd\b/ }
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Amounts with two decimals: 12.50, 1,234.50, 12,50
+const AMOUNT_PATTERN = /\d{1,3}(?:,\d{3})+\.\d{2}\b|\d+[.,]\d{2}\b/g;
+
+const unknown = () => ({ value: null, confidence: 0 });
+
+const getConfidenceLevel = (confidence) => {
+  if (confidence >= 0.8) return 'high';
+  if (confidence >= 0.5) return 'medium';
+  return 'low';
+};
+
+// Read amounts as printed: "1,234.56", "1.234,56", "(12.00)", "12.00 DR".
+// Returns a signed number or NaN.
+const parseReceiptAmount = (value) => {
+  let text = String(value ?? '').trim();
+  if (!text) return NaN;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/DR$/i.test(text)) sign = -1;
+  text = text.replace(/\s*(CR|DR)$/i, '');
+  if (text.includes('-')) sign = -sign;
+  text = text.replace(/[^\d.,]/g, '');
+
+  // The last separator followed by one or two digits is the decimal point
+  const decimal = text.match(/[.,](\d{1,2})$/);
+  const whole = decimal ? text.slice(0, -decimal[0].length) : text;
+  const number = Number(`${whole.replace(/[.,]/g, '')}${decimal ? `.${decimal[1]}` : ''}`);
+
+  return whole || decimal ? sign * number : NaN;
+};
+
+// OCR often reads O as 0 and l as 1 inside words; undo that for keyword matching only
+const normalizeForKeywords = (line) => line
+  .toLowerCase()
+  .replace(/(?<=[a-z])0|0(?=[a-z])/g, 'o')
+  .replace(/(?<=[a-z])1|1(?=[a-z])/g, 'l');
+
+const findAmounts = (line) => (line.match(AMOUNT_PATTERN) || [])
+  .map(parseReceiptAmount)
+  .filter(amount => !Number.isNaN(amount) && amount > 0);
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Every date written on a line. Numeric dates where both day-first and
+// month-first readings are possible follow `dayFirst` and are flagged ambiguous.
+const findDates = (line, dayFirst) => {
+  const dates = [];
+  const text = line.toLowerCase();
+
+  for (const match of text.matchAll(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g)) {
+    const value = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    if (value) dates.push({ value, ambiguous: false });
+  }
+
+  for (const match of text.matchAll(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/g)) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    const dayMonth = toIsoDate(year, second, first);
+    const monthDay = toIsoDate(year, first, second);
+    if (dayMonth && monthDay && dayMonth !== monthDay) {
+      dates.push({ value: dayFirst ? dayMonth : monthDay, ambiguous: true });
+    } else if (dayMonth || monthDay) {
+      dates.push({ value: dayMonth || monthDay, ambiguous: false });
+    }
+  }
+
+  // 9 Jan 2026, 09-Jan-26
+  for (const match of text.matchAll(/\b(\d{1,2})[\s-]*([a-z]{3})[a-z]*[\s,-]*(\d{4}|\d{2})\b/g)) {
+    const month = MONTHS.indexOf(match[2]) + 1;
+    const value = month && toIsoDate(Number(match[3]), month, Number(match[1]));
+    if (value) dates.push({ value, ambiguous: false });
+  }
+
+  // Jan 9, 2026
+  for (const match of text.matchAll(/\b([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/g)) {
+    const month = MONTHS.indexOf(match[1]) + 1;
+    const value = month && toIsoDate(Number(match[3]), month, Number(match[2]));
+    if (value) dates.push({ value, ambiguous: false });
+  }
+
+  return dates;
+};
+
+const detectCurrency = (lines, totalLine) => {
+  const text = lines.join('\n').toLowerCase();
+  const found = CURRENCIES.find(({ pattern }) => pattern.test(text));
+  if (!found) return unknown();
+
+  const onTotalLine = totalLine !== undefined && found.pattern.test(lines[totalLine].toLowerCase());
+  return { value: found.code, confidence: onTotalLine ? 0.9 : 0.7 };
+};
+
+const detectMerchant = (lines) => {
+  const candidates = lines.slice(0, 6);
+
+  for (let index = 0; index < candidates.length; index++) {
+    const line = candidates[index];
+    const letters = (line.match(/[a-z]/gi) || []).length;
+    const keywords = normalizeForKeywords(line);
+
+    if (letters < 3 || letters < line.replace(/\s/g, '').length / 2) continue;
+    if (NOT_MERCHANT.test(keywords) || findAmounts(line).length > 0) continue;
+
+    const name = line.replace(/[^\w\s&'.-]/g, '').replace(/\s+/g, ' ').trim();
+    // Shop names are usually printed first, in capitals
+    const confidence = index === 0 ? (name === name.toUpperCase() ? 0.9 : 0.8) : 0.6;
+    return { value: name, confidence };
+  }
+
+  return unknown();
+};
+
+const detectDate = (lines, dayFirst, today) => {
+  const found = [];
+  lines.forEach(line => {
+    const labelled = /date|dt\b/.test(normalizeForKeywords(line));
+    findDates(line, dayFirst).forEach(date => found.push({ ...date, labelled }));
+  });
+
+  const plausible = found.filter(date => !today || date.value <= today);
+  const best = plausible.find(date => date.labelled) || plausible[0];
+  if (!best) return found.length > 0 ? { value: found[0].value, confidence: 0.2 } : unknown();
+
+  let confidence = best.labelled ? 0.9 : 0.75;
+  if (best.ambiguous) confidence -= 0.25;
+  return { value: best.value, confidence };
+};
+
+// The paid amount: the best keyword line wins, later lines break ties (the
+// grand total is printed after subtotals), and the largest amount on the
+// receipt is the fallback
+const detectTotal = (lines, subtotal, tax) => {
+  let best = null;
+
+  lines.forEach((line, index) => {
+    const keywords = normalizeForKeywords(line);
+    if (NOT_TOTAL.test(keywords)) return;
+
+    const keyword = TOTAL_KEYWORDS.find(({ pattern }) => pattern.test(keywords));
+    if (!keyword) return;
+
+    // The amount may be printed on the line below the label
+    let amounts = findAmounts(line);
+    if (amounts.length === 0 && lines[index + 1]) amounts = findAmounts(lines[index + 1]);
+    if (amounts.length === 0) return;
+
+    if (!best || keyword.confidence >= best.confidence) {
+      best = { value: amounts[amounts.length - 1], confidence: keyword.confidence, line: index };
+    }
+  });
+
+  if (best) {
+    // Subtotal plus tax adding up to the total confirms it
+    if (subtotal && Math.abs(roundMoney(subtotal + (tax || 0)) - best.value) < 0.01) {
+      best.confidence = Math.max(best.confidence, 0.95);
+    }
+    return best;
+  }
+
+  const amounts = lines
+    .filter(line => !/cash|change|tender|card|visa|paid/.test(normalizeForKeywords(line)))
+    .flatMap(findAmounts);
+  if (amounts.length === 0) return unknown();
+
+  return { value: Math.max(...amounts), confidence: 0.3, fallback: true };
+};
+
+const findLabelledAmount = (lines, pattern) => {
+  const line = lines.find(l => pattern.test(normalizeForKeywords(l)));
+  const amounts = line ? findAmounts(line) : [];
+  return amounts.length > 0 ? amounts[amounts.length - 1] : null;
+};
+
+const sumTax = (lines) => {
+  const taxes = lines
+    .map(normalizeForKeywords)
+    .filter(line => /\b(tax|vat|gst|cgst|sgst|igst)\b/.test(line) && !/sub\s*-?\s*total|grand|due|payable|to\s*pay|incl/.test(line))
+    .map(line => findAmounts(line).pop())
+    .filter(Boolean);
+  return taxes.length > 0 ? roundMoney(taxes.reduce((sum, amount) => sum + amount, 0)) : null;
+};
+
+// Item lines sit between the header and the total: some text and a price at
+// the end, optionally with a quantity ("2 x Coffee", "Coffee x2", "2 @ 1.50")
+const detectLineItems = (lines, lastLine) => {
+  const items = [];
+
+  lines.slice(0, lastLine).forEach(line => {
+    const keywords = normalizeForKeywords(line);
+    if (NON_ITEM.test(keywords)) return;
+
+    const amounts = findAmounts(line);
+    if (amounts.length === 0) return;
+
+    const text = line.replace(AMOUNT_PATTERN, ' ').replace(/[$€£₹]|\brs\.?/gi, ' ');
+    const quantityMatch = text.match(/^\s*(\d+)\s*[x@*]\s*|\s[x@*]\s*(\d+)\b|^\s*(\d+)\s+(?=[a-z])/i);
+    const quantity = quantityMatch ? Number(quantityMatch[1] || quantityMatch[2] || quantityMatch[3]) : 1;
+    const description = text
+      .replace(quantityMatch ? quantityMatch[0] : '', ' ')
+      .replace(/[@*]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if ((description.match(/[a-z]/gi) || []).length < 2) return;
+
+    items.push({ description, quantity, amount: amounts[amounts.length - 1] });
+  });
+
+  return items;
+};
+
+// Parse OCR text. Options: today ('YYYY-MM-DD', dates after it are treated as
+// misreads) and dayFirst (how to read dates like 05/02/2026; by default
+// day-first unless the receipt is in dollars).
+const parseReceipt = (text, options = {}) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const subtotal = findLabelledAmount(lines, /sub\s*-?\s*total/);
+  const tax = sumTax(lines);
+  const total = detectTotal(lines, subtotal, tax);
+  const currency = detectCurrency(lines, total.line);
+  const dayFirst = options.dayFirst ?? currency.value !== 'USD';
+  const lineItems = detectLineItems(lines, total.line ?? lines.length);
+
+  // Items adding up to the subtotal or total back up the total, though a
+  // guessed total without a label never becomes more than a medium match
+  const itemsSum = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  if (total.value && lineItems.length > 0 && (itemsSum === total.value || itemsSum === subtotal)) {
+    total.confidence = Math.max(total.confidence, total.fallback ? 0.6 : 0.9);
+  }
+
+  return {
+    merchant: detectMerchant(lines),
+    date: detectDate(lines, dayFirst, options.today),
+    total: { value: total.value, confidence: total.confidence },
+    currency,
+    subtotal,
+    tax,
+    lineItems
+  };
+};
+
+module.exports = { getConfidenceLevel, parseReceipt };
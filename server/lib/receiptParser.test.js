@@ -0,0 +1,137 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { getConfidenceLevel, parseReceipt } = require('./receiptParser');
+
+const readFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, '__fixtures__', 'receipts', name), 'utf8');
+
+const TODAY = '2026-10-19';
+
+const fixtures = [
+  {
+    file: 'grocery-us.txt',
+    merchant: ['WHOLE FOODS MARKET', 'high'],
+    date: ['2026-03-14', 'medium'],
+    total: [25.35, 'high'],
+    currency: ['USD', 'high'],
+    subtotal: 23.47,
+    tax: 1.88,
+    items: 5
+  },
+  {
+    file: 'cafe-india.txt',
+    merchant: ['CHAI POINT', 'high'],
+    date: ['2026-02-05', 'medium'],
+    total: [115.5, 'high'],
+    currency: ['INR', 'high'],
+    subtotal: 110,
+    tax: 5.5,
+    items: 2
+  },
+  {
+    file: 'restaurant-amount-due.txt',
+    merchant: ['The Burger Joint', 'high'],
+    date: ['2026-01-09', 'medium'],
+    total: [28.32, 'high'],
+    currency: [null, 'low'],
+    subtotal: 24,
+    tax: 1.92,
+    items: 3
+  },
+  {
+    file: 'pharmacy-uk.txt',
+    merchant: ['BOOTS', 'high'],
+    date: ['2026-03-12', 'medium'],
+    total: [12.4, 'high'],
+    currency: ['GBP', 'high'],
+    subtotal: null,
+    tax: null,
+    items: 3
+  },
+  {
+    file: 'noisy-ocr.txt',
+    merchant: ['CAMPUS B00KSTORE', 'high'],
+    date: ['2026-09-01', 'medium'],
+    total: [9.5, 'high'],
+    currency: [null, 'low'],
+    subtotal: null,
+    tax: null,
+    items: 3
+  },
+  {
+    file: 'no-total-keyword.txt',
+    merchant: ['Sunrise Bakery', 'high'],
+    date: [null, 'low'],
+    total: [6.25, 'medium'],
+    currency: [null, 'low'],
+    subtotal: null,
+    tax: null,
+    items: 2
+  }
+];
+
+describe('parseReceipt fixtures', () => {
+  fixtures.forEach(expected => {
+    describe(expected.file, () => {
+      const receipt = parseReceipt(readFixture(expected.file), { today: TODAY });
+
+      ['merchant', 'date', 'total', 'currency'].forEach(field => {
+        test(`reads the ${field}`, () => {
+          const [value, level] = expected[field];
+          assert.equal(receipt[field].value, value);
+          assert.equal(getConfidenceLevel(receipt[field].confidence), level);
+        });
+      });
+
+      test('reads the subtotal, tax and line items', () => {
+        assert.equal(receipt.subtotal, expected.subtotal);
+        assert.equal(receipt.tax, expected.tax);
+        assert.equal(receipt.lineItems.length, expected.items);
+      });
+    });
+  });
+});
+
+describe('parseReceipt', () => {
+  test('prefers the grand total over subtotals and payment lines', () => {
+    const receipt = parseReceipt(readFixture('cafe-india.txt'), { today: TODAY });
+    assert.equal(receipt.total.value, 115.5);
+  });
+
+  test('reads quantities on line items', () => {
+    const receipt = parseReceipt(readFixture('grocery-us.txt'), { today: TODAY });
+    assert.deepEqual(
+      receipt.lineItems.find(item => item.description === 'GREEK YOGURT'),
+      { description: 'GREEK YOGURT', quantity: 2, amount: 7.98 }
+    );
+  });
+
+  test('reads the amount from the line below a total label', () => {
+    const receipt = parseReceipt('SHOP\nTOTAL\n14.20', { today: TODAY });
+    assert.equal(receipt.total.value, 14.2);
+  });
+
+  test('reads amounts with thousands separators or a decimal comma', () => {
+    assert.equal(parseReceipt('SHOP\nGrand Total: Rs. 1,200.00', { today: TODAY }).total.value, 1200);
+    assert.equal(parseReceipt('CAFE\nTOTAL 12,50 EUR', { today: TODAY }).total.value, 12.5);
+  });
+
+  test('treats future dates as misreads', () => {
+    const receipt = parseReceipt('SHOP\nDate: 2027-01-01\nTOTAL 5.00', { today: TODAY });
+    assert.equal(getConfidenceLevel(receipt.date.confidence), 'low');
+  });
+
+  test('reads ambiguous numeric dates month-first when asked', () => {
+    const receipt = parseReceipt('SHOP\nDate: 05/02/2026\nTOTAL 5.00', { today: TODAY, dayFirst: false });
+    assert.equal(receipt.date.value, '2026-05-02');
+  });
+
+  test('returns empty fields for text without a receipt', () => {
+    const receipt = parseReceipt('', { today: TODAY });
+    assert.equal(receipt.merchant.value, null);
+    assert.equal(receipt.total.value, null);
+    assert.deepEqual(receipt.lineItems, []);
+  });
+});
@@ -0,0 +1,232 @@
+const os = require('os');
+const sharp = require('sharp');
+const { createWorker } = require('tesseract.js');
+const { PDFParse } = require('pdf-parse');
+const { supabase } = require('../supabaseClient');
+const { parseReceipt } = require('./receiptParser');
+const { getToday } = require('./recurring');
+
+const RECEIPTS_BUCKET = 'receipts';
+const MAX_RECEIPT_BYTES = 10 * 1024 * 1024;
+const MAX_RECEIPTS_PER_TRANSACTION = 10;
+// Receipts are private; links to them stop working after this long
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+// Accepted uploads and the extension they are stored with
+const RECEIPT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+const THUMBNAIL_SIZE = 320;
+// Wider photos are scaled down before OCR; it is much faster and no less accurate
+const OCR_MAX_WIDTH = 2000;
+
+// One Tesseract worker, created on first use and shared by every request. The
+// language data is downloaded once and cached in the temp directory.
+let workerPromise = null;
+let ocrQueue = Promise.resolve();
+
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = new Promise((resolve, reject) => {
+      // A failed language download is only reported to errorHandler (without
+      // one it is thrown from the worker's message listener and crashes the
+      // server); the promise from createWorker never settles in that case
+      createWorker('eng', undefined, {
+        cachePath: process.env.TESSERACT_CACHE_PATH || os.tmpdir(),
+        errorHandler: reject
+      }).then(resolve, reject);
+    }).catch(error => {
+      workerPromise = null;
+      throw error instanceof Error ? error : new Error(`Could not start OCR: ${error}`);
+    });
+  }
+  return workerPromise;
+};
+
+// The worker reads one image at a time, so concurrent uploads wait their turn
+const recognize = (image) => {
+  const job = ocrQueue.then(async () => {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+    return data.text;
+  });
+  ocrQueue = job.catch(() => {});
+  return job;
+};
+
+// pdf.js takes ownership of the bytes it is given, so each parser gets a copy
+const withPdf = async (buffer, read) => {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    return await read(parser);
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// First page of a PDF as a PNG `width` pixels wide
+const renderFirstPage = (buffer, width) => withPdf(buffer, async (parser) => {
+  const { pages } = await parser.getScreenshot({ first: 1, desiredWidth: width, imageDataUrl: false });
+  return Buffer.from(pages[0].data);
+});
+
+// PDFs from online stores and e-bills carry their text, so it is read
+// directly; scanned PDFs have none and their first page goes through OCR
+const extractText = async (buffer, mimeType) => {
+  if (mimeType === 'application/pdf') {
+    const { text } = await withPdf(buffer, parser => parser.getText({ pageJoiner: '' }));
+    if (text.trim()) return text;
+    return recognize(await renderFirstPage(buffer, OCR_MAX_WIDTH));
+  }
+
+  const image = await sharp(buffer)
+    .rotate() // honour the EXIF orientation of phone photos
+    .resize({ width: OCR_MAX_WIDTH, withoutEnlargement: true })
+    .grayscale()
+    .png()
+    .toBuffer();
+
+  return recognize(image);
+};
+
+// Small JPEG preview for the transaction list (the first page of a PDF)
+const createThumbnail = async (buffer, mimeType) => {
+  const image = mimeType === 'application/pdf'
+    ? await renderFirstPage(buffer, THUMBNAIL_SIZE)
+    : buffer;
+
+  return sharp(image)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+};
+
+// Read the text on a receipt and parse it. Failures are returned rather than
+// thrown so the upload is kept and extraction can be re-run later; a failed
+// re-run leaves the previously extracted text in place.
+const extractReceipt = async (buffer, mimeType) => {
+  const processedAt = new Date().toISOString();
+
+  try {
+    const text = await extractText(buffer, mimeType);
+    return {
+      status: 'processed',
+      ocr_text: text,
+      parsed: parseReceipt(text, { today: getToday() }),
+      error: null,
+      processed_at: processedAt
+    };
+  } catch (error) {
+    console.error('Receipt extraction failed:', error);
+    return { status: 'failed', error: error.message, processed_at: processedAt };
+  }
+};
+
+// Older clients created a public bucket for images only; it is made private
+// and PDFs are allowed
+let bucketReady = null;
+
+const ensureBucket = () => {
+  if (!bucketReady) {
+    const options = {
+      public: false,
+      allowedMimeTypes: ['image/*', 'application/pdf'],
+      fileSizeLimit: MAX_RECEIPT_BYTES
+    };
+
+    bucketReady = (async () => {
+      const { data: bucket } = await supabase.storage.getBucket(RECEIPTS_BUCKET);
+      const { error } = bucket
+        ? await supabase.storage.updateBucket(RECEIPTS_BUCKET, options)
+        : await supabase.storage.createBucket(RECEIPTS_BUCKET, options);
+      if (error) throw error;
+    })().catch(error => {
+      bucketReady = null;
+      throw error;
+    });
+  }
+  return bucketReady;
+};
+
+const uploadFile = async (path, buffer, contentType) => {
+  await ensureBucket();
+
+  const { error } = await supabase.storage
+    .from(RECEIPTS_BUCKET)
+    .upload(path, buffer, { contentType, cacheControl: '3600', upsert: false });
+
+  if (error) throw error;
+};
+
+const downloadFile = async (path) => {
+  const { data, error } = await supabase.storage.from(RECEIPTS_BUCKET).download(path);
+  if (error) throw error;
+  return Buffer.from(await data.arrayBuffer());
+};
+
+// Removing files is cleanup after the rows are gone, so failures are only logged
+const removeFiles = async (paths) => {
+  const existing = paths.filter(Boolean);
+  if (existing.length === 0) return;
+
+  const { error } = await supabase.storage.from(RECEIPTS_BUCKET).remove(existing);
+  if (error) console.error('Error removing receipt files:', error.message);
+};
+
+// Signed URLs for the given storage paths, as a Map from path to URL
+const signFileUrls = async (paths) => {
+  const unique = [...new Set(paths.filter(Boolean))];
+  if (unique.length === 0) return new Map();
+
+  const { data, error } = await supabase.storage
+    .from(RECEIPTS_BUCKET)
+    .createSignedUrls(unique, SIGNED_URL_TTL_SECONDS);
+
+  if (error) throw error;
+
+  return new Map(data.filter(file => !file.error).map(file => [file.path, file.signedUrl]));
+};
+
+// Turn a search box entry into a full-text query on receipts.search_vector:
+// every word must appear, matched by prefix so "starb" finds "Starbucks".
+// Returns null when there is nothing to search for.
+const toReceiptSearchQuery = (search) => {
+  const words = String(search || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length > 0 ? words.map(word => `${word}:*`).join(' & ') : null;
+};
+
+// Ids of the user's transactions whose receipt text matches `search`
+const findTransactionIdsByReceiptText = async (userId, search) => {
+  const query = toReceiptSearchQuery(search);
+  if (!query) return [];
+
+  const { data, error } = await supabase
+    .from('receipts')
+    .select('transaction_id')
+    .eq('user_id', userId)
+    .not('transaction_id', 'is', null)
+    .textSearch('search_vector', query, { config: 'simple' });
+
+  if (error) throw error;
+
+  return [...new Set(data.map(receipt => receipt.transaction_id))];
+};
+
+module.exports = {
+  MAX_RECEIPT_BYTES,
+  MAX_RECEIPTS_PER_TRANSACTION,
+  RECEIPT_TYPES,
+  createThumbnail,
+  downloadFile,
+  extractReceipt,
+  findTransactionIdsByReceiptText,
+  removeFiles,
+  signFileUrls,
+  toReceiptSearchQuery,
+  uploadFile
+};
@@ -0,0 +1,243 @@
+const { supabase } = require('../supabaseClient');
+
+// Safety net so a bad rule can never produce an unbounded list
+const MAX_OCCURRENCES = 1000;
+
+const BATCH_SIZE = 1000;
+
+// Dates are handled as YYYY-MM-DD strings and calculated in UTC so that
+// daylight saving changes never shift an occurrence by a day
+const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const addDays = (value, days) => {
+  const date = parseDate(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+};
+
+// Today in the server's local time zone
+const getToday = () => {
+  const now = new Date();
+  return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+// Add whole months, keeping the day of the start date where the month allows it
+// (a rule starting on the 31st falls on the 28th/29th in February, then back on the 31st)
+const addMonths = (value, months) => {
+  const start = parseDate(value);
+  const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return formatDate(target);
+};
+
+const STEP_DAYS = { daily: 1, weekly: 7 };
+const STEP_MONTHS = { monthly: 1, semester: 6 };
+
+// The nth occurrence (0 = start date). Always counted from the start date to avoid drift.
+const getOccurrence = (rule, n) => {
+  if (STEP_DAYS[rule.frequency]) return addDays(rule.start_date, n * STEP_DAYS[rule.frequency]);
+  if (STEP_MONTHS[rule.frequency]) return addMonths(rule.start_date, n * STEP_MONTHS[rule.frequency]);
+  throw new Error(`Unknown frequency: ${rule.frequency}`);
+};
+
+// Index of an occurrence on or shortly before `from`, so rules that have been
+// running for years do not have to be walked from the start every time
+const getFirstIndex = (rule, from) => {
+  if (from <= rule.start_date) return 0;
+  const start = parseDate(rule.start_date);
+  const target = parseDate(from);
+
+  if (STEP_DAYS[rule.frequency]) {
+    return Math.floor((target - start) / (24 * 60 * 60 * 1000) / STEP_DAYS[rule.frequency]);
+  }
+  const months = (target.getUTCFullYear() - start.getUTCFullYear()) * 12 + target.getUTCMonth() - start.getUTCMonth();
+  return Math.max(0, Math.floor(months / STEP_MONTHS[rule.frequency]) - 1);
+};
+
+// Occurrence dates of a rule between from and to (inclusive)
+const listOccurrences = (rule, from, to) => {
+  const dates = [];
+  const last = rule.end_date && rule.end_date < to ? rule.end_date : to;
+
+  for (let n = getFirstIndex(rule, from); dates.length < MAX_OCCURRENCES; n++) {
+    const date = getOccurrence(rule, n);
+    if (date > last) break;
+    if (date >= from) dates.push(date);
+  }
+
+  return dates;
+};
+
+const isOccurrence = (rule, date) =>
+  date >= rule.start_date && listOccurrences(rule, date, date).length === 1;
+
+// The first date that has not been turned into a transaction yet
+const getNextUngeneratedDate = (rule) =>
+  rule.last_generated_date ? addDays(rule.last_generated_date, 1) : rule.start_date;
+
+const fetchExceptions = async (ruleIds, from, to) => {
+  if (ruleIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('recurring_exceptions')
+    .select('recurring_id, occurrence_date, skip, amount, description')
+    .in('recurring_id', ruleIds)
+    .gte('occurrence_date', from)
+    .lte('occurrence_date', to);
+
+  if (error) throw error;
+  return data;
+};
+
+const findException = (exceptions, rule, date) =>
+  exceptions.find(e => e.recurring_id === rule.id && e.occurrence_date === date);
+
+// The transaction for one occurrence, with any edit applied; null when it was skipped
+const buildTransaction = (rule, date, exceptions) => {
+  const exception = findException(exceptions, rule, date);
+  if (exception?.skip) return null;
+
+  return {
+    user_id: rule.user_id,
+    type: rule.type,
+    amount: exception?.amount ?? rule.amount,
+    category_id: rule.category_id,
+    description: exception?.description ?? rule.description,
+    date,
+    recurring_id: rule.id,
+    occurrence_date: date
+  };
+};
+
+// Generate the due occurrences of one rule and record how far it got
+const materializeRule = async (rule, today) => {
+  const from = getNextUngeneratedDate(rule);
+  if (from > today) return 0;
+
+  const dates = listOccurrences(rule, from, today);
+  const exceptions = await fetchExceptions([rule.id], from, today);
+  const rows = dates
+    .map(date => buildTransaction(rule, date, exceptions))
+    .filter(Boolean);
+
+  let created = 0;
+  if (rows.length > 0) {
+    const { data: inserted, error: insertError } = await supabase
+      .from('transactions')
+      .upsert(rows, { onConflict: 'recurring_id,occurrence_date', ignoreDuplicates: true })
+      .select('id');
+
+    if (insertError) throw insertError;
+    created = inserted.length;
+  }
+
+  // A rule with more due occurrences than one run generates only gets as
+  // far as the last of them; the next run carries on from there
+  const capped = dates.length === MAX_OCCURRENCES;
+  if (capped) {
+    console.warn(`Recurring rule ${rule.id} reached the limit of ${MAX_OCCURRENCES} occurrences per run; generated up to ${dates[dates.length - 1]}`);
+  }
+
+  const { error: updateError } = await supabase
+    .from('recurring_transactions')
+    .update({ last_generated_date: capped ? dates[dates.length - 1] : today })
+    .eq('id', rule.id);
+
+  if (updateError) throw updateError;
+  return created;
+};
+
+// Create the transactions for every due occurrence of the active rules.
+// Safe to run as often as needed: each rule remembers how far it has been
+// generated, and transactions(recurring_id, occurrence_date) is unique, so a
+// second run (or two servers running at once) never creates duplicates.
+// A rule that fails is logged and retried on the next run; the others go on.
+const materializeRecurringTransactions = async ({ userId, ruleId, today = getToday() } = {}) => {
+  let created = 0;
+
+  for (let from = 0; ; from += BATCH_SIZE) {
+    let query = supabase
+      .from('recurring_transactions')
+      .select('*')
+      .eq('active', true)
+      .lte('start_date', today);
+
+    if (userId) query = query.eq('user_id', userId);
+    if (ruleId) query = query.eq('id', ruleId);
+
+    const { data: rules, error } = await query.order('id').range(from, from + BATCH_SIZE - 1);
+    if (error) throw error;
+
+    for (const rule of rules) {
+      try {
+        created += await materializeRule(rule, today);
+      } catch (ruleError) {
+        console.error(`Failed to generate recurring rule ${rule.id}:`, ruleError);
+      }
+    }
+
+    if (rules.length < BATCH_SIZE) break;
+  }
+
+  return created;
+};
+
+// Occurrences that have not been generated yet, from today up to `days` ahead
+const getUpcomingOccurrences = async (userId, days, today = getToday()) => {
+  const until = addDays(today, days);
+
+  const { data: rules, error } = await supabase
+    .from('recurring_transactions')
+    .select(`
+      *,
+      categories!inner(
+        name
+      )
+    `)
+    .eq('user_id', userId)
+    .eq('active', true)
+    .lte('start_date', until);
+
+  if (error) throw error;
+
+  const exceptions = await fetchExceptions(rules.map(r => r.id), today, until);
+
+  return rules
+    .flatMap(rule => {
+      const from = getNextUngeneratedDate(rule);
+      return listOccurrences(rule, from > today ? from : today, until).map(date => {
+        const exception = findException(exceptions, rule, date);
+        return {
+          recurring_id: rule.id,
+          date,
+          type: rule.type,
+          amount: exception?.amount ?? rule.amount,
+          description: exception?.description ?? rule.description,
+          category_id: rule.category_id,
+          category_name: rule.categories.name,
+          frequency: rule.frequency,
+          skipped: !!exception?.skip,
+          edited: !!exception && !exception.skip
+        };
+      });
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+module.exports = {
+  addDays,
+  addMonths,
+  buildTransaction,
+  getFirstIndex,
+  getToday,
+  isOccurrence,
+  listOccurrences,
+  materializeRecurringTransactions,
+  getUpcomingOccurrences
+};
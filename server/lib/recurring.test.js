@@ -0,0 +1,111 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { addDays, addMonths, getFirstIndex, isOccurrence, listOccurrences } = require('./recurring');
+
+const rule = (frequency, start_date, end_date = null) => ({ frequency, start_date, end_date });
+
+describe('addMonths', () => {
+  test('keeps the day of the start date where the month has it', () => {
+    assert.equal(addMonths('2026-01-15', 1), '2026-02-15');
+    assert.equal(addMonths('2026-11-30', 2), '2027-01-30');
+  });
+
+  test('falls on the last day of shorter months without drifting', () => {
+    assert.equal(addMonths('2026-01-31', 1), '2026-02-28');
+    assert.equal(addMonths('2028-01-31', 1), '2028-02-29');
+    assert.equal(addMonths('2026-01-31', 2), '2026-03-31');
+    assert.equal(addMonths('2026-08-31', 6), '2027-02-28');
+  });
+});
+
+describe('getFirstIndex', () => {
+  test('starts at the first occurrence on or before the start date', () => {
+    assert.equal(getFirstIndex(rule('weekly', '2026-10-05'), '2026-10-05'), 0);
+    assert.equal(getFirstIndex(rule('monthly', '2026-10-05'), '2026-01-01'), 0);
+  });
+
+  test('jumps straight to the occurrence on or before the date', () => {
+    assert.equal(getFirstIndex(rule('daily', '2026-01-01'), '2026-03-01'), 59);
+    assert.equal(getFirstIndex(rule('weekly', '2026-01-01'), '2026-01-20'), 2);
+  });
+
+  test('looks one step further back for rules counted in months', () => {
+    assert.equal(getFirstIndex(rule('monthly', '2026-01-31'), '2026-03-15'), 1);
+    assert.equal(getFirstIndex(rule('semester', '2026-08-31'), '2027-09-01'), 1);
+    assert.equal(getFirstIndex(rule('semester', '2026-08-31'), '2027-01-15'), 0);
+  });
+});
+
+describe('listOccurrences', () => {
+  test('clamps a rule on the 31st to each month\'s last day', () => {
+    assert.deepEqual(listOccurrences(rule('monthly', '2026-01-31'), '2026-01-01', '2026-05-31'), [
+      '2026-01-31',
+      '2026-02-28',
+      '2026-03-31',
+      '2026-04-30',
+      '2026-05-31'
+    ]);
+  });
+
+  test('steps six months at a time for semesters', () => {
+    assert.deepEqual(listOccurrences(rule('semester', '2026-08-31'), '2026-01-01', '2028-12-31'), [
+      '2026-08-31',
+      '2027-02-28',
+      '2027-08-31',
+      '2028-02-29',
+      '2028-08-31'
+    ]);
+  });
+
+  test('finds the same occurrences whatever date it starts from', () => {
+    const rules = [
+      rule('daily', '2026-01-01'),
+      rule('weekly', '2026-01-03'),
+      rule('monthly', '2026-01-31'),
+      rule('semester', '2026-08-31')
+    ];
+
+    rules.forEach(r => {
+      const all = listOccurrences(r, r.start_date, '2028-06-30');
+      ['2026-02-28', '2026-03-01', '2027-02-28', '2027-03-30', '2028-02-29'].forEach(from => {
+        assert.deepEqual(listOccurrences(r, from, '2028-06-30'), all.filter(date => date >= from), `${r.frequency} from ${from}`);
+      });
+    });
+  });
+
+  test('stops at the end date', () => {
+    assert.deepEqual(listOccurrences(rule('weekly', '2026-10-05', '2026-10-25'), '2026-10-01', '2026-12-31'), [
+      '2026-10-05',
+      '2026-10-12',
+      '2026-10-19'
+    ]);
+    assert.deepEqual(listOccurrences(rule('monthly', '2026-01-31', '2026-01-31'), '2026-02-01', '2026-12-31'), []);
+  });
+
+  test('lists at most 1000 occurrences, and carries on from the last one', () => {
+    const daily = rule('daily', '2020-01-01');
+
+    const first = listOccurrences(daily, '2020-01-01', '2026-10-19');
+    assert.equal(first.length, 1000);
+    assert.equal(first[999], '2022-09-26');
+
+    const next = listOccurrences(daily, addDays(first[999], 1), '2026-10-19');
+    assert.equal(next[0], '2022-09-27');
+    assert.equal(next.length, 1000);
+  });
+
+  test('refuses an unknown frequency', () => {
+    assert.throws(() => listOccurrences(rule('yearly', '2026-01-01'), '2026-01-01', '2026-12-31'), /Unknown frequency: yearly/);
+  });
+});
+
+describe('isOccurrence', () => {
+  test('is true only for dates the rule falls on', () => {
+    const monthly = rule('monthly', '2026-01-31');
+
+    assert.equal(isOccurrence(monthly, '2026-02-28'), true);
+    assert.equal(isOccurrence(monthly, '2026-02-27'), false);
+    assert.equal(isOccurrence(monthly, '2025-12-31'), false);
+    assert.equal(isOccurrence(rule('weekly', '2026-10-05', '2026-10-12'), '2026-10-19'), false);
+  });
+});
@@ -0,0 +1,268 @@
+const { supabase } = require('../supabaseClient');
+
+// Totals behind the Dashboard charts, the Reports page and the insights
+// prompt, added up in Postgres (see the transaction_totals_* functions in
+// database.sql) so every page works from the same figures however long the
+// history is. Ranges are { startDate, endDate } as inclusive YYYY-MM-DD dates.
+
+const SUMMARY_BUCKETS = ['day', 'week', 'month'];
+
+// Up to this many days a range is totalled day by day, then week by week,
+// the same as the Dashboard's own choice of chart
+const MAX_DAILY_DAYS = 31;
+const MAX_WEEKLY_DAYS = 92;
+
+const BATCH_SIZE = 1000;
+// PostgREST returns at most this many rows, so a trend with more periods
+// would be cut short
+const MAX_TREND_PERIODS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const countDays = ({ startDate, endDate }) =>
+  Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 1;
+
+// How many days, weeks (starting Monday) or months the range touches
+const countPeriods = (range, bucket) => {
+  if (bucket === 'month') {
+    const [startYear, startMonth] = range.startDate.split('-').map(Number);
+    const [endYear, endMonth] = range.endDate.split('-').map(Number);
+    return (endYear - startYear) * 12 + endMonth - startMonth + 1;
+  }
+  if (bucket === 'week') {
+    const daysSinceMonday = (new Date(range.startDate).getUTCDay() + 6) % 7;
+    return Math.ceil((countDays(range) + daysSinceMonday) / 7);
+  }
+  return countDays(range);
+};
+
+// day, week or month, so a chart of the range has a readable number of points
+const chooseBucket = (range) => {
+  const days = countDays(range);
+  if (days <= MAX_DAILY_DAYS) return 'day';
+  if (days <= MAX_WEEKLY_DAYS) return 'week';
+  return 'month';
+};
+
+// First and last day of a month (1-12)
+const getMonthRange = ({ month, year }) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return { startDate: `${year}-${pad(month)}-01`, endDate: `${year}-${pad(month)}-${pad(lastDay)}` };
+};
+
+// The user's own and the default categories
+const fetchCategories = async (userId) => {
+  const { data, error } = await supabase
+    .from('categories')
+    .select('id, name, type, parent_id')
+    .or(`user_id.is.null,user_id.eq.${userId}`);
+
+  if (error) throw error;
+  return data;
+};
+
+// Expense and income totals for the range, overall and per category (largest
+// first): { totals: { expenses, income, net, count, expenseCount }, categories }
+const fetchSummary = async (userId, { startDate, endDate }, { tag = null } = {}) => {
+  const [{ data, error }, categories] = await Promise.all([
+    supabase.rpc('transaction_totals_by_category', {
+      p_user_id: userId,
+      p_start: startDate,
+      p_end: endDate,
+      p_tag: tag
+    }),
+    fetchCategories(userId)
+  ]);
+
+  if (error) throw error;
+
+  const names = new Map(categories.map(c => [c.id, c]));
+  const rows = data
+    .map(row => ({
+      category_id: row.category_id,
+      category: names.get(row.category_id)?.name || 'Other',
+      parent_id: names.get(row.category_id)?.parent_id ?? null,
+      type: row.type,
+      total: toAmount(row.total),
+      count: Number(row.count)
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  const sum = (type, field) => rows.filter(row => row.type === type).reduce((total, row) => total + row[field], 0);
+  const expenses = toAmount(sum('expense', 'total'));
+  const income = toAmount(sum('income', 'total'));
+
+  return {
+    totals: {
+      expenses,
+      income,
+      net: toAmount(income - expenses),
+      count: rows.reduce((total, row) => total + row.count, 0),
+      expenseCount: sum('expense', 'count')
+    },
+    categories: rows
+  };
+};
+
+// Expenses, income and net per day, week (starting Monday) or month of the
+// range, including periods without transactions. `period` is the first day of
+// each; `recurring` is the part of the expenses generated from recurring rules.
+const fetchTrend = async (userId, range, { bucket = chooseBucket(range), tag = null } = {}) => {
+  const { data, error } = await supabase.rpc('transaction_totals_by_period', {
+    p_user_id: userId,
+    p_start: range.startDate,
+    p_end: range.endDate,
+    p_bucket: bucket,
+    p_tag: tag
+  });
+
+  if (error) throw error;
+
+  return {
+    bucket,
+    rows: data.map(row => ({
+      period: row.period,
+      expenses: toAmount(row.expenses),
+      recurring: toAmount(row.recurring_expenses),
+      income: toAmount(row.income),
+      net: toAmount(row.income - row.expenses),
+      count: Number(row.count)
+    }))
+  };
+};
+
+// Expenses and income per tag, largest expenses first
+const fetchTagTotals = async (userId, { startDate, endDate }) => {
+  const { data, error } = await supabase.rpc('transaction_totals_by_tag', {
+    p_user_id: userId,
+    p_start: startDate,
+    p_end: endDate
+  });
+
+  if (error) throw error;
+
+  return data
+    .map(row => ({
+      tag: row.tag,
+      expenses: toAmount(row.expenses),
+      income: toAmount(row.income),
+      net: toAmount(row.income - row.expenses),
+      count: Number(row.count)
+    }))
+    .sort((a, b) => b.expenses - a.expenses);
+};
+
+const usage = (amount, spent) => ({
+  spent,
+  remaining: toAmount(amount - spent),
+  percentUsed: amount > 0 ? (spent / amount) * 100 : 100,
+  isOverBudget: spent > amount
+});
+
+// How much of a month's overall and per-category budgets has been spent.
+// A category budget covers its sub-categories too. Pass the month's `summary`
+// when it is already loaded. `budget` is null for a month without one.
+const fetchBudgetUsage = async (userId, monthRef, summary = null) => {
+  const [budgetResult, categoryResult, monthSummary] = await Promise.all([
+    supabase
+      .from('budgets')
+      .select('id, amount, carry_over')
+      .eq('user_id', userId)
+      .eq('month', monthRef.month)
+      .eq('year', monthRef.year)
+      .maybeSingle(),
+    supabase
+      .from('category_budgets')
+      .select('id, amount, category_id, categories!inner(name)')
+      .eq('user_id', userId)
+      .eq('month', monthRef.month)
+      .eq('year', monthRef.year),
+    summary || fetchSummary(userId, getMonthRange(monthRef))
+  ]);
+
+  if (budgetResult.error) throw budgetResult.error;
+  if (categoryResult.error) throw categoryResult.error;
+
+  const expenses = monthSummary.categories.filter(row => row.type === 'expense');
+  const spent = monthSummary.totals.expenses;
+  const budget = budgetResult.data;
+
+  let overall = null;
+  if (budget) {
+    const effective = toAmount(Number(budget.amount) + Number(budget.carry_over || 0));
+    overall = {
+      id: budget.id,
+      amount: toAmount(budget.amount),
+      carry_over: toAmount(budget.carry_over),
+      effective,
+      ...usage(effective, spent)
+    };
+  }
+
+  const categories = categoryResult.data.map(row => {
+    const amount = toAmount(row.amount);
+    const categorySpent = toAmount(expenses
+      .filter(e => e.category_id === row.category_id || e.parent_id === row.category_id)
+      .reduce((total, e) => total + e.total, 0));
+    return {
+      id: row.id,
+      category_id: row.category_id,
+      category: row.categories.name,
+      budget: amount,
+      ...usage(amount, categorySpent)
+    };
+  });
+
+  return { month: monthRef.month, year: monthRef.year, spent, budget: overall, categories };
+};
+
+// The range's transactions, oldest first, as { date, type, amount, category,
+// description } for the insights prompt
+const fetchTransactionLog = async (userId, { startDate, endDate }, { tag = null } = {}) => {
+  const transactions = [];
+
+  for (let from = 0; ; from += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('date, type, amount, description, categories!inner(name), transaction_tags(tags(name))')
+      .eq('user_id', userId)
+      .gte('date', startDate)
+      .lte('date', endDate)
+      .order('date')
+      .order('id')
+      .range(from, from + BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    const matching = tag
+      ? data.filter(t => t.transaction_tags.some(link => link.tags?.name === tag))
+      : data;
+    transactions.push(...matching.map(t => ({
+      date: t.date,
+      type: t.type,
+      amount: Number(t.amount),
+      category: t.categories.name,
+      description: t.description
+    })));
+    if (data.length < BATCH_SIZE) break;
+  }
+
+  return transactions;
+};
+
+module.exports = {
+  MAX_TREND_PERIODS,
+  SUMMARY_BUCKETS,
+  chooseBucket,
+  countDays,
+  countPeriods,
+  fetchBudgetUsage,
+  fetchSummary,
+  fetchTagTotals,
+  fetchTransactionLog,
+  fetchTrend,
+  getMonthRange
+};
@@ -0,0 +1,108 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { supabase } = require('../supabaseClient');
+const { chooseBucket, countDays, countPeriods, fetchTrend, getMonthRange } = require('./summaries');
+
+describe('countDays', () => {
+  test('counts both ends of the range', () => {
+    assert.equal(countDays({ startDate: '2026-10-19', endDate: '2026-10-19' }), 1);
+    assert.equal(countDays({ startDate: '2026-09-20', endDate: '2026-10-19' }), 30);
+    assert.equal(countDays({ startDate: '2026-07-22', endDate: '2026-10-19' }), 90);
+  });
+
+  test('is not thrown off by daylight saving changes', () => {
+    assert.equal(countDays({ startDate: '2026-03-01', endDate: '2026-03-31' }), 31);
+    assert.equal(countDays({ startDate: '2026-10-01', endDate: '2026-11-30' }), 61);
+  });
+});
+
+describe('countPeriods', () => {
+  test('counts each day, week or month the range touches', () => {
+    const range = { startDate: '2026-10-18', endDate: '2026-11-02' };
+
+    assert.equal(countPeriods(range, 'day'), 16);
+    // Sunday the 18th, then the weeks of Monday the 19th and 26th, and Monday 2 November
+    assert.equal(countPeriods(range, 'week'), 4);
+    assert.equal(countPeriods(range, 'month'), 2);
+  });
+
+  test('counts whole weeks and years', () => {
+    assert.equal(countPeriods({ startDate: '2026-10-19', endDate: '2026-10-25' }, 'week'), 1);
+    assert.equal(countPeriods({ startDate: '2026-10-19', endDate: '2026-10-26' }, 'week'), 2);
+    assert.equal(countPeriods({ startDate: '1950-01-31', endDate: '2026-12-01' }, 'month'), 924);
+  });
+});
+
+describe('chooseBucket', () => {
+  const cases = [
+    ['a week', '2026-10-19', '2026-10-25', 'day'],
+    ['a month', '2026-10-01', '2026-10-31', 'day'],
+    ['30 days', '2026-09-20', '2026-10-19', 'day'],
+    ['90 days', '2026-07-22', '2026-10-19', 'week'],
+    ['a semester', '2026-07-01', '2026-12-31', 'month'],
+    ['a year', '2026-01-01', '2026-12-31', 'month']
+  ];
+
+  cases.forEach(([label, startDate, endDate, bucket]) => {
+    test(`totals ${label} by ${bucket}`, () => {
+      assert.equal(chooseBucket({ startDate, endDate }), bucket);
+    });
+  });
+});
+
+describe('getMonthRange', () => {
+  test('covers the whole month', () => {
+    assert.deepEqual(getMonthRange({ month: 2, year: 2028 }), { startDate: '2028-02-01', endDate: '2028-02-29' });
+    assert.deepEqual(getMonthRange({ month: 12, year: 2026 }), { startDate: '2026-12-01', endDate: '2026-12-31' });
+  });
+});
+
+describe('fetchTrend', () => {
+  const stubTotals = (t, rows) => {
+    const calls = [];
+    t.mock.method(supabase, 'rpc', async (name, params) => {
+      calls.push({ name, params });
+      return { data: rows, error: null };
+    });
+    return calls;
+  };
+
+  test('lets the range choose the bucket unless one is given', async (t) => {
+    const calls = stubTotals(t, []);
+
+    assert.equal((await fetchTrend('user-1', { startDate: '2026-09-01', endDate: '2026-10-31' })).bucket, 'week');
+    assert.equal((await fetchTrend('user-1', { startDate: '2026-01-01', endDate: '2026-10-31' })).bucket, 'month');
+    assert.equal((await fetchTrend('user-1', { startDate: '2026-01-01', endDate: '2026-03-31' }, { bucket: 'day' })).bucket, 'day');
+
+    assert.deepEqual(calls[0], {
+      name: 'transaction_totals_by_period',
+      params: { p_user_id: 'user-1', p_start: '2026-09-01', p_end: '2026-10-31', p_bucket: 'week', p_tag: null }
+    });
+    assert.equal(calls[2].params.p_bucket, 'day');
+  });
+
+  test('turns the totals of each period into amounts with the net', async (t) => {
+    stubTotals(t, [
+      { period: '2026-10-05', expenses: '30.10', recurring_expenses: '0', income: '100', count: '2' },
+      { period: '2026-10-12', expenses: '0', recurring_expenses: '0', income: '0', count: '0' },
+      { period: '2026-10-19', expenses: '250.00', recurring_expenses: '200.00', income: '0', count: '3' }
+    ]);
+
+    const { rows } = await fetchTrend('user-1', { startDate: '2026-10-05', endDate: '2026-10-25' }, { bucket: 'week' });
+
+    assert.deepEqual(rows, [
+      { period: '2026-10-05', expenses: 30.1, recurring: 0, income: 100, net: 69.9, count: 2 },
+      { period: '2026-10-12', expenses: 0, recurring: 0, income: 0, net: 0, count: 0 },
+      { period: '2026-10-19', expenses: 250, recurring: 200, income: 0, net: -250, count: 3 }
+    ]);
+  });
+
+  test('passes on database errors', async (t) => {
+    t.mock.method(supabase, 'rpc', async () => ({ data: null, error: new Error('function does not exist') }));
+
+    await assert.rejects(
+      fetchTrend('user-1', { startDate: '2026-10-01', endDate: '2026-10-31' }),
+      /function does not exist/
+    );
+  });
+});
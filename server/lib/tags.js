@@ -0,0 +1,55 @@
+const { supabase } = require('../supabaseClient');
+
+const MAX_TAG_LENGTH = 50;
+const LINK_BATCH_SIZE = 500;
+
+// Same rules as the client: "Trip Goa" is stored as "trip-goa"
+const normalizeTag = (name) => String(name)
+  .trim()
+  .toLowerCase()
+  .replace(/^#/, '')
+  .replace(/\s+/g, '-')
+  .replace(/[^a-z0-9\-_]/g, '')
+  .slice(0, MAX_TAG_LENGTH);
+
+// Add tags to transactions, keeping the tags they already have. Tags the user
+// has not used before are created.
+const addTagsToTransactions = async (userId, transactionIds, names) => {
+  const uniqueNames = [...new Set(names.map(normalizeTag).filter(Boolean))];
+  if (uniqueNames.length === 0 || transactionIds.length === 0) return;
+
+  const { data: tags, error: tagError } = await supabase
+    .from('tags')
+    .upsert(uniqueNames.map(name => ({ user_id: userId, name })), { onConflict: 'user_id,name' })
+    .select('id');
+
+  if (tagError) throw tagError;
+
+  const links = transactionIds.flatMap(transactionId =>
+    tags.map(tag => ({ transaction_id: transactionId, tag_id: tag.id }))
+  );
+
+  for (let from = 0; from < links.length; from += LINK_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('transaction_tags')
+      .upsert(links.slice(from, from + LINK_BATCH_SIZE), {
+        onConflict: 'transaction_id,tag_id',
+        ignoreDuplicates: true
+      });
+
+    if (error) throw error;
+  }
+};
+
+// Replace the tags of one transaction
+const setTransactionTags = async (userId, transactionId, names) => {
+  const { error } = await supabase
+    .from('transaction_tags')
+    .delete()
+    .eq('transaction_id', transactionId);
+
+  if (error) throw error;
+  await addTagsToTransactions(userId, [transactionId], names);
+};
+
+module.exports = { MAX_TAG_LENGTH, addTagsToTransactions, normalizeTag, setTransactionTags };
@@ -0,0 +1,606 @@
+const { ValidationError } = require('./errors');
+const { normalizeTag } = require('./tags');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_AMOUNT = 99999999.99; // transactions.amount is DECIMAL(10, 2)
+const MAX_DESCRIPTION_LENGTH = 500;
+const TRANSACTION_TYPES = ['expense', 'income'];
+const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'semester'];
+const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+const MAX_IMPORT_ROWS = 2000;
+const CATEGORY_RULE_MATCH_TYPES = ['contains', 'regex', 'merchant', 'amount'];
+const MAX_RULE_PATTERN_LENGTH = 200;
+const MAX_RULE_PRIORITY = 1000;
+const MAX_TAGS = 10;
+
+// Accepts YYYY-MM-DD strings that describe a real calendar day
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year &&
+         date.getUTCMonth() === month - 1 &&
+         date.getUTCDate() === day;
+}
+
+function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  const amount = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : NaN;
+}
+
+function parseId(value) {
+  const id = typeof value === 'number' ? value : Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+// Transaction ids are UUIDs; anything else is rejected before it reaches Postgres
+function isValidUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Length of the quantifier at pattern[index] (*, +, ?, {n}, {n,}, {n,m}) or 0,
+// and whether it can repeat more than once
+function readQuantifier(pattern, index) {
+  const char = pattern[index];
+  if (char === '*' || char === '+') return { length: 1, repeats: true };
+  if (char === '?') return { length: 1, repeats: false };
+  const braces = char === '{' && /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+  if (!braces) return { length: 0, repeats: false };
+  const max = braces[2] ? (braces[3] === '' ? Infinity : Number(braces[3])) : Number(braces[1]);
+  return { length: braces[0].length, repeats: max > 1 };
+}
+
+// Rule patterns run on this server's only thread, so patterns that can take
+// exponential time to fail are refused: a repeated group that itself contains
+// a quantifier or alternatives, e.g. (a+)+ or (a|ab)*, and back-references.
+function isSlowRegex(pattern) {
+  // One entry per open group: does anything inside it repeat or branch?
+  const groups = [];
+  const markOpenGroup = () => {
+    if (groups.length > 0) groups[groups.length - 1].varies = true;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return true;
+      i++;
+    } else if (char === '[') {
+      // Nothing inside a character class is special here
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ varies: false });
+      // (?:, (?=, (?!, (?<=, (?<! and (?<name> are not quantifiers
+      const prefix = /^\?(:|=|!|<=|<!|<[^>]*>)/.exec(pattern.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+    } else if (char === '|') {
+      markOpenGroup();
+    } else if (char === ')') {
+      const group = groups.pop() || { varies: false };
+      const quantifier = readQuantifier(pattern, i + 1);
+      if (quantifier.length > 0) {
+        if (quantifier.repeats && group.varies) return true;
+        i += quantifier.length;
+        if (pattern[i + 1] === '?') i++;
+      }
+      if (group.varies || quantifier.length > 0) markOpenGroup();
+    } else {
+      const quantifier = readQuantifier(pattern, i);
+      if (quantifier.length > 0) {
+        markOpenGroup();
+        i += quantifier.length - 1;
+        if (pattern[i + 1] === '?') i++;
+      }
+    }
+  }
+
+  return false;
+}
+
+// Validate a transaction payload. With `partial` only the supplied fields are
+// checked (used for PATCH-style updates). Returns the cleaned values.
+function validateTransaction(body, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError([{ field: 'body', message: 'Request body must be a JSON object' }]);
+  }
+
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('amount')) {
+    const amount = parseAmount(body.amount);
+    if (Number.isNaN(amount)) {
+      errors.push({ field: 'amount', message: 'Amount must be a number' });
+    } else if (amount <= 0) {
+      errors.push({ field: 'amount', message: 'Amount must be greater than 0' });
+    } else if (amount > MAX_AMOUNT) {
+      errors.push({ field: 'amount', message: `Amount must not exceed ${MAX_AMOUNT}` });
+    } else {
+      value.amount = amount;
+    }
+  }
+
+  if (!partial || has('type')) {
+    const type = body.type === undefined ? 'expense' : body.type;
+    if (!TRANSACTION_TYPES.includes(type)) {
+      errors.push({ field: 'type', message: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}` });
+    } else {
+      value.type = type;
+    }
+  }
+
+  if (!partial || has('category_id')) {
+    const categoryId = parseId(body.category_id);
+    if (Number.isNaN(categoryId)) {
+      errors.push({ field: 'category_id', message: 'Category must be a valid category id' });
+    } else {
+      value.category_id = categoryId;
+    }
+  }
+
+  if (!partial || has('date')) {
+    if (!isValidDate(body.date)) {
+      errors.push({ field: 'date', message: 'Date must be a valid date in YYYY-MM-DD format' });
+    } else {
+      value.date = body.date;
+    }
+  }
+
+  if (has('description')) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      errors.push({ field: 'description', message: 'Description must be a string' });
+    } else if (body.description && body.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push({ field: 'description', message: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    } else {
+      value.description = body.description ? body.description.trim() : null;
+    }
+  }
+
+  if (has('tags')) {
+    const tags = normalizeTagList(body.tags);
+    if (!tags || tags.length > MAX_TAGS) {
+      errors.push({ field: 'tags', message: `Tags must be a list of at most ${MAX_TAGS} strings` });
+    } else {
+      value.tags = tags;
+    }
+  }
+
+  if (partial && Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push({ field: 'body', message: 'No updatable fields supplied' });
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return value;
+}
+
+// Validate the query string of GET /api/transactions
+function validateTransactionQuery(query) {
+  const errors = [];
+  const filters = {};
+
+  if (query.start_date !== undefined) {
+    if (!isValidDate(query.start_date)) {
+      errors.push({ field: 'start_date', message: 'start_date must be in YYYY-MM-DD format' });
+    } else {
+      filters.startDate = query.start_date;
+    }
+  }
+
+  if (query.end_date !== undefined) {
+    if (!isValidDate(query.end_date)) {
+      errors.push({ field: 'end_date', message: 'end_date must be in YYYY-MM-DD format' });
+    } else {
+      filters.endDate = query.end_date;
+    }
+  }
+
+  if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+    errors.push({ field: 'end_date', message: 'end_date must not be before start_date' });
+  }
+
+  if (query.category_id !== undefined) {
+    const categoryId = parseId(query.category_id);
+    if (Number.isNaN(categoryId)) {
+      errors.push({ field: 'category_id', message: 'category_id must be a valid category id' });
+    } else {
+      filters.categoryId = categoryId;
+    }
+  }
+
+  if (query.type !== undefined) {
+    if (!TRANSACTION_TYPES.includes(query.type)) {
+      errors.push({ field: 'type', message: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` });
+    } else {
+      filters.type = query.type;
+    }
+  }
+
+  ['min_amount', 'max_amount'].forEach(field => {
+    if (query[field] === undefined) return;
+    const amount = parseAmount(query[field]);
+    if (Number.isNaN(amount)) {
+      errors.push({ field, message: `${field} must be a number` });
+    } else {
+      filters[field === 'min_amount' ? 'minAmount' : 'maxAmount'] = amount;
+    }
+  });
+
+  if (query.search !== undefined) {
+    filters.search = String(query.search).trim();
+  }
+
+  if (query.tag !== undefined && query.tag !== '') {
+    const tag = normalizeTag(query.tag);
+    if (!tag) {
+      errors.push({ field: 'tag', message: 'tag must not be empty' });
+    } else {
+      filters.tag = tag;
+    }
+  }
+
+  const page = query.page === undefined ? 1 : parseId(query.page);
+  if (Number.isNaN(page)) {
+    errors.push({ field: 'page', message: 'page must be a positive integer' });
+  }
+
+  const limit = query.limit === undefined ? 50 : parseId(query.limit);
+  if (Number.isNaN(limit) || limit > 200) {
+    errors.push({ field: 'limit', message: 'limit must be an integer between 1 and 200' });
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return { filters, page, limit };
+}
+
+// Validate the query string of the /api/summary endpoints: a required
+// start_date and end_date and an optional tag, plus a bucket when `buckets`
+// lists the allowed ones
+function validateSummaryQuery(query, { buckets = null } = {}) {
+  const errors = [];
+  const value = {};
+
+  ['start_date', 'end_date'].forEach(field => {
+    if (!isValidDate(query[field])) {
+      errors.push({ field, message: `${field} must be a valid date in YYYY-MM-DD format` });
+    }
+  });
+  if (errors.length === 0) {
+    if (query.start_date > query.end_date) {
+      errors.push({ field: 'end_date', message: 'end_date must not be before start_date' });
+    } else {
+      value.range = { startDate: query.start_date, endDate: query.end_date };
+    }
+  }
+
+  if (query.tag !== undefined && query.tag !== '') {
+    const tag = normalizeTag(query.tag);
+    if (!tag) {
+      errors.push({ field: 'tag', message: 'tag must not be empty' });
+    } else {
+      value.tag = tag;
+    }
+  }
+
+  if (buckets && query.bucket !== undefined) {
+    if (!buckets.includes(query.bucket)) {
+      errors.push({ field: 'bucket', message: `bucket must be one of: ${buckets.join(', ')}` });
+    } else {
+      value.bucket = query.bucket;
+    }
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return value;
+}
+
+// Normalised, de-duplicated tag names, or null when `tags` is not a list of strings
+function normalizeTagList(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) return null;
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+// Validate a recurring transaction rule. The amount, type, category and
+// description checks are the same as for a single transaction.
+function validateRecurringRule(body, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError([{ field: 'body', message: 'Request body must be a JSON object' }]);
+  }
+
+  const has = (field) => body[field] !== undefined;
+
+  const transactionFields = {};
+  ['amount', 'type', 'category_id', 'description'].forEach(field => {
+    if (has(field)) transactionFields[field] = body[field];
+  });
+  try {
+    Object.assign(value, validateTransaction(transactionFields, { partial: true }));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    errors.push(...error.details.filter(detail => detail.field !== 'body'));
+  }
+
+  if (!partial) {
+    if (!has('amount')) errors.push({ field: 'amount', message: 'Amount is required' });
+    if (!has('category_id')) errors.push({ field: 'category_id', message: 'Category is required' });
+    if (!has('type')) value.type = 'expense';
+  }
+
+  if (!partial || has('frequency')) {
+    if (!RECURRING_FREQUENCIES.includes(body.frequency)) {
+      errors.push({ field: 'frequency', message: `Frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}` });
+    } else {
+      value.frequency = body.frequency;
+    }
+  }
+
+  if (!partial || has('start_date')) {
+    if (!isValidDate(body.start_date)) {
+      errors.push({ field: 'start_date', message: 'Start date must be a valid date in YYYY-MM-DD format' });
+    } else {
+      value.start_date = body.start_date;
+    }
+  }
+
+  if (has('end_date')) {
+    if (body.end_date === null || body.end_date === '') {
+      value.end_date = null;
+    } else if (!isValidDate(body.end_date)) {
+      errors.push({ field: 'end_date', message: 'End date must be a valid date in YYYY-MM-DD format' });
+    } else if (value.start_date && body.end_date < value.start_date) {
+      errors.push({ field: 'end_date', message: 'End date must not be before the start date' });
+    } else {
+      value.end_date = body.end_date;
+    }
+  }
+
+  if (has('active')) {
+    if (typeof body.active !== 'boolean') {
+      errors.push({ field: 'active', message: 'Active must be true or false' });
+    } else {
+      value.active = body.active;
+    }
+  }
+
+  if (partial && Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push({ field: 'body', message: 'No updatable fields supplied' });
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return value;
+}
+
+// Validate a change to a single occurrence of a recurring rule
+function validateOccurrenceChange(body) {
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError([{ field: 'body', message: 'Request body must be a JSON object' }]);
+  }
+
+  if (body.skip !== undefined) {
+    if (typeof body.skip !== 'boolean') {
+      errors.push({ field: 'skip', message: 'Skip must be true or false' });
+    } else {
+      value.skip = body.skip;
+    }
+  }
+
+  try {
+    const fields = {};
+    if (body.amount !== undefined) fields.amount = body.amount;
+    if (body.description !== undefined) fields.description = body.description;
+    if (Object.keys(fields).length > 0) {
+      Object.assign(value, validateTransaction(fields, { partial: true }));
+    }
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    errors.push(...error.details);
+  }
+
+  if (Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push({ field: 'body', message: 'Supply skip, amount or description' });
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return value;
+}
+
+// Validate a category rule. Without `partial` the fields are also checked
+// together: every rule except an amount rule needs a pattern, regex patterns
+// must compile and the amount range must not be empty. Updates validate the
+// merged rule that way.
+function validateCategoryRule(body, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError([{ field: 'body', message: 'Request body must be a JSON object' }]);
+  }
+
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('match_type')) {
+    if (!CATEGORY_RULE_MATCH_TYPES.includes(body.match_type)) {
+      errors.push({ field: 'match_type', message: `Match type must be one of: ${CATEGORY_RULE_MATCH_TYPES.join(', ')}` });
+    } else {
+      value.match_type = body.match_type;
+    }
+  }
+
+  if (has('pattern')) {
+    if (body.pattern !== null && typeof body.pattern !== 'string') {
+      errors.push({ field: 'pattern', message: 'Pattern must be a string' });
+    } else if (body.pattern && body.pattern.trim().length > MAX_RULE_PATTERN_LENGTH) {
+      errors.push({ field: 'pattern', message: `Pattern must be at most ${MAX_RULE_PATTERN_LENGTH} characters` });
+    } else {
+      value.pattern = body.pattern ? body.pattern.trim() || null : null;
+    }
+  }
+
+  ['min_amount', 'max_amount'].forEach(field => {
+    if (!has(field)) return;
+    const label = field === 'min_amount' ? 'Minimum amount' : 'Maximum amount';
+    if (body[field] === null || body[field] === '') {
+      value[field] = null;
+      return;
+    }
+    const amount = parseAmount(body[field]);
+    if (Number.isNaN(amount)) {
+      errors.push({ field, message: `${label} must be a number` });
+    } else if (amount < 0) {
+      errors.push({ field, message: `${label} must not be negative` });
+    } else if (amount > MAX_AMOUNT) {
+      errors.push({ field, message: `${label} must not exceed ${MAX_AMOUNT}` });
+    } else {
+      value[field] = amount;
+    }
+  });
+
+  if (!partial || has('category_id')) {
+    const categoryId = parseId(body.category_id);
+    if (Number.isNaN(categoryId)) {
+      errors.push({ field: 'category_id', message: 'Category must be a valid category id' });
+    } else {
+      value.category_id = categoryId;
+    }
+  }
+
+  if (has('tags')) {
+    const tags = normalizeTagList(body.tags);
+    if (!tags) {
+      errors.push({ field: 'tags', message: 'Tags must be a list of strings' });
+    } else if (tags.length > MAX_TAGS) {
+      errors.push({ field: 'tags', message: `A rule can add at most ${MAX_TAGS} tags` });
+    } else {
+      value.tags = tags;
+    }
+  }
+
+  if (has('priority')) {
+    if (!Number.isInteger(body.priority) || Math.abs(body.priority) > MAX_RULE_PRIORITY) {
+      errors.push({ field: 'priority', message: `Priority must be a whole number between -${MAX_RULE_PRIORITY} and ${MAX_RULE_PRIORITY}` });
+    } else {
+      value.priority = body.priority;
+    }
+  }
+
+  if (has('active')) {
+    if (typeof body.active !== 'boolean') {
+      errors.push({ field: 'active', message: 'Active must be true or false' });
+    } else {
+      value.active = body.active;
+    }
+  }
+
+  if (!partial && errors.length === 0) {
+    const min = value.min_amount ?? null;
+    const max = value.max_amount ?? null;
+
+    if (value.match_type === 'amount') {
+      value.pattern = null;
+      if (min === null && max === null) {
+        errors.push({ field: 'min_amount', message: 'An amount rule needs a minimum or maximum amount' });
+      }
+    } else if (!value.pattern) {
+      errors.push({ field: 'pattern', message: 'Pattern is required' });
+    } else if (value.match_type === 'regex') {
+      try {
+        new RegExp(value.pattern, 'i');
+        if (isSlowRegex(value.pattern)) {
+          errors.push({
+            field: 'pattern',
+            message: 'Pattern repeats a group that itself repeats or has alternatives, e.g. (a+)+, or uses a back-reference; these can take too long to match'
+          });
+        }
+      } catch (error) {
+        errors.push({ field: 'pattern', message: 'Pattern is not a valid regular expression' });
+      }
+    }
+
+    if (min !== null && max !== null && min > max) {
+      errors.push({ field: 'max_amount', message: 'Maximum amount must not be less than the minimum' });
+    }
+  }
+
+  if (partial && Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push({ field: 'body', message: 'No updatable fields supplied' });
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return value;
+}
+
+// Validate the rows of a statement import. Each row is checked like a single
+// transaction; errors name the row, e.g. field "rows[3].amount".
+function validateImportRows(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ValidationError([{ field: 'rows', message: 'rows must be a non-empty array' }]);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError([{ field: 'rows', message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` }]);
+  }
+
+  const errors = [];
+  const value = rows.map((row, index) => {
+    try {
+      const { tags = [], ...transaction } = validateTransaction(row);
+      return { ...transaction, tags, allow_duplicate: row.allow_duplicate === true };
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      errors.push(...error.details.map(detail => ({ ...detail, field: `rows[${index}].${detail.field}` })));
+      return null;
+    }
+  });
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return value;
+}
+
+function validateImportRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError([{ field: 'body', message: 'Request body must be a JSON object' }]);
+  }
+
+  if (!IMPORT_FORMATS.includes(body.format)) {
+    throw new ValidationError([{ field: 'format', message: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` }]);
+  }
+
+  const filename = typeof body.filename === 'string' ? body.filename.trim().slice(0, 255) : null;
+
+  return {
+    filename: filename || null,
+    format: body.format,
+    rows: validateImportRows(body.rows)
+  };
+}
+
+module.exports = {
+  CATEGORY_RULE_MATCH_TYPES,
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  RECURRING_FREQUENCIES,
+  TRANSACTION_TYPES,
+  isSlowRegex,
+  isValidDate,
+  isValidUuid,
+  parseAmount,
+  parseId,
+  validateCategoryRule,
+  validateImportRequest,
+  validateOccurrenceChange,
+  validateRecurringRule,
+  validateSummaryQuery,
+  validateTransaction,
+  validateTransactionQuery
+};
@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('./errors');
+const {
+  isSlowRegex,
+  validateCategoryRule,
+  validateImportRequest,
+  validateTransaction,
+  validateTransactionQuery
+} = require('./validation');
+
+describe('isSlowRegex', () => {
+  const slow = [
+    '(a+)+$',
+    '(a|ab)*c',
+    '(\\w+\\s?)*$',
+    '((ab)+)+',
+    '(?:x{2,})*y',
+    '(.)\\1',
+    '(?<letter>a)\\k<letter>'
+  ];
+  const fine = [
+    '^(uber|ola)\\b',
+    '(?:uber|ola) ?trip',
+    'swiggy.*order$',
+    '(ab)+',
+    '(a+)?',
+    '[(+]+',
+    '\\(\\d+\\)+',
+    'x(?:[a-z]+)?y'
+  ];
+
+  slow.forEach(pattern => {
+    test(`refuses ${pattern}`, () => assert.equal(isSlowRegex(pattern), true));
+  });
+  fine.forEach(pattern => {
+    test(`accepts ${pattern}`, () => assert.equal(isSlowRegex(pattern), false));
+  });
+});
+
+describe('validateCategoryRule', () => {
+  const rule = (pattern) => ({ match_type: 'regex', pattern, category_id: 3 });
+
+  test('accepts a regex rule', () => {
+    assert.deepEqual(validateCategoryRule(rule(' ^(uber|ola)\\b ')), {
+      match_type: 'regex',
+      pattern: '^(uber|ola)\\b',
+      category_id: 3
+    });
+  });
+
+  test('refuses patterns that do not compile or can take too long to match', () => {
+    const patternError = (pattern) => {
+      try {
+        validateCategoryRule(rule(pattern));
+      } catch (error) {
+        assert.ok(error instanceof ValidationError);
+        return error.details.find(detail => detail.field === 'pattern').message;
+      }
+      return null;
+    };
+
+    assert.match(patternError('(unclosed'), /not a valid regular expression/);
+    assert.match(patternError('(a+)+$'), /too long to match/);
+  });
+});
+
+describe('validateTransaction', () => {
+  const transaction = { amount: '12.50', category_id: 3, date: '2026-10-19' };
+
+  test('normalises the tags and drops repeats', () => {
+    assert.deepEqual(validateTransaction({ ...transaction, tags: ['Goa Trip', '#goa-trip', 'Food', ' '] }), {
+      amount: 12.5,
+      type: 'expense',
+      category_id: 3,
+      date: '2026-10-19',
+      tags: ['goa-trip', 'food']
+    });
+    assert.deepEqual(validateTransaction({ tags: [] }, { partial: true }), { tags: [] });
+  });
+
+  test('refuses tags that are not a short list of strings', () => {
+    const tooMany = Array.from({ length: 11 }, (_, i) => `tag-${i}`);
+
+    [tooMany, 'food', [1]].forEach(tags => {
+      assert.throws(() => validateTransaction({ ...transaction, tags }), (error) => {
+        assert.deepEqual(error.details, [{ field: 'tags', message: 'Tags must be a list of at most 10 strings' }]);
+        return true;
+      });
+    });
+  });
+
+  test('gives imported rows no tags unless they have some', () => {
+    const { rows: [plain, tagged] } = validateImportRequest({
+      format: 'csv',
+      rows: [transaction, { ...transaction, tags: ['Food'] }]
+    });
+
+    assert.deepEqual(plain.tags, []);
+    assert.deepEqual(tagged.tags, ['food']);
+  });
+});
+
+describe('validateTransactionQuery', () => {
+  test('filters by a normalised tag', () => {
+    assert.equal(validateTransactionQuery({ tag: '#Goa Trip' }).filters.tag, 'goa-trip');
+    assert.equal(validateTransactionQuery({ tag: '' }).filters.tag, undefined);
+    assert.throws(() => validateTransactionQuery({ tag: '!!' }), { name: 'ValidationError' });
+  });
+});
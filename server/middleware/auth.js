@@ -0,0 +1,18 @@
+const { supabase } = require('../supabaseClient');
+
+// Middleware to verify JWT
+const authenticateJWT = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (error) throw error;
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Unauthorized' });
+  }
+};
+
+module.exports = { authenticateJWT };
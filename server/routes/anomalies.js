@@ -0,0 +1,58 @@
+const express = require('express');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { parseId } = require('../lib/validation');
+const { ANOMALY_STATUSES, dismissAnomaly, fetchAnomalies, scanForAnomalies } = require('../lib/anomalies');
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+// Expenses flagged as unusual, newest first. ?status= is open (the default)
+// or dismissed.
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status === undefined ? 'open' : req.query.status;
+    if (!ANOMALY_STATUSES.includes(status)) {
+      throw new ValidationError([{ field: 'status', message: `status must be one of: ${ANOMALY_STATUSES.join(', ')}` }]);
+    }
+
+    res.json({ anomalies: await fetchAnomalies(req.user.id, { status }) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch unusual transactions');
+  }
+});
+
+// Check recently added expenses, including ones added straight to the
+// database, and flag any that look unusual. Answers { checked, flagged }.
+router.post('/scan', async (req, res) => {
+  try {
+    res.json(await scanForAnomalies(req.user.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to check for unusual transactions');
+  }
+});
+
+// Dismiss a flag. { learn: true } also stops similar expenses being flagged.
+router.post('/:id/dismiss', async (req, res) => {
+  try {
+    const errors = [];
+    const id = parseId(req.params.id);
+    if (Number.isNaN(id)) errors.push({ field: 'id', message: 'Invalid anomaly id' });
+
+    const learn = req.body?.learn;
+    if (learn !== undefined && typeof learn !== 'boolean') {
+      errors.push({ field: 'learn', message: 'learn must be true or false' });
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const anomaly = await dismissAnomaly(req.user.id, id, { learn: learn === true });
+    if (!anomaly) return res.status(404).json({ error: 'Anomaly not found' });
+
+    res.json({ anomaly });
+  } catch (error) {
+    sendError(res, error, 'Failed to dismiss unusual transaction');
+  }
+});
+
+module.exports = router;
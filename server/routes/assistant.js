@@ -0,0 +1,69 @@
+const express = require('express');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { isValidDate } = require('../lib/validation');
+const { AiProviderError, getAiProvider } = require('../lib/aiProviders');
+const { answerQuestion } = require('../lib/assistant');
+
+const router = express.Router();
+
+// Enough history for follow-up questions without an ever-growing prompt
+const MAX_MESSAGES = 20;
+const MAX_MESSAGE_LENGTH = 2000;
+
+const validateConversation = (body) => {
+  const messages = body?.messages;
+
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_MESSAGES) {
+    throw new ValidationError([{
+      field: 'messages',
+      message: `messages must be a list of 1 to ${MAX_MESSAGES} messages`
+    }]);
+  }
+
+  const errors = [];
+  messages.forEach((message, index) => {
+    if (!message || !['user', 'assistant'].includes(message.role)) {
+      errors.push({ field: `messages[${index}].role`, message: 'role must be user or assistant' });
+    }
+    if (typeof message?.content !== 'string' || !message.content.trim() || message.content.length > MAX_MESSAGE_LENGTH) {
+      errors.push({
+        field: `messages[${index}].content`,
+        message: `content must be text of 1 to ${MAX_MESSAGE_LENGTH} characters`
+      });
+    }
+  });
+  if (messages[messages.length - 1]?.role !== 'user') {
+    errors.push({ field: 'messages', message: 'The last message must be from the user' });
+  }
+  if (body.today !== undefined && !isValidDate(body.today)) {
+    errors.push({ field: 'today', message: 'today must be in YYYY-MM-DD format' });
+  }
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  return messages.map(({ role, content }) => ({ role, content: content.trim() }));
+};
+
+router.use(authenticateJWT);
+
+// Answer a question about the user's transactions. Body: { messages: [{ role,
+// content }], today? }, the conversation so far ending with the question;
+// `today` is the user's local date. Answers { reply, tool_calls: [{ name,
+// arguments, result }] } with the queries the reply is based on.
+router.post('/', async (req, res) => {
+  try {
+    const messages = validateConversation(req.body);
+    const today = req.body.today || new Date().toISOString().slice(0, 10);
+
+    const { reply, toolCalls } = await answerQuestion(getAiProvider(), req.user.id, messages, today);
+    res.json({ reply, tool_calls: toolCalls });
+  } catch (error) {
+    if (error instanceof AiProviderError) {
+      console.error('Assistant AI error:', error.message);
+      return res.status(503).json({ error: 'The assistant is unavailable right now. Please try again later.' });
+    }
+    sendError(res, error, 'Failed to answer the question');
+  }
+});
+
+module.exports = router;
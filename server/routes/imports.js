@@ -0,0 +1,148 @@
+const express = require('express');
+const { supabase } = require('../supabaseClient');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { ensureCategoryExists } = require('../lib/categories');
+const { findDuplicates } = require('../lib/imports');
+const { createRuleMatcher, fetchRules } = require('../lib/categoryRules');
+const {
+  MAX_IMPORT_ROWS,
+  isValidDate,
+  parseAmount,
+  parseId,
+  validateImportRequest
+} = require('../lib/validation');
+
+const router = express.Router();
+
+const IMPORT_COLUMNS = 'id, filename, format, imported_count, skipped_count, created_at';
+const RECENT_IMPORTS_LIMIT = 20;
+
+router.use(authenticateJWT);
+
+// Recent imports, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('imports')
+      .select(IMPORT_COLUMNS)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(RECENT_IMPORTS_LIMIT);
+
+    if (error) throw error;
+
+    res.json({ imports: data });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch imports');
+  }
+});
+
+// Flag rows of a parsed statement that are already recorded and find the
+// category rule that matches each one. Used by the preview step, so rows only
+// need a date, amount, description and type here.
+router.post('/preview', async (req, res) => {
+  try {
+    const rows = req.body?.rows;
+    if (!Array.isArray(rows) || rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError([{ field: 'rows', message: `rows must be an array of at most ${MAX_IMPORT_ROWS} rows` }]);
+    }
+
+    const checkable = rows.map(row => ({
+      date: isValidDate(row?.date) ? row.date : null,
+      amount: parseAmount(row?.amount),
+      description: typeof row?.description === 'string' ? row.description : ''
+    }));
+    const valid = checkable.filter(row => row.date && !Number.isNaN(row.amount));
+    const flags = await findDuplicates(req.user.id, valid);
+
+    let next = 0;
+    const duplicates = checkable.map(row =>
+      row.date && !Number.isNaN(row.amount) ? flags[next++] : false
+    );
+
+    const match = createRuleMatcher(await fetchRules(req.user.id));
+    const matches = rows.map((row, index) => match({
+      description: checkable[index].description,
+      amount: Number.isNaN(checkable[index].amount) ? null : checkable[index].amount,
+      type: row?.type === 'income' ? 'income' : 'expense'
+    }));
+
+    res.json({ duplicates, matches });
+  } catch (error) {
+    sendError(res, error, 'Failed to check for duplicates');
+  }
+});
+
+// Import a statement. Rows that duplicate existing transactions are skipped
+// unless marked allow_duplicate. Everything is inserted in one database
+// transaction by import_transactions(), so either every row lands or none do.
+router.post('/', async (req, res) => {
+  try {
+    const { filename, format, rows } = validateImportRequest(req.body);
+
+    const categoryChecks = new Map();
+    rows.forEach(row => categoryChecks.set(`${row.category_id}|${row.type}`, row));
+    for (const row of categoryChecks.values()) {
+      await ensureCategoryExists(row.category_id, row.type, req.user.id);
+    }
+
+    const duplicates = await findDuplicates(req.user.id, rows);
+    const toInsert = rows
+      .filter((row, index) => !duplicates[index] || row.allow_duplicate)
+      .map(({ allow_duplicate, ...row }) => row);
+    const skipped = rows.length - toInsert.length;
+
+    if (toInsert.length === 0) {
+      throw new ValidationError([{ field: 'rows', message: 'Every row is already recorded; nothing was imported' }]);
+    }
+
+    const { data: importId, error } = await supabase.rpc('import_transactions', {
+      p_user_id: req.user.id,
+      p_filename: filename,
+      p_format: format,
+      p_skipped: skipped,
+      p_rows: toInsert
+    });
+
+    if (error) throw error;
+
+    const { data: saved, error: fetchError } = await supabase
+      .from('imports')
+      .select(IMPORT_COLUMNS)
+      .eq('id', importId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    res.status(201).json({ import: saved });
+  } catch (error) {
+    sendError(res, error, 'Failed to import transactions');
+  }
+});
+
+// Undo an import: deleting it removes every transaction it created
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (Number.isNaN(id)) {
+      throw new ValidationError([{ field: 'id', message: 'Invalid import id' }]);
+    }
+
+    const { data, error } = await supabase
+      .from('imports')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) return res.status(404).json({ error: 'Import not found' });
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to undo import');
+  }
+});
+
+module.exports = router;
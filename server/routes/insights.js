@@ -0,0 +1,63 @@
+const express = require('express');
+const { supabase } = require('../supabaseClient');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { parseId } = require('../lib/validation');
+const { fetchInsightHistory, parseInsightMonth } = require('../lib/insights');
+
+const router = express.Router();
+
+const MAX_HISTORY = 100;
+
+router.use(authenticateJWT);
+
+// Past insights, newest month first and the latest version of each month
+// before older ones. ?year= and ?month= narrow it down; ?limit= (default 24)
+// caps how many come back.
+router.get('/', async (req, res) => {
+  try {
+    const errors = [];
+
+    const year = req.query.year === undefined ? null : parseId(req.query.year);
+    if (Number.isNaN(year)) errors.push({ field: 'year', message: 'year must be a positive integer' });
+
+    const month = req.query.month === undefined ? null : parseInsightMonth(req.query.month);
+    if (Number.isNaN(month)) errors.push({ field: 'month', message: 'month must be between 1 and 12' });
+
+    const limit = req.query.limit === undefined ? 24 : parseId(req.query.limit);
+    if (Number.isNaN(limit) || limit > MAX_HISTORY) {
+      errors.push({ field: 'limit', message: `limit must be between 1 and ${MAX_HISTORY}` });
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    res.json({ insights: await fetchInsightHistory(req.user.id, { year, month, limit }) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch insights history');
+  }
+});
+
+// Delete a stored insight. The next request with the same data asks the AI again.
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (Number.isNaN(id)) {
+      throw new ValidationError([{ field: 'id', message: 'Invalid insight id' }]);
+    }
+
+    const { data, error } = await supabase
+      .from('insights')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) return res.status(404).json({ error: 'Insight not found' });
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete insight');
+  }
+});
+
+module.exports = router;
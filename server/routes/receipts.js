@@ -0,0 +1,361 @@
+const express = require('express');
+const multer = require('multer');
+const { supabase } = require('../supabaseClient');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { isValidUuid, parseId } = require('../lib/validation');
+const {
+  MAX_RECEIPT_BYTES,
+  MAX_RECEIPTS_PER_TRANSACTION,
+  RECEIPT_TYPES,
+  createThumbnail,
+  downloadFile,
+  extractReceipt,
+  removeFiles,
+  signFileUrls,
+  toReceiptSearchQuery,
+  uploadFile
+} = require('../lib/receipts');
+
+const router = express.Router();
+
+const RECEIPT_COLUMNS = `
+  id,
+  transaction_id,
+  storage_path,
+  thumbnail_path,
+  filename,
+  mime_type,
+  status,
+  ocr_text,
+  parsed,
+  error,
+  processed_at,
+  created_at,
+  transactions(
+    description,
+    date,
+    amount,
+    type
+  )
+`;
+const MAX_PAGE_SIZE = 100;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RECEIPT_BYTES, files: 1 }
+}).single('file');
+
+// Run multer inside the route so upload problems get the usual 400 body
+const receiveFile = (req, res) => new Promise((resolve, reject) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Receipt files can be at most ${MAX_RECEIPT_BYTES / 1024 / 1024} MB`
+        : error.message;
+      reject(new ValidationError([{ field: 'file', message }]));
+    } else if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  });
+});
+
+// Add signed links to the file and thumbnail, and flatten the joined transaction
+const formatReceipts = async (receipts) => {
+  const urls = await signFileUrls(receipts.flatMap(r => [r.storage_path, r.thumbnail_path]));
+
+  return receipts.map(({ transactions: transaction, ...receipt }) => ({
+    ...receipt,
+    transaction: transaction || null,
+    url: urls.get(receipt.storage_path) || null,
+    thumbnail_url: urls.get(receipt.thumbnail_path) || null
+  }));
+};
+
+const formatReceipt = async (receipt) => (await formatReceipts([receipt]))[0];
+
+const parseReceiptId = (id) => {
+  const receiptId = parseId(id);
+  if (Number.isNaN(receiptId)) {
+    throw new ValidationError([{ field: 'id', message: 'Invalid receipt id' }]);
+  }
+  return receiptId;
+};
+
+const parseTransactionId = (value) => {
+  if (!isValidUuid(value)) {
+    throw new ValidationError([{ field: 'transaction_id', message: 'Invalid transaction id' }]);
+  }
+  return value;
+};
+
+const fetchReceipt = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('receipts')
+    .select(RECEIPT_COLUMNS)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const fetchTransaction = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('id')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Add a receipt to a transaction's attachments
+const attachReceipt = async (receipt, transactionId, userId) => {
+  const { count, error: countError } = await supabase
+    .from('receipts')
+    .select('id', { count: 'exact', head: true })
+    .eq('transaction_id', transactionId)
+    .eq('user_id', userId)
+    .neq('id', receipt.id);
+
+  if (countError) throw countError;
+  if (count >= MAX_RECEIPTS_PER_TRANSACTION) {
+    throw new ValidationError([{
+      field: 'transaction_id',
+      message: `A transaction can have at most ${MAX_RECEIPTS_PER_TRANSACTION} receipts`
+    }]);
+  }
+
+  const { data, error } = await supabase
+    .from('receipts')
+    .update({ transaction_id: transactionId })
+    .eq('id', receipt.id)
+    .eq('user_id', userId)
+    .select(RECEIPT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+router.use(authenticateJWT);
+
+// The user's receipts, newest first, with links that expire after an hour.
+// ?search= matches words in the receipt text; ?transaction_id= limits the list
+// to one transaction; ?page= and ?limit= page through the results.
+router.get('/', async (req, res) => {
+  try {
+    const page = req.query.page === undefined ? 1 : parseId(req.query.page);
+    const limit = req.query.limit === undefined ? 50 : parseId(req.query.limit);
+    if (Number.isNaN(page)) {
+      throw new ValidationError([{ field: 'page', message: 'page must be a positive integer' }]);
+    }
+    if (Number.isNaN(limit) || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError([{ field: 'limit', message: `limit must be between 1 and ${MAX_PAGE_SIZE}` }]);
+    }
+
+    let query = supabase
+      .from('receipts')
+      .select(RECEIPT_COLUMNS, { count: 'exact' })
+      .eq('user_id', req.user.id);
+
+    if (req.query.transaction_id !== undefined) {
+      query = query.eq('transaction_id', parseTransactionId(req.query.transaction_id));
+    }
+    if (req.query.search !== undefined) {
+      const search = toReceiptSearchQuery(req.query.search);
+      if (!search) {
+        return res.json({ receipts: [], pagination: { page, limit, total: 0, totalPages: 0 } });
+      }
+      query = query.textSearch('search_vector', search, { config: 'simple' });
+    }
+
+    const from = (page - 1) * limit;
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      receipts: await formatReceipts(data),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch receipts');
+  }
+});
+
+// Upload a receipt (multipart field "file": JPEG, PNG, WebP or PDF), read its
+// text and parse it. With a transaction_id field it is added to that
+// transaction's receipts straight away; otherwise attach it later with PATCH. Extraction
+// failures are reported in the receipt's status/error rather than as an error
+// response, so the file is kept and extraction can be re-run.
+router.post('/', async (req, res) => {
+  try {
+    await receiveFile(req, res);
+
+    const file = req.file;
+    if (!file) {
+      throw new ValidationError([{ field: 'file', message: 'A receipt file is required' }]);
+    }
+    const extension = RECEIPT_TYPES[file.mimetype];
+    if (!extension) {
+      throw new ValidationError([{ field: 'file', message: 'Receipts must be JPEG, PNG or WebP images, or PDFs' }]);
+    }
+
+    let transaction = null;
+    if (req.body?.transaction_id) {
+      transaction = await fetchTransaction(parseTransactionId(req.body.transaction_id), req.user.id);
+      if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    let thumbnail;
+    try {
+      thumbnail = await createThumbnail(file.buffer, file.mimetype);
+    } catch (imageError) {
+      throw new ValidationError([{ field: 'file', message: 'The file could not be read as an image' }]);
+    }
+
+    // Several files can arrive in the same millisecond when a transaction has many
+    const name = `${req.user.id}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const storagePath = `${name}.${extension}`;
+    const thumbnailPath = thumbnail ? `${name}-thumb.jpg` : null;
+
+    await uploadFile(storagePath, file.buffer, file.mimetype);
+    if (thumbnail) await uploadFile(thumbnailPath, thumbnail, 'image/jpeg');
+
+    const extracted = await extractReceipt(file.buffer, file.mimetype);
+
+    const { data, error } = await supabase
+      .from('receipts')
+      .insert({
+        user_id: req.user.id,
+        storage_path: storagePath,
+        thumbnail_path: thumbnailPath,
+        filename: file.originalname,
+        mime_type: file.mimetype,
+        ...extracted
+      })
+      .select(RECEIPT_COLUMNS)
+      .single();
+
+    if (error) {
+      await removeFiles([storagePath, thumbnailPath]);
+      throw error;
+    }
+
+    let receipt = data;
+    if (transaction) {
+      try {
+        receipt = await attachReceipt(data, transaction.id, req.user.id);
+      } catch (attachError) {
+        // Don't leave an upload behind that the user never sees
+        await supabase.from('receipts').delete().eq('id', data.id).eq('user_id', req.user.id);
+        await removeFiles([storagePath, thumbnailPath]);
+        throw attachError;
+      }
+    }
+
+    res.status(201).json({ receipt: await formatReceipt(receipt) });
+  } catch (error) {
+    sendError(res, error, 'Failed to upload receipt');
+  }
+});
+
+// Attach an uploaded receipt to a transaction ({ transaction_id })
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = parseReceiptId(req.params.id);
+    const transactionId = parseTransactionId(req.body?.transaction_id);
+
+    const receipt = await fetchReceipt(id, req.user.id);
+    if (!receipt) return res.status(404).json({ error: 'Receipt not found' });
+
+    const transaction = await fetchTransaction(transactionId, req.user.id);
+    if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
+
+    const updated = await attachReceipt(receipt, transaction.id, req.user.id);
+
+    res.json({ receipt: await formatReceipt(updated) });
+  } catch (error) {
+    sendError(res, error, 'Failed to attach receipt');
+  }
+});
+
+// Run text extraction again on the stored file, e.g. after a failure or once
+// the parser has improved. Receipts moved over from before thumbnails existed
+// get one now.
+router.post('/:id/extract', async (req, res) => {
+  try {
+    const id = parseReceiptId(req.params.id);
+
+    const receipt = await fetchReceipt(id, req.user.id);
+    if (!receipt) return res.status(404).json({ error: 'Receipt not found' });
+
+    const buffer = await downloadFile(receipt.storage_path);
+    const extracted = await extractReceipt(buffer, receipt.mime_type);
+
+    if (!receipt.thumbnail_path) {
+      try {
+        const thumbnail = await createThumbnail(buffer, receipt.mime_type);
+        extracted.thumbnail_path = receipt.storage_path.replace(/\.\w+$/, '-thumb.jpg');
+        await uploadFile(extracted.thumbnail_path, thumbnail, 'image/jpeg');
+      } catch (thumbnailError) {
+        delete extracted.thumbnail_path;
+        console.error('Error creating receipt thumbnail:', thumbnailError);
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('receipts')
+      .update(extracted)
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select(RECEIPT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    res.json({ receipt: await formatReceipt(data) });
+  } catch (error) {
+    sendError(res, error, 'Failed to re-run receipt extraction');
+  }
+});
+
+// Delete a receipt and its files
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseReceiptId(req.params.id);
+
+    const { data, error } = await supabase
+      .from('receipts')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('storage_path, thumbnail_path');
+
+    if (error) throw error;
+    if (data.length === 0) return res.status(404).json({ error: 'Receipt not found' });
+
+    await removeFiles([data[0].storage_path, data[0].thumbnail_path]);
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete receipt');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const express = require('express');
+const { supabase } = require('../supabaseClient');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { ensureCategoryExists } = require('../lib/categories');
+const {
+  isValidDate,
+  parseId,
+  validateOccurrenceChange,
+  validateRecurringRule
+} = require('../lib/validation');
+const {
+  buildTransaction,
+  getUpcomingOccurrences,
+  isOccurrence,
+  materializeRecurringTransactions
+} = require('../lib/recurring');
+
+const router = express.Router();
+
+const RULE_COLUMNS = `
+  id,
+  type,
+  amount,
+  category_id,
+  description,
+  frequency,
+  start_date,
+  end_date,
+  active,
+  last_generated_date,
+  created_at,
+  categories!inner(
+    name
+  )
+`;
+
+const MAX_UPCOMING_DAYS = 366;
+
+const formatRule = ({ categories, ...rule }) => ({
+  ...rule,
+  category_name: categories?.name ?? null
+});
+
+const parseRuleId = (id) => {
+  const ruleId = parseId(id);
+  if (Number.isNaN(ruleId)) {
+    throw new ValidationError([{ field: 'id', message: 'Invalid recurring transaction id' }]);
+  }
+  return ruleId;
+};
+
+const fetchRule = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('recurring_transactions')
+    .select(RULE_COLUMNS)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Occurrences on or before last_generated_date are never generated again, so
+// undoing a skip (or an edit) of one has to write its transaction back itself
+const isGenerated = (rule, date) => !!rule.last_generated_date && date <= rule.last_generated_date;
+
+const fetchException = async (id, date, userId) => {
+  const { data, error } = await supabase
+    .from('recurring_exceptions')
+    .select('occurrence_date, skip, amount, description')
+    .eq('recurring_id', id)
+    .eq('occurrence_date', date)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Create (or reset) the transaction of an occurrence that was already generated
+const restoreTransaction = async (rule, date, exception, userId) => {
+  const exceptions = exception ? [{ ...exception, recurring_id: rule.id }] : [];
+
+  const { error } = await supabase
+    .from('transactions')
+    .upsert(buildTransaction({ ...rule, user_id: userId }, date, exceptions), {
+      onConflict: 'recurring_id,occurrence_date'
+    });
+
+  if (error) throw error;
+};
+
+router.use(authenticateJWT);
+
+// List the user's recurring rules
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('recurring_transactions')
+      .select(RULE_COLUMNS)
+      .eq('user_id', req.user.id)
+      .order('start_date');
+
+    if (error) throw error;
+
+    res.json({ rules: data.map(formatRule) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch recurring transactions');
+  }
+});
+
+// Occurrences that are due in the next few days and not generated yet
+router.get('/upcoming', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : parseId(req.query.days);
+    if (Number.isNaN(days) || days > MAX_UPCOMING_DAYS) {
+      throw new ValidationError([{ field: 'days', message: `days must be an integer between 1 and ${MAX_UPCOMING_DAYS}` }]);
+    }
+
+    const occurrences = await getUpcomingOccurrences(req.user.id, days);
+    res.json({ occurrences });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch upcoming transactions');
+  }
+});
+
+// Create a rule and generate anything that is already due
+router.post('/', async (req, res) => {
+  try {
+    const rule = validateRecurringRule(req.body);
+    await ensureCategoryExists(rule.category_id, rule.type, req.user.id);
+
+    const { data, error } = await supabase
+      .from('recurring_transactions')
+      .insert({ ...rule, user_id: req.user.id })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    const created = await materializeRecurringTransactions({ ruleId: data.id });
+    const saved = await fetchRule(data.id, req.user.id);
+
+    res.status(201).json({ rule: formatRule(saved), created });
+  } catch (error) {
+    sendError(res, error, 'Failed to create recurring transaction');
+  }
+});
+
+// Update a rule. Changes apply to occurrences that have not been generated yet;
+// transactions that already exist are left as they are.
+const updateRule = async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    const changes = validateRecurringRule(req.body, { partial: req.method === 'PATCH' });
+
+    const existing = await fetchRule(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Recurring transaction not found' });
+
+    if (changes.category_id || changes.type) {
+      await ensureCategoryExists(changes.category_id || existing.category_id, changes.type || existing.type, req.user.id, {
+        currentCategoryId: existing.category_id
+      });
+    }
+
+    const startDate = changes.start_date || existing.start_date;
+    const endDate = changes.end_date === undefined ? existing.end_date : changes.end_date;
+    if (endDate && endDate < startDate) {
+      throw new ValidationError([{ field: 'end_date', message: 'End date must not be before the start date' }]);
+    }
+
+    const { error } = await supabase
+      .from('recurring_transactions')
+      .update(changes)
+      .eq('id', id)
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    const created = await materializeRecurringTransactions({ ruleId: id });
+    const saved = await fetchRule(id, req.user.id);
+
+    res.json({ rule: formatRule(saved), created });
+  } catch (error) {
+    sendError(res, error, 'Failed to update recurring transaction');
+  }
+};
+
+router.put('/:id', updateRule);
+router.patch('/:id', updateRule);
+
+// Delete a rule. Transactions it already created are kept.
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+
+    const { data, error } = await supabase
+      .from('recurring_transactions')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) return res.status(404).json({ error: 'Recurring transaction not found' });
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete recurring transaction');
+  }
+});
+
+// Skip or edit a single occurrence, replacing any earlier change to it. If the
+// occurrence has already been turned into a transaction, that transaction is
+// deleted (skip) or updated (edit) too; editing a skipped one brings it back.
+router.put('/:id/occurrences/:date', async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    const { date } = req.params;
+    if (!isValidDate(date)) {
+      throw new ValidationError([{ field: 'date', message: 'Date must be in YYYY-MM-DD format' }]);
+    }
+
+    const change = validateOccurrenceChange(req.body);
+
+    const rule = await fetchRule(id, req.user.id);
+    if (!rule) return res.status(404).json({ error: 'Recurring transaction not found' });
+    if (!isOccurrence(rule, date)) {
+      throw new ValidationError([{ field: 'date', message: 'The rule has no occurrence on this date' }]);
+    }
+
+    const previous = await fetchException(id, date, req.user.id);
+
+    const { data: exception, error } = await supabase
+      .from('recurring_exceptions')
+      .upsert({
+        recurring_id: id,
+        user_id: req.user.id,
+        occurrence_date: date,
+        skip: change.skip ?? false,
+        amount: change.amount ?? null,
+        description: change.description ?? null
+      }, { onConflict: 'recurring_id,occurrence_date' })
+      .select('occurrence_date, skip, amount, description')
+      .single();
+
+    if (error) throw error;
+
+    const updates = {};
+    if (exception.amount !== null) updates.amount = exception.amount;
+    if (exception.description !== null) updates.description = exception.description;
+
+    if (!exception.skip && previous?.skip && isGenerated(rule, date)) {
+      await restoreTransaction(rule, date, exception, req.user.id);
+    } else if (exception.skip || Object.keys(updates).length > 0) {
+      const query = exception.skip
+        ? supabase.from('transactions').delete()
+        : supabase.from('transactions').update(updates);
+
+      const { error: transactionError } = await query
+        .eq('recurring_id', id)
+        .eq('occurrence_date', date)
+        .eq('user_id', req.user.id);
+
+      if (transactionError) throw transactionError;
+    }
+
+    res.json({ exception });
+  } catch (error) {
+    sendError(res, error, 'Failed to update occurrence');
+  }
+});
+
+// Undo a skip or edit. An occurrence that was already generated gets its
+// transaction back as the rule would have created it.
+router.delete('/:id/occurrences/:date', async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    const { date } = req.params;
+    if (!isValidDate(date)) {
+      throw new ValidationError([{ field: 'date', message: 'Date must be in YYYY-MM-DD format' }]);
+    }
+
+    const rule = await fetchRule(id, req.user.id);
+    if (!rule) return res.status(404).json({ error: 'Recurring transaction not found' });
+
+    const exception = await fetchException(id, date, req.user.id);
+    if (!exception) return res.status(404).json({ error: 'Occurrence has not been changed' });
+
+    if (isGenerated(rule, date)) {
+      // The rule has changed since, so there is no transaction it would create
+      if (!isOccurrence(rule, date)) {
+        return res.status(409).json({ error: 'The rule no longer has an occurrence on this date, so it cannot be restored' });
+      }
+      await restoreTransaction(rule, date, null, req.user.id);
+    }
+
+    const { error } = await supabase
+      .from('recurring_exceptions')
+      .delete()
+      .eq('recurring_id', id)
+      .eq('occurrence_date', date)
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to restore occurrence');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const { supabase } = require('../supabaseClient');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { ensureCategoryExists } = require('../lib/categories');
+const {
+  MAX_IMPORT_ROWS,
+  isValidDate,
+  parseAmount,
+  parseId,
+  validateCategoryRule
+} = require('../lib/validation');
+const {
+  RULE_COLUMNS,
+  createRuleMatcher,
+  fetchRules,
+  formatRule,
+  reapplyRules
+} = require('../lib/categoryRules');
+
+const router = express.Router();
+
+// Columns a client may send; used to merge an update into the stored rule
+const RULE_FIELDS = ['match_type', 'pattern', 'min_amount', 'max_amount', 'category_id', 'tags', 'priority', 'active'];
+
+const parseRuleId = (id) => {
+  const ruleId = parseId(id);
+  if (Number.isNaN(ruleId)) {
+    throw new ValidationError([{ field: 'id', message: 'Invalid category rule id' }]);
+  }
+  return ruleId;
+};
+
+const fetchRule = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('category_rules')
+    .select(RULE_COLUMNS)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && formatRule(data);
+};
+
+router.use(authenticateJWT);
+
+// List the user's rules in the order they are tried
+router.get('/', async (req, res) => {
+  try {
+    res.json({ rules: await fetchRules(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch category rules');
+  }
+});
+
+// Find the rule that matches each of { transactions: [{ description, amount,
+// type }] }. Used while a transaction is typed in or filled from a receipt.
+// Answers { matches } in the same order, each { rule_id, category_id, tags }
+// or null.
+router.post('/match', async (req, res) => {
+  try {
+    const transactions = req.body?.transactions;
+    if (!Array.isArray(transactions) || transactions.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError([{
+        field: 'transactions',
+        message: `transactions must be an array of at most ${MAX_IMPORT_ROWS} items`
+      }]);
+    }
+
+    const match = createRuleMatcher(await fetchRules(req.user.id));
+    const matches = transactions.map(transaction => {
+      const amount = parseAmount(transaction?.amount);
+      return match({
+        description: typeof transaction?.description === 'string' ? transaction.description : '',
+        type: transaction?.type === 'income' || transaction?.type === 'expense' ? transaction.type : null,
+        amount: Number.isNaN(amount) ? null : amount
+      });
+    });
+
+    res.json({ matches });
+  } catch (error) {
+    sendError(res, error, 'Failed to match category rules');
+  }
+});
+
+// Re-apply the rules to transactions already recorded: { rule_id?,
+// start_date?, end_date?, dry_run? }. With rule_id only the transactions that
+// rule matches are changed. dry_run reports what would change without
+// changing anything, so the app can ask first.
+router.post('/apply', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = [];
+
+    const ruleId = body.rule_id === undefined || body.rule_id === null ? null : parseId(body.rule_id);
+    if (Number.isNaN(ruleId)) errors.push({ field: 'rule_id', message: 'Invalid category rule id' });
+
+    ['start_date', 'end_date'].forEach(field => {
+      if (body[field] !== undefined && body[field] !== null && !isValidDate(body[field])) {
+        errors.push({ field, message: `${field} must be in YYYY-MM-DD format` });
+      }
+    });
+    if (body.start_date && body.end_date && body.start_date > body.end_date) {
+      errors.push({ field: 'end_date', message: 'end_date must not be before start_date' });
+    }
+    if (body.dry_run !== undefined && typeof body.dry_run !== 'boolean') {
+      errors.push({ field: 'dry_run', message: 'dry_run must be true or false' });
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    if (ruleId && !(await fetchRule(ruleId, req.user.id))) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+
+    const result = await reapplyRules(req.user.id, {
+      ruleId,
+      startDate: body.start_date || null,
+      endDate: body.end_date || null,
+      dryRun: body.dry_run === true
+    });
+
+    res.json({ ...result, dry_run: body.dry_run === true });
+  } catch (error) {
+    sendError(res, error, 'Failed to apply category rules');
+  }
+});
+
+// Create a rule
+router.post('/', async (req, res) => {
+  try {
+    const rule = validateCategoryRule(req.body);
+    await ensureCategoryExists(rule.category_id, null, req.user.id);
+
+    const { data, error } = await supabase
+      .from('category_rules')
+      .insert({ ...rule, user_id: req.user.id })
+      .select(RULE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ rule: formatRule(data) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create category rule');
+  }
+});
+
+// Update a rule. The result is validated as a whole, so e.g. switching a rule
+// to a regex checks the pattern it already has.
+const updateRule = async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    const changes = validateCategoryRule(req.body, { partial: req.method === 'PATCH' });
+
+    const existing = await fetchRule(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Category rule not found' });
+
+    const merged = {};
+    RULE_FIELDS.forEach(field => {
+      merged[field] = changes[field] === undefined ? existing[field] : changes[field];
+    });
+    const rule = validateCategoryRule(merged);
+
+    if (changes.category_id) {
+      await ensureCategoryExists(changes.category_id, null, req.user.id, { currentCategoryId: existing.category_id });
+    }
+
+    const { data, error } = await supabase
+      .from('category_rules')
+      .update(rule)
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select(RULE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    res.json({ rule: formatRule(data) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update category rule');
+  }
+};
+
+router.put('/:id', updateRule);
+router.patch('/:id', updateRule);
+
+// Delete a rule. Transactions it already categorised keep their category.
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+
+    const { data, error } = await supabase
+      .from('category_rules')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) return res.status(404).json({ error: 'Category rule not found' });
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete category rule');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { supabase } = require('../supabaseClient');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { TRANSACTION_TYPES, parseId } = require('../lib/validation');
+const { evaluateModel, getModel, rankCategories, tokenize } = require('../lib/categorySuggestions');
+
+const router = express.Router();
+
+const MAX_SUGGESTIONS = 5;
+
+router.use(authenticateJWT);
+
+// Suggest categories for ?description=, learned from the user's own past
+// transactions. ?type= limits them to expense or income categories and
+// ?limit= (default 3) caps how many come back. Archived categories are never
+// suggested. Answers { suggestions: [{ category_id, category_name, confidence }] },
+// which is empty when the description has no words seen before.
+router.get('/', async (req, res) => {
+  try {
+    const errors = [];
+    const description = typeof req.query.description === 'string' ? req.query.description : '';
+
+    if (req.query.type !== undefined && !TRANSACTION_TYPES.includes(req.query.type)) {
+      errors.push({ field: 'type', message: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` });
+    }
+    const limit = req.query.limit === undefined ? 3 : parseId(req.query.limit);
+    if (Number.isNaN(limit) || limit > MAX_SUGGESTIONS) {
+      errors.push({ field: 'limit', message: `limit must be between 1 and ${MAX_SUGGESTIONS}` });
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const tokens = tokenize(description);
+    if (tokens.length === 0) return res.json({ suggestions: [] });
+
+    // Archived categories are left out before ranking so the confidences of
+    // the rest still add up to 1
+    const [{ model }, { data: categories, error }] = await Promise.all([
+      getModel(req.user.id),
+      supabase
+        .from('categories')
+        .select('id, name')
+        .eq('archived', false)
+        .or(`user_id.is.null,user_id.eq.${req.user.id}`)
+    ]);
+
+    if (error) throw error;
+
+    const names = new Map(categories.map(c => [c.id, c.name]));
+    const ranked = rankCategories(model, tokens, { type: req.query.type, categoryIds: new Set(names.keys()) });
+    const suggestions = ranked
+      .slice(0, limit)
+      .map(r => ({
+        category_id: r.category_id,
+        category_name: names.get(r.category_id),
+        confidence: Math.round(r.confidence * 1000) / 1000
+      }));
+
+    res.json({ suggestions });
+  } catch (error) {
+    sendError(res, error, 'Failed to suggest a category');
+  }
+});
+
+// How often the suggestions would have been right on the user's past
+// transactions, each one judged by a model trained on all the others
+router.get('/accuracy', async (req, res) => {
+  try {
+    const { model, examples } = await getModel(req.user.id);
+    res.json(evaluateModel(model, examples));
+  } catch (error) {
+    sendError(res, error, 'Failed to measure suggestion accuracy');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { parseId, validateSummaryQuery } = require('../lib/validation');
+const {
+  MAX_TREND_PERIODS,
+  SUMMARY_BUCKETS,
+  chooseBucket,
+  countDays,
+  countPeriods,
+  fetchBudgetUsage,
+  fetchSummary,
+  fetchTagTotals,
+  fetchTrend
+} = require('../lib/summaries');
+
+const router = express.Router();
+
+// A daily chart of more than a year has too many points to be useful
+const MAX_DAILY_TREND_DAYS = 366;
+
+router.use(authenticateJWT);
+
+// Expense and income totals for ?start_date= to ?end_date=, overall and per
+// category. ?tag= only counts transactions with that tag.
+router.get('/', async (req, res) => {
+  try {
+    const { range, tag } = validateSummaryQuery(req.query);
+    const summary = await fetchSummary(req.user.id, range, { tag });
+    res.json({ start_date: range.startDate, end_date: range.endDate, ...summary });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch summary');
+  }
+});
+
+// Expenses, income and net per period of the range. ?bucket= is day, week or
+// month; without it the range decides, as on the Dashboard.
+router.get('/trend', async (req, res) => {
+  try {
+    const { range, tag, bucket = chooseBucket(range) } = validateSummaryQuery(req.query, { buckets: SUMMARY_BUCKETS });
+    if (bucket === 'day' && countDays(range) > MAX_DAILY_TREND_DAYS) {
+      throw new ValidationError([{
+        field: 'bucket',
+        message: `Daily totals cover at most ${MAX_DAILY_TREND_DAYS} days; use week or month`
+      }]);
+    }
+    if (countPeriods(range, bucket) > MAX_TREND_PERIODS) {
+      throw new ValidationError([{
+        field: 'end_date',
+        message: `A trend covers at most ${MAX_TREND_PERIODS} ${bucket}s; choose a shorter range`
+      }]);
+    }
+
+    res.json(await fetchTrend(req.user.id, range, { bucket, tag }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch spending trend');
+  }
+});
+
+// Expenses and income per tag over the range
+router.get('/tags', async (req, res) => {
+  try {
+    const { range } = validateSummaryQuery(req.query);
+    res.json({ tags: await fetchTagTotals(req.user.id, range) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch tag totals');
+  }
+});
+
+// How much of the overall and per-category budgets of ?month= (1-12) and
+// ?year= has been spent
+router.get('/budget', async (req, res) => {
+  try {
+    const errors = [];
+
+    const month = parseId(req.query.month);
+    if (Number.isNaN(month) || month > 12) errors.push({ field: 'month', message: 'month must be between 1 and 12' });
+
+    const year = parseId(req.query.year);
+    if (Number.isNaN(year)) errors.push({ field: 'year', message: 'year must be a positive integer' });
+
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    res.json(await fetchBudgetUsage(req.user.id, { month, year }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch budget usage');
+  }
+});
+
+module.exports = router;
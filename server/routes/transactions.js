@@ -0,0 +1,322 @@
+const express = require('express');
+const { supabase } = require('../supabaseClient');
+const { authenticateJWT } = require('../middleware/auth');
+const { ValidationError, sendError } = require('../lib/errors');
+const { ensureCategoryExists } = require('../lib/categories');
+const { isValidUuid, validateTransaction, validateTransactionQuery } = require('../lib/validation');
+const { EXPORT_FORMATS, toCsv, toExportRow, toXlsx } = require('../lib/export');
+const { findTransactionIdsByReceiptText, removeFiles } = require('../lib/receipts');
+const { scanForAnomalies } = require('../lib/anomalies');
+const { addTagsToTransactions, setTransactionTags } = require('../lib/tags');
+
+const router = express.Router();
+
+const TRANSACTION_COLUMNS = `
+  id,
+  amount,
+  type,
+  date,
+  description,
+  category_id,
+  recurring_id,
+  occurrence_date,
+  import_id,
+  created_at,
+  categories!inner(
+    name
+  ),
+  receipts(
+    id,
+    filename,
+    mime_type,
+    status
+  ),
+  transaction_tags(
+    tags(
+      name
+    )
+  )
+`;
+
+// ?tag= keeps the transactions linked to that tag through an inner join of
+// their links, apart from transaction_tags so every tag is still listed
+const TAG_FILTER_COLUMNS = 'tag_filter:transaction_tags!inner(tags!inner(name))';
+
+const selectColumns = (filters) =>
+  (filters.tag ? `${TRANSACTION_COLUMNS}, ${TAG_FILTER_COLUMNS}` : TRANSACTION_COLUMNS);
+
+// Flatten the joined category and tags like the client pages do
+const formatTransaction = ({ categories, transaction_tags: links, tag_filter: tagFilter, ...transaction }) => ({
+  ...transaction,
+  category_name: categories?.name ?? null,
+  tags: (links || []).map(link => link.tags?.name).filter(Boolean).sort()
+});
+
+const parseTransactionId = (id) => {
+  if (!isValidUuid(id)) {
+    throw new ValidationError([{ field: 'id', message: 'Invalid transaction id' }]);
+  }
+  return id;
+};
+
+// PostgREST filter values containing , . : ( ) or " must be double-quoted
+const quoteFilterValue = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Apply the filters from validateTransactionQuery to a transactions query.
+// A search matches the description or, via receiptMatches (the ids from
+// findTransactionIdsByReceiptText), the text on the transaction's receipt.
+const applyFilters = (query, filters, receiptMatches = []) => {
+  if (filters.startDate) query = query.gte('date', filters.startDate);
+  if (filters.endDate) query = query.lte('date', filters.endDate);
+  if (filters.type) query = query.eq('type', filters.type);
+  if (filters.categoryId) query = query.eq('category_id', filters.categoryId);
+  if (filters.minAmount !== undefined) query = query.gte('amount', filters.minAmount);
+  if (filters.maxAmount !== undefined) query = query.lte('amount', filters.maxAmount);
+  if (filters.tag) query = query.eq('tag_filter.tags.name', filters.tag);
+  if (filters.search && receiptMatches.length > 0) {
+    query = query.or(`description.ilike.${quoteFilterValue(`%${filters.search}%`)},id.in.(${receiptMatches.join(',')})`);
+  } else if (filters.search) {
+    query = query.ilike('description', `%${filters.search}%`);
+  }
+  return query;
+};
+
+// PostgREST caps each response, so exports read the rows in batches
+const EXPORT_BATCH_SIZE = 1000;
+
+const fetchTransaction = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('transactions')
+    .select(TRANSACTION_COLUMNS)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+router.use(authenticateJWT);
+
+// List transactions with optional filters and pagination
+router.get('/', async (req, res) => {
+  try {
+    const { filters, page, limit } = validateTransactionQuery(req.query);
+    const from = (page - 1) * limit;
+    const receiptMatches = filters.search
+      ? await findTransactionIdsByReceiptText(req.user.id, filters.search)
+      : [];
+
+    const query = applyFilters(supabase
+      .from('transactions')
+      .select(selectColumns(filters), { count: 'exact' })
+      .eq('user_id', req.user.id), filters, receiptMatches);
+
+    const { data, error, count } = await query
+      .order('date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      transactions: data.map(formatTransaction),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch transactions');
+  }
+});
+
+// Download the filtered transactions as CSV or XLSX (?format=csv|xlsx), oldest first
+router.get('/export', async (req, res) => {
+  try {
+    const { filters } = validateTransactionQuery(req.query);
+    const format = req.query.format === undefined ? 'csv' : req.query.format;
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError([{ field: 'format', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` }]);
+    }
+
+    const { data: categories, error: categoryError } = await supabase
+      .from('categories')
+      .select('id, name, parent_id')
+      .or(`user_id.is.null,user_id.eq.${req.user.id}`);
+
+    if (categoryError) throw categoryError;
+
+    const receiptMatches = filters.search
+      ? await findTransactionIdsByReceiptText(req.user.id, filters.search)
+      : [];
+
+    const transactions = [];
+    for (let from = 0; ; from += EXPORT_BATCH_SIZE) {
+      const { data, error } = await applyFilters(supabase
+        .from('transactions')
+        .select(selectColumns(filters))
+        .eq('user_id', req.user.id), filters, receiptMatches)
+        .order('date', { ascending: true })
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + EXPORT_BATCH_SIZE - 1);
+
+      if (error) throw error;
+
+      transactions.push(...data);
+      if (data.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    const rows = transactions.map(transaction => toExportRow(formatTransaction(transaction), categories));
+
+    const range = [filters.startDate, filters.endDate].filter(Boolean).join('-to-');
+    const filename = `transactions${range ? `-${range}` : ''}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.send(Buffer.from(await toXlsx(rows)));
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(toCsv(rows));
+    }
+  } catch (error) {
+    sendError(res, error, 'Failed to export transactions');
+  }
+});
+
+// Get a single transaction
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseTransactionId(req.params.id);
+
+    const data = await fetchTransaction(id, req.user.id);
+    if (!data) return res.status(404).json({ error: 'Transaction not found' });
+
+    res.json({ transaction: formatTransaction(data) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch transaction');
+  }
+});
+
+// Create a transaction, with its `tags` when given
+router.post('/', async (req, res) => {
+  try {
+    const { tags = [], ...transaction } = validateTransaction(req.body);
+    await ensureCategoryExists(transaction.category_id, transaction.type, req.user.id);
+
+    const { data: created, error } = await supabase
+      .from('transactions')
+      .insert({ ...transaction, user_id: req.user.id })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    await addTagsToTransactions(req.user.id, [created.id], tags);
+    const data = await fetchTransaction(created.id, req.user.id);
+
+    // A failed check should not fail the transaction; the next scan retries it
+    if (data.type === 'expense') {
+      await scanForAnomalies(req.user.id, { transactionIds: [data.id] })
+        .catch(scanError => console.error('Failed to check transaction for anomalies:', scanError));
+    }
+
+    res.status(201).json({ transaction: formatTransaction(data) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create transaction');
+  }
+});
+
+// Update some or all fields of a transaction. `tags`, when given, replace the
+// ones it has.
+const updateTransaction = async (req, res) => {
+  try {
+    const id = parseTransactionId(req.params.id);
+    const { tags, ...changes } = validateTransaction(req.body, { partial: req.method === 'PATCH' });
+    if (changes.category_id || changes.type) {
+      // Validate the new category/type pairing against whatever is already stored
+      const { data: existing, error: existingError } = await supabase
+        .from('transactions')
+        .select('category_id, type')
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (existingError) throw existingError;
+      if (!existing) return res.status(404).json({ error: 'Transaction not found' });
+
+      await ensureCategoryExists(
+        changes.category_id || existing.category_id,
+        changes.type || existing.type,
+        req.user.id,
+        { currentCategoryId: existing.category_id }
+      );
+    }
+
+    if (Object.keys(changes).length > 0) {
+      const { data: updated, error } = await supabase
+        .from('transactions')
+        .update(changes)
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .select('id')
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!updated) return res.status(404).json({ error: 'Transaction not found' });
+    } else if (!(await fetchTransaction(id, req.user.id))) {
+      // Only the tags change, so nothing has checked the transaction is the user's
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (tags) await setTransactionTags(req.user.id, id, tags);
+
+    const data = await fetchTransaction(id, req.user.id);
+    if (!data) return res.status(404).json({ error: 'Transaction not found' });
+
+    res.json({ transaction: formatTransaction(data) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update transaction');
+  }
+};
+
+router.put('/:id', updateTransaction);
+router.patch('/:id', updateTransaction);
+
+// Delete a transaction. Its receipts go with it (the rows cascade; the files
+// are removed here).
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseTransactionId(req.params.id);
+
+    const { data: receipts, error: receiptsError } = await supabase
+      .from('receipts')
+      .select('storage_path, thumbnail_path')
+      .eq('transaction_id', id)
+      .eq('user_id', req.user.id);
+
+    if (receiptsError) throw receiptsError;
+
+    const { data, error } = await supabase
+      .from('transactions')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) return res.status(404).json({ error: 'Transaction not found' });
+
+    await removeFiles(receipts.flatMap(r => [r.storage_path, r.thumbnail_path]));
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete transaction');
+  }
+});
+
+module.exports = router;
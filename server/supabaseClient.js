@@ -0,0 +1,9 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase setup
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+module.exports = { supabase };
@@ -0,0 +1,5 @@
+// Loaded before every test file (see the test script in package.json). Modules
+// that use Supabase create the client when they are loaded; the tests only run
+// code that never talks to it, so placeholder settings are all it needs.
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = 'test-service-key';